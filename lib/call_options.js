@@ -0,0 +1,206 @@
+'use strict'
+
+const {Timespan, validateInstanceMap} = require('minitype')
+const {Result, BadError} = require('./type')
+const {
+    CALL_ABORTED,
+    CALL_DEADLINE_EXCEEDED
+} = require('./type').ErrorCode
+
+const CANCELLATION_CODES = [CALL_ABORTED, CALL_DEADLINE_EXCEEDED]
+
+/**
+ * Options of a single call such as {@link Client.getLogs}. They are passed
+ * through gateways and nodes down to HTTP requests and WebSocket messages,
+ * so a call is stopped as soon as it is aborted or it's deadline is passed.
+ *
+ * @example
+ * let controller = new AbortController()
+ * let options = {
+ *     signal: controller.signal,
+ *     deadline: Timespan.fromSeconds(5).open()
+ * }
+ * let result = await client.getLogs(filter, options)
+ */
+class CallOptions {
+    /**
+     * @type {AbortSignal | undefined}
+     */
+    get signal() {
+        return this._signal
+    }
+
+    /**
+     * Miliseconds since epoch that the call must be finished before, or
+     * `undefined` if there is no deadline.
+     *
+     * @type {number | undefined}
+     */
+    get expiredTime() {
+        return this._expiredTime
+    }
+
+    /**
+     * Initialize by {@link CallOptions.create}.
+     *
+     * @param {object} values
+     * @param {AbortSignal} [values.signal]
+     * @param {number} [values.expiredTime]
+     */
+    constructor(values) {
+        this._signal = values.signal
+        this._expiredTime = values.expiredTime
+    }
+
+    /**
+     * The deadline starts from the time this function is called.
+     *
+     * @param {object} [options={}]
+     * @param {AbortSignal} [options.signal] - Abort the call. Any object
+     * which has `aborted`, `addEventListener()` and `removeEventListener()`
+     * is accepted.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in, retries and delays between them are included.
+     * @return {Result<TypeError, CallOptions>}
+     */
+    static create(options = {}) {
+        let r1 = validateInstanceMap(options, [
+            ['signal', 'object', true],
+            ['deadline', Timespan, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {signal, deadline} = options
+        if (signal !== undefined && !CallOptions._isAbortSignal(signal)) {
+            return Result.typeError('signal: expect an AbortSignal')
+        }
+        let data = new CallOptions({
+            signal: signal,
+            expiredTime: deadline ? Date.now() + deadline.value : undefined
+        })
+        return Result.ok(data)
+    }
+
+    /**
+     * Accept an instance of `CallOptions` or options of
+     * {@link CallOptions.create}.
+     *
+     * @param {CallOptions | object} [value={}]
+     * @return {Result<TypeError, CallOptions>}
+     */
+    static from(value = {}) {
+        if (value instanceof CallOptions) {
+            return Result.ok(value)
+        }
+        return CallOptions.create(value)
+    }
+
+    /**
+     * Options without signal and deadline.
+     *
+     * @return {CallOptions}
+     */
+    static none() {
+        return new CallOptions({})
+    }
+
+    /**
+     * @param {Error} error
+     * @return {boolean} `true` if the error is caused by the caller instead of
+     * nodes, such as `CALL_ABORTED` and `CALL_DEADLINE_EXCEEDED`.
+     */
+    static isCancellation(error) {
+        return error instanceof BadError &&
+            CANCELLATION_CODES.includes(error.code)
+    }
+
+    /**
+     * @return {Result<BadError, undefined>} Error `CALL_ABORTED` or
+     * `CALL_DEADLINE_EXCEEDED` means the call must be stopped.
+     */
+    check() {
+        if (this._signal && this._signal.aborted) {
+            return Result.badError(CALL_ABORTED, 'aborted by the signal')
+        }
+        if (
+            this._expiredTime !== undefined &&
+            Date.now() >= this._expiredTime
+        ) {
+            return Result.badError(CALL_DEADLINE_EXCEEDED, 'deadline exceeded')
+        }
+        return Result.ok()
+    }
+
+    /**
+     * @param {number} timeout - Miliseconds, timeout of a transport.
+     * @return {number} Miliseconds, it is not greater than remaining time to
+     * the deadline.
+     */
+    getTimeout(timeout) {
+        if (this._expiredTime === undefined) {
+            return timeout
+        }
+        let remainingTime = Math.max(this._expiredTime - Date.now(), 1)
+        return Math.min(timeout, remainingTime)
+    }
+
+    /**
+     * Call `listener` once when the signal is aborted or the deadline is
+     * passed, it is never called synchronously. A signal which is aborted
+     * already is not noticed, so {@link CallOptions.check} goes first.
+     *
+     * @param {Function} listener - Receive a `Result<BadError, undefined>`
+     * which is the same as the one from {@link CallOptions.check}.
+     * @return {Function} Stop listening, it must be called after the call is
+     * finished.
+     */
+    onCancel(listener) {
+        let timer = undefined
+        let onAbort = () => {
+            clearTimeout(timer)
+            listener(Result.badError(CALL_ABORTED, 'aborted by the signal'))
+        }
+        if (this._expiredTime !== undefined) {
+            timer = setTimeout(() => {
+                this._removeAbortListener(onAbort)
+                listener(
+                    Result.badError(CALL_DEADLINE_EXCEEDED, 'deadline exceeded')
+                )
+            }, Math.max(this._expiredTime - Date.now(), 0))
+        }
+        if (this._signal) {
+            this._signal.addEventListener('abort', onAbort)
+        }
+        return () => {
+            clearTimeout(timer)
+            this._removeAbortListener(onAbort)
+        }
+    }
+
+    /**
+     * @private
+     * @param {Function} listener
+     */
+    _removeAbortListener(listener) {
+        if (this._signal) {
+            this._signal.removeEventListener('abort', listener)
+        }
+    }
+
+    /**
+     * @private
+     * @param {object} value
+     * @return {boolean}
+     */
+    static _isAbortSignal(value) {
+        return value !== null &&
+            typeof value.aborted === 'boolean' &&
+            typeof value.addEventListener === 'function' &&
+            typeof value.removeEventListener === 'function'
+    }
+}
+
+module.exports = {
+    CallOptions
+}
@@ -0,0 +1,197 @@
+'use strict'
+
+const fs = require('fs')
+const {UInt64, validateInstance} = require('minitype')
+const {Result} = require('./type')
+
+/**
+ * Persistent position of a `LogStream`. It keeps the next block number to
+ * read, so a restarted stream continues from there instead of `fromBlock`.
+ *
+ * This is an interface, implementations must override `read()` and
+ * `write()`. See {@link JsonFileCheckpoint} for a built-in implementation.
+ *
+ * @abstract
+ */
+class Checkpoint {
+    /**
+     * Retrieve the next block number to read.
+     *
+     * @abstract
+     * @return {Promise<Result<Error, UInt64 | undefined>>} `undefined` means
+     * there is no saved position.
+     * @throws {Error}
+     */
+    read() {
+        throw new Error('Checkpoint.read() is not implemented')
+    }
+
+    /**
+     * @function Checkpoint#write
+     * @param {UInt64} blockNumber
+     * @return {Promise<Result<Error, undefined>>}
+     */
+
+    /**
+     * Save the next block number to read. It must be completed or has no
+     * effect, a partial write must never be seen by `read()`.
+     *
+     * @abstract
+     * @throws {Error}
+     */
+    write() {
+        throw new Error('Checkpoint.write() is not implemented')
+    }
+}
+
+/**
+ * Keep position in a JSON file. Writing is done to a temporary file, then it
+ * is renamed to the real file, so the file always contains a complete
+ * position even the process is killed.
+ *
+ * @example
+ * let checkpoint = JsonFileCheckpoint.create('/var/lib/app/stream.json')
+ *     .open()
+ * let stream = LogStream.create({client, checkpoint}).open()
+ */
+class JsonFileCheckpoint extends Checkpoint {
+    /**
+     * @type {string}
+     */
+    get filePath() {
+        return this._filePath
+    }
+
+    /**
+     * Initialize by {@link JsonFileCheckpoint.create}.
+     *
+     * @param {string} filePath
+     */
+    constructor(filePath) {
+        super()
+        this._filePath = filePath
+        this._tempFilePath = filePath + '.tmp'
+    }
+
+    /**
+     *
+     * @param {string} filePath - Path to JSON file that keeps position. It
+     * is not required to exist.
+     * @return {Result<TypeError, JsonFileCheckpoint>}
+     */
+    static create(filePath) {
+        let r1 = validateInstance(filePath, 'string')
+        if (r1.error) {
+            return Result.typeError(`filePath: ${r1.error.message}`)
+        }
+        let instance = new JsonFileCheckpoint(filePath)
+        return Result.ok(instance)
+    }
+
+    /**
+     * Retrieve the next block number to read.
+     *
+     * @return {Promise<Result<Error, UInt64 | undefined>>}
+     */
+    async read() {
+        let r1 = await this._readFile()
+        if (r1.error) {
+            return r1
+        }
+        if (r1.data === undefined) {
+            return Result.ok()
+        }
+        let r2 = JsonFileCheckpoint._parseJson(r1.data)
+        if (r2.error) {
+            let {message} = r2.error
+            return Result.typeError(`file ${this._filePath}: ${message}`)
+        }
+        let {blockNumber} = r2.data || {}
+        let r3 = UInt64.fromDecimal(blockNumber)
+        if (r3.error) {
+            return Result.typeError(
+                `file ${this._filePath}: blockNumber: ${r3.error.message}`
+            )
+        }
+        return r3
+    }
+
+    /**
+     * Save the next block number to read.
+     *
+     * @param {UInt64} blockNumber
+     * @return {Promise<Result<Error, undefined>>}
+     */
+    async write(blockNumber) {
+        let r1 = validateInstance(blockNumber, UInt64)
+        if (r1.error) {
+            return Result.typeError(`blockNumber: ${r1.error.message}`)
+        }
+        let data = JSON.stringify({
+            blockNumber: blockNumber.value.toString()
+        })
+        try {
+            await this._writeTempFile(data)
+            await fs.promises.rename(this._tempFilePath, this._filePath)
+            return Result.ok()
+        }
+        catch (error) {
+            return Result.error(error)
+        }
+    }
+
+    /**
+     * @private
+     * @return {Promise<Result<Error, string | undefined>>} `undefined` means
+     * file does not exist.
+     */
+    async _readFile() {
+        try {
+            let data = await fs.promises.readFile(this._filePath, 'utf-8')
+            return Result.ok(data)
+        }
+        catch (error) {
+            return error.code === 'ENOENT'
+                ? Result.ok()
+                : Result.error(error)
+        }
+    }
+
+    /**
+     * Write and flush data to disk before it is renamed.
+     *
+     * @private
+     * @param {string} data
+     * @throws {Error}
+     */
+    async _writeTempFile(data) {
+        let file = await fs.promises.open(this._tempFilePath, 'w')
+        try {
+            await file.writeFile(data, 'utf-8')
+            await file.sync()
+        }
+        finally {
+            await file.close()
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} value
+     * @return {Result<TypeError, object>}
+     */
+    static _parseJson(value) {
+        try {
+            let data = JSON.parse(value)
+            return Result.ok(data)
+        }
+        catch {
+            return Result.typeError('expect JSON format')
+        }
+    }
+}
+
+module.exports = {
+    Checkpoint,
+    JsonFileCheckpoint
+}
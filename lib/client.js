@@ -1,28 +1,53 @@
 'use strict'
 
+const EventEmitter = require('events')
 const {Log: StdioLog, Level: LogLevel} = require('stdio_log')
 const {
+    Timespan,
     validateInstanceMap,
     validateInstance,
     validateArrayItems
 } = require('minitype')
 const {NodeResponse} = require('./node')
 const {LogSegment} = require('./safe_node')
+const {Subscription} = require('./ws_node')
 const {
     BadError,
     Result,
     UInt64,
     ByteData32,
     EthEndpoint,
+    Address,
     LogFilter,
+    LogTopicFilter,
+    Log,
     Block,
-    Transaction
+    Transaction,
+    Receipt,
+    RoutingStrategy
 } = require('./type')
+const {GATEWAY_NO_QUORUM} = require('./type').ErrorCode
 const {Gateway} = require('./gateway')
+const {forwardEvents} = require('./metrics')
+const {Logger, StdioLogger} = require('./logger')
+const {RetryPolicy} = require('./retry_policy')
+const {Quorum, QuorumDecision} = require('./quorum')
+const {CallOptions} = require('./call_options')
 
-class Client {
+/**
+ * Endpoints respond differently in quorum mode. It is emitted even the
+ * quorum is reached.
+ *
+ * @event Client#disagreement
+ * @type {object}
+ * @property {string} method - Such as `getLogs`.
+ * @property {Array<any>} params - Parameters of the method.
+ * @property {QuorumDecision} decision - Agreed and disagreed hosts.
+ */
+
+class Client extends EventEmitter {
     /**
-     * @type {StdioLog}
+     * @type {Logger}
      */
     get log() {
         return this._log
@@ -33,14 +58,17 @@ class Client {
      *
      * @param {object} config
      * @param {Gateway} config.mainGateway
-     * @param {StdioLog} config.log
+     * @param {Logger} config.log
      * @param {Gateway} config.backupGateway
+     * @param {Quorum} [config.quorum]
      */
     constructor(config) {
-        let {mainGateway, backupGateway, log} = config
+        super()
+        let {mainGateway, backupGateway, log, quorum} = config
         this._layer1 = mainGateway
         this._layer2 = backupGateway
         this._log = log
+        this._quorum = quorum
     }
 
     /**
@@ -50,85 +78,251 @@ class Client {
      * refers to Ethereum nodes.
      * @param {Array<EthEndpoint>} [config.backupEndpoints=[]] - List of
      * endpoints for using in case all `mainEndpoints` is failed.
-     * @param {StdioLog} [config.log=StdioLog(LogLevel.ERROR)] - A log writter.
+     * @param {Logger} [config.log=StdioLogger(StdioLog(LogLevel.ERROR))] - A
+     * logger or an instance of `stdio_log`.
+     * @param {RoutingStrategy} [config.routingStrategy=ROUND_ROBIN] - How
+     * nodes of a gateway are ordered for a request.
+     * @param {object} [config.quorum] - Enable quorum mode, see
+     * {@link Client.getLogs}.
+     * @param {number} config.quorum.size - Quantity of main endpoints to query,
+     * it must not be greater than quantity of `mainEndpoints`.
+     * @param {number} config.quorum.threshold - Quantity of endpoints that
+     * must agree.
+     * @param {RetryPolicy} [config.retryPolicy=RetryPolicy()] - Retry
+     * requests which are failed by all of endpoints, see
+     * {@link Gateway.proxy}.
      * @return {Result<TypeError, Client>}
      */
     static create(config) {
-        let r1 = validateInstanceMap(config, [
-            ['mainEndpoints', Array], ['backupEndpoints', Array, true],
-            ['log', StdioLog, true]
-        ])
+        let r1 = Client._validateConfig(config)
         if (r1.error) {
             return r1
         }
-        let {mainEndpoints, backupEndpoints, log} = config
-        this._log = log
-        backupEndpoints = backupEndpoints || []
-        let r2 = Client._validateEndpoints(mainEndpoints, backupEndpoints)
-        if (r2.error) {
-            return r2
-        }
-        log = log || new StdioLog(LogLevel.ERROR)
+        let {mainEndpoints, backupEndpoints, routingStrategy, retryPolicy} =
+            config
+        let log = config.log
+            ? Logger.from(config.log).open()
+            : new StdioLogger(new StdioLog(LogLevel.ERROR))
+        let strategy = routingStrategy
         let mainGateway = Gateway.create({
-            endpoints: mainEndpoints,
-            log: log
+            endpoints: mainEndpoints, log, strategy, retryPolicy
         }).open()
         let backupGateway = Gateway.create({
-            endpoints: backupEndpoints,
-            log: log
+            endpoints: backupEndpoints || [], log, strategy, retryPolicy
         }).open()
-        let data = new Client({mainGateway, backupGateway, log})
+        let quorum = config.quorum
+            ? Quorum.create(config.quorum).open()
+            : undefined
+        let data = new Client({mainGateway, backupGateway, log, quorum})
+        forwardEvents(mainGateway, data)
+        forwardEvents(backupGateway, data)
         return Result.ok(data)
     }
 
     /**
-     * It is similar to `SafeNode.getBlockNumber()`.
+     * It is similar to `SafeNode.getBlockNumber()`. In quorum mode, it is
+     * the greatest block number that is reached by `quorum.threshold` main
+     * endpoints, see {@link Quorum.decideBlockNumber}.
      *
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
      * @return {Promise<Result<BadError, NodeResponse<UInt64>>>}
      */
-    async getBlockNumber() {
-        return await this._layer1.proxy('getBlockNumber')
+    async getBlockNumber(options = {}) {
+        let r1 = Client._createCallOptions(options)
+        if (r1.error) {
+            return r1
+        }
+        let {data: callOptions} = r1
+        if (this._quorum) {
+            return await this._proxyQuorum(
+                'getBlockNumber', [], 'decideBlockNumber', callOptions
+            )
+        }
+        return await this._layer1.proxy('getBlockNumber', [], callOptions)
     }
 
     /**
      * It is similar to `SafeNode.getBlockByNumber()`.
      *
      * @param {UInt64} blockNumber
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
      * @return {Promise<Result<BadError, NodeResponse<Block>>>}
      */
-    async getBlockByNumber(blockNumber) {
+    async getBlockByNumber(blockNumber, options = {}) {
         let r1 = validateInstance(blockNumber, UInt64)
         if (r1.error) {
             return r1
         }
-        return await this._layer1.proxy('getBlockByNumber', [blockNumber])
+        let r2 = Client._createCallOptions(options)
+        if (r2.error) {
+            return r2
+        }
+        return await this._layer1.proxy(
+            'getBlockByNumber', [blockNumber, false], r2.data
+        )
+    }
+
+    /**
+     * Retrieve blocks in range `[fromBlock, toBlock]`. The range is split
+     * into batches by batch limits of endpoints, they are fetched
+     * concurrently by nodes, see {@link Gateway.getBlocksConcurrently}.
+     *
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock - Inclusive.
+     * @param {object} [options={}]
+     * @param {boolean} [options.fullTransactions=false] - Retrieve
+     * transactions instead of their hashes.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in, all of batches are included.
+     * @return {Promise<Result<BadError, NodeResponse<Array<Block>>>>} Blocks
+     * are in order of numbers.
+     */
+    async getBlocks(fromBlock, toBlock, options = {}) {
+        let r1 = Client._validateBlockRange(fromBlock, toBlock, options)
+        if (r1.error) {
+            return r1
+        }
+        let {fullTransactions = false} = options
+        return await this._layer1.getBlocksConcurrently(
+            fromBlock, toBlock, fullTransactions, r1.data
+        )
     }
 
     /**
      *
      * @param {ByteData32} hash
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
      * @return {Promise<Result<BadError, NodeResponse<Transaction>>>}
      */
-    async getTransactionByHash(hash) {
+    async getTransactionByHash(hash, options = {}) {
         let r1 = validateInstance(hash, ByteData32)
         if (r1.error) {
             return r1
         }
-        return await this._layer1.proxy('getTransactionByHash', [hash])
+        let r2 = Client._createCallOptions(options)
+        if (r2.error) {
+            return r2
+        }
+        return await this._layer1.proxy('getTransactionByHash', [hash], r2.data)
+    }
+
+    /**
+     * It is similar to `SafeNode.getTransactionReceipt()`.
+     *
+     * @param {ByteData32} hash
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
+     * @return {Promise<Result<BadError, NodeResponse<Receipt>>>}
+     */
+    async getTransactionReceipt(hash, options = {}) {
+        let r1 = validateInstance(hash, ByteData32)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = Client._createCallOptions(options)
+        if (r2.error) {
+            return r2
+        }
+        return await this._layer1.proxy(
+            'getTransactionReceipt', [hash], r2.data
+        )
+    }
+
+    /**
+     * It is similar to `SafeNode.getBlockReceipts()`. Endpoints must support
+     * RPC `eth_getBlockReceipts`.
+     *
+     * @param {UInt64} blockNumber
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
+     * @return {Promise<Result<BadError, NodeResponse<Array<Receipt>>>>}
+     */
+    async getBlockReceipts(blockNumber, options = {}) {
+        let r1 = validateInstance(blockNumber, UInt64)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = Client._createCallOptions(options)
+        if (r2.error) {
+            return r2
+        }
+        return await this._layer1.proxy(
+            'getBlockReceipts', [blockNumber], r2.data
+        )
     }
 
     /**
      * It is similar to `SafeNode.getLogs()`.
      *
+     * In quorum mode, the filter is queried by `quorum.size` main endpoints
+     * and logs are accepted only if `quorum.threshold` endpoints agree on
+     * the set of `(blockHash, logIndex)`, see {@link Quorum.decideLogs}.
+     * Backup endpoints are not used.
+     *
      * @param {LogFilter} filter
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
+     * @return {Promise<Result<BadError, NodeResponse<LogSegment>>>} Error
+     * `GATEWAY_NO_QUORUM` means there is no agreement.
+     * @fires Client#disagreement
+     */
+    async getLogs(filter, options = {}) {
+        let r1 = validateInstance(filter, LogFilter)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = Client._createCallOptions(options)
+        if (r2.error) {
+            return r2
+        }
+        let {data: callOptions} = r2
+        if (this._quorum) {
+            return await this._proxyQuorum(
+                'getLogs', [filter], 'decideLogs', callOptions
+            )
+        }
+        return await this._layer1.proxy('getLogs', [filter], callOptions)
+    }
+
+    /**
+     * It is similar to {@link Client.getLogs}, but range of the filter is
+     * split and fetched concurrently by all of main endpoints. It is suitable
+     * for catching up a large range of blocks. See
+     * {@link Gateway.getLogsConcurrently}.
+     *
+     * @param {LogFilter} filter
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
      * @return {Promise<Result<BadError, NodeResponse<LogSegment>>>}
      */
-    async getLogs(filter) {
+    async getLogsConcurrently(filter, options = {}) {
         let r1 = validateInstance(filter, LogFilter)
         if (r1.error) {
             return r1
         }
-        return await this._layer1.proxy('getLogs', [filter])
+        let r2 = Client._createCallOptions(options)
+        if (r2.error) {
+            return r2
+        }
+        return await this._layer1.getLogsConcurrently(filter, r2.data)
     }
 
     /**
@@ -137,10 +331,212 @@ class Client {
      * @param {string} method - Method to be call, see
      * [ETH JSON RPC](https://eth.wiki/json-rpc/API).
      * @param {Array<any>} params - Positional arguments to pass to method.
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
      * @return {Promise<Result<BadError, NodeResponse>>}
      */
-    async call(method, params) {
-        return await this._layer1.proxy('call', [method, params])
+    async call(method, params, options = {}) {
+        let r1 = Client._createCallOptions(options)
+        if (r1.error) {
+            return r1
+        }
+        return await this._layer1.proxy('call', [method, params], r1.data)
+    }
+
+    /**
+     * Perform many callings to ETH node by a request, see
+     * `SafeNode.batch()`. Calls are sent to the same node, a failed call does
+     * not make the batch retried by other nodes. Calls must not be more than
+     * `batchLimit` of endpoints.
+     *
+     * @param {Array<object>} calls - Each call has `method` as `string` and
+     * `params` as `Array<any>`.
+     * @param {object} [options={}] - See {@link CallOptions.create}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
+     * @return {Promise<Result<BadError, Array<Result>>>} Result of each call
+     * is `Result<BadError, NodeResponse>`.
+     */
+    async batch(calls, options = {}) {
+        let r1 = Client._createCallOptions(options)
+        if (r1.error) {
+            return r1
+        }
+        return await this._layer1.proxy('batch', [calls], r1.data)
+    }
+
+    /**
+     * Receive number of new blocks as soon as they are mined. It requires a
+     * WebSocket endpoint in `mainEndpoints`.
+     *
+     * @param {Function} handler - Receive a block number as an UInt64.
+     * @return {Promise<Result<BadError, Subscription>>}
+     */
+    async subscribeNewHeads(handler) {
+        let r1 = validateInstance(handler, Function)
+        if (r1.error) {
+            return r1
+        }
+        return await this._layer1.subscribe('newHeads', [], header => {
+            let r2 = UInt64.fromHeximal((header || {}).number)
+            if (r2.error) {
+                this._log.error('bad notification', {
+                    type: 'newHeads', error: r2.error.message
+                })
+                return
+            }
+            handler(r2.data)
+        })
+    }
+
+    /**
+     * Receive new logs as soon as they are mined. It requires a WebSocket
+     * endpoint in `mainEndpoints`. Logs are not safe from chain
+     * reorganizations, logs of removed blocks are received again with flag
+     * `removed`.
+     *
+     * @param {Array<Address>} addresses - Filter logs which is emit by these
+     * addresses.
+     * @param {LogTopicFilter} topics - Filter logs which is matched with these
+     * topics.
+     * @param {Function} handler - Receive a {@link Log} and a boolean
+     * `removed`.
+     * @return {Promise<Result<BadError, Subscription>>}
+     */
+    async subscribeLogs(addresses, topics, handler) {
+        let r1 = Client._validateLogSubscription(addresses, topics, handler)
+        if (r1.error) {
+            return r1
+        }
+        let params = {
+            address: addresses.map(address => address.toHeximal()),
+            topics: topics.toRpcInput()
+        }
+        return await this._layer1.subscribe('logs', [params], result => {
+            let r2 = Log.fromRpcResult(result)
+            if (r2.error) {
+                this._log.error('bad notification', {
+                    type: 'logs', error: r2.error.message
+                })
+                return
+            }
+            handler(r2.data, result.removed === true)
+        })
+    }
+
+    /**
+     * Release connections to ETH nodes. Subscriptions are no longer active.
+     */
+    close() {
+        this._layer1.close()
+        this._layer2.close()
+    }
+
+    /**
+     * @private
+     * @param {string} method
+     * @param {Array<any>} params
+     * @param {string} decide - Name of a method from `Quorum`.
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, NodeResponse<any>>>}
+     */
+    async _proxyQuorum(method, params, decide, options) {
+        let replies = await this._layer1.proxyMany(
+            method, params, this._quorum.size, options
+        )
+        let r1 = this._quorum[decide](replies)
+        if (r1.error) {
+            return r1
+        }
+        let decision = r1.data
+        if (decision.disagreedHosts.length > 0) {
+            this.emit('disagreement', {method, params, decision})
+        }
+        if (decision.response === undefined) {
+            return Result.badError(
+                GATEWAY_NO_QUORUM, 'responses are not agreed'
+            )
+        }
+        return Result.ok(decision.response)
+    }
+
+    /**
+     * @private
+     * @param {Array<Address>} addresses
+     * @param {LogTopicFilter} topics
+     * @param {Function} handler
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateLogSubscription(addresses, topics, handler) {
+        let r1 = validateArrayItems(addresses, Address)
+        if (r1.error) {
+            return Result.typeError(`addresses: ${r1.error.message}`)
+        }
+        let r2 = validateInstance(topics, LogTopicFilter)
+        if (r2.error) {
+            return Result.typeError(`topics: ${r2.error.message}`)
+        }
+        let r3 = validateInstance(handler, Function)
+        if (r3.error) {
+            return Result.typeError(`handler: ${r3.error.message}`)
+        }
+        return Result.ok()
+    }
+
+    /**
+     * @private
+     * @param {object} config - See {@link Client.create}.
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateConfig(config) {
+        let r1 = validateInstanceMap(config, [
+            ['mainEndpoints', Array], ['backupEndpoints', Array, true],
+            ['log', 'any', true], ['routingStrategy', 'string', true],
+            ['quorum', 'object', true], ['retryPolicy', RetryPolicy, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {mainEndpoints, backupEndpoints, routingStrategy, quorum} = config
+        let r2 = Client._validateEndpoints(mainEndpoints, backupEndpoints)
+        if (r2.error) {
+            return r2
+        }
+        if (config.log !== undefined && Logger.from(config.log).error) {
+            return Result.typeError('log: expect a Logger')
+        }
+        if (
+            routingStrategy !== undefined &&
+            !Object.values(RoutingStrategy).includes(routingStrategy)
+        ) {
+            return Result.typeError('routingStrategy: expect a RoutingStrategy')
+        }
+        return Client._validateQuorum(quorum, mainEndpoints)
+    }
+
+    /**
+     * @private
+     * @param {object | undefined} quorum
+     * @param {Array<EthEndpoint>} mainEndpoints
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateQuorum(quorum, mainEndpoints) {
+        if (quorum === undefined) {
+            return Result.ok()
+        }
+        let r1 = Quorum.create(quorum)
+        if (r1.error) {
+            return Result.typeError(`quorum: ${r1.error.message}`)
+        }
+        if (quorum.size > mainEndpoints.length) {
+            return Result.typeError(
+                'quorum: size: expect not greater than mainEndpoints'
+            )
+        }
+        return Result.ok()
     }
 
     /**
@@ -169,6 +565,51 @@ class Client {
         }
         return Result.ok()
     }
+
+    /**
+     * @private
+     * @param {object} options - See {@link CallOptions.create}.
+     * @return {Result<TypeError, CallOptions>}
+     */
+    static _createCallOptions(options) {
+        let r1 = CallOptions.from(options)
+        if (r1.error) {
+            return Result.typeError(`options: ${r1.error.message}`)
+        }
+        return r1
+    }
+
+    /**
+     * @private
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock
+     * @param {object} options - See {@link Client.getBlocks}.
+     * @return {Result<TypeError, CallOptions>} Options of the call which are
+     * taken from `options`.
+     */
+    static _validateBlockRange(fromBlock, toBlock, options) {
+        let r1 = validateInstance(fromBlock, UInt64)
+        if (r1.error) {
+            return Result.typeError(`fromBlock: ${r1.error.message}`)
+        }
+        let r2 = validateInstance(toBlock, UInt64)
+        if (r2.error) {
+            return Result.typeError(`toBlock: ${r2.error.message}`)
+        }
+        if (toBlock.lt(fromBlock)) {
+            return Result.typeError('toBlock: expect not less than fromBlock')
+        }
+        let r3 = validateInstanceMap(options, [
+            ['fullTransactions', 'boolean', true],
+            ['signal', 'object', true],
+            ['deadline', Timespan, true]
+        ])
+        if (r3.error) {
+            return Result.typeError(`options: ${r3.error.message}`)
+        }
+        let {signal, deadline} = options
+        return Client._createCallOptions({signal, deadline})
+    }
 }
 
 module.exports = {
@@ -2,8 +2,42 @@
 
 const fs = require('fs')
 const {Result, validateInstance} = require('minitype')
-const {Interface, LogDescription} = require('@ethersproject/abi')
-const {Heximal, ByteData32, Log} = require('./type')
+const {
+    Interface,
+    LogDescription,
+    FunctionFragment,
+    EventFragment,
+    defaultAbiCoder
+} = require('@ethersproject/abi')
+const {Heximal, ByteData32, Log, LogTopicFilter} = require('./type')
+
+/**
+ * Errors that Solidity produces without declarations in ABI, they are
+ * indexed by selectors.
+ *
+ * @private
+ */
+const BUILTIN_ERRORS = {
+    '0x08c379a0': {
+        name: 'Error',
+        signature: 'Error(string)',
+        types: ['string']
+    },
+    '0x4e487b71': {
+        name: 'Panic',
+        signature: 'Panic(uint256)',
+        types: ['uint256']
+    }
+}
+
+/**
+ * @typedef {object} DecodedError
+ * @property {string} name - Such as `Error`, `Panic` or name of a custom
+ * error.
+ * @property {string} signature - Such as `Error(string)`.
+ * @property {Array<any>} args - Arguments of the error, named arguments are
+ * accessible by names too.
+ */
 
 /**
  * Encode and decode data from [ETH JSON RPC](https://eth.wiki/json-rpc/API).
@@ -80,6 +114,53 @@ class Codec {
         return ByteData32.fromHeximal(heximalTopic).open()
     }
 
+    /**
+     * Topics to filter logs of an event by values of it's indexed
+     * parameters.
+     *
+     * @param {string} eventName - Name or signature of the event.
+     * @param {Array<any>} [values=[]] - Values of indexed parameters in
+     * order. `null` or `undefined` matches any value, an array matches any of
+     * it's items.
+     * @return {Result<TypeError | Error, LogTopicFilter>}
+     * @example
+     * // Transfers to a holder from anyone.
+     * let topics = codec.encodeEventTopics('Transfer', [null, holder]).open()
+     */
+    encodeEventTopics(eventName, values = []) {
+        let topics = undefined
+        try {
+            topics = this._interface.encodeFilterTopics(eventName, values)
+        }
+        catch (error) {
+            return Result.error(error)
+        }
+        let toByteData32 = value => ByteData32.fromHeximal(value).open()
+        return LogTopicFilter.create(topics.map(topic => {
+            if (topic === null) {
+                return null
+            }
+            return Array.isArray(topic)
+                ? topic.map(toByteData32)
+                : toByteData32(topic)
+        }))
+    }
+
+    /**
+     * @return {Array<FunctionFragment>} Functions which are declared in the
+     * ABI.
+     */
+    getFunctions() {
+        return Object.values(this._interface.functions)
+    }
+
+    /**
+     * @return {Array<EventFragment>} Events which are declared in the ABI.
+     */
+    getEvents() {
+        return Object.values(this._interface.events)
+    }
+
     /**
      *
      * @param {Log} log
@@ -124,6 +205,34 @@ class Codec {
         }
     }
 
+    /**
+     * Decode revert data of a call. Besides custom errors which are declared
+     * in the ABI, `Error(string)` from `require()` and `revert()`, and
+     * `Panic(uint256)` from failed assertions and arithmetic are recognized.
+     *
+     * @param {Heximal} data - Revert data, it starts with a selector.
+     * @return {Result<TypeError | Error, DecodedError>}
+     */
+    decodeError(data) {
+        if (!/^0x[a-fA-F0-9]{8}([a-fA-F0-9]{2})*$/.test(data)) {
+            return Result.typeError('expect a selector and ABI data')
+        }
+        let selector = data.slice(0, 10).toLowerCase()
+        let builtinError = BUILTIN_ERRORS[selector]
+        try {
+            if (builtinError) {
+                let {name, signature, types} = builtinError
+                let args = defaultAbiCoder.decode(types, '0x' + data.slice(10))
+                return Result.ok({name, signature, args})
+            }
+            let {name, signature, args} = this._interface.parseError(data)
+            return Result.ok({name, signature, args})
+        }
+        catch (error) {
+            return Result.error(error)
+        }
+    }
+
     /**
      * @private
      * @param {string} filePath
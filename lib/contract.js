@@ -1,9 +1,116 @@
 'use strict'
 
-const {validateInstance} = require('minitype')
+const {
+    Timespan,
+    validateInstance,
+    validateInstanceMap,
+    validateArrayItems
+} = require('minitype')
 const {Codec} = require('./codec')
 const {Client} = require('./client')
-const {Result, Address, UInt64, Heximal} = require('./type')
+const {
+    Result,
+    BadError,
+    Address,
+    UInt64,
+    UInt256,
+    Heximal,
+    ByteData32,
+    AccountOverride
+} = require('./type')
+const {JsonResponse} = require('./node')
+const {NODE_EXECUTION_REVERTED} = require('./type').ErrorCode
+
+/**
+ * Options of {@link Contract.call} and {@link Contract.estimateGas} which
+ * go to the transaction, other ones go to {@link Client.call}.
+ *
+ * @private
+ */
+const TRANSACTION_OPTIONS = [
+    ['from', Address, true],
+    ['value', UInt256, true],
+    ['gas', UInt64, true]
+]
+const CALL_OPTIONS = [
+    ['signal', 'object', true],
+    ['deadline', Timespan, true]
+]
+/**
+ * See [ETH JSON RPC](https://ethereum.org/en/developers/docs/apis/json-rpc/).
+ *
+ * @private
+ */
+const BLOCK_TAGS = ['latest', 'earliest', 'pending', 'safe', 'finalized']
+
+/**
+ * A block is referred by hash as
+ * [EIP-1898](https://eips.ethereum.org/EIPS/eip-1898), so the state is taken
+ * from exactly that block even if there is a reorganization.
+ *
+ * @typedef {object} BlockHashReference
+ * @property {ByteData32} blockHash - Such as {@link Log.blockHash}.
+ * @property {boolean} [requireCanonical] - `true` means the call is failed if
+ * the block is not in the canonical chain, nodes consider it as `false` if it
+ * is missing.
+ */
+
+/**
+ * A call to a contract is reverted. The error from revert data is decoded by
+ * the codec of the contract, see {@link Codec.decodeError}.
+ *
+ * @example
+ * let result = await contract.call('transfer', [to, amount])
+ * if (result.error instanceof ContractRevertError) {
+ *     let {errorName, errorArgs} = result.error
+ * }
+ */
+class ContractRevertError extends BadError {
+    /**
+     * Initialize by {@link ContractRevertError.fromRevertData}.
+     *
+     * @param {object} values
+     * @param {string} values.message
+     * @param {Heximal} [values.revertData]
+     * @param {string} [values.errorName]
+     * @param {string} [values.errorSignature]
+     * @param {Array<any>} [values.errorArgs=[]]
+     */
+    constructor(values) {
+        super(NODE_EXECUTION_REVERTED, values.message, values.revertData)
+        this.name = 'ContractRevertError'
+        this.revertData = values.revertData
+        this.errorName = values.errorName
+        this.errorSignature = values.errorSignature
+        this.errorArgs = values.errorArgs || []
+    }
+
+    /**
+     * @param {Codec} codec - Codec of the contract which is called.
+     * @param {Heximal} [revertData] - `undefined` if the node does not
+     * return it.
+     * @param {string} [message='execution reverted'] - Use if revert data
+     * can not be decoded.
+     * @return {ContractRevertError} `errorName` is `undefined` if revert data
+     * is missing or it can not be decoded.
+     */
+    static fromRevertData(codec, revertData, message = 'execution reverted') {
+        let r1 = revertData === undefined
+            ? Result.typeError('no revert data')
+            : codec.decodeError(revertData)
+        if (r1.error) {
+            return new ContractRevertError({message, revertData})
+        }
+        let {name, signature, args} = r1.data
+        return new ContractRevertError({
+            message: `${name}(${args.join(', ')})`,
+            revertData: revertData,
+            errorName: name,
+            errorSignature: signature,
+            errorArgs: args
+        })
+    }
+}
 
 /**
  * Interact with specific contract.
@@ -19,6 +126,20 @@ const {Result, Address, UInt64, Heximal} = require('./type')
  * contract.call('decimals')
  */
 class Contract {
+    /**
+     * @type {Address}
+     */
+    get address() {
+        return this._address
+    }
+
+    /**
+     * @type {Codec}
+     */
+    get codec() {
+        return this._codec
+    }
+
     /**
      * Initialize by {@link Contract.create}.
      *
@@ -28,6 +149,7 @@ class Contract {
      * node.
      */
     constructor(address, codec, client) {
+        this._address = address
         this._addressHeximal = address.toHeximal()
         this._codec = codec
         this._client = client
@@ -62,11 +184,141 @@ class Contract {
      *
      * @param {string} method - Method to be call.
      * @param {Array} data - Positional arguments which is pass to method.
-     * @param {UInt64} blockNumber - A milestone where data exists.
-     * Special value `latest` point to greatest block number.
-     * @return {Promise<Result<TypeError, any>>}
+     * @param {UInt64 | string | BlockHashReference} blockNumber - A
+     * milestone where data exists. It is a block number, a block hash or one
+     * of tags `latest`, `earliest`, `pending`, `safe` and `finalized`.
+     * @param {object} [options={}] - See {@link Client.call}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
+     * @param {Address} [options.from] - Sender of the call.
+     * @param {UInt256} [options.value] - Wei that is sent with the call.
+     * @param {UInt64} [options.gas] - Gas limit of the call.
+     * @param {Array<AccountOverride>} [options.stateOverride] - Accounts are
+     * changed temporarily before the call, see {@link AccountOverride}.
+     * @return {Promise<Result<TypeError | BadError, any>>} Error is a
+     * {@link ContractRevertError} if the call is reverted.
+     * @example
+     * // Balance of a holder after a hypothetical mint.
+     * let result = await contract.call('balanceOf', [holder], 'latest', {
+     *     stateOverride: [
+     *         AccountOverride.create({
+     *             address: tokenAddress,
+     *             stateDiff: [[balanceSlot, mintedBalance]]
+     *         }).open()
+     *     ]
+     * })
+     *
+     * // Pin a snapshot to a block.
+     * let result = await contract.call('balanceOf', [holder], {
+     *     blockHash: log.blockHash,
+     *     requireCanonical: true
+     * })
+     */
+    async call(method, data = [], blockNumber = 'latest', options = {}) {
+        let r1 = this._encodeFunctionData(method, data)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = Contract._toBlockNumber(blockNumber)
+        if (r2.error) {
+            return Result.typeError(`blockNumber: ${r2.error.message}`)
+        }
+        let r3 = Contract._splitOptions(options, [
+            ...CALL_OPTIONS, ...TRANSACTION_OPTIONS,
+            ['stateOverride', Array, true]
+        ])
+        if (r3.error) {
+            return r3
+        }
+        let {transaction, callOptions} = r3.data
+        let params = [this._makeTransaction(r1.data, transaction), r2.data]
+        if (options.stateOverride) {
+            params.push(Contract._makeStateOverride(options.stateOverride))
+        }
+        let r4 = await this._client.call('eth_call', params, callOptions)
+        if (r4.error) {
+            return this._makeRevertError(r4)
+        }
+        return this._codec.decodeFunctionResult(method, r4.data.data)
+    }
+
+    /**
+     * Estimate gas that a transaction to the contract uses.
+     *
+     * @param {string} method - Method to be call.
+     * @param {Array} data - Positional arguments which is pass to method.
+     * @param {object} [options={}] - See {@link Client.call}.
+     * @param {AbortSignal} [options.signal] - Abort the call.
+     * @param {Timespan} [options.deadline] - Timespan that the call must be
+     * finished in.
+     * @param {Address} [options.from] - Sender of the transaction.
+     * @param {UInt256} [options.value] - Wei that is sent with the
+     * transaction.
+     * @param {UInt64} [options.gas] - Gas limit of the estimation.
+     * @return {Promise<Result<TypeError | BadError, UInt64>>} Error is a
+     * {@link ContractRevertError} if the transaction would be reverted.
      */
-    async call(method, data = [], blockNumber = 'latest') {
+    async estimateGas(method, data = [], options = {}) {
+        let r1 = this._encodeFunctionData(method, data)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = Contract._splitOptions(options, [
+            ...CALL_OPTIONS, ...TRANSACTION_OPTIONS
+        ])
+        if (r2.error) {
+            return r2
+        }
+        let {transaction, callOptions} = r2.data
+        let params = [this._makeTransaction(r1.data, transaction)]
+        let r3 = await this._client.call('eth_estimateGas', params, callOptions)
+        if (r3.error) {
+            return this._makeRevertError(r3)
+        }
+        return UInt64.fromHeximal(r3.data.data)
+    }
+
+    /**
+     * @private
+     * @param {Result<BadError, undefined>} result - A failed call.
+     * @return {Result<BadError, undefined>} Error `NODE_EXECUTION_REVERTED`
+     * is replaced by a `ContractRevertError`, others are kept.
+     */
+    _makeRevertError(result) {
+        let {error} = result
+        if (error.code !== NODE_EXECUTION_REVERTED) {
+            return result
+        }
+        let rpcError = error.data instanceof JsonResponse
+            ? error.data.data.error
+            : {}
+        return Result.error(ContractRevertError.fromRevertData(
+            this._codec, Contract._getRevertData(rpcError), rpcError.message
+        ))
+    }
+
+    /**
+     * Nodes put revert data in `data` of JSON RPC errors, some of them wrap
+     * it as `data.data`.
+     *
+     * @private
+     * @param {object} rpcError - Field `error` of a JSON RPC response.
+     * @return {Heximal | undefined}
+     */
+    static _getRevertData(rpcError) {
+        let {data} = rpcError
+        let revertData = (data && typeof data === 'object') ? data.data : data
+        return typeof revertData === 'string' ? revertData : undefined
+    }
+
+    /**
+     * @private
+     * @param {string} method
+     * @param {Array} data
+     * @return {Result<TypeError, Heximal>}
+     */
+    _encodeFunctionData(method, data) {
         let r1 = validateInstance(method, 'string')
         if (r1.error) {
             return Result.typeError(`method: ${r1.error.message}`)
@@ -75,47 +327,122 @@ class Contract {
         if (r2.error) {
             return Result.typeError(`data: ${r2.error.message}`)
         }
-        let r3 = Contract._toBlockNumber(blockNumber)
+        let r3 = this._codec.encodeFunctionData(method, data)
         if (r3.error) {
-            return Result.typeError(`blockNumber: ${r3.error.message}`)
+            return Result.typeError(`data: ${r3.error.message}`)
         }
-        let r4 = this._codec.encodeFunctionData(method, data)
-        if (r4.error) {
-            return Result.typeError(`data: ${r4.error.message}`)
+        return r3
+    }
+
+    /**
+     * @private
+     * @param {Heximal} encodedData
+     * @param {object} transaction
+     * @param {Address} [transaction.from]
+     * @param {UInt256} [transaction.value]
+     * @param {UInt64} [transaction.gas]
+     * @return {object} Transaction object of ETH JSON RPC.
+     */
+    _makeTransaction(encodedData, transaction) {
+        let {from, value, gas} = transaction
+        let rpcTransaction = {
+            to: this._addressHeximal,
+            data: encodedData
+        }
+        if (from) {
+            rpcTransaction.from = from.toHeximal()
+        }
+        if (value) {
+            rpcTransaction.value = value.toHeximal()
+        }
+        if (gas) {
+            rpcTransaction.gas = gas.toHeximal()
+        }
+        return rpcTransaction
+    }
+
+    /**
+     * @private
+     * @param {object} options
+     * @param {Array} specs - Accepted options, see `validateInstanceMap()`.
+     * @return {Result<TypeError, object>} `transaction` and `callOptions`.
+     */
+    static _splitOptions(options, specs) {
+        let r1 = validateInstanceMap(options, specs)
+        if (r1.error) {
+            return Result.typeError(`options: ${r1.error.message}`)
         }
-        let {data: rpcBlockNumber} = r3
-        let {data: encodedData} = r4
-        let params = [
-            {
-                to: this._addressHeximal,
-                data: encodedData
-            },
-            rpcBlockNumber
-        ]
-        let r5 = await this._client.call('eth_call', params)
-        if (r5.error) {
-            return r5
+        let {signal, deadline, from, value, gas, stateOverride} = options
+        if (stateOverride !== undefined) {
+            let r2 = validateArrayItems(stateOverride, AccountOverride)
+            if (r2.error) {
+                return Result.typeError(
+                    `options: stateOverride: ${r2.error.message}`
+                )
+            }
         }
-        return this._codec.decodeFunctionResult(method, r5.data.data)
+        return Result.ok({
+            transaction: {from, value, gas},
+            callOptions: {signal, deadline}
+        })
     }
 
     /**
      * @private
-     * @param {UInt64} value - There is special value `latest`.
-     * @return {Heximal} - There is special case `latest.
+     * @param {Array<AccountOverride>} accounts
+     * @return {object} The state override set of `eth_call`.
+     */
+    static _makeStateOverride(accounts) {
+        let entries = accounts.map(account => {
+            return [account.address.toHeximal(), account.toRpcInput()]
+        })
+        return Object.fromEntries(entries)
+    }
+
+    /**
+     * @private
+     * @param {UInt64 | string | BlockHashReference} value
+     * @return {Result<TypeError, Heximal | string | object>} A block
+     * parameter of ETH JSON RPC.
      */
     static _toBlockNumber(value) {
-        if (value === 'latest') {
+        if (BLOCK_TAGS.includes(value)) {
             return Result.ok(value)
         }
-        let r1 = validateInstance(value, UInt64)
+        if (value instanceof UInt64) {
+            return Result.ok(value.toHeximal())
+        }
+        if (value !== null && typeof value === 'object') {
+            return Contract._toBlockHashReference(value)
+        }
+        return Result.typeError(
+            `expect UInt64, BlockHashReference or one of ${BLOCK_TAGS}`
+        )
+    }
+
+    /**
+     * @private
+     * @param {BlockHashReference} value
+     * @return {Result<TypeError, object>} A block parameter of EIP-1898.
+     */
+    static _toBlockHashReference(value) {
+        let r1 = validateInstanceMap(value, [
+            ['blockHash', ByteData32],
+            ['requireCanonical', 'boolean', true]
+        ])
         if (r1.error) {
             return r1
         }
-        return Result.ok(value.toHeximal())
+        let {blockHash, requireCanonical} = value
+        let data = {blockHash: blockHash.toHeximal()}
+        if (requireCanonical !== undefined) {
+            data.requireCanonical = requireCanonical
+        }
+        return Result.ok(data)
     }
 }
 
 module.exports = {
-    Contract
+    Contract,
+    ContractRevertError
 }
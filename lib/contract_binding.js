@@ -0,0 +1,350 @@
+'use strict'
+
+const {validateInstance} = require('minitype')
+const {
+    ParamType,
+    Fragment,
+    FunctionFragment,
+    EventFragment
+} = require('@ethersproject/abi')
+const {Codec} = require('./codec')
+const {Contract} = require('./contract')
+const {Result} = require('./type')
+
+/**
+ * Members of bindings which are not taken by functions of contracts, such
+ * functions are still callable by {@link Contract.call}.
+ *
+ * @private
+ */
+const RESERVED_MEMBERS = ['contract', 'filters']
+/**
+ * Words that can not be names of parameters in TypeScript.
+ *
+ * @private
+ */
+const RESERVED_WORDS = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+    'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new',
+    'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with'
+]
+const DECLARATION_HEADER = `// Generated from ABI by ethlog, do not edit.
+import {BigNumber, BigNumberish} from '@ethersproject/bignumber'
+
+interface Result<T> {
+    readonly error: Error | undefined
+    readonly data: T | undefined
+    open(): T
+}
+
+type BlockNumber =
+    'latest' | 'earliest' | 'pending' | 'safe' | 'finalized' | object
+`
+
+/**
+ * Contract object that is built from ABI of a codec. It has an async method
+ * for each of view and pure functions, and `filters.EventName()` for each
+ * of events. Wrong names of functions and events are found by IDEs and
+ * linters, see {@link ContractBinding.generateDeclaration}.
+ *
+ * Members are names of functions and events. Overloaded ones are
+ * distinguished by signatures such as `binding['balanceOf(address)']`.
+ *
+ * @example
+ * let token = ContractBinding.create(contract).open()
+ *
+ * // Arguments of the function, then optional block number and options of
+ * // {@link Contract.call}.
+ * let result = await token.balanceOf(holder, 'finalized')
+ *
+ * // Topics of transfers to a holder from anyone.
+ * let topics = token.filters.Transfer(null, holder).open()
+ */
+class ContractBinding {
+    /**
+     * @type {Contract}
+     */
+    get contract() {
+        return this._contract
+    }
+
+    /**
+     * Functions that receive values of indexed parameters of an event and
+     * return `Result<TypeError | Error, LogTopicFilter>`, see
+     * {@link Codec.encodeEventTopics}.
+     *
+     * @type {object}
+     */
+    get filters() {
+        return this._filters
+    }
+
+    /**
+     * Initialize by {@link ContractBinding.create}.
+     *
+     * @param {Contract} contract
+     */
+    constructor(contract) {
+        this._contract = contract
+        this._filters = {}
+    }
+
+    /**
+     *
+     * @param {Contract} contract
+     * @return {Result<TypeError, ContractBinding>}
+     */
+    static create(contract) {
+        let r1 = validateInstance(contract, Contract)
+        if (r1.error) {
+            return Result.typeError(`contract: ${r1.error.message}`)
+        }
+        let {codec} = contract
+        let binding = new ContractBinding(contract)
+        for (let [member, fragment] of ContractBinding._getFunctions(codec)) {
+            binding[member] = binding._makeMethod(member, fragment)
+        }
+        for (let [member] of ContractBinding._getMembers(codec.getEvents())) {
+            binding._filters[member] = (...values) => {
+                return codec.encodeEventTopics(member, values)
+            }
+        }
+        return Result.ok(binding)
+    }
+
+    /**
+     * Emit a TypeScript declaration of bindings of a codec, so IDEs and
+     * linters check names of functions, events and their arguments.
+     *
+     * @param {Codec} codec
+     * @param {string} name - Name of the interface which is declared.
+     * @return {Result<TypeError, string>}
+     * @example
+     * let codec = Codec.fromJsonFile('erc20.json').open()
+     * let declaration = ContractBinding
+     *     .generateDeclaration(codec, 'Erc20')
+     *     .open()
+     * fs.writeFileSync('erc20.d.ts', declaration)
+     */
+    static generateDeclaration(codec, name) {
+        let r1 = validateInstance(codec, Codec)
+        if (r1.error) {
+            return Result.typeError(`codec: ${r1.error.message}`)
+        }
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+            return Result.typeError('name: expect an identifier')
+        }
+        let methods = ContractBinding._getFunctions(codec)
+            .map(([member, fragment]) => {
+                return ContractBinding._declareMethod(member, fragment)
+            })
+        let filters = ContractBinding._getMembers(codec.getEvents())
+            .map(([member, fragment]) => {
+                return ContractBinding._declareFilter(member, fragment)
+            })
+        let declaration = DECLARATION_HEADER + '\n' +
+            `export interface ${name} {\n` +
+            '    readonly contract: object\n' +
+            '    readonly filters: {\n' +
+            filters.map(line => `        ${line}\n`).join('') +
+            '    }\n' +
+            methods.map(line => `    ${line}\n`).join('') +
+            '}\n'
+        return Result.ok(declaration)
+    }
+
+    /**
+     * @private
+     * @param {string} member
+     * @param {FunctionFragment} fragment
+     * @return {Function}
+     */
+    _makeMethod(member, fragment) {
+        let size = fragment.inputs.length
+        return async(...args) => {
+            if (args.length < size || args.length > size + 2) {
+                return Result.typeError(
+                    `${member}: expect ${size} arguments, then optional ` +
+                    'block number and options'
+                )
+            }
+            let [blockNumber, options] = args.slice(size)
+            let r1 = await this._contract.call(
+                member, args.slice(0, size), blockNumber, options
+            )
+            if (r1.error || fragment.outputs.length !== 1) {
+                return r1
+            }
+            return Result.ok(r1.data[0])
+        }
+    }
+
+    /**
+     * View and pure functions, except ones which are reserved members.
+     *
+     * @private
+     * @param {Codec} codec
+     * @return {Array<Array>} Pairs of member and fragment.
+     */
+    static _getFunctions(codec) {
+        return ContractBinding._getMembers(codec.getFunctions())
+            .filter(([member, fragment]) => {
+                return fragment.constant && !RESERVED_MEMBERS.includes(member)
+            })
+    }
+
+    /**
+     * Names of fragments are members, names of overloaded fragments are
+     * replaced by signatures.
+     *
+     * @private
+     * @param {Array<Fragment>} fragments
+     * @return {Array<Array>} Pairs of member and fragment.
+     */
+    static _getMembers(fragments) {
+        let names = fragments.map(fragment => fragment.name)
+        return fragments.map(fragment => {
+            let isOverloaded = names.indexOf(fragment.name) !==
+                names.lastIndexOf(fragment.name)
+            let member = isOverloaded ? fragment.format() : fragment.name
+            return [member, fragment]
+        })
+    }
+
+    /**
+     * @private
+     * @param {string} member
+     * @param {FunctionFragment} fragment
+     * @return {string}
+     */
+    static _declareMethod(member, fragment) {
+        let params = fragment.inputs.map((param, index) => {
+            let name = ContractBinding._getParamName(param, index)
+            return `${name}: ${ContractBinding._toTsType(param, true)}`
+        })
+        params.push('blockNumber?: BlockNumber', 'options?: object')
+        let {outputs} = fragment
+        let output = outputs.length === 1
+            ? ContractBinding._toTsType(outputs[0], false)
+            : ContractBinding._toTsTuple(outputs, false)
+        return `${ContractBinding._quoteMember(member)}(` +
+            `${params.join(', ')}): Promise<Result<${output}>>`
+    }
+
+    /**
+     * @private
+     * @param {string} member
+     * @param {EventFragment} fragment
+     * @return {string}
+     */
+    static _declareFilter(member, fragment) {
+        let params = fragment.inputs
+            .filter(param => param.indexed)
+            .map((param, index) => {
+                let name = ContractBinding._getParamName(param, index)
+                let type = ContractBinding._toTsType(param, true)
+                return `${name}?: ${type} | Array<${type}> | null`
+            })
+        return `${ContractBinding._quoteMember(member)}(` +
+            `${params.join(', ')}): Result<object>`
+    }
+
+    /**
+     * @private
+     * @param {ParamType} param
+     * @param {boolean} isInput - Inputs accept more types than outputs.
+     * @return {string}
+     */
+    static _toTsType(param, isInput) {
+        switch (param.baseType) {
+            case 'array':
+                return `Array<${
+                    ContractBinding._toTsType(param.arrayChildren, isInput)
+                }>`
+            case 'tuple':
+                return ContractBinding._toTsTuple(param.components, isInput)
+            case 'bool':
+                return 'boolean'
+            case 'address':
+            case 'string':
+                return 'string'
+            default:
+                return ContractBinding._toTsPrimitive(param.type, isInput)
+        }
+    }
+
+    /**
+     * Integers which are not greater than 48 bits are decoded as numbers,
+     * others are decoded as `BigNumber`.
+     *
+     * @private
+     * @param {string} type - Such as `uint256`, `bytes32`.
+     * @param {boolean} isInput
+     * @return {string}
+     */
+    static _toTsPrimitive(type, isInput) {
+        let integer = /^u?int(\d*)$/.exec(type)
+        if (!integer) {
+            return 'string'
+        }
+        if (isInput) {
+            return 'BigNumberish'
+        }
+        let bits = integer[1] ? Number(integer[1]) : 256
+        return bits <= 48 ? 'number' : 'BigNumber'
+    }
+
+    /**
+     * Tuples are decoded as arrays which have named items as properties
+     * too. Inputs are arrays, or objects if all of items are named.
+     *
+     * @private
+     * @param {Array<ParamType>} params
+     * @param {boolean} isInput
+     * @return {string}
+     */
+    static _toTsTuple(params, isInput) {
+        let types = params.map(param => {
+            return ContractBinding._toTsType(param, isInput)
+        })
+        let array = `[${types.join(', ')}]`
+        if (params.length === 0 || !params.every(param => param.name)) {
+            return array
+        }
+        let properties = params.map((param, index) => {
+            return `${param.name}: ${types[index]}`
+        })
+        let object = `{${properties.join(', ')}}`
+        return isInput ? `${array} | ${object}` : `${array} & ${object}`
+    }
+
+    /**
+     * @private
+     * @param {ParamType} param
+     * @param {number} index
+     * @return {string}
+     */
+    static _getParamName(param, index) {
+        let {name} = param
+        let isValid = typeof name === 'string' &&
+            /^[A-Za-z_$][\w$]*$/.test(name) &&
+            !RESERVED_WORDS.includes(name) &&
+            !['blockNumber', 'options'].includes(name)
+        return isValid ? name : `arg${index}`
+    }
+
+    /**
+     * @private
+     * @param {string} member
+     * @return {string} Signatures are quoted.
+     */
+    static _quoteMember(member) {
+        return /^[A-Za-z_$][\w$]*$/.test(member) ? member : `'${member}'`
+    }
+}
+
+module.exports = {
+    ContractBinding
+}
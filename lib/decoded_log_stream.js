@@ -0,0 +1,348 @@
+'use strict'
+
+const EventEmitter = require('events')
+const {
+    UInt64,
+    validateInstanceMap, validateArrayItems, validateInstance
+} = require('minitype')
+const {LogDescription} = require('@ethersproject/abi')
+const {Client} = require('./client')
+const {Codec} = require('./codec')
+const {LogStream} = require('./log_stream')
+const {LogSegment} = require('./safe_node')
+const {Result, MetricEvent, LogTopicFilter, Log} = require('./type')
+
+/**
+ * @name DecodedLogHandler
+ * @function
+ * @param {DecodedLogSegment} segment
+ * @param {Client} client
+ * @return {Promise<undefined>}
+ */
+
+/**
+ * A log and it's decoded data.
+ */
+class DecodedLog {
+    /**
+     * @type {Log}
+     */
+    get log() {
+        return this._log
+    }
+
+    /**
+     * Event name, signature and named arguments of the log.
+     *
+     * @type {LogDescription}
+     */
+    get description() {
+        return this._description
+    }
+
+    /**
+     * @param {Log} log
+     * @param {LogDescription} description
+     */
+    constructor(log, description) {
+        this._log = log
+        this._description = description
+    }
+}
+
+/**
+ * A log that could not be decoded.
+ */
+class LogDecodeFailure {
+    /**
+     * @type {Log}
+     */
+    get log() {
+        return this._log
+    }
+
+    /**
+     * @type {Error}
+     */
+    get error() {
+        return this._error
+    }
+
+    /**
+     * @param {Log} log
+     * @param {Error} error
+     */
+    constructor(log, error) {
+        this._log = log
+        this._error = error
+    }
+}
+
+/**
+ * Contain decoded logs of a {@link LogSegment}.
+ */
+class DecodedLogSegment {
+    /**
+     * Decoded logs in range `[fromBlock, toBlock]`, in order.
+     *
+     * @type {Array<DecodedLog>}
+     */
+    get entries() {
+        return this._entries
+    }
+
+    /**
+     * Logs in range `[fromBlock, toBlock]` which could not be decoded, in
+     * order.
+     *
+     * @type {Array<LogDecodeFailure>}
+     */
+    get failures() {
+        return this._failures
+    }
+
+    /**
+     * @type {UInt64}
+     */
+    get fromBlock() {
+        return this._logSegment.fromBlock
+    }
+
+    /**
+     * @type {UInt64}
+     */
+    get toBlock() {
+        return this._logSegment.toBlock
+    }
+
+    /**
+     * Raw logs that is decoded.
+     *
+     * @type {LogSegment}
+     */
+    get logSegment() {
+        return this._logSegment
+    }
+
+    /**
+     * Initialize by {@link DecodedLogSegment.fromLogSegment}.
+     *
+     * @param {LogSegment} logSegment
+     * @param {Array<DecodedLog>} entries
+     * @param {Array<LogDecodeFailure>} failures
+     */
+    constructor(logSegment, entries, failures) {
+        this._logSegment = logSegment
+        this._entries = entries
+        this._failures = failures
+    }
+
+    /**
+     * Decode all of logs. A log that could not be decoded is put into
+     * `failures` instead of throwing error.
+     *
+     * @param {LogSegment} logSegment
+     * @param {Codec} codec
+     * @return {DecodedLogSegment}
+     */
+    static fromLogSegment(logSegment, codec) {
+        let entries = []
+        let failures = []
+        for (let log of logSegment.logs) {
+            try {
+                let description = codec.parseLog(log)
+                entries.push(new DecodedLog(log, description))
+            }
+            catch (error) {
+                failures.push(new LogDecodeFailure(log, error))
+            }
+        }
+        return new DecodedLogSegment(logSegment, entries, failures)
+    }
+}
+
+/**
+ * Work as {@link LogStream} but logs are filtered by event names and decoded
+ * by a {@link Codec} before they are delivered.
+ *
+ * Event `MetricEvent.SEGMENT` of the underlying stream is emitted again.
+ *
+ * @example
+ * let stream = DecodedLogStream.create({
+ *     client,
+ *     codec,
+ *     eventNames: ['Transfer', 'Approval'],
+ *     addresses: [tokenAddress]
+ * }).open()
+ * await stream.start(segment => {
+ *     for (let {log, description} of segment.entries) {
+ *         console.log(log.blockNumber.format(), description.args.value)
+ *     }
+ * })
+ */
+class DecodedLogStream extends EventEmitter {
+    /**
+     * @type {UInt64}
+     */
+    get fromBlock() {
+        return this._logStream.fromBlock
+    }
+
+    /**
+     * @type {UInt64 | undefined}
+     */
+    get toBlock() {
+        return this._logStream.toBlock
+    }
+
+    /**
+     * @type {Codec}
+     */
+    get codec() {
+        return this._codec
+    }
+
+    /**
+     * Initialize by {@link DecodedLogStream.create}.
+     *
+     * @param {LogStream} logStream
+     * @param {Codec} codec
+     */
+    constructor(logStream, codec) {
+        super()
+        this._logStream = logStream
+        this._codec = codec
+        this._logStream.on(MetricEvent.SEGMENT, e => {
+            this.emit(MetricEvent.SEGMENT, e)
+        })
+    }
+
+    /**
+     *
+     * @param {object} config - Accept all of options from
+     * {@link LogStream.create} except `topics`, which is derived from
+     * `eventNames`.
+     * @param {Codec} config.codec - Decode logs.
+     * @param {Array<string>} config.eventNames - Filter logs of these events,
+     * they must be defined in `codec`. Names such as `Transfer` or signatures
+     * such as `Transfer(address,address,uint256)` are accepted.
+     * @return {Result<TypeError, DecodedLogStream>}
+     */
+    static create(config) {
+        let r1 = validateInstanceMap(config, [
+            ['codec', Codec],
+            ['eventNames', Array]
+        ], false)
+        if (r1.error) {
+            return r1
+        }
+        if (config.topics !== undefined) {
+            return Result.typeError('topics: is derived from eventNames')
+        }
+        let {codec, eventNames, ...streamConfig} = config
+        let r2 = DecodedLogStream._createTopicFilter(codec, eventNames)
+        if (r2.error) {
+            return Result.typeError(`eventNames: ${r2.error.message}`)
+        }
+        let r3 = LogStream.create({...streamConfig, topics: r2.data})
+        if (r3.error) {
+            return r3
+        }
+        let instance = new DecodedLogStream(r3.data, codec)
+        return Result.ok(instance)
+    }
+
+    /**
+     * Start fetching, decoding and processing log records.
+     *
+     * @param {DecodedLogHandler} handler
+     * @return {Promise<undefined>} See {@link LogStream.start}.
+     * @throws {Error}
+     */
+    async start(handler) {
+        validateInstance(handler, Function).open()
+        await this._logStream.start((logSegment, client) => {
+            let segment = this._decode(logSegment)
+            return handler(segment, client)
+        })
+    }
+
+    /**
+     * See {@link LogStream.stop}.
+     *
+     * @return {Promise<undefined>}
+     */
+    stop() {
+        return this._logStream.stop()
+    }
+
+    /**
+     * See {@link LogStream.pause}.
+     *
+     * @return {Promise<undefined>}
+     */
+    pause() {
+        return this._logStream.pause()
+    }
+
+    /**
+     * See {@link LogStream.resume}.
+     */
+    resume() {
+        this._logStream.resume()
+    }
+
+    /**
+     * Start the stream and receive decoded log segments by `for await`. See
+     * {@link LogStream} for details.
+     *
+     * @yields {DecodedLogSegment}
+     * @throws {Error}
+     */
+    async *[Symbol.asyncIterator]() {
+        for await (let logSegment of this._logStream) {
+            yield this._decode(logSegment)
+        }
+    }
+
+    /**
+     * @private
+     * @param {LogSegment} logSegment
+     * @return {DecodedLogSegment}
+     */
+    _decode(logSegment) {
+        return DecodedLogSegment.fromLogSegment(logSegment, this._codec)
+    }
+
+    /**
+     * Match logs which has topic[0] is one of event topics.
+     *
+     * @private
+     * @param {Codec} codec
+     * @param {Array<string>} eventNames
+     * @return {Result<TypeError, LogTopicFilter>}
+     */
+    static _createTopicFilter(codec, eventNames) {
+        let r1 = validateArrayItems(eventNames, 'string', 1)
+        if (r1.error) {
+            return r1
+        }
+        let topics = []
+        for (let [i, eventName] of eventNames.entries()) {
+            try {
+                topics.push(codec.getEventTopic(eventName))
+            }
+            catch {
+                return Result.typeError(`[${i}]: event is not defined`)
+            }
+        }
+        return LogTopicFilter.create([topics])
+    }
+}
+
+module.exports = {
+    DecodedLog,
+    LogDecodeFailure,
+    DecodedLogSegment,
+    DecodedLogStream
+}
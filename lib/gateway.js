@@ -1,112 +1,862 @@
 'use strict'
 
-const {Log: StdioLog} = require('stdio_log')
+const EventEmitter = require('events')
 const {
+    UInt64, PInt64, Timestamp, Timespan, DataSize,
     validateInstanceMap, validateArrayItems, mapArray
 } = require('minitype')
 const {NodeResponse} = require('./node')
-const {SafeNode} = require('./safe_node')
+const {SafeNode, LogSegment} = require('./safe_node')
+const {Subscription} = require('./ws_node')
+const {forwardEvents} = require('./metrics')
+const {Logger} = require('./logger')
+const {RetryPolicy} = require('./retry_policy')
+const {CallOptions} = require('./call_options')
 const {
     BadError,
     Result,
-    EthEndpoint
+    EthEndpoint,
+    LogFilter,
+    RoutingStrategy,
+    Block,
+    ErrorString
 } = require('./type')
 const {
+    NODE_BAD_REQUEST,
+    NODE_EXECUTION_REVERTED,
     GATEWAY_NO_BACKEND,
     GATEWAY_BAD_BACKEND
 } = require('./type').ErrorCode
 
-class Gateway {
+const HEALTH_SMOOTHING = 0.2
+/**
+ * Errors that other nodes would return too, so next nodes are not tried.
+ *
+ * @private
+ */
+const FINAL_ERROR_CODES = [NODE_BAD_REQUEST, NODE_EXECUTION_REVERTED]
+
+/**
+ * @param {UInt64} a
+ * @param {UInt64} b
+ * @return {UInt64}
+ */
+function maxUInt64(a, b) {
+    return a.lt(b) ? b : a
+}
+
+/**
+ * @param {number} miliseconds
+ * @param {CallOptions} options - Stop sleeping if the call is cancelled.
+ * @return {Promise<undefined>}
+ */
+function sleep(miliseconds, options) {
+    return new Promise(resolve => {
+        let timer = setTimeout(() => {
+            stopListening()
+            resolve()
+        }, miliseconds)
+        let stopListening = options.onCancel(() => {
+            clearTimeout(timer)
+            resolve()
+        })
+    })
+}
+
+/**
+ * Success rate and latency of a node. They are exponential moving averages,
+ * so recent requests matter more than old ones.
+ *
+ * @private
+ */
+class NodeHealth {
+    /**
+     * In range `[0, 1]`, it starts at `1`.
+     *
+     * @type {number}
+     */
+    get successRate() {
+        return this._successRate
+    }
+
+    /**
+     * Miliseconds, or `undefined` if there is no succeeded requests.
+     *
+     * @type {number | undefined}
+     */
+    get latency() {
+        return this._latency
+    }
+
+    /**
+     * Greater is better. Nodes without latency are weighted as the fastest
+     * ones, so they get chances to be measured.
+     *
+     * @type {number}
+     */
+    get weight() {
+        return this._successRate / Math.max(this._latency || 1, 1)
+    }
+
+    constructor() {
+        this._successRate = 1
+        this._latency = undefined
+    }
+
+    /**
+     * @param {number} latency - Miliseconds.
+     */
+    reportSuccess(latency) {
+        this._successRate = NodeHealth._smooth(this._successRate, 1)
+        this._latency = this._latency === undefined
+            ? latency
+            : NodeHealth._smooth(this._latency, latency)
+    }
+
+    reportFailure() {
+        this._successRate = NodeHealth._smooth(this._successRate, 0)
+    }
+
+    /**
+     * @private
+     * @param {number} average
+     * @param {number} value
+     * @return {number}
+     */
+    static _smooth(average, value) {
+        return average + HEALTH_SMOOTHING * (value - average)
+    }
+}
+
+/**
+ * Hand out ranges of a log filter to concurrent queries, then collect their
+ * responses. Ranges which are not fetched completely are handed out again
+ * before new ones, so responses become contiguous as soon as possible.
+ *
+ * @private
+ */
+class LogRangeQueue {
+    /**
+     * @param {LogFilter} filter
+     */
+    constructor(filter) {
+        this._filter = filter
+        this._cursor = filter.fromBlock
+        this._gaps = []
+        this._responses = new Map()
+    }
+
+    /**
+     * Take the next range to fetch.
+     *
+     * @param {PInt64} logRange - Quantities of blocks to take at most.
+     * @return {LogFilter | undefined} `undefined` means there is no more
+     * ranges.
+     */
+    take(logRange) {
+        if (this._gaps.length > 0) {
+            let [fromBlock, toBlock] = this._gaps.shift()
+            let endBlock = fromBlock.addPInt64(logRange).subNumber(1)
+            if (endBlock.lt(toBlock)) {
+                this._gaps.unshift([endBlock.addNumber(1), toBlock])
+                toBlock = endBlock
+            }
+            return this._createFilter(fromBlock, toBlock)
+        }
+        if (this._filter.toBlock.lt(this._cursor)) {
+            return undefined
+        }
+        let fromBlock = this._cursor
+        let toBlock = UInt64.min(
+            fromBlock.addPInt64(logRange).subNumber(1),
+            this._filter.toBlock
+        )
+        this._cursor = toBlock.addNumber(1)
+        return this._createFilter(fromBlock, toBlock)
+    }
+
+    /**
+     * Return a range that is failed to fetch, it is taken again later.
+     *
+     * @param {LogFilter} filter - Returned value from
+     * {@link LogRangeQueue.take}.
+     */
+    giveBack(filter) {
+        this._addGap(filter.fromBlock, filter.toBlock)
+    }
+
+    /**
+     * Keep a response of a range. The rest of the range which is not
+     * covered by the response is taken again later.
+     *
+     * @param {LogFilter} filter - Returned value from
+     * {@link LogRangeQueue.take}.
+     * @param {NodeResponse<LogSegment>} response
+     */
+    put(filter, response) {
+        let {fromBlock, toBlock} = response.data
+        this._responses.set(fromBlock.value, response)
+        if (toBlock.lt(filter.toBlock)) {
+            this._addGap(toBlock.addNumber(1), filter.toBlock)
+        }
+    }
+
+    /**
+     * @return {Array<NodeResponse<LogSegment>>} Responses which covers range
+     * from `filter.fromBlock` without gaps, in order.
+     */
+    getContiguousResponses() {
+        let responses = []
+        let blockNumber = this._filter.fromBlock
+        for (;;) {
+            let response = this._responses.get(blockNumber.value)
+            if (response === undefined) {
+                return responses
+            }
+            responses.push(response)
+            blockNumber = response.data.toBlock.addNumber(1)
+        }
+    }
+
+    /**
+     * @private
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock
+     */
+    _addGap(fromBlock, toBlock) {
+        this._gaps.push([fromBlock, toBlock])
+        this._gaps.sort(([a], [b]) => a.lt(b) ? -1 : 1)
+    }
+
+    /**
+     * @private
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock
+     * @return {LogFilter}
+     */
+    _createFilter(fromBlock, toBlock) {
+        return LogFilter.create({
+            fromBlock: fromBlock,
+            toBlock: toBlock,
+            addresses: this._filter.addresses,
+            topics: this._filter.topics
+        }).open()
+    }
+}
+
+/**
+ * Hand out ranges of blocks to concurrent batches, then collect their
+ * responses. Ranges which are failed are handed out again before new ones.
+ *
+ * @private
+ */
+class BlockRangeQueue {
+    /**
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock
+     */
+    constructor(fromBlock, toBlock) {
+        this._cursor = fromBlock
+        this._toBlock = toBlock
+        this._gaps = []
+        this._responses = []
+    }
+
+    /**
+     * Take the next range to fetch.
+     *
+     * @param {number} size - Quantities of blocks to take at most, at least
+     * a block is taken.
+     * @return {Array<UInt64> | undefined} `fromBlock` and `toBlock`.
+     * `undefined` means there is no more ranges.
+     */
+    take(size) {
+        let span = Math.max(size, 1) - 1
+        if (this._gaps.length > 0) {
+            let [fromBlock, toBlock] = this._gaps.shift()
+            let endBlock = fromBlock.addNumber(span)
+            if (endBlock.lt(toBlock)) {
+                this._gaps.unshift([endBlock.addNumber(1), toBlock])
+                toBlock = endBlock
+            }
+            return [fromBlock, toBlock]
+        }
+        if (this._toBlock.lt(this._cursor)) {
+            return undefined
+        }
+        let fromBlock = this._cursor
+        let toBlock = UInt64.min(fromBlock.addNumber(span), this._toBlock)
+        this._cursor = toBlock.addNumber(1)
+        return [fromBlock, toBlock]
+    }
+
+    /**
+     * Return a range that is failed to fetch, it is taken again later.
+     *
+     * @param {Array<UInt64>} range - Returned value from
+     * {@link BlockRangeQueue.take}.
+     */
+    giveBack(range) {
+        this._gaps.push(range)
+        this._gaps.sort(([a], [b]) => a.lt(b) ? -1 : 1)
+    }
+
+    /**
+     * @param {Array<UInt64>} range - Returned value from
+     * {@link BlockRangeQueue.take}.
+     * @param {NodeResponse<Array<Block>>} response
+     */
+    put(range, response) {
+        this._responses.push({fromBlock: range[0], response})
+    }
+
+    /**
+     * @return {Array<NodeResponse<Array<Block>>>} In order of blocks.
+     */
+    getResponses() {
+        return this._responses
+            .sort((a, b) => a.fromBlock.lt(b.fromBlock) ? -1 : 1)
+            .map(({response}) => response)
+    }
+}
+
+class Gateway extends EventEmitter {
     /**
      * Initialize by {@link Gateway.create}.
      *
      * @param {object} config
      * @param {Array<SafeNode>} config.nodes
-     * @param {StdioLog} config.log
+     * @param {Logger} config.log
      * @param {Gateway} [config.lowerLayer]
+     * @param {RoutingStrategy} [config.strategy=RoutingStrategy.ROUND_ROBIN]
+     * @param {RetryPolicy} [config.retryPolicy=RetryPolicy()]
      */
     constructor(config) {
-        let {nodes, lowerLayer, log} = config
+        super()
+        let {nodes, lowerLayer, log, strategy, retryPolicy} = config
         this._nodes = nodes
         this._lowerLayer = lowerLayer
         this._log = log
+        this._strategy = strategy || RoutingStrategy.ROUND_ROBIN
+        this._retryPolicy = retryPolicy || RetryPolicy.create().open()
         this._nodeIndex = 0
+        this._healths = new Map(nodes.map(node => [node, new NodeHealth()]))
     }
 
     /**
      *
      * @param {object} config
      * @param {Array<EthEndpoint>} config.endpoints
-     * @param {StdioLog} config.log
+     * @param {Logger} config.log - A logger or an instance of `stdio_log`.
      * @param {Gateway} [config.lowerLayer]
+     * @param {RoutingStrategy} [config.strategy=RoutingStrategy.ROUND_ROBIN] -
+     * How nodes are ordered for a request.
+     * @param {RetryPolicy} [config.retryPolicy=RetryPolicy()] - Retry
+     * {@link Gateway.proxy}, there is no retries by default.
      * @return {Result<TypeError, Gateway>}
      */
     static create(config) {
         let r1 = validateInstanceMap(config, [
             ['endpoints', Array],
-            ['log', StdioLog],
-            ['lowerLayer', Gateway, true]
+            ['log', 'any'],
+            ['lowerLayer', Gateway, true],
+            ['strategy', 'string', true],
+            ['retryPolicy', RetryPolicy, true]
         ])
         if (r1.error) {
             return r1
         }
-        let {endpoints, log, lowerLayer} = config
-        let r2 = validateArrayItems(endpoints, EthEndpoint)
+        let r2 = Gateway._validateValues(config)
         if (r2.error) {
             return r2
         }
+        let {endpoints, lowerLayer, strategy, retryPolicy} = config
+        let log = Logger.from(config.log).open()
         let nodes = mapArray(endpoints, endpoint => {
             return SafeNode.create({endpoint, log})
         }).open()
-        let data = new Gateway({nodes, log, lowerLayer})
+        let data = new Gateway({
+            nodes, log, lowerLayer, strategy, retryPolicy
+        })
+        nodes.forEach(node => forwardEvents(node, data))
         return Result.ok(data)
     }
 
     /**
-     * Try to serve request by routing calling to nodes. If there is a success
-     * then return result. If all nodes return error then try lower layer
-     * proxy.
+     * Try to serve request by routing calling to nodes, they are ordered by
+     * the routing strategy. If there is a success then return result. If all
+     * nodes return error then try lower layer proxy. Errors
+     * `NODE_BAD_REQUEST` and `NODE_EXECUTION_REVERTED` are returned
+     * immediately without trying next nodes.
+     *
+     * If all of them are failed, the error of the last node is returned, and
+     * the whole round is tried again if the retry policy accepts the error.
+     *
+     * The call is stopped by `options`, even during delays between retries.
      *
      * @param {string} method - Name of method from `SafeNode`.
-     * @param {Array<any>} params - List parameters to pass to method.
-     * @return {Promise<Result<BadError, NodeResponse<any>>>}
+     * @param {Array<any>} params - List parameters to pass to method. Optional
+     * parameters must be given, because `options` is passed after them.
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<any>>>} Error
+     * `CALL_ABORTED` or `CALL_DEADLINE_EXCEEDED` means the call is stopped by
+     * `options`.
      */
-    async proxy(method, params = []) {
-        for (let i = 1; i <= this._nodes.length; ++i) {
-            let r1 = this._pickNode()
-            if (r1.error) {
+    async proxy(method, params = [], options = CallOptions.none()) {
+        if (this._nodes.length === 0) {
+            return Result.badError(
+                GATEWAY_NO_BACKEND, 'expect at least a node'
+            )
+        }
+        let beginTime = Timestamp.now()
+        for (let attempt = 1; ; ++attempt) {
+            let r1 = await this._proxyOnce(method, params, options)
+            if (!r1.error || !this._retryPolicy.isRetryable(r1.error)) {
                 return r1
             }
-            let {data: node} = r1
-            this._log.info(method, node.host)
-            let r2 = await node[method](...params)
-            if (r2.error) {
-                this._log.info(r2.error.message, node.host)
-                continue
+            let delay = this._retryPolicy.getDelay(attempt)
+            let elapsedTime = Timespan.elapsedTime(beginTime).open().value
+            if (!this._retryPolicy.canRetry(attempt, elapsedTime + delay)) {
+                return r1
             }
-            return r2
+            this._log.info('retry', {method, attempt, delay})
+            await sleep(delay, options)
+        }
+    }
+
+    /**
+     * Call the same method by many nodes concurrently, they are ordered by
+     * the routing strategy. Lower layer is not tried.
+     *
+     * @param {string} method - Name of method from `SafeNode`.
+     * @param {Array<any>} params - List parameters to pass to method.
+     * @param {number} count - Quantity of nodes to call.
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Array<object>>} Each item has `host` as a string and
+     * `result` as `Result<BadError, NodeResponse<any>>`.
+     */
+    async proxyMany(method, params, count, options = CallOptions.none()) {
+        let nodes = this._orderNodes().slice(0, count)
+        return await Promise.all(nodes.map(async node => {
+            let result = await this._callNode(node, method, params, options)
+            return {host: node.host, result}
+        }))
+    }
+
+    /**
+     * Create a subscription by the first node which accepts it, only nodes of
+     * WebSocket endpoints do. See {@link SafeNode.subscribe}.
+     *
+     * @param {string} type
+     * @param {Array<any>} params
+     * @param {Function} handler - Receive notifications.
+     * @return {Promise<Result<BadError, Subscription>>} Error
+     * `GATEWAY_NO_BACKEND` means there is no WebSocket endpoints.
+     */
+    async subscribe(type, params, handler) {
+        let nodes = this._nodes.filter(node => node.isSubscribable)
+        if (nodes.length === 0) {
+            return Result.badError(
+                GATEWAY_NO_BACKEND, 'expect a WebSocket endpoint'
+            )
         }
-        if (this._lowerLayer) {
-            return await this._lowerLayer.proxy(method, params)
+        for (let node of nodes) {
+            this._log.info('subscribe', {host: node.host, type})
+            let r1 = await node.subscribe(type, params, handler)
+            if (!r1.error) {
+                return r1
+            }
+            this._log.info('subscription failed', {
+                host: node.host,
+                type: type,
+                errorCode: ErrorString[r1.error.code],
+                error: r1.error.message
+            })
         }
         return Result.badError(GATEWAY_BAD_BACKEND, 'no available nodes')
     }
 
     /**
-     * Just do a simple round robin picking.
+     * Release connections of all of nodes, lower layer is not included.
+     */
+    close() {
+        for (let node of this._nodes) {
+            node.close()
+        }
+    }
+
+    /**
+     * Split range of the filter and fetch logs concurrently by all of nodes.
+     * Each node takes ranges by it's own log range, so a faster node takes
+     * more ranges. If there is no logs from `filter.fromBlock` then try
+     * {@link Gateway.proxy}.
      *
-     * @private
-     * @return {Result<BadError, SafeNode>}
+     * @param {LogFilter} filter
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<LogSegment>>>} Logs in
+     * range `[filter.fromBlock, toBlock]`, `toBlock` is not greater than
+     * `filter.toBlock`. Response time is time of the whole operation, response
+     * size is total size of responses.
      */
-    _pickNode() {
+    async getLogsConcurrently(filter, options = CallOptions.none()) {
+        let beginTime = Timestamp.now()
+        let queue = new LogRangeQueue(filter)
+        await Promise.all(
+            this._nodes.map(node => this._fetchLogRanges(node, queue, options))
+        )
+        let responses = queue.getContiguousResponses()
+        if (responses.length === 0) {
+            return await this.proxy('getLogs', [filter], options)
+        }
+        let data = Gateway._mergeLogResponses(responses, beginTime)
+        return Result.ok(data)
+    }
+
+    /**
+     * Split the range into batches and fetch them concurrently by all of
+     * nodes. Each node takes batches by it's own batch limit. Batches which
+     * are failed by nodes are tried again by {@link Gateway.proxy}.
+     *
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock - Inclusive.
+     * @param {boolean} fullTransactions
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Array<Block>>>>} Blocks
+     * are in order of numbers. Response time is time of the whole
+     * operation, response size is total size of responses.
+     */
+    async getBlocksConcurrently(
+        fromBlock, toBlock, fullTransactions, options = CallOptions.none()
+    ) {
         if (this._nodes.length === 0) {
             return Result.badError(
                 GATEWAY_NO_BACKEND, 'expect at least a node'
             )
         }
-        let pickedNode = this._nodes[this._nodeIndex]
+        let beginTime = Timestamp.now()
+        let queue = new BlockRangeQueue(fromBlock, toBlock)
+        await Promise.all(this._nodes.map(node => {
+            return this._fetchBlockRanges(
+                node, queue, fullTransactions, options
+            )
+        }))
+        let r1 = await this._proxyBlockRanges(queue, fullTransactions, options)
+        if (r1.error) {
+            return r1
+        }
+        let data = Gateway._mergeBlockResponses(
+            queue.getResponses(), beginTime
+        )
+        return Result.ok(data)
+    }
+
+    /**
+     * Fetch ranges which are left by nodes one by one. Batches are sized by
+     * the least batch limit, so any node could serve them.
+     *
+     * @private
+     * @param {BlockRangeQueue} queue
+     * @param {boolean} fullTransactions
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, undefined>>}
+     */
+    async _proxyBlockRanges(queue, fullTransactions, options) {
+        let size = Math.min(...this._nodes.map(node => node.batchLimit.value))
+        for (
+            let range = queue.take(size);
+            range !== undefined;
+            range = queue.take(size)
+        ) {
+            let r1 = await this.proxy(
+                'getBlocks', [...range, fullTransactions], options
+            )
+            if (r1.error) {
+                return r1
+            }
+            queue.put(range, r1.data)
+        }
+        return Result.ok()
+    }
+
+    /**
+     * Keep fetching batches of blocks from the queue until there is no more
+     * ranges or the node is failed.
+     *
+     * @private
+     * @param {SafeNode} node
+     * @param {BlockRangeQueue} queue
+     * @param {boolean} fullTransactions
+     * @param {CallOptions} options
+     */
+    async _fetchBlockRanges(node, queue, fullTransactions, options) {
+        for (;;) {
+            let range = queue.take(node.batchLimit.value)
+            if (range === undefined) {
+                return
+            }
+            let r1 = await this._callNode(
+                node, 'getBlocks', [...range, fullTransactions], options
+            )
+            if (r1.error) {
+                queue.giveBack(range)
+                return
+            }
+            queue.put(range, r1.data)
+        }
+    }
+
+    /**
+     * Keep fetching ranges from the queue until there is no more ranges or
+     * the node is failed.
+     *
+     * @private
+     * @param {SafeNode} node
+     * @param {LogRangeQueue} queue
+     * @param {CallOptions} options
+     */
+    async _fetchLogRanges(node, queue, options) {
+        for (;;) {
+            let filter = queue.take(node.logRange)
+            if (filter === undefined) {
+                return
+            }
+            let r1 = await this._callNode(node, 'getLogs', [filter], options)
+            if (r1.error) {
+                queue.giveBack(filter)
+                return
+            }
+            queue.put(filter, r1.data)
+        }
+    }
+
+    /**
+     * Try nodes in order, then the lower layer, without retries.
+     *
+     * @private
+     * @param {string} method
+     * @param {Array<any>} params
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, NodeResponse<any>>>} Error of the
+     * last node if all of nodes are failed.
+     */
+    async _proxyOnce(method, params, options) {
+        let result
+        for (let node of this._orderNodes()) {
+            let r1 = options.check()
+            if (r1.error) {
+                return r1
+            }
+            result = await this._callNode(node, method, params, options)
+            if (!result.error || Gateway._isFinalError(result.error)) {
+                return result
+            }
+        }
+        let lowerLayer = this._lowerLayer
+        if (lowerLayer && lowerLayer._nodes.length > 0) {
+            return await lowerLayer._proxyOnce(method, params, options)
+        }
+        return result
+    }
+
+    /**
+     * @private
+     * @param {Error} error
+     * @return {boolean} `true` if next nodes should not be tried.
+     */
+    static _isFinalError(error) {
+        if (!(error instanceof BadError)) {
+            return false
+        }
+        return CallOptions.isCancellation(error) ||
+            FINAL_ERROR_CODES.includes(error.code)
+    }
+
+    /**
+     * Call a method of the node and update it's health. Calls which are
+     * denied by a locked node or cancelled by options are not counted.
+     *
+     * @private
+     * @param {SafeNode} node
+     * @param {string} method
+     * @param {Array<any>} params
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, any>>}
+     */
+    async _callNode(node, method, params, options) {
+        let health = this._healths.get(node)
+        let isAvailable = node.isAvailable
+        let beginTime = Timestamp.now()
+        this._log.info('request', {host: node.host, method})
+        let result = await node[method](...params, options)
+        if (result.error) {
+            this._log.info('request failed', {
+                host: node.host,
+                method: method,
+                errorCode: ErrorString[result.error.code],
+                error: result.error.message
+            })
+            if (isAvailable && !CallOptions.isCancellation(result.error)) {
+                health.reportFailure()
+            }
+            return result
+        }
+        let {time} = result.data
+        let latency = time instanceof Timespan
+            ? time.value
+            : Timespan.elapsedTime(beginTime).open().value
+        health.reportSuccess(latency)
+        return result
+    }
+
+    /**
+     * Order nodes by the routing strategy. Available nodes are put before
+     * locked ones.
+     *
+     * @private
+     * @return {Array<SafeNode>}
+     */
+    _orderNodes() {
+        let nodes = this._orderNodesByStrategy()
+        return [
+            ...nodes.filter(node => node.isAvailable),
+            ...nodes.filter(node => !node.isAvailable)
+        ]
+    }
+
+    /**
+     * @private
+     * @return {Array<SafeNode>}
+     */
+    _orderNodesByStrategy() {
+        switch (this._strategy) {
+            case RoutingStrategy.LEAST_LATENCY:
+                return this._orderNodesByLatency()
+            case RoutingStrategy.WEIGHTED:
+                return this._orderNodesByWeight()
+            default:
+                return this._orderNodesByRoundRobin()
+        }
+    }
+
+    /**
+     * Rotate nodes, so the next request starts from the next node.
+     *
+     * @private
+     * @return {Array<SafeNode>}
+     */
+    _orderNodesByRoundRobin() {
+        let index = this._nodeIndex
         this._nodeIndex = (this._nodeIndex + 1) % this._nodes.length
-        return Result.ok(pickedNode)
+        return [
+            ...this._nodes.slice(index),
+            ...this._nodes.slice(0, index)
+        ]
+    }
+
+    /**
+     * Nodes without latency first, then lower latency first. Ties are broken
+     * by higher success rate.
+     *
+     * @private
+     * @return {Array<SafeNode>}
+     */
+    _orderNodesByLatency() {
+        let latencyOf = node => this._healths.get(node).latency || 0
+        let successRateOf = node => this._healths.get(node).successRate
+        return [...this._nodes].sort((a, b) => {
+            return (latencyOf(a) - latencyOf(b)) ||
+                (successRateOf(b) - successRateOf(a))
+        })
+    }
+
+    /**
+     * Weighted random order, a node is picked before an other with
+     * probability which is proportional to it's weight. Keys are
+     * `log(random) / weight` then sorted, see Efraimidis and Spirakis. Keys
+     * are in log space, so they do not underflow to zero for small weights.
+     * Nodes of zero weight are put last.
+     *
+     * @private
+     * @return {Array<SafeNode>}
+     */
+    _orderNodesByWeight() {
+        return this._nodes
+            .map(node => {
+                let {weight} = this._healths.get(node)
+                let key = weight > 0
+                    ? Math.log(1 - Math.random()) / weight
+                    : -Infinity
+                return {node, key}
+            })
+            .sort((a, b) => b.key - a.key)
+            .map(({node}) => node)
+    }
+
+    /**
+     * @private
+     * @param {Array<NodeResponse<LogSegment>>} responses - Contiguous
+     * responses, in order.
+     * @param {Timestamp} beginTime
+     * @return {NodeResponse<LogSegment>}
+     */
+    static _mergeLogResponses(responses, beginTime) {
+        let segments = responses.map(response => response.data)
+        let logSegment = LogSegment.create({
+            logs: segments.flatMap(segment => segment.logs),
+            fromBlock: segments[0].fromBlock,
+            toBlock: segments[segments.length - 1].toBlock,
+            latestBlock: segments.map(v => v.latestBlock).reduce(maxUInt64),
+            safeBlock: segments.map(v => v.safeBlock).reduce(maxUInt64)
+        }).open()
+        let size = responses
+            .map(response => response.size.toNumber().open())
+            .reduce((a, b) => a + b)
+        return NodeResponse.create({
+            data: logSegment,
+            time: Timespan.elapsedTime(beginTime).open(),
+            size: DataSize.fromBytes(size).open()
+        }).open()
+    }
+
+    /**
+     * @private
+     * @param {Array<NodeResponse<Array<Block>>>} responses - In order.
+     * @param {Timestamp} beginTime
+     * @return {NodeResponse<Array<Block>>}
+     */
+    static _mergeBlockResponses(responses, beginTime) {
+        let size = responses
+            .map(response => response.size.toNumber().open())
+            .reduce((a, b) => a + b, 0)
+        return NodeResponse.create({
+            data: responses.flatMap(response => response.data),
+            time: Timespan.elapsedTime(beginTime).open(),
+            size: DataSize.fromBytes(size).open()
+        }).open()
+    }
+
+    /**
+     * @private
+     * @param {object} config - See {@link Gateway.create}.
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateValues(config) {
+        let {endpoints, strategy, log} = config
+        let r1 = validateArrayItems(endpoints, EthEndpoint)
+        if (r1.error) {
+            return r1
+        }
+        if (
+            strategy !== undefined &&
+            !Object.values(RoutingStrategy).includes(strategy)
+        ) {
+            return Result.typeError('strategy: expect a RoutingStrategy')
+        }
+        let r2 = Logger.from(log)
+        if (r2.error) {
+            return Result.typeError(`log: ${r2.error.message}`)
+        }
+        return Result.ok()
     }
 }
 
@@ -2,9 +2,20 @@
 
 module.exports = {
     ...require('./log_stream'),
+    ...require('./checkpoint'),
+    ...require('./decoded_log_stream'),
     ...require('./client'),
     ...require('./codec'),
     ...require('./safe_node'),
+    ...require('./quorum'),
+    ...require('./metrics'),
+    ...require('./logger'),
+    ...require('./retry_policy'),
+    ...require('./call_options'),
+    ...require('./rpc_error_classifier'),
+    ...require('./rate_limit'),
     ...require('./contract'),
+    ...require('./multicall'),
+    ...require('./contract_binding'),
     ...require('./type')
 }
@@ -1,18 +1,27 @@
 'use strict'
 
-const {delay} = require('@trop/gear')
+const EventEmitter = require('events')
+const {Deferral} = require('@trop/gear')
 const {
     UInt64, Timespan,
     validateInstanceMap, validateArrayItems, validateInstance
 } = require('minitype')
 const {Client} = require('./client')
 const {LogSegment} = require('./safe_node')
+const {Checkpoint} = require('./checkpoint')
 const {
     Result,
     Address,
+    ByteData32,
     LogTopicFilter,
-    LogFilter
+    LogFilter,
+    Log,
+    BigMath,
+    MetricEvent,
+    ErrorString,
+    BadError
 } = require('./type')
+const {GATEWAY_NO_BACKEND} = require('./type').ErrorCode
 
 /**
  * @name LogHandler
@@ -22,13 +31,276 @@ const {
  * @return {Promise<undefined>}
  */
 
+/**
+ * @name RollbackHandler
+ * @function
+ * @param {UInt64} fromBlock - Logs from this block number, inclusive, is
+ * delivered before and belongs to blocks which are no longer in the chain.
+ * @param {UInt64} toBlock - Last block number of delivered logs, inclusive.
+ * @param {Client} client
+ * @return {Promise<undefined>}
+ */
+
 const TIMESPAN_ZERO = Timespan.fromSeconds(0).open()
+const UINT64_ZERO = UInt64.fromNumber(0).open()
+
+/**
+ * Missing hash is always different from others.
+ *
+ * @param {ByteData32 | undefined} a
+ * @param {ByteData32 | undefined} b
+ * @return {boolean}
+ */
+function isSameHash(a, b) {
+    if (a === undefined || b === undefined) {
+        return false
+    }
+    return a.eq(b)
+}
+
+/**
+ * Remember block hashes of delivered logs in a window of recent blocks, then
+ * compare with logs in the same window that is retrieved later for finding out
+ * chain reorganizations.
+ *
+ * @private
+ */
+class BlockHashWindow {
+    /**
+     * @type {UInt64}
+     */
+    get depth() {
+        return this._depth
+    }
+
+    /**
+     * @param {UInt64} depth - Quantities of blocks to remember, count back
+     * from the next block number to read.
+     */
+    constructor(depth) {
+        this._depth = depth
+        this._hashes = new Map()
+        this._horizon = 0n
+    }
+
+    /**
+     * Find out the begin block number of the window, it is not less than
+     * `lowerBound`.
+     *
+     * @param {UInt64} blockNumber - Next block number to read.
+     * @param {UInt64} lowerBound
+     * @param {UInt64} [depth=this.depth] - Size of the window.
+     * @return {UInt64}
+     */
+    getFromBlock(blockNumber, lowerBound, depth = this._depth) {
+        if (blockNumber.lt(depth)) {
+            return lowerBound
+        }
+        let fromBlock = blockNumber.sub(depth)
+        return fromBlock.lt(lowerBound) ? lowerBound : fromBlock
+    }
+
+    /**
+     * Compare remembered block hashes to logs in range
+     * `[logSegment.fromBlock, blockNumber - 1]`.
+     *
+     * @param {LogSegment} logSegment
+     * @param {UInt64} blockNumber - Next block number to read, logs before it
+     * is delivered.
+     * @return {UInt64 | undefined} The lowest block number that is changed, or
+     * `undefined` if there is no reorganization.
+     */
+    findReorgBlock(logSegment, blockNumber) {
+        let {fromBlock, toBlock} = logSegment
+        let inRange = v => v >= fromBlock.value &&
+            v >= this._horizon &&
+            v < blockNumber.value &&
+            v <= toBlock.value
+        let hashes = BlockHashWindow._collectHashes(logSegment.logs, inRange)
+        let keys = [...this._hashes.keys(), ...hashes.keys()]
+            .filter(inRange)
+            .filter(k => !isSameHash(this._hashes.get(k), hashes.get(k)))
+        if (keys.length === 0) {
+            return undefined
+        }
+        return UInt64.fromBigInt(BigMath.min(...keys)).open()
+    }
+
+    /**
+     * Remember block hashes from logs, then forget ones which are out of the
+     * window. Forgotten blocks are not compared anymore.
+     *
+     * @param {LogSegment} logSegment - Logs which are read in order.
+     */
+    remember(logSegment) {
+        for (let log of logSegment.logs) {
+            this._hashes.set(log.blockNumber.value, log.blockHash)
+        }
+        let bound = this.getFromBlock(
+            logSegment.toBlock.addNumber(1), UINT64_ZERO
+        )
+        this._horizon = BigMath.max(this._horizon, bound.value)
+        for (let key of this._hashes.keys()) {
+            if (key < this._horizon) {
+                this._hashes.delete(key)
+            }
+        }
+    }
+
+    /**
+     * Forget all of block hashes, blocks before this block number are not
+     * compared anymore. It is for continuing from a block which is delivered
+     * by a previous run, so there is no hash to compare with.
+     *
+     * @param {UInt64} blockNumber
+     */
+    reset(blockNumber) {
+        this._hashes.clear()
+        this._horizon = blockNumber.value
+    }
+
+    /**
+     * Forget block hashes from this block number, inclusive.
+     *
+     * @param {UInt64} blockNumber
+     */
+    forgetFrom(blockNumber) {
+        for (let key of this._hashes.keys()) {
+            if (key >= blockNumber.value) {
+                this._hashes.delete(key)
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {Array<Log>} logs
+     * @param {Function} filter - Accept a block number as a bigint and return
+     * a boolean.
+     * @return {Map<bigint, ByteData32>}
+     */
+    static _collectHashes(logs, filter) {
+        let hashes = new Map()
+        for (let log of logs) {
+            let {blockNumber: {value: key}} = log
+            if (filter(key) && !hashes.has(key)) {
+                hashes.set(key, log.blockHash)
+            }
+        }
+        return hashes
+    }
+}
+
+/**
+ * Reason of an unfinished handler call when the consumer of
+ * {@link LogStream} as an async iterator leaves early. The log segment is not
+ * marked as processed, so it is delivered again on next start.
+ *
+ * @private
+ */
+class IterationEndError extends Error {
+    constructor() {
+        super('iteration is ended by consumer')
+    }
+}
+
+/**
+ * Pass log segments from a handler of {@link LogStream.start} to an async
+ * iterator, one by one. A handler call is kept until the consumer asks for
+ * the next segment, that makes backpressure to the stream.
+ *
+ * @private
+ */
+class LogSegmentChannel {
+    constructor() {
+        this._messages = []
+        this._receiver = undefined
+        this._acknowledgement = undefined
+        this._isCancelled = false
+    }
+
+    /**
+     * Called by a handler.
+     *
+     * @param {LogSegment} logSegment
+     * @return {Promise<undefined>} Resolve when the consumer is done with the
+     * segment, reject with {@link IterationEndError} if it leaves early.
+     */
+    send(logSegment) {
+        if (this._isCancelled) {
+            return Promise.reject(new IterationEndError())
+        }
+        this._acknowledgement = new Deferral()
+        this._push({logSegment})
+        return this._acknowledgement.promise
+    }
+
+    /**
+     * There is no more segments.
+     *
+     * @param {Error} [error] - Reason of the end, if any.
+     */
+    close(error) {
+        this._push({isClosed: true, error})
+    }
+
+    /**
+     * Called by the consumer.
+     *
+     * @return {Promise<object>} A message that has `logSegment`, or
+     * `isClosed` and optional `error`.
+     */
+    receive() {
+        if (this._messages.length > 0) {
+            return Promise.resolve(this._messages.shift())
+        }
+        this._receiver = new Deferral()
+        return this._receiver.promise
+    }
+
+    /**
+     * The consumer is done with the last received segment.
+     */
+    acknowledge() {
+        if (this._acknowledgement) {
+            this._acknowledgement.resolve()
+            this._acknowledgement = undefined
+        }
+    }
+
+    /**
+     * The consumer leaves, the last received segment is not processed.
+     */
+    cancel() {
+        this._isCancelled = true
+        if (this._acknowledgement) {
+            this._acknowledgement.reject(new IterationEndError())
+            this._acknowledgement = undefined
+        }
+    }
+
+    /**
+     * @private
+     * @param {object} message
+     */
+    _push(message) {
+        if (this._receiver === undefined) {
+            this._messages.push(message)
+            return
+        }
+        let receiver = this._receiver
+        this._receiver = undefined
+        receiver.resolve(message)
+    }
+}
 
 /**
  * Accept a handler for processing log records, segment by segment. Behind
  * scence, it does all complex, dirty work to solve Ethereum JSON RPC issues.
+ *
+ * Event `MetricEvent.SEGMENT` is emitted after a segment is processed.
  */
-class LogStream {
+class LogStream extends EventEmitter {
     /**
      * Start fetching logs from this block, inclusive.
      *
@@ -38,26 +310,52 @@ class LogStream {
         return this._fromBlock
     }
 
+    /**
+     * Stop fetching logs at this block, inclusive. `undefined` means there is
+     * no end.
+     *
+     * @type {UInt64 | undefined}
+     */
+    get toBlock() {
+        return this._toBlock
+    }
+
     /**
      * Initialize by {@link LogStream.create}.
      *
      * @param {object} config
      * @param {Client} config.client
      * @param {UInt64} config.fromBlock
+     * @param {UInt64} [config.toBlock]
      * @param {Array<Address>} config.addresses
      * @param {LogTopicFilter} config.topics
      * @param {Timespan} config.idleTimespan
+     * @param {UInt64} [config.reorgDepth]
+     * @param {RollbackHandler} [config.rollbackHandler]
+     * @param {Checkpoint} [config.checkpoint]
+     * @param {UInt64} [config.parallelRange]
      */
     constructor(config) {
-        let {client, fromBlock, addresses, topics, idleTimespan} = config
+        let {
+            client, fromBlock, toBlock, addresses, topics, idleTimespan,
+            reorgDepth, rollbackHandler, checkpoint, parallelRange
+        } = config
+        super()
         this._client = client
         this._log = client.log
         this._fromBlock = fromBlock
+        this._toBlock = toBlock
         this._addresses = addresses
         this._topics = topics
         this._idleTimespan = idleTimespan
         this._readerBlockNumber = this._fromBlock.clone()
-        this._logRange = UInt64.fromNumber(5000).open()
+        this._logRange = parallelRange || UInt64.fromNumber(5000).open()
+        this._isParallel = parallelRange !== undefined
+        this._rollbackHandler = rollbackHandler
+        this._checkpoint = checkpoint
+        this._blockHashes = reorgDepth
+            ? new BlockHashWindow(reorgDepth)
+            : undefined
     }
 
     /**
@@ -66,34 +364,58 @@ class LogStream {
      * @param {client} config.client
      * @param {UInt64} [config.fromBlock=0] - Start fetching log records from
      * this block.
+     * @param {UInt64} [config.toBlock] - Stop fetching log records at this
+     * block, inclusive. Once all of logs are processed,
+     * {@link LogStream.start} is returned. By default, the stream follows new
+     * blocks and never ends.
      * @param {Array<Address>} [config.addresses=[]] - Filter log records which
      * is emit by these addresses.
      * @param {LogTopicFilter} [config.topics=LogTopicFilter()] - Filter log
      * records which is matched with these topics.
      * @param {Timespan} [config.idleTimespan=6] - On error or there is no safe
-     * block, procesing is suspend for a moment.
+     * block, procesing is suspend for a moment. If there is a WebSocket
+     * endpoint, a new block wakes it up earlier.
+     * @param {UInt64} [config.reorgDepth] - Enable detection of chain
+     * reorganizations by re-checking block hashes of delivered logs in this
+     * quantities of recent blocks. It requires `rollbackHandler`.
+     * @param {RollbackHandler} [config.rollbackHandler] - A function that is
+     * called with the range of affected blocks before logs are re-delivered.
+     * @param {Checkpoint} [config.checkpoint] - Save position after a log
+     * segment is processed successfully, and continue from saved position on
+     * start instead of `fromBlock`.
+     * @param {UInt64} [config.parallelRange] - Enable parallel reading for
+     * catching up old blocks faster. Each read covers this quantities of
+     * blocks, it is split and fetched concurrently by all of main endpoints,
+     * see {@link Client.getLogsConcurrently}. Logs are still delivered in
+     * order.
      * @return {Result<TypeError, LogStream>}
      */
     static create(config) {
         let r1 = validateInstanceMap(config, [
             ['client', Client],
             ['fromBlock', UInt64, true],
+            ['toBlock', UInt64, true],
             ['addresses', Array, true], ['topics', LogTopicFilter, true],
-            ['idleTimespan', Timespan, true]
+            ['idleTimespan', Timespan, true],
+            ['reorgDepth', UInt64, true],
+            ['rollbackHandler', Function, true],
+            ['checkpoint', Checkpoint, true],
+            ['parallelRange', UInt64, true]
         ])
         if (r1.error) {
             return r1
         }
-        let {client, fromBlock, addresses, topics, idleTimespan} = config
-        addresses = addresses || []
-        let r2 = validateArrayItems(addresses, Address)
+        let r2 = LogStream._validateConfigValues(config)
         if (r2.error) {
             return r2
         }
-        topics = topics || LogTopicFilter.create().open()
-        idleTimespan = idleTimespan || Timespan.fromSeconds(6).open()
+        let {fromBlock, addresses, topics, idleTimespan} = config
         let data = new LogStream({
-            client, fromBlock, addresses, topics, idleTimespan
+            ...config,
+            fromBlock: fromBlock || UINT64_ZERO,
+            addresses: addresses || [],
+            topics: topics || LogTopicFilter.create().open(),
+            idleTimespan: idleTimespan || Timespan.fromSeconds(6).open()
         })
         return Result.ok(data)
     }
@@ -103,7 +425,9 @@ class LogStream {
      *
      * @param {LogHandler} handler - A function that receives and
      * processes logs.
-     * @return {Promise<undefined>}
+     * @return {Promise<undefined>} Resolve when the stream is stopped by
+     * {@link LogStream.stop}, or all of logs to `toBlock` are processed.
+     * @throws {Error}
      */
     async start(handler) {
         validateInstance(handler, Function).open()
@@ -113,22 +437,211 @@ class LogStream {
         this._handler = handler
         this._readerOutput = undefined
         this._processorInput = undefined
+        this._stopDeferral = new Deferral()
+        try {
+            await this._readCheckpoint()
+            await this._loop()
+        }
+        finally {
+            this._cleanUp()
+        }
+    }
+
+    /**
+     * Stop fetching and processing log records. Logs which are fetched but
+     * not processed yet are dropped, they are fetched again on next start.
+     *
+     * @return {Promise<undefined>} Resolve when the in-flight handler call is
+     * finished and {@link LogStream.start} is returned. A handler may call
+     * this method but must not wait for it, that never finishes.
+     */
+    async stop() {
+        if (this._handler === undefined) {
+            return
+        }
+        this._isStopping = true
+        this._interruptSleep()
+        this.resume()
+        await this._stopDeferral.promise
+    }
+
+    /**
+     * Hold fetching and processing log records until
+     * {@link LogStream.resume} is called. It has no effect if the stream is
+     * not started.
+     *
+     * @return {Promise<undefined>} Resolve when the in-flight handler call is
+     * finished, then there is no handler call until it is resumed.
+     */
+    async pause() {
+        if (this._handler === undefined) {
+            return
+        }
+        if (this._resumeDeferral === undefined) {
+            this._resumeDeferral = new Deferral()
+            this._pauseDeferral = new Deferral()
+            this._interruptSleep()
+        }
+        await this._pauseDeferral.promise
+    }
+
+    /**
+     * Continue fetching and processing log records after
+     * {@link LogStream.pause}.
+     */
+    resume() {
+        if (this._resumeDeferral === undefined) {
+            return
+        }
+        this._pauseDeferral.resolve()
+        this._resumeDeferral.resolve()
+        this._pauseDeferral = undefined
+        this._resumeDeferral = undefined
+    }
+
+    /**
+     * Start the stream and receive log segments by `for await`. A segment is
+     * processed once the consumer asks for the next one, so a slow loop body
+     * holds the stream as a slow handler does. Leaving the loop by `break`,
+     * `return` or an error stops the stream, and the last received segment
+     * is not processed, see {@link LogStream.stop}.
+     *
+     * @example
+     * for await (let logSegment of stream) {
+     *     await save(logSegment.logs)
+     * }
+     * @yields {LogSegment}
+     * @throws {Error}
+     */
+    async *[Symbol.asyncIterator]() {
+        if (this._handler) {
+            throw new Error('stream is already started')
+        }
+        let channel = new LogSegmentChannel()
+        this.start(logSegment => channel.send(logSegment))
+            .then(() => channel.close(), error => channel.close(error))
+        try {
+            yield* LogStream._receiveLogSegments(channel)
+        }
+        finally {
+            let stopping = this.stop()
+            channel.cancel()
+            await stopping
+        }
+    }
+
+    /**
+     * @private
+     * @param {LogSegmentChannel} channel
+     * @yields {LogSegment}
+     * @throws {Error} The stream is failed.
+     */
+    static async *_receiveLogSegments(channel) {
         for (;;) {
+            let message = await channel.receive()
+            if (message.error) {
+                throw message.error
+            }
+            if (message.isClosed) {
+                return
+            }
+            yield message.logSegment
+            channel.acknowledge()
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _loop() {
+        for (;;) {
+            await this._waitForResume()
+            if (this._isStopping || this._isCompleted()) {
+                return
+            }
+            await this._followNewHeads()
             let [r1, r2] = await Promise.allSettled([
                 this._readLogs(),
                 this._processLogs()
             ])
             if (r1.status === 'rejected') {
-                this._log.error(r1.reason)
+                this._log.error('reading logs failed', {error: r1.reason})
             }
-            if (r2.status === 'rejected') {
-                this._log.error(r2.reason)
+            if (
+                r2.status === 'rejected' &&
+                !(r2.reason instanceof IterationEndError)
+            ) {
+                this._log.error('processing logs failed', {error: r2.reason})
             }
             await this._idle(r1, r2)
             this._pushDataToProcessor()
         }
     }
 
+    /**
+     * All of logs to `_toBlock` are read, processed and saved to checkpoint.
+     *
+     * @private
+     * @return {boolean}
+     */
+    _isCompleted() {
+        return this._isReaderCompleted() &&
+            this._readerOutput === undefined &&
+            this._processorInput === undefined &&
+            this._reorgBlock === undefined &&
+            this._checkpointBlockNumber === undefined
+    }
+
+    /**
+     * @private
+     * @return {boolean}
+     */
+    _isReaderCompleted() {
+        return this._toBlock !== undefined &&
+            this._readerBlockNumber.gt(this._toBlock)
+    }
+
+    /**
+     * If the stream is paused then wait until it is resumed.
+     *
+     * @private
+     */
+    async _waitForResume() {
+        if (this._resumeDeferral === undefined) {
+            return
+        }
+        this._log.info('paused')
+        this._pauseDeferral.resolve()
+        await this._resumeDeferral.promise
+    }
+
+    /**
+     * Drop logs which are not processed yet, so reading is continued from the
+     * first one of them on next start.
+     *
+     * @private
+     */
+    _cleanUp() {
+        let input = this._processorInput || this._readerOutput
+        if (input !== undefined) {
+            this._readerBlockNumber = input.fromBlock
+            if (this._blockHashes !== undefined) {
+                this._blockHashes.forgetFrom(input.fromBlock)
+            }
+        }
+        if (this._headSubscription !== undefined) {
+            this._headSubscription.unsubscribe()
+            this._headSubscription = undefined
+        }
+        this._readerOutput = undefined
+        this._processorInput = undefined
+        this._isReaderStalled = false
+        this._handler = undefined
+        this._isStopping = false
+        this.resume()
+        this._stopDeferral.resolve()
+    }
+
     /**
      * Retrieve log records and put result to `_clientError`, `_readerOutput`
      * and `_readerBlockNumber`.
@@ -137,34 +650,181 @@ class LogStream {
      * @throws {Error}
      */
     async _readLogs() {
-        if (this._readerOutput !== undefined) {
+        if (
+            this._readerOutput !== undefined ||
+            this._reorgBlock !== undefined ||
+            this._isReaderCompleted()
+        ) {
             return
         }
         let filter = LogFilter.create({
-            fromBlock: this._readerBlockNumber,
-            toBlock: this._readerBlockNumber.add(this._logRange),
+            fromBlock: this._getReaderFromBlock(),
+            toBlock: this._getReaderToBlock(),
             addresses: this._addresses,
             topics: this._topics
         }).open()
-        let r1 = await this._client.getLogs(filter)
+        let r1 = this._isParallel
+            ? await this._client.getLogsConcurrently(filter)
+            : await this._client.getLogs(filter)
         if (r1.error) {
-            this._log.error(r1.error.message, r1.error.data || '_')
-            this._clientError = r1.error
+            this._setClientError(r1.error)
             return
         }
         let {data: nodeResponse} = r1
         let {data: logSegment} = nodeResponse
         this._clientError = undefined
-        this._readerOutput = logSegment
-        this._readerBlockNumber = logSegment.toBlock.addNumber(1)
+        this._isReaderStalled = false
+        this._updateSegmentRange(filter, logSegment)
+        if (this._detectReorg(logSegment)) {
+            return
+        }
+        this._pushReaderOutput(logSegment)
+    }
+
+    /**
+     * @private
+     * @param {BadError} error
+     */
+    _setClientError(error) {
+        let {code, message, data} = error
+        this._log.error('getting logs failed', {
+            errorCode: ErrorString[code],
+            error: message,
+            data: data
+        })
+        this._clientError = error
+    }
+
+    /**
+     * Logs in range `[fromBlock, _readerBlockNumber - 1]` is delivered already.
+     * These are retrieved again for detecting chain reorganizations.
+     *
+     * @private
+     * @return {UInt64}
+     */
+    _getReaderFromBlock() {
+        if (this._blockHashes === undefined) {
+            return this._readerBlockNumber
+        }
+        return this._blockHashes.getFromBlock(
+            this._readerBlockNumber, this._fromBlock, this._getRecheckDepth()
+        )
+    }
+
+    /**
+     * Quantities of delivered blocks to read again. If `reorgDepth` is not
+     * less than `_segmentRange` then it is a half of `_segmentRange`, so a
+     * read still moves past `_readerBlockNumber`.
+     *
+     * @private
+     * @return {UInt64}
+     */
+    _getRecheckDepth() {
+        let {depth} = this._blockHashes
+        if (
+            this._segmentRange === undefined ||
+            depth.value < this._segmentRange
+        ) {
+            return depth
+        }
+        return UInt64.fromBigInt(this._segmentRange / 2n).open()
+    }
+
+    /**
+     * Remember quantities of blocks in a log segment if the node cuts it
+     * short, or it is greater than the remembered one. A segment which ends
+     * at `toBlock` of the filter or the safe block is not cut short.
+     *
+     * @private
+     * @param {LogFilter} filter
+     * @param {LogSegment} logSegment
+     */
+    _updateSegmentRange(filter, logSegment) {
+        let {fromBlock, toBlock, safeBlock} = logSegment
+        let range = toBlock.value - fromBlock.value + 1n
+        let isCutShort = toBlock.lt(UInt64.min(filter.toBlock, safeBlock))
+        if (
+            isCutShort ||
+            (this._segmentRange !== undefined && range > this._segmentRange)
+        ) {
+            this._segmentRange = range
+        }
     }
 
     /**
-     * If there is data from `_processorInput` then call `_handler`.
+     * @private
+     * @return {UInt64}
+     */
+    _getReaderToBlock() {
+        let toBlock = this._readerBlockNumber.add(this._logRange)
+        if (this._toBlock === undefined) {
+            return toBlock
+        }
+        return UInt64.min(toBlock, this._toBlock)
+    }
+
+    /**
+     * If there is a chain reorganization then put the changed block number to
+     * `_reorgBlock`.
+     *
+     * @private
+     * @param {LogSegment} logSegment
+     * @return {boolean}
+     */
+    _detectReorg(logSegment) {
+        if (this._blockHashes === undefined) {
+            return false
+        }
+        let reorgBlock = this._blockHashes.findReorgBlock(
+            logSegment, this._readerBlockNumber
+        )
+        if (reorgBlock === undefined) {
+            return false
+        }
+        this._log.warn('chain reorganization', {
+            fromBlock: reorgBlock.toNumber()
+        })
+        this._reorgBlock = reorgBlock
+        return true
+    }
+
+    /**
+     * Put logs from `_readerBlockNumber` to `_readerOutput`, then move
+     * `_readerBlockNumber` forward. If there is no log after
+     * `_readerBlockNumber` then mark the reader as stalled.
+     *
+     * @private
+     * @param {LogSegment} logSegment
+     */
+    _pushReaderOutput(logSegment) {
+        let {logs, toBlock, latestBlock, safeBlock} = logSegment
+        let fromBlock = this._readerBlockNumber
+        if (toBlock.lt(fromBlock)) {
+            this._isReaderStalled = true
+            return
+        }
+        this._readerOutput = LogSegment.create({
+            logs: logs.filter(log => log.blockNumber.gte(fromBlock)),
+            fromBlock, toBlock, latestBlock, safeBlock
+        }).open()
+        this._readerBlockNumber = toBlock.addNumber(1)
+        if (this._blockHashes !== undefined) {
+            this._blockHashes.remember(this._readerOutput)
+        }
+    }
+
+    /**
+     * If there is a chain reorganization then call `_rollbackHandler`.
+     * Otherwise, if there is data from `_processorInput` then call `_handler`.
      *
      * @private
      */
     async _processLogs() {
+        await this._writeCheckpoint()
+        if (this._reorgBlock !== undefined) {
+            await this._rollbackLogs()
+            return
+        }
         if (this._processorInput === undefined) {
             return
         }
@@ -172,7 +832,99 @@ class LogStream {
             this._processorInput,
             this._client
         )
+        this._deliveredBlockNumber = this._processorInput.toBlock
+        this._checkpointBlockNumber = this._deliveredBlockNumber.addNumber(1)
+        this._emitSegment(this._processorInput)
+        this._processorInput = undefined
+        await this._writeCheckpoint()
+    }
+
+    /**
+     * @private
+     * @param {LogSegment} logSegment
+     */
+    _emitSegment(logSegment) {
+        let {fromBlock, toBlock, latestBlock, logs} = logSegment
+        let lag = latestBlock.gt(toBlock)
+            ? latestBlock.sub(toBlock)
+            : UINT64_ZERO
+        this.emit(MetricEvent.SEGMENT, {
+            fromBlock: fromBlock.toNumber(),
+            toBlock: toBlock.toNumber(),
+            logs: logs.length,
+            lag: lag.toNumber()
+        })
+    }
+
+    /**
+     * If there is a saved position then continue reading from there.
+     *
+     * @private
+     * @throws {Error}
+     */
+    async _readCheckpoint() {
+        if (this._checkpoint === undefined) {
+            return
+        }
+        let r1 = await this._checkpoint.read()
+        let blockNumber = r1.open()
+        if (blockNumber === undefined) {
+            return
+        }
+        this._log.info('continue from checkpoint', {
+            blockNumber: blockNumber.toNumber()
+        })
+        this._readerBlockNumber = blockNumber
+        if (this._blockHashes !== undefined) {
+            this._blockHashes.reset(blockNumber)
+        }
+    }
+
+    /**
+     * Save `_checkpointBlockNumber` if there is. On failure, it is kept and
+     * processing is not continued until it is saved.
+     *
+     * @private
+     * @throws {Error}
+     */
+    async _writeCheckpoint() {
+        let blockNumber = this._checkpointBlockNumber
+        if (blockNumber === undefined) {
+            return
+        }
+        if (this._checkpoint !== undefined) {
+            let r1 = await this._checkpoint.write(blockNumber)
+            r1.open()
+        }
+        this._checkpointBlockNumber = undefined
+    }
+
+    /**
+     * Drop logs which are not delivered yet, ask `_rollbackHandler` for
+     * reverting delivered logs from `_reorgBlock`, then read logs again from
+     * that block.
+     *
+     * @private
+     */
+    async _rollbackLogs() {
+        let fromBlock = this._reorgBlock
+        let toBlock = this._deliveredBlockNumber
+        if (toBlock !== undefined && fromBlock.lte(toBlock)) {
+            await this._rollbackHandler(fromBlock, toBlock, this._client)
+            this._deliveredBlockNumber = fromBlock.gt(this._fromBlock)
+                ? fromBlock.subNumber(1)
+                : undefined
+        }
+        let input = this._processorInput
+        let readerBlockNumber = (input && input.fromBlock.lt(fromBlock))
+            ? input.fromBlock
+            : fromBlock
         this._processorInput = undefined
+        this._blockHashes.forgetFrom(readerBlockNumber)
+        this._readerBlockNumber = readerBlockNumber
+        this._checkpointBlockNumber = readerBlockNumber
+        this._reorgBlock = undefined
+        await this._writeCheckpoint()
     }
 
     /**
@@ -186,9 +938,63 @@ class LogStream {
     async _idle(readerResult, processorResult) {
         let moment = this._evaluateIdleMoment(readerResult, processorResult)
         let {value: miliseconds} = moment
-        if (miliseconds > 0) {
-            this._log.info('idle for', moment.format())
-            await delay(miliseconds)
+        if (miliseconds > 0 && !this._isStopping) {
+            this._log.info('idle', {timespan: moment.value})
+            await this._sleep(miliseconds)
+        }
+    }
+
+    /**
+     * Subscribe new blocks for waking up from idle immediately instead of
+     * waiting for `idleTimespan`. It requires a WebSocket endpoint, if there
+     * is no one then it is not tried anymore. A failed or closed subscription
+     * is tried again on next loop.
+     *
+     * @private
+     */
+    async _followNewHeads() {
+        if (
+            this._isNewHeadsUnsupported ||
+            this._isReaderCompleted() ||
+            (this._headSubscription && this._headSubscription.isActive)
+        ) {
+            return
+        }
+        let r1 = await this._client.subscribeNewHeads(() => {
+            this._interruptSleep()
+        })
+        if (r1.error) {
+            this._isNewHeadsUnsupported = r1.error.code === GATEWAY_NO_BACKEND
+            return
+        }
+        this._headSubscription = r1.data
+    }
+
+    /**
+     * Similar to `delay()` but it could be interrupted by
+     * {@link LogStream._interruptSleep}.
+     *
+     * @private
+     * @param {number} miliseconds
+     * @return {Promise<undefined>}
+     */
+    _sleep(miliseconds) {
+        return new Promise(resolve => {
+            let timer = setTimeout(resolve, miliseconds)
+            this._wakeUp = () => {
+                clearTimeout(timer)
+                resolve()
+            }
+        })
+    }
+
+    /**
+     * @private
+     */
+    _interruptSleep() {
+        if (this._wakeUp !== undefined) {
+            this._wakeUp()
+            this._wakeUp = undefined
         }
     }
 
@@ -202,7 +1008,8 @@ class LogStream {
         if (
             readerResult.status === 'rejected' ||
             processorResult.status === 'rejected' ||
-            this._clientError !== undefined
+            this._clientError !== undefined ||
+            this._isReaderStalled
         ) {
             return this._idleTimespan
         }
@@ -210,12 +1017,58 @@ class LogStream {
             return TIMESPAN_ZERO
         }
         let {safeBlock} = this._readerOutput
-        if (this._readerBlockNumber.lt(safeBlock)) {
+        if (
+            this._isReaderCompleted() ||
+            this._readerBlockNumber.lt(safeBlock)
+        ) {
             return TIMESPAN_ZERO
         }
         return this._idleTimespan
     }
 
+    /**
+     * Validate relations between values of a configuration for
+     * {@link LogStream.create}. Types of values must be validated before.
+     *
+     * @private
+     * @param {object} config
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateConfigValues(config) {
+        let {fromBlock, toBlock, addresses, parallelRange} = config
+        let r1 = validateArrayItems(addresses || [], Address)
+        if (r1.error) {
+            return r1
+        }
+        if (toBlock !== undefined && toBlock.lt(fromBlock || UINT64_ZERO)) {
+            return Result.typeError('toBlock: expect not less than fromBlock')
+        }
+        if (parallelRange !== undefined && parallelRange.value === 0n) {
+            return Result.typeError('parallelRange: expect greater than 0')
+        }
+        return LogStream._validateReorgConfig(config)
+    }
+
+    /**
+     * @private
+     * @param {object} config
+     * @param {UInt64} [config.reorgDepth]
+     * @param {RollbackHandler} [config.rollbackHandler]
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateReorgConfig(config) {
+        let {reorgDepth, rollbackHandler} = config
+        if ((reorgDepth === undefined) !== (rollbackHandler === undefined)) {
+            return Result.typeError(
+                'expect both reorgDepth and rollbackHandler or none of them'
+            )
+        }
+        if (reorgDepth !== undefined && reorgDepth.value === 0n) {
+            return Result.typeError('reorgDepth: expect greater than 0')
+        }
+        return Result.ok()
+    }
+
     /**
      * @private
      */
@@ -0,0 +1,257 @@
+'use strict'
+
+const util = require('util')
+const {Log: StdioLog} = require('stdio_log')
+const {Result} = require('./type')
+
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error']
+
+/**
+ * A logger that is accepted by `Client`, `Gateway`, `SafeNode` and
+ * `RequestValve`. Each method receives a short message and a context object
+ * such as `{host, method, errorCode}`, so implementations could write
+ * structured logs.
+ *
+ * This is an interface, any object that has these methods is accepted, it
+ * is not required to extend this class. See {@link StdioLogger} for an
+ * adapter of `stdio_log` and {@link NoopLogger} for discarding logs.
+ *
+ * @abstract
+ * @example
+ * // An adapter for pino, it expects context before message.
+ * let log = {
+ *     debug: (message, context) => pino.debug(context, message),
+ *     info: (message, context) => pino.info(context, message),
+ *     warn: (message, context) => pino.warn(context, message),
+ *     error: (message, context) => pino.error(context, message)
+ * }
+ * let client = Client.create({mainEndpoints, log}).open()
+ */
+class Logger {
+    /**
+     * @function Logger#debug
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+
+    /**
+     * @abstract
+     * @throws {Error}
+     */
+    debug() {
+        throw new Error('Logger.debug() is not implemented')
+    }
+
+    /**
+     * @function Logger#info
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+
+    /**
+     * @abstract
+     * @throws {Error}
+     */
+    info() {
+        throw new Error('Logger.info() is not implemented')
+    }
+
+    /**
+     * @function Logger#warn
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+
+    /**
+     * @abstract
+     * @throws {Error}
+     */
+    warn() {
+        throw new Error('Logger.warn() is not implemented')
+    }
+
+    /**
+     * @function Logger#error
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+
+    /**
+     * @abstract
+     * @throws {Error}
+     */
+    error() {
+        throw new Error('Logger.error() is not implemented')
+    }
+
+    /**
+     * Accept a logger or an instance of `stdio_log`, which is wrapped by
+     * {@link StdioLogger}.
+     *
+     * @param {any} value
+     * @return {Result<TypeError, Logger>}
+     */
+    static from(value) {
+        if (value instanceof StdioLog) {
+            return Result.ok(new StdioLogger(value))
+        }
+        let isLogger = value !== null &&
+            typeof value === 'object' &&
+            LOGGER_METHODS.every(name => typeof value[name] === 'function')
+        if (!isLogger) {
+            return Result.typeError('expect a Logger')
+        }
+        return Result.ok(value)
+    }
+
+    /**
+     * Create a logger that adds `context` to contexts of all of messages.
+     *
+     * @param {Logger} logger
+     * @param {object} context
+     * @return {Logger}
+     */
+    static withContext(logger, context) {
+        return new ContextLogger(logger, context)
+    }
+}
+
+/**
+ * Discard all of messages.
+ */
+class NoopLogger extends Logger {
+    debug() {}
+
+    info() {}
+
+    warn() {}
+
+    error() {}
+}
+
+/**
+ * Write messages by `stdio_log`, contexts are written as `key=value` pairs
+ * after messages. Objects and errors are inspected, so errors are written
+ * with their stacks.
+ *
+ * @example
+ * let log = new StdioLogger(new StdioLog(LogLevel.INFO))
+ */
+class StdioLogger extends Logger {
+    /**
+     * @param {StdioLog} stdioLog
+     */
+    constructor(stdioLog) {
+        super()
+        this._stdioLog = stdioLog
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    debug(message, context = {}) {
+        this._stdioLog.debug(message, ...StdioLogger._format(context))
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    info(message, context = {}) {
+        this._stdioLog.info(message, ...StdioLogger._format(context))
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    warn(message, context = {}) {
+        this._stdioLog.warn(message, ...StdioLogger._format(context))
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    error(message, context = {}) {
+        this._stdioLog.error(message, ...StdioLogger._format(context))
+    }
+
+    /**
+     * @private
+     * @param {object} context
+     * @return {Array<string>}
+     */
+    static _format(context) {
+        return Object.entries(context)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}=${StdioLogger._formatValue(value)}`)
+    }
+
+    /**
+     * @private
+     * @param {any} value
+     * @return {string}
+     */
+    static _formatValue(value) {
+        return value !== null && typeof value === 'object'
+            ? util.inspect(value)
+            : String(value)
+    }
+}
+
+/**
+ * See {@link Logger.withContext}.
+ *
+ * @private
+ */
+class ContextLogger extends Logger {
+    /**
+     * @param {Logger} logger
+     * @param {object} context
+     */
+    constructor(logger, context) {
+        super()
+        this._logger = logger
+        this._context = context
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    debug(message, context = {}) {
+        this._logger.debug(message, {...this._context, ...context})
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    info(message, context = {}) {
+        this._logger.info(message, {...this._context, ...context})
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    warn(message, context = {}) {
+        this._logger.warn(message, {...this._context, ...context})
+    }
+
+    /**
+     * @param {string} message
+     * @param {object} [context={}]
+     */
+    error(message, context = {}) {
+        this._logger.error(message, {...this._context, ...context})
+    }
+}
+
+module.exports = {
+    Logger,
+    NoopLogger,
+    StdioLogger
+}
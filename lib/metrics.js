@@ -0,0 +1,261 @@
+'use strict'
+
+const EventEmitter = require('events')
+const {validateInstance} = require('minitype')
+const {MetricEvent} = require('./type')
+
+/**
+ * Definitions of metrics, each has name, type and help.
+ *
+ * @private
+ */
+const METRICS = {
+    requests: [
+        'ethlog_requests_total', 'counter', 'Requests to nodes.'
+    ],
+    requestErrors: [
+        'ethlog_request_errors_total', 'counter', 'Failed requests to nodes.'
+    ],
+    requestDuration: [
+        'ethlog_request_duration_milliseconds', 'summary',
+        'Duration of requests to nodes.'
+    ],
+    responseBytes: [
+        'ethlog_response_bytes_total', 'counter', 'Size of responses.'
+    ],
+    locks: [
+        'ethlog_node_locks_total', 'counter', 'Nodes are locked by errors.'
+    ],
+    locked: [
+        'ethlog_node_locked', 'gauge', '1 if the node is locked by an error.'
+    ],
+    logRange: [
+        'ethlog_node_log_range', 'gauge', 'Estimated log range of the node.'
+    ],
+    segments: [
+        'ethlog_stream_segments_total', 'counter', 'Delivered log segments.'
+    ],
+    logs: [
+        'ethlog_stream_logs_total', 'counter', 'Delivered logs.'
+    ],
+    streamBlock: [
+        'ethlog_stream_block', 'gauge', 'Last delivered block.'
+    ],
+    streamLag: [
+        'ethlog_stream_lag_blocks', 'gauge',
+        'Blocks from last delivered block to the latest block.'
+    ]
+}
+/**
+ * Events of nodes which are re-emitted by gateways and clients.
+ *
+ * @private
+ */
+const NODE_EVENTS = [
+    MetricEvent.REQUEST,
+    MetricEvent.RESPONSE,
+    MetricEvent.LOCK,
+    MetricEvent.UNLOCK,
+    MetricEvent.LOG_RANGE
+]
+
+/**
+ * Re-emit events from `source` by `target`.
+ *
+ * @param {EventEmitter} source
+ * @param {EventEmitter} target
+ * @param {Array<string>} [names] - Names of events, default is events of
+ * nodes.
+ */
+function forwardEvents(source, target, names = NODE_EVENTS) {
+    for (let name of names) {
+        source.on(name, event => target.emit(name, event))
+    }
+}
+
+/**
+ * @param {string} value
+ * @return {string}
+ */
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+}
+
+/**
+ * Collect events from clients and log streams, then render them in
+ * Prometheus text format. Serving the text is left to applications.
+ *
+ * @example
+ * let exporter = new PrometheusExporter()
+ * exporter.observe(client)
+ * exporter.observe(stream)
+ * http.createServer((req, res) => res.end(exporter.render())).listen(9100)
+ */
+class PrometheusExporter {
+    constructor() {
+        this._metrics = new Map()
+    }
+
+    /**
+     * Start collecting events of an emitter, such as a `Client`, a `Gateway`,
+     * a `SafeNode` or a `LogStream`.
+     *
+     * @param {EventEmitter} emitter
+     * @throws {TypeError}
+     */
+    observe(emitter) {
+        validateInstance(emitter, EventEmitter).open()
+        emitter.on(MetricEvent.REQUEST, e => this._onRequest(e))
+        emitter.on(MetricEvent.RESPONSE, e => this._onResponse(e))
+        emitter.on(MetricEvent.LOCK, e => this._onLock(e))
+        emitter.on(MetricEvent.UNLOCK, e => this._onUnlock(e))
+        emitter.on(MetricEvent.LOG_RANGE, e => this._onLogRange(e))
+        emitter.on(MetricEvent.SEGMENT, e => this._onSegment(e))
+    }
+
+    /**
+     * @return {string} Metrics in Prometheus text format.
+     */
+    render() {
+        let lines = []
+        for (let {definition, samples} of this._metrics.values()) {
+            let [name, type, help] = definition
+            lines.push(`# HELP ${name} ${help}`)
+            lines.push(`# TYPE ${name} ${type}`)
+            for (let sample of samples.values()) {
+                lines.push(`${sample.name}${sample.labels} ${sample.value}`)
+            }
+        }
+        return lines.map(line => line + '\n').join('')
+    }
+
+    /**
+     * @private
+     * @param {object} event
+     */
+    _onRequest(event) {
+        let {host, method} = event
+        this._add(METRICS.requests, '', {host, method}, 1)
+    }
+
+    /**
+     * @private
+     * @param {object} event
+     */
+    _onResponse(event) {
+        let {host, method, latency, size, errorCode} = event
+        let labels = {host, method}
+        this._add(METRICS.requestDuration, '_sum', labels, latency)
+        this._add(METRICS.requestDuration, '_count', labels, 1)
+        if (size !== undefined) {
+            this._add(METRICS.responseBytes, '', labels, size)
+        }
+        if (errorCode !== undefined) {
+            let errorLabels = {host, method, code: errorCode}
+            this._add(METRICS.requestErrors, '', errorLabels, 1)
+        }
+    }
+
+    /**
+     * @private
+     * @param {object} event
+     */
+    _onLock(event) {
+        let {host, errorCode} = event
+        this._add(METRICS.locks, '', {host, code: errorCode}, 1)
+        this._set(METRICS.locked, {host}, 1)
+    }
+
+    /**
+     * @private
+     * @param {object} event
+     */
+    _onUnlock(event) {
+        let {host} = event
+        this._set(METRICS.locked, {host}, 0)
+    }
+
+    /**
+     * @private
+     * @param {object} event
+     */
+    _onLogRange(event) {
+        let {host, logRange} = event
+        this._set(METRICS.logRange, {host}, logRange)
+    }
+
+    /**
+     * @private
+     * @param {object} event
+     */
+    _onSegment(event) {
+        let {toBlock, logs, lag} = event
+        this._add(METRICS.segments, '', {}, 1)
+        this._add(METRICS.logs, '', {}, logs)
+        this._set(METRICS.streamBlock, {}, toBlock)
+        this._set(METRICS.streamLag, {}, lag)
+    }
+
+    /**
+     * @private
+     * @param {Array<string>} definition - Item of `METRICS`.
+     * @param {string} suffix - Such as `_sum`, `_count` for summaries.
+     * @param {object} labels
+     * @param {number} value
+     */
+    _add(definition, suffix, labels, value) {
+        let sample = this._getSample(definition, suffix, labels)
+        sample.value += value
+    }
+
+    /**
+     * @private
+     * @param {Array<string>} definition - Item of `METRICS`.
+     * @param {object} labels
+     * @param {number} value
+     */
+    _set(definition, labels, value) {
+        let sample = this._getSample(definition, '', labels)
+        sample.value = value
+    }
+
+    /**
+     * @private
+     * @param {Array<string>} definition
+     * @param {string} suffix
+     * @param {object} labels
+     * @return {object} Sample which has `name`, `labels` as text and `value`.
+     */
+    _getSample(definition, suffix, labels) {
+        let [name] = definition
+        if (!this._metrics.has(name)) {
+            this._metrics.set(name, {definition, samples: new Map()})
+        }
+        let {samples} = this._metrics.get(name)
+        let labelText = PrometheusExporter._formatLabels(labels)
+        let key = suffix + labelText
+        if (!samples.has(key)) {
+            samples.set(key, {name: name + suffix, labels: labelText, value: 0})
+        }
+        return samples.get(key)
+    }
+
+    /**
+     * @private
+     * @param {object} labels
+     * @return {string}
+     */
+    static _formatLabels(labels) {
+        let pairs = Object.entries(labels)
+            .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+    }
+}
+
+module.exports = {
+    PrometheusExporter,
+    forwardEvents
+}
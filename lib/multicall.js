@@ -0,0 +1,305 @@
+'use strict'
+
+const {
+    UInt,
+    validateInstanceMap,
+    validateArrayItems
+} = require('minitype')
+const {Codec} = require('./codec')
+const {Client} = require('./client')
+const {Contract, ContractRevertError} = require('./contract')
+const {Result, BadError, Address, UInt64} = require('./type')
+const {
+    NODE_BAD_REQUEST,
+    NODE_BAD_RESPONSE,
+    NODE_BAD_SERVER
+} = require('./type').ErrorCode
+
+/**
+ * Multicall3 is deployed at the same address on most of chains, see
+ * [Multicall3](https://github.com/mds1/multicall).
+ *
+ * @private
+ */
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+const MULTICALL3_ABI = [
+    {
+        type: 'function',
+        name: 'aggregate3',
+        stateMutability: 'payable',
+        inputs: [
+            {
+                name: 'calls',
+                type: 'tuple[]',
+                components: [
+                    {name: 'target', type: 'address'},
+                    {name: 'allowFailure', type: 'bool'},
+                    {name: 'callData', type: 'bytes'}
+                ]
+            }
+        ],
+        outputs: [
+            {
+                name: 'returnData',
+                type: 'tuple[]',
+                components: [
+                    {name: 'success', type: 'bool'},
+                    {name: 'returnData', type: 'bytes'}
+                ]
+            }
+        ]
+    }
+]
+/**
+ * Errors that nodes return for batches which are too large, such as gas
+ * limits of `eth_call` and sizes of requests or responses. Errors of the last
+ * tried nodes are returned by {@link Gateway.proxy}. Batches are split in
+ * halves on them. Timeouts are `NODE_OVERLOADING`, they are not split
+ * because the node is locked for a while.
+ *
+ * @private
+ */
+const SPLITTABLE_CODES = [
+    NODE_BAD_REQUEST,
+    NODE_BAD_RESPONSE,
+    NODE_BAD_SERVER
+]
+/**
+ * Times that a batch is split at most, so errors which are not caused by
+ * sizes of batches do not cost too many requests.
+ *
+ * @private
+ */
+const MAX_SPLIT_DEPTH = 4
+
+/**
+ * @typedef {object} MulticallItem
+ * @property {Contract} contract - Contract to call, it's codec encodes and
+ * decodes the call.
+ * @property {string} method - Method to be call.
+ * @property {Array} [data=[]] - Positional arguments which is pass to method.
+ */
+
+/**
+ * Read many contracts by `aggregate3` of Multicall3, so thousands of calls
+ * cost a few requests instead of a request for each of them. A failed call
+ * does not fail others.
+ *
+ * @example
+ * let multicall = Multicall.create({client}).open()
+ * let result = await multicall.aggregate(
+ *     holders.map(holder => {
+ *         return {contract: token, method: 'balanceOf', data: [holder]}
+ *     })
+ * )
+ * for (let {error, data} of result.open()) {
+ *     // Each call has it's own result.
+ * }
+ */
+class Multicall {
+    /**
+     * Address of the Multicall3 contract.
+     *
+     * @type {Address}
+     */
+    get address() {
+        return this._contract.address
+    }
+
+    /**
+     * Quantity of calls in an `aggregate3` call at most.
+     *
+     * @type {UInt}
+     */
+    get batchSize() {
+        return this._batchSize
+    }
+
+    /**
+     * Initialize by {@link Multicall.create}.
+     *
+     * @param {object} config
+     * @param {Contract} config.contract - The Multicall3 contract.
+     * @param {UInt} config.batchSize
+     */
+    constructor(config) {
+        this._contract = config.contract
+        this._batchSize = config.batchSize
+    }
+
+    /**
+     *
+     * @param {object} config
+     * @param {Client} config.client
+     * @param {Address} [config.address] - Address of the Multicall3
+     * contract, default is `0xcA11bde05977b3631167028862bE2a173976CA11`.
+     * @param {UInt} [config.batchSize=500] - Quantity of calls in an
+     * `aggregate3` call at most. Batches are split further if nodes reject
+     * them, up to 4 times.
+     * @return {Result<TypeError, Multicall>}
+     */
+    static create(config) {
+        let r1 = validateInstanceMap(config, [
+            ['client', Client],
+            ['address', Address, true],
+            ['batchSize', UInt, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {client, address, batchSize} = config
+        if (batchSize && batchSize.value < 1) {
+            return Result.typeError('batchSize: expect a positive integer')
+        }
+        let contract = Contract.create(
+            address || Address.fromHeximal(MULTICALL3_ADDRESS).open(),
+            Codec.create(MULTICALL3_ABI).open(),
+            client
+        ).open()
+        let instance = new Multicall({
+            contract: contract,
+            batchSize: batchSize || UInt.fromNumber(500).open()
+        })
+        return Result.ok(instance)
+    }
+
+    /**
+     * Perform calls by batches of `aggregate3`. Batches are performed one by
+     * one, a batch is split in halves if a node rejects it, up to 4 times.
+     *
+     * @param {Array<MulticallItem>} calls
+     * @param {UInt64 | string | object} [blockNumber='latest'] -
+     * See {@link Contract.call}.
+     * @param {object} [options={}] - See {@link Contract.call}.
+     * @return {Promise<Result<TypeError | BadError, Array<Result>>>} Result
+     * of each call is in the same order. It is decoded data, or a
+     * {@link ContractRevertError} if the call is reverted.
+     */
+    async aggregate(calls, blockNumber = 'latest', options = {}) {
+        let r1 = Multicall._encodeCalls(calls)
+        if (r1.error) {
+            return r1
+        }
+        let results = []
+        let batchSize = this._batchSize.value
+        for (let i = 0; i < calls.length; i += batchSize) {
+            let r2 = await this._aggregateBatch(
+                calls.slice(i, i + batchSize),
+                r1.data.slice(i, i + batchSize),
+                blockNumber,
+                options,
+                0
+            )
+            if (r2.error) {
+                return r2
+            }
+            results.push(...r2.data)
+        }
+        return Result.ok(results)
+    }
+
+    /**
+     * @private
+     * @param {Array<MulticallItem>} calls
+     * @param {Array<Array>} encodedCalls - Inputs of `aggregate3`.
+     * @param {UInt64 | string | object} blockNumber
+     * @param {object} options
+     * @param {number} depth - Times that the batch is split.
+     * @return {Promise<Result<TypeError | BadError, Array<Result>>>}
+     */
+    async _aggregateBatch(calls, encodedCalls, blockNumber, options, depth) {
+        let r1 = await this._contract.call(
+            'aggregate3', [encodedCalls], blockNumber, options
+        )
+        if (!r1.error) {
+            let [returnData] = r1.data
+            return Result.ok(Multicall._decodeResults(calls, returnData))
+        }
+        if (
+            calls.length < 2 ||
+            depth >= MAX_SPLIT_DEPTH ||
+            !SPLITTABLE_CODES.includes(r1.error.code)
+        ) {
+            return r1
+        }
+        let middle = Math.ceil(calls.length / 2)
+        let results = []
+        for (let [begin, end] of [[0, middle], [middle, calls.length]]) {
+            let r2 = await this._aggregateBatch(
+                calls.slice(begin, end), encodedCalls.slice(begin, end),
+                blockNumber, options, depth + 1
+            )
+            if (r2.error) {
+                return r2
+            }
+            results.push(...r2.data)
+        }
+        return Result.ok(results)
+    }
+
+    /**
+     * @private
+     * @param {Array<MulticallItem>} calls
+     * @return {Result<TypeError, Array<Array>>} Inputs of `aggregate3`.
+     */
+    static _encodeCalls(calls) {
+        let r1 = validateArrayItems(calls, 'object')
+        if (r1.error) {
+            return Result.typeError(`calls: ${r1.error.message}`)
+        }
+        let encodedCalls = []
+        for (let [index, call] of calls.entries()) {
+            let r2 = Multicall._encodeCall(call)
+            if (r2.error) {
+                return Result.typeError(`calls[${index}]: ${r2.error.message}`)
+            }
+            encodedCalls.push(r2.data)
+        }
+        return Result.ok(encodedCalls)
+    }
+
+    /**
+     * @private
+     * @param {MulticallItem} call
+     * @return {Result<TypeError, Array>} An input of `aggregate3`.
+     */
+    static _encodeCall(call) {
+        let r1 = validateInstanceMap(call, [
+            ['contract', Contract],
+            ['method', 'string'],
+            ['data', Array, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {contract, method, data = []} = call
+        let r2 = contract.codec.encodeFunctionData(method, data)
+        if (r2.error) {
+            return Result.typeError(`data: ${r2.error.message}`)
+        }
+        return Result.ok([contract.address.toHeximal(), true, r2.data])
+    }
+
+    /**
+     * @private
+     * @param {Array<MulticallItem>} calls
+     * @param {Array<object>} returnData - Outputs of `aggregate3`, each
+     * item has `success` and `returnData`.
+     * @return {Array<Result>}
+     */
+    static _decodeResults(calls, returnData) {
+        return calls.map(({contract, method}, index) => {
+            let {success, returnData: data} = returnData[index]
+            if (!success) {
+                return Result.error(
+                    ContractRevertError.fromRevertData(contract.codec, data)
+                )
+            }
+            return contract.codec.decodeFunctionResult(method, data)
+        })
+    }
+}
+
+module.exports = {
+    Multicall
+}
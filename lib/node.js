@@ -8,6 +8,7 @@ const {
     Timestamp,
     validateInstanceMap,
     validateInstance,
+    validateArrayItems,
     mapArray
 } = require('minitype')
 const {
@@ -18,16 +19,32 @@ const {
     Block,
     LogFilter,
     Log,
-    Transaction
+    Transaction,
+    Receipt
 } = require('./type')
 const {
     NODE_OVERLOADING,
+    NODE_RATE_LIMITED,
     NODE_BAD_REQUEST,
     NODE_BAD_RESPONSE,
     NODE_BAD_SERVER,
     NODE_NO_BLOCK,
     NODE_NO_TRANSACTION
 } = require('./type').ErrorCode
+const {CallOptions} = require('./call_options')
+const {RpcErrorClassifier} = require('./rpc_error_classifier')
+const {RateLimit} = require('./rate_limit')
+
+/**
+ * @typedef {object} RpcCall
+ * @property {string} method - See
+ * [ETH JSON RPC](https://eth.wiki/json-rpc/API).
+ * @property {Array<any>} params - Positional arguments to pass to method.
+ */
+
+/**
+ * @typedef {Array<Result<BadError, NodeResponse>>} BatchResults
+ */
 
 class HttpResponse {
     /**
@@ -37,12 +54,23 @@ class HttpResponse {
      * @param {object} values.body
      * @param {Timespan} values.time
      * @param {DataSize} values.size
+     * @param {object} [values.headers={}] - Names are in lower case.
      */
     constructor(values) {
         this.status = values.status
         this.body = values.body
         this.time = values.time
         this.size = values.size
+        this.headers = values.headers || {}
+    }
+
+    /**
+     * Limits that are advertised by headers of the response.
+     *
+     * @type {RateLimit}
+     */
+    get rateLimit() {
+        return RateLimit.fromHeaders(this.headers)
     }
 
     /**
@@ -54,7 +82,8 @@ class HttpResponse {
     static fromAxiosResponse(response, responseTime) {
         let r1 = validateInstanceMap(response, [
             ['status', 'number'],
-            ['data', 'string', true]
+            ['data', 'string', true],
+            ['headers', 'object', true]
         ], false)
         if (r1.error) {
             return r1
@@ -63,16 +92,28 @@ class HttpResponse {
         if (r2.error) {
             return r2
         }
-        let {status, data: body} = response
+        let {status, data: body, headers} = response
         let bodySize = body ? body.length : 0
         let data = new HttpResponse({
             status: status,
             body: body,
             time: responseTime,
-            size: DataSize.fromBytes(bodySize).open()
+            size: DataSize.fromBytes(bodySize).open(),
+            headers: HttpResponse._lowerHeaderNames(headers)
         })
         return Result.ok(data)
     }
+
+    /**
+     * @private
+     * @param {object} [headers={}]
+     * @return {object}
+     */
+    static _lowerHeaderNames(headers = {}) {
+        let entries = Object.entries(headers)
+            .map(([name, value]) => [name.toLowerCase(), value])
+        return Object.fromEntries(entries)
+    }
 }
 
 class JsonResponse {
@@ -100,7 +141,10 @@ class JsonResponse {
             return JsonResponse._parseHttpResponse(httpResponse)
         }
         let message = `http status ${status}`
-        if (status === 429 || status === 503) {
+        if (status === 429) {
+            return Result.badError(NODE_RATE_LIMITED, message, httpResponse)
+        }
+        if (status === 503) {
             return Result.badError(NODE_OVERLOADING, message, httpResponse)
         }
         if (status >= 400 && status < 500) {
@@ -203,10 +247,11 @@ class RpcResponse {
     /**
      * ETH RPC does not follow JSON RPC 2.0 specifications. It does not return
      * standard error codes such as: -32700, -32600, -32601, -32602. They do
-     * not define their own too. Because of that, there is no way to clarify
-     * error comes from client or sever. All valid error responses without
-     * `message` is consider as `CODE_BAD_RESPONSE`, other ones it is
-     * consider as `CODE_BAD_RESPONSE`.
+     * not define their own too. Because of that, errors are classified by
+     * {@link RpcErrorClassifier}, such as `NODE_LOG_RANGE_TOO_LARGE`,
+     * `NODE_RATE_LIMITED`. All valid error responses without `message` is
+     * consider as `NODE_BAD_RESPONSE`, unrecognized ones are consider as
+     * `NODE_BAD_REQUEST`.
      *
      * See [JSON RPC 2.0](https://jsonrpc.org/historical/json-rpc-2-0.html)
      * fore more details about error code.
@@ -221,7 +266,8 @@ class RpcResponse {
             let message = 'json rpc v2: no error message'
             return Result.badError(NODE_BAD_RESPONSE, message, jsonResponse)
         }
-        return Result.badError(NODE_BAD_REQUEST, message, jsonResponse)
+        let code = RpcErrorClassifier.classify(jsonResponse.data.error)
+        return Result.badError(code, message, jsonResponse)
     }
 }
 
@@ -289,6 +335,16 @@ class Node {
         return this._host
     }
 
+    /**
+     * Limits that are advertised by the latest HTTP response, `undefined`
+     * if there is no response yet.
+     *
+     * @type {RateLimit | undefined}
+     */
+    get rateLimit() {
+        return this._rateLimit
+    }
+
     /**
      * Initialize by {@link Node.create}.
      *
@@ -297,25 +353,19 @@ class Node {
      */
     constructor(config) {
         let {endpoint} = config
-        let {url, username, password, timeout} = endpoint
-        this._httpClient = axios.create({
-            baseURL: url.value.toString(),
-            timeout: timeout.value,
-            headers: Node._makeHttpClientHeaders(username, password),
-            validateStatus: () => true,
-            transformResponse: (response) => response
-        })
         this._host = endpoint.url.value.host
+        this._initTransport(endpoint)
     }
 
     /**
      * Retrive number of latest mined block.
      * RPC: `eth_blockNumber`.
      *
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse<UInt64>>>}
      */
-    async getBlockNumber() {
-        let r1 = await this._requestRpc('eth_blockNumber', [])
+    async getBlockNumber(options = CallOptions.none()) {
+        let r1 = await this._requestRpc('eth_blockNumber', [], options)
         if (r1.error) {
             return r1
         }
@@ -340,46 +390,91 @@ class Node {
      * RPC: `eth_getBlockByNumber`.
      *
      * @param {UInt64} blockNumber
+     * @param {boolean} [fullTransactions=false] - Retrieve transactions
+     * instead of their hashes.
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse<Block>>>}
      */
-    async getBlockByNumber(blockNumber) {
+    async getBlockByNumber(
+        blockNumber, fullTransactions = false, options = CallOptions.none()
+    ) {
         let heximal = blockNumber.toHeximal()
         let r1 = await this._requestRpc(
-            'eth_getBlockByNumber', [heximal, false]
+            'eth_getBlockByNumber', [heximal, fullTransactions], options
         )
         if (r1.error) {
             return r1
         }
         let {data: rpcResponse} = r1
-        let {data: result} = rpcResponse
-        if (!result) {
-            return Result.badError(NODE_NO_BLOCK, 'missing or not mined yet')
-        }
-        let r2 = Block.fromRpcResult(result)
+        let r2 = Node._parseBlock(rpcResponse)
         if (r2.error) {
-            return Result.badError(
-                NODE_BAD_RESPONSE, r2.error.message, rpcResponse
-            )
+            return r2
         }
-        let {data: block} = r2
         let data = NodeResponse.create({
-            data: block,
+            data: r2.data,
             time: rpcResponse.time,
             size: rpcResponse.size
         }).open()
         return Result.ok(data)
     }
 
+    /**
+     * Retrieve blocks in range `[fromBlock, toBlock]` by a batch.
+     * RPC: `eth_getBlockByNumber`.
+     *
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock
+     * @param {boolean} [fullTransactions=false] - Retrieve transactions
+     * instead of their hashes.
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Array<Block>>>>} Blocks
+     * are in order of numbers. Response size is total size of blocks.
+     */
+    async getBlocks(
+        fromBlock, toBlock, fullTransactions = false,
+        options = CallOptions.none()
+    ) {
+        let calls = []
+        for (let n = fromBlock; n.lte(toBlock); n = n.addNumber(1)) {
+            let params = [n.toHeximal(), fullTransactions]
+            calls.push({method: 'eth_getBlockByNumber', params})
+        }
+        let r1 = await this.batch(calls, options)
+        if (r1.error) {
+            return r1
+        }
+        let blocks = []
+        for (let result of r1.data) {
+            let r2 = result.error ? result : Node._parseBlock(result.data)
+            if (r2.error) {
+                return r2
+            }
+            blocks.push(r2.data)
+        }
+        let size = r1.data
+            .map(({data}) => data.size.toNumber().open())
+            .reduce((a, b) => a + b)
+        let data = NodeResponse.create({
+            data: blocks,
+            time: r1.data[0].data.time,
+            size: DataSize.fromBytes(size).open()
+        }).open()
+        return Result.ok(data)
+    }
+
     /**
      * Retrieve a transaction by it's hash.
      * RPC: `eth_getTransactionByHash`.
      *
      * @param {ByteData32} hash
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse<Transaction>>>}
      */
-    async getTransactionByHash(hash) {
+    async getTransactionByHash(hash, options = CallOptions.none()) {
         let heximal = hash.toHeximal()
-        let r1 = await this._requestRpc('eth_getTransactionByHash', [heximal])
+        let r1 = await this._requestRpc(
+            'eth_getTransactionByHash', [heximal], options
+        )
         if (r1.error) {
             return r1
         }
@@ -405,16 +500,91 @@ class Node {
         return Result.ok(data)
     }
 
+    /**
+     * Retrieve receipt of a transaction by it's hash.
+     * RPC: `eth_getTransactionReceipt`.
+     *
+     * @param {ByteData32} hash
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Receipt>>>}
+     */
+    async getTransactionReceipt(hash, options = CallOptions.none()) {
+        let heximal = hash.toHeximal()
+        let r1 = await this._requestRpc(
+            'eth_getTransactionReceipt', [heximal], options
+        )
+        if (r1.error) {
+            return r1
+        }
+        let {data: rpcResponse} = r1
+        let {data: result} = rpcResponse
+        if (!result) {
+            return Result.badError(
+                NODE_NO_TRANSACTION, 'missing or not mined yet'
+            )
+        }
+        let r2 = Receipt.fromRpcResult(result)
+        if (r2.error) {
+            return Result.badError(
+                NODE_BAD_RESPONSE, r2.error.message, rpcResponse
+            )
+        }
+        let data = NodeResponse.create({
+            data: r2.data,
+            time: rpcResponse.time,
+            size: rpcResponse.size
+        }).open()
+        return Result.ok(data)
+    }
+
+    /**
+     * Retrieve receipts of all transactions in a block. Not all of nodes
+     * support this method.
+     * RPC: `eth_getBlockReceipts`.
+     *
+     * @param {UInt64} blockNumber
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Array<Receipt>>>>}
+     * Receipts are in order of transactions.
+     */
+    async getBlockReceipts(blockNumber, options = CallOptions.none()) {
+        let heximal = blockNumber.toHeximal()
+        let r1 = await this._requestRpc(
+            'eth_getBlockReceipts', [heximal], options
+        )
+        if (r1.error) {
+            return r1
+        }
+        let {data: rpcResponse} = r1
+        let {data: result} = rpcResponse
+        if (!result) {
+            return Result.badError(NODE_NO_BLOCK, 'missing or not mined yet')
+        }
+        let r2 = mapArray(result, Receipt.fromRpcResult)
+        if (r2.error) {
+            return Result.badError(
+                NODE_BAD_RESPONSE, r2.error.message, rpcResponse
+            )
+        }
+        let data = NodeResponse.create({
+            data: r2.data,
+            time: rpcResponse.time,
+            size: rpcResponse.size
+        }).open()
+        return Result.ok(data)
+    }
+
     /**
      * Retrive log records by filter.
      * RPC: `eth_getLogs`.
      *
      * @param {LogFilter} filter
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse<Array<Log>>>>}
      */
-    async getLogs(filter) {
+    async getLogs(filter, options = CallOptions.none()) {
         let params = filter.toRpcInput()
-        let r1 = await this._requestRpc('eth_getLogs', [params])
+        let r1 = await this._requestRpc('eth_getLogs', [params], options)
         if (r1.error) {
             return r1
         }
@@ -455,10 +625,11 @@ class Node {
      * @param {string} method - Method to be call, see
      * [ETH JSON RPC](https://eth.wiki/json-rpc/API).
      * @param {Array<any>} params - Positional arguments to pass to method.
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse>>}
      */
-    async call(method, params) {
-        let r1 = await this._requestRpc(method, params)
+    async call(method, params, options = CallOptions.none()) {
+        let r1 = await this._requestRpc(method, params, options)
         if (r1.error) {
             return r1
         }
@@ -475,6 +646,61 @@ class Node {
         return Result.ok(instance)
     }
 
+    /**
+     * Perform many callings to ETH node by a JSON RPC batch, so they cost a
+     * round trip.
+     *
+     * @param {Array<RpcCall>} calls
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, BatchResults>>} Error is returned if
+     * the batch is failed as a whole. Otherwise there is a result for each
+     * call in the same order. Responses share response time, size is size of
+     * their own JSON.
+     */
+    async batch(calls, options = CallOptions.none()) {
+        let r1 = Node._validateRpcCalls(calls)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = await this._requestRpcBatch(calls, options)
+        if (r2.error) {
+            return r2
+        }
+        let results = r2.data.map(result => {
+            if (result.error) {
+                return result
+            }
+            let {data, time, size} = result.data
+            return NodeResponse.create({data, time, size})
+        })
+        return Result.ok(results)
+    }
+
+    /**
+     * Release the transport. There is nothing to release for HTTP.
+     */
+    close() {
+    }
+
+    /**
+     * Prepare for sending requests to the endpoint. A subclass overrides it
+     * together with {@link Node._requestRpc} to use an other transport.
+     *
+     * @protected
+     * @param {HttpEndpoint} endpoint
+     */
+    _initTransport(endpoint) {
+        let {url, username, password, timeout} = endpoint
+        this._timeout = timeout
+        this._httpClient = axios.create({
+            baseURL: url.value.toString(),
+            timeout: timeout.value,
+            headers: Node._makeHttpClientHeaders(username, password),
+            validateStatus: () => true,
+            transformResponse: (response) => response
+        })
+    }
+
     /**
      * Request a JSON RPC call to server.
      *
@@ -482,28 +708,47 @@ class Node {
      * @param {string} method - For list of methods and it's specifications,
      * see [ETH JSON RPC](https://eth.wiki/json-rpc/API).
      * @param {any} params
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, RpcResponse>>}
      */
-    async _requestRpc(method, params) {
+    async _requestRpc(method, params, options = CallOptions.none()) {
         let r1 = await this._requestHttpJson({
             id: 0,
             jsonrpc: '2.0',
             method: method,
             params: params
-        })
+        }, options)
         if (r1.error) {
             return r1
         }
         return RpcResponse.fromJsonResponse(r1.data)
     }
 
+    /**
+     * Request a JSON RPC batch to server.
+     *
+     * @protected
+     * @param {Array<RpcCall>} calls
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, Array<Result<BadError, RpcResponse>>>>}
+     */
+    async _requestRpcBatch(calls, options) {
+        let requests = Node._createBatchRequests(calls, 0)
+        let r1 = await this._requestHttpJson(requests, options)
+        if (r1.error) {
+            return r1
+        }
+        return Node._splitBatchResponse(requests, r1.data)
+    }
+
     /**
      * @private
      * @param {object} httpRequestBody
+     * @param {CallOptions} options
      * @return {Promise<Result<BadError, JsonResponse>>}
      */
-    async _requestHttpJson(httpRequestBody) {
-        let r1 = await this._requestHttp(httpRequestBody)
+    async _requestHttpJson(httpRequestBody, options) {
+        let r1 = await this._requestHttp(httpRequestBody, options)
         if (r1.error) {
             return r1
         }
@@ -511,31 +756,143 @@ class Node {
     }
 
     /**
+     * Timeout of the request is shortened to the deadline of options. If
+     * the request is failed by options, the error is `CALL_ABORTED` or
+     * `CALL_DEADLINE_EXCEEDED` instead of a network error. Limits from
+     * headers of the response are kept in {@link Node.rateLimit}.
+     *
      * @private
      * @param {object} requestBody
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, HttpResponse>>}
      */
-    async _requestHttp(requestBody) {
+    async _requestHttp(requestBody, options = CallOptions.none()) {
+        let r1 = options.check()
+        if (r1.error) {
+            return r1
+        }
         try {
             let beginTime = Timestamp.now()
-            let response = await this._httpClient.post('/', requestBody)
+            let response = await this._httpClient.post('/', requestBody, {
+                signal: options.signal,
+                timeout: options.getTimeout(this._timeout.value)
+            })
             let elapsedTime = Timespan.elapsedTime(beginTime).open()
             let data = HttpResponse
                 .fromAxiosResponse(response, elapsedTime)
                 .open()
+            this._rateLimit = data.rateLimit
             return Result.ok(data)
         }
         catch (error) {
-            let {code, message} = error
-            switch (code) {
-                case 'ENOTFOUND':
-                case 'ECONNABORTED':
-                case 'ECONNREFUSED':
-                    return Result.badError(NODE_OVERLOADING, message)
-                default:
-                    return Result.badError(NODE_BAD_SERVER, message)
+            let r2 = options.check()
+            return r2.error ? r2 : Node._makeHttpError(error)
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error} error - Error from `axios`.
+     * @return {Result<BadError, undefined>}
+     */
+    static _makeHttpError(error) {
+        let {code, message} = error
+        switch (code) {
+            case 'ENOTFOUND':
+            case 'ECONNABORTED':
+            case 'ECONNREFUSED':
+                return Result.badError(NODE_OVERLOADING, message)
+            default:
+                return Result.badError(NODE_BAD_SERVER, message)
+        }
+    }
+
+    /**
+     * @private
+     * @param {RpcResponse | NodeResponse} response - Response of
+     * `eth_getBlockByNumber`.
+     * @return {Result<BadError, Block>}
+     */
+    static _parseBlock(response) {
+        let {data: result} = response
+        if (!result) {
+            return Result.badError(NODE_NO_BLOCK, 'missing or not mined yet')
+        }
+        let r1 = Block.fromRpcResult(result)
+        if (r1.error) {
+            return Result.badError(
+                NODE_BAD_RESPONSE, r1.error.message, response
+            )
+        }
+        return r1
+    }
+
+    /**
+     * @private
+     * @param {Array<RpcCall>} calls
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateRpcCalls(calls) {
+        let r1 = validateArrayItems(calls, 'object', 1)
+        if (r1.error) {
+            return Result.typeError(`calls: ${r1.error.message}`)
+        }
+        for (let [i, call] of calls.entries()) {
+            let r2 = validateInstanceMap(call, [
+                ['method', 'string'],
+                ['params', Array]
+            ])
+            if (r2.error) {
+                return Result.typeError(`calls[${i}]: ${r2.error.message}`)
             }
         }
+        return Result.ok()
+    }
+
+    /**
+     * @protected
+     * @param {Array<RpcCall>} calls
+     * @param {number} firstId - Identity of the first request, next ones
+     * are increased by one.
+     * @return {Array<object>} JSON RPC requests.
+     */
+    static _createBatchRequests(calls, firstId) {
+        return calls.map(({method, params}, i) => {
+            return {id: firstId + i, jsonrpc: '2.0', method, params}
+        })
+    }
+
+    /**
+     * Match responses of a batch to it's requests by identities. Servers
+     * are allowed to response in any order.
+     *
+     * @protected
+     * @param {Array<object>} requests
+     * @param {JsonResponse} jsonResponse
+     * @return {Result<BadError, Array<Result<BadError, RpcResponse>>>}
+     */
+    static _splitBatchResponse(requests, jsonResponse) {
+        let {data: items, time} = jsonResponse
+        if (!Array.isArray(items)) {
+            return (items && items.error)
+                ? RpcResponse.fromJsonResponse(jsonResponse)
+                : Result.badError(
+                    NODE_BAD_RESPONSE, 'expect an array', jsonResponse
+                )
+        }
+        let itemMap = new Map(
+            items.filter(item => item).map(item => [item.id, item])
+        )
+        let results = requests.map(({id}) => {
+            let item = itemMap.get(id)
+            if (item === undefined) {
+                return Result.badError(NODE_BAD_RESPONSE, 'missing response')
+            }
+            let size = DataSize.fromBytes(JSON.stringify(item).length).open()
+            let response = new JsonResponse({data: item, time, size})
+            return RpcResponse.fromJsonResponse(response)
+        })
+        return Result.ok(results)
     }
 
     /**
@@ -0,0 +1,293 @@
+'use strict'
+
+const {UInt64, validateInstanceMap} = require('minitype')
+const {NodeResponse} = require('./node')
+const {LogSegment} = require('./safe_node')
+const {BadError, Result, Log} = require('./type')
+const {GATEWAY_NO_QUORUM} = require('./type').ErrorCode
+
+/**
+ * @name NodeReply
+ * @type {object}
+ * @property {string} host - Host of the node.
+ * @property {Result<BadError, NodeResponse<any>>} result
+ */
+
+/**
+ * Outcome of comparing replies from nodes.
+ */
+class QuorumDecision {
+    /**
+     * Response which is agreed by the quorum, or `undefined` if there is no
+     * agreement.
+     *
+     * @type {NodeResponse<any> | undefined}
+     */
+    get response() {
+        return this._response
+    }
+
+    /**
+     * Hosts of nodes which agree on the response.
+     *
+     * @type {Array<string>}
+     */
+    get agreedHosts() {
+        return this._agreedHosts
+    }
+
+    /**
+     * Hosts of nodes which respond successfully but differently from the
+     * agreed response, or from each others if there is no agreement.
+     *
+     * @type {Array<string>}
+     */
+    get disagreedHosts() {
+        return this._disagreedHosts
+    }
+
+    /**
+     * @param {object} values
+     * @param {NodeResponse<any>} [values.response]
+     * @param {Array<string>} values.agreedHosts
+     * @param {Array<string>} values.disagreedHosts
+     */
+    constructor(values) {
+        this._response = values.response
+        this._agreedHosts = values.agreedHosts
+        this._disagreedHosts = values.disagreedHosts
+    }
+}
+
+/**
+ * Accept a response only if at least `threshold` of `size` nodes agree on
+ * it.
+ *
+ * @example
+ * let quorum = Quorum.create({size: 3, threshold: 2}).open()
+ */
+class Quorum {
+    /**
+     * Quantity of nodes to query.
+     *
+     * @type {number}
+     */
+    get size() {
+        return this._size
+    }
+
+    /**
+     * Quantity of nodes that must agree.
+     *
+     * @type {number}
+     */
+    get threshold() {
+        return this._threshold
+    }
+
+    /**
+     * Initialize by {@link Quorum.create}.
+     *
+     * @param {object} config
+     * @param {number} config.size
+     * @param {number} config.threshold
+     */
+    constructor(config) {
+        this._size = config.size
+        this._threshold = config.threshold
+    }
+
+    /**
+     *
+     * @param {object} config
+     * @param {number} config.size - Quantity of nodes to query.
+     * @param {number} config.threshold - Quantity of nodes that must agree,
+     * in range `[1, size]`.
+     * @return {Result<TypeError, Quorum>}
+     */
+    static create(config) {
+        let r1 = validateInstanceMap(config, [
+            ['size', 'number'],
+            ['threshold', 'number']
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {size, threshold} = config
+        if (!Number.isInteger(size) || size < 1) {
+            return Result.typeError('size: expect a positive integer')
+        }
+        if (!Number.isInteger(threshold) || threshold < 1 || threshold > size) {
+            return Result.typeError('threshold: expect an integer in [1, size]')
+        }
+        let data = new Quorum(config)
+        return Result.ok(data)
+    }
+
+    /**
+     * Agree on logs. Replies may end at different blocks, so they are
+     * compared in range `[fromBlock, toBlock]` where `toBlock` is the greatest
+     * block that is reached by `threshold` replies. Replies which do not
+     * reach `toBlock` are neither agreed nor disagreed. Logs are compared by
+     * the set of `(blockHash, logIndex)`.
+     *
+     * @param {Array<NodeReply>} replies - Responses are
+     * `NodeResponse<LogSegment>`.
+     * @return {Result<BadError, QuorumDecision>} Error `GATEWAY_NO_QUORUM`
+     * means there are not enough succeeded replies.
+     */
+    decideLogs(replies) {
+        let r1 = this._takeSuccesses(replies)
+        if (r1.error) {
+            return r1
+        }
+        let {response} = this._findAgreedReply(
+            r1.data, ({response}) => response.data.toBlock
+        )
+        let {toBlock} = response.data
+        let candidates = r1.data
+            .filter(({response}) => response.data.toBlock.gte(toBlock))
+            .map(({host, response}) => {
+                response = Quorum._trimLogResponse(response, toBlock)
+                let key = Quorum._getLogsKey(response.data.logs)
+                return {host, response, key}
+            })
+        let decision = this._decide(candidates)
+        return Result.ok(decision)
+    }
+
+    /**
+     * Agree on a block number. Nodes are rarely synchronized to the same
+     * block, so the agreed one is the greatest block number that is reached
+     * by `threshold` replies. There are never disagreed hosts.
+     *
+     * @param {Array<NodeReply>} replies - Responses are
+     * `NodeResponse<UInt64>`.
+     * @return {Result<BadError, QuorumDecision>} Error `GATEWAY_NO_QUORUM`
+     * means there are not enough succeeded replies.
+     */
+    decideBlockNumber(replies) {
+        let r1 = this._takeSuccesses(replies)
+        if (r1.error) {
+            return r1
+        }
+        let {response} = this._findAgreedReply(
+            r1.data, ({response}) => response.data
+        )
+        let blockNumber = response.data
+        let agreed = r1.data.filter(({response}) => {
+            return response.data.gte(blockNumber)
+        })
+        let decision = new QuorumDecision({
+            response: response,
+            agreedHosts: agreed.map(({host}) => host),
+            disagreedHosts: []
+        })
+        return Result.ok(decision)
+    }
+
+    /**
+     * @private
+     * @param {Array<NodeReply>} replies
+     * @return {Result<BadError, Array<object>>} Each item has `host` and
+     * `response`.
+     */
+    _takeSuccesses(replies) {
+        let successes = replies
+            .filter(({result}) => !result.error)
+            .map(({host, result}) => ({host, response: result.data}))
+        if (successes.length < this._threshold) {
+            return Result.badError(
+                GATEWAY_NO_QUORUM,
+                `expect ${this._threshold} responses, got ${successes.length}`
+            )
+        }
+        return Result.ok(successes)
+    }
+
+    /**
+     * @private
+     * @param {Array<object>} successes - Contains `threshold` items at least.
+     * @param {Function} numberOf - Return an UInt64 of a success.
+     * @return {object} Success which has the greatest number that is reached
+     * by `threshold` successes.
+     */
+    _findAgreedReply(successes, numberOf) {
+        let sorted = [...successes].sort((a, b) => {
+            let [x, y] = [numberOf(a), numberOf(b)]
+            if (x.gt(y)) {
+                return -1
+            }
+            return x.lt(y) ? 1 : 0
+        })
+        return sorted[this._threshold - 1]
+    }
+
+    /**
+     * Group candidates by their keys, the largest group wins if it has
+     * `threshold` candidates at least.
+     *
+     * @private
+     * @param {Array<object>} candidates - Each has `host`, `response` and
+     * `key`.
+     * @return {QuorumDecision}
+     */
+    _decide(candidates) {
+        let groups = new Map()
+        for (let candidate of candidates) {
+            let group = groups.get(candidate.key) || []
+            group.push(candidate)
+            groups.set(candidate.key, group)
+        }
+        let largest = [...groups.values()]
+            .reduce((a, b) => (b.length > a.length ? b : a))
+        if (largest.length < this._threshold) {
+            return new QuorumDecision({
+                agreedHosts: [],
+                disagreedHosts: candidates.map(({host}) => host)
+            })
+        }
+        return new QuorumDecision({
+            response: largest[0].response,
+            agreedHosts: largest.map(({host}) => host),
+            disagreedHosts: candidates
+                .filter(candidate => !largest.includes(candidate))
+                .map(({host}) => host)
+        })
+    }
+
+    /**
+     * @private
+     * @param {NodeResponse<LogSegment>} response
+     * @param {UInt64} toBlock
+     * @return {NodeResponse<LogSegment>}
+     */
+    static _trimLogResponse(response, toBlock) {
+        let {data: segment, time, size} = response
+        let data = LogSegment.create({
+            logs: segment.logs.filter(log => log.blockNumber.lte(toBlock)),
+            fromBlock: segment.fromBlock,
+            toBlock: toBlock,
+            latestBlock: segment.latestBlock,
+            safeBlock: segment.safeBlock
+        }).open()
+        return NodeResponse.create({data, time, size}).open()
+    }
+
+    /**
+     * @private
+     * @param {Array<Log>} logs
+     * @return {string}
+     */
+    static _getLogsKey(logs) {
+        return logs
+            .map(log => `${log.blockHash.toHeximal()}:${log.logIndex.value}`)
+            .sort()
+            .join(',')
+    }
+}
+
+module.exports = {
+    Quorum,
+    QuorumDecision
+}
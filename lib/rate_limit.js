@@ -0,0 +1,241 @@
+'use strict'
+
+const {UInt, Timespan, Timestamp} = require('minitype')
+
+/**
+ * Names of headers that are tested in order, the first one which is present
+ * is taken.
+ *
+ * @private
+ */
+const LIMIT_HEADERS = [
+    'x-ratelimit-limit',
+    'x-rate-limit-limit',
+    'ratelimit-limit'
+]
+const REMAINING_HEADERS = [
+    'x-ratelimit-remaining',
+    'x-rate-limit-remaining',
+    'ratelimit-remaining'
+]
+const RESET_HEADERS = [
+    'x-ratelimit-reset',
+    'x-rate-limit-reset',
+    'ratelimit-reset'
+]
+/**
+ * Values of reset headers which are greater than these ones are timestamps
+ * in miliseconds or seconds, otherwise they are seconds from now.
+ *
+ * @private
+ */
+const EPOCH_MILISECONDS = 1e12
+const EPOCH_SECONDS = 1e9
+
+/**
+ * Limits that an endpoint advertises by headers of HTTP responses, such as
+ * `Retry-After` and `X-RateLimit-*`. Missing or invalid headers are
+ * `undefined`.
+ *
+ * @example
+ * let rateLimit = RateLimit.fromHeaders({
+ *     'retry-after': '3',
+ *     'x-ratelimit-limit': '100',
+ *     'x-ratelimit-remaining': '0',
+ *     'x-ratelimit-reset': '3'
+ * })
+ */
+class RateLimit {
+    /**
+     * Timespan to wait before the next request.
+     *
+     * @type {Timespan | undefined}
+     */
+    get retryAfter() {
+        return this._retryAfter
+    }
+
+    /**
+     * Quantity of requests in a window of the endpoint.
+     *
+     * @type {UInt | undefined}
+     */
+    get limit() {
+        return this._limit
+    }
+
+    /**
+     * Quantity of requests that are left in the current window.
+     *
+     * @type {UInt | undefined}
+     */
+    get remaining() {
+        return this._remaining
+    }
+
+    /**
+     * Time that the current window is over.
+     *
+     * @type {Timestamp | undefined}
+     */
+    get resetTime() {
+        return this._resetTime
+    }
+
+    /**
+     * Initialize by {@link RateLimit.fromHeaders}.
+     *
+     * @param {object} values
+     * @param {Timespan} [values.retryAfter]
+     * @param {UInt} [values.limit]
+     * @param {UInt} [values.remaining]
+     * @param {Timestamp} [values.resetTime]
+     */
+    constructor(values) {
+        this._retryAfter = values.retryAfter
+        this._limit = values.limit
+        this._remaining = values.remaining
+        this._resetTime = values.resetTime
+    }
+
+    /**
+     * @param {object} [headers={}] - Names are in lower case.
+     * @param {number} [now=Date.now()] - Miliseconds since epoch, values of
+     * headers are relative to it.
+     * @return {RateLimit}
+     */
+    static fromHeaders(headers = {}, now = Date.now()) {
+        return new RateLimit({
+            retryAfter: RateLimit._parseRetryAfter(
+                headers['retry-after'], now
+            ),
+            limit: RateLimit._parseUInt(
+                RateLimit._findHeader(headers, LIMIT_HEADERS)
+            ),
+            remaining: RateLimit._parseUInt(
+                RateLimit._findHeader(headers, REMAINING_HEADERS)
+            ),
+            resetTime: RateLimit._parseResetTime(
+                RateLimit._findHeader(headers, RESET_HEADERS), now
+            )
+        })
+    }
+
+    /**
+     * Timespan that requests must be stopped for, it is `Retry-After`, or
+     * time to reset if there is no remaining requests.
+     *
+     * @param {number} [now=Date.now()] - Miliseconds since epoch.
+     * @return {Timespan | undefined} `undefined` means the endpoint does not
+     * tell.
+     */
+    getLockTimespan(now = Date.now()) {
+        if (this._retryAfter) {
+            return this._retryAfter
+        }
+        if (
+            this._remaining &&
+            this._remaining.value === 0 &&
+            this._resetTime
+        ) {
+            return RateLimit._getTimespanTo(this._resetTime.value, now)
+        }
+        return undefined
+    }
+
+    /**
+     * @private
+     * @param {object} headers
+     * @param {Array<string>} names
+     * @return {string | undefined}
+     */
+    static _findHeader(headers, names) {
+        let name = names.find(name => headers[name] !== undefined)
+        return name ? headers[name] : undefined
+    }
+
+    /**
+     * Value of `Retry-After` is seconds or a HTTP date.
+     *
+     * @private
+     * @param {string} [value]
+     * @param {number} now
+     * @return {Timespan | undefined}
+     */
+    static _parseRetryAfter(value, now) {
+        let seconds = RateLimit._parseNumber(value)
+        if (seconds !== undefined) {
+            return Timespan.fromMiliseconds(seconds * 1000).open()
+        }
+        let time = typeof value === 'string' ? Date.parse(value) : NaN
+        return Number.isNaN(time)
+            ? undefined
+            : RateLimit._getTimespanTo(time, now)
+    }
+
+    /**
+     * Value of a reset header is seconds from now, or a timestamp in seconds
+     * or miliseconds.
+     *
+     * @private
+     * @param {string} [value]
+     * @param {number} now
+     * @return {Timestamp | undefined}
+     */
+    static _parseResetTime(value, now) {
+        let number = RateLimit._parseNumber(value)
+        if (number === undefined) {
+            return undefined
+        }
+        if (number > EPOCH_MILISECONDS) {
+            return Timestamp.fromMiliseconds(number).open()
+        }
+        if (number > EPOCH_SECONDS) {
+            return Timestamp.fromSeconds(number).open()
+        }
+        return Timestamp.fromMiliseconds(now + number * 1000).open()
+    }
+
+    /**
+     * @private
+     * @param {string} [value]
+     * @return {UInt | undefined}
+     */
+    static _parseUInt(value) {
+        let number = RateLimit._parseNumber(value)
+        return number === undefined
+            ? undefined
+            : UInt.fromNumber(number).open()
+    }
+
+    /**
+     * Take the leading integer, so values such as `100, 100;w=60` from
+     * drafts of IETF are accepted.
+     *
+     * @private
+     * @param {string} [value]
+     * @return {number | undefined}
+     */
+    static _parseNumber(value) {
+        let matches = /^\s*(\d+)\s*(,|;|$)/.exec(String(value))
+        if (!matches) {
+            return undefined
+        }
+        let number = Number(matches[1])
+        return Number.isSafeInteger(number) ? number : undefined
+    }
+
+    /**
+     * @private
+     * @param {number} time - Miliseconds since epoch.
+     * @param {number} now - Miliseconds since epoch.
+     * @return {Timespan}
+     */
+    static _getTimespanTo(time, now) {
+        return Timespan.fromMiliseconds(Math.max(time - now, 0)).open()
+    }
+}
+
+module.exports = {
+    RateLimit
+}
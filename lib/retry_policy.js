@@ -0,0 +1,207 @@
+'use strict'
+
+const {Timespan, validateInstanceMap, validateArrayItems} = require('minitype')
+const {Result, BadError, ErrorCode} = require('./type')
+const {CallOptions} = require('./call_options')
+
+/**
+ * Transient errors, others such as `NODE_BAD_REQUEST` or
+ * `NODE_METHOD_NOT_FOUND` are returned again by retries.
+ *
+ * @private
+ */
+const DEFAULT_RETRYABLE_CODES = [
+    ErrorCode.NODE_OVERLOADING,
+    ErrorCode.NODE_RATE_LIMITED,
+    ErrorCode.NODE_BAD_SERVER,
+    ErrorCode.NODE_BAD_RESPONSE,
+    ErrorCode.NODE_UNSAFE_BLOCK,
+    ErrorCode.GATEWAY_BAD_BACKEND
+]
+
+/**
+ * Decide whether a failed request is tried again and how long to wait
+ * before that. Delays grow exponentially from `baseDelay` to `maxDelay`, a
+ * random part of each delay is taken to spread retries of many callers.
+ *
+ * @example
+ * let retryPolicy = RetryPolicy.create({
+ *     maxAttempts: 5,
+ *     baseDelay: Timespan.fromMiliseconds(200).open(),
+ *     deadline: Timespan.fromSeconds(10).open()
+ * }).open()
+ */
+class RetryPolicy {
+    /**
+     * Quantity of attempts at most, the first one is included.
+     *
+     * @type {number}
+     */
+    get maxAttempts() {
+        return this._maxAttempts
+    }
+
+    /**
+     * @type {Timespan}
+     */
+    get baseDelay() {
+        return this._baseDelay
+    }
+
+    /**
+     * @type {Timespan}
+     */
+    get maxDelay() {
+        return this._maxDelay
+    }
+
+    /**
+     * Overall time for all of attempts and delays, `undefined` means there
+     * is no limit.
+     *
+     * @type {Timespan | undefined}
+     */
+    get deadline() {
+        return this._deadline
+    }
+
+    /**
+     * @type {Array<ErrorCode>}
+     */
+    get retryableCodes() {
+        return this._retryableCodes
+    }
+
+    /**
+     * Initialize by {@link RetryPolicy.create}.
+     *
+     * @param {object} config
+     * @param {number} config.maxAttempts
+     * @param {Timespan} config.baseDelay
+     * @param {Timespan} config.maxDelay
+     * @param {Timespan} [config.deadline]
+     * @param {Array<ErrorCode>} config.retryableCodes
+     */
+    constructor(config) {
+        this._maxAttempts = config.maxAttempts
+        this._baseDelay = config.baseDelay
+        this._maxDelay = config.maxDelay
+        this._deadline = config.deadline
+        this._retryableCodes = config.retryableCodes
+    }
+
+    /**
+     *
+     * @param {object} [config={}]
+     * @param {number} [config.maxAttempts=1] - Quantity of attempts at most,
+     * `1` means there is no retries.
+     * @param {Timespan} [config.baseDelay=200ms] - Delay before the first
+     * retry.
+     * @param {Timespan} [config.maxDelay=5s] - Delays never exceed this value.
+     * @param {Timespan} [config.deadline] - Do not retry if the next attempt
+     * would start after this timespan from the first attempt.
+     * @param {Array<ErrorCode>} [config.retryableCodes] - Errors that are
+     * retried, default is `NODE_OVERLOADING`, `NODE_RATE_LIMITED`,
+     * `NODE_BAD_SERVER`, `NODE_BAD_RESPONSE`, `NODE_UNSAFE_BLOCK` and
+     * `GATEWAY_BAD_BACKEND`.
+     * @return {Result<TypeError, RetryPolicy>}
+     */
+    static create(config = {}) {
+        let r1 = validateInstanceMap(config, [
+            ['maxAttempts', 'number', true],
+            ['baseDelay', Timespan, true],
+            ['maxDelay', Timespan, true],
+            ['deadline', Timespan, true],
+            ['retryableCodes', Array, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let r2 = RetryPolicy._validateValues(config)
+        if (r2.error) {
+            return r2
+        }
+        let {maxAttempts = 1, baseDelay, maxDelay, deadline} = config
+        let data = new RetryPolicy({
+            maxAttempts: maxAttempts,
+            baseDelay: baseDelay || Timespan.fromMiliseconds(200).open(),
+            maxDelay: maxDelay || Timespan.fromSeconds(5).open(),
+            deadline: deadline,
+            retryableCodes: config.retryableCodes || DEFAULT_RETRYABLE_CODES
+        })
+        return Result.ok(data)
+    }
+
+    /**
+     * Errors without codes such as `TypeError` and cancellations of calls
+     * are never retried.
+     *
+     * @param {Error} error
+     * @return {boolean}
+     */
+    isRetryable(error) {
+        return error instanceof BadError &&
+            !CallOptions.isCancellation(error) &&
+            this._retryableCodes.includes(error.code)
+    }
+
+    /**
+     * Delay before the next attempt, it is a random value in range
+     * `[0, min(maxDelay, baseDelay * 2 ^ (attempt - 1))]`.
+     *
+     * @param {number} attempt - Quantity of failed attempts, start from `1`.
+     * @return {number} Miliseconds.
+     */
+    getDelay(attempt) {
+        let delay = Math.min(
+            this._maxDelay.value,
+            this._baseDelay.value * Math.pow(2, attempt - 1)
+        )
+        return Math.floor(Math.random() * delay)
+    }
+
+    /**
+     * @param {number} attempt - Quantity of failed attempts.
+     * @param {number} elapsedTime - Miliseconds from the first attempt to
+     * the next attempt.
+     * @return {boolean}
+     */
+    canRetry(attempt, elapsedTime) {
+        if (attempt >= this._maxAttempts) {
+            return false
+        }
+        return this._deadline === undefined ||
+            elapsedTime <= this._deadline.value
+    }
+
+    /**
+     * @private
+     * @param {object} config
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateValues(config) {
+        let {maxAttempts, retryableCodes} = config
+        if (
+            maxAttempts !== undefined &&
+            (!Number.isInteger(maxAttempts) || maxAttempts < 1)
+        ) {
+            return Result.typeError('maxAttempts: expect a positive integer')
+        }
+        if (retryableCodes === undefined) {
+            return Result.ok()
+        }
+        let r1 = validateArrayItems(retryableCodes, 'number')
+        if (r1.error) {
+            return Result.typeError(`retryableCodes: ${r1.error.message}`)
+        }
+        let codes = Object.values(ErrorCode)
+        if (!retryableCodes.every(code => codes.includes(code))) {
+            return Result.typeError('retryableCodes: expect ErrorCode items')
+        }
+        return Result.ok()
+    }
+}
+
+module.exports = {
+    RetryPolicy
+}
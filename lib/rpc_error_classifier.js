@@ -0,0 +1,114 @@
+'use strict'
+
+const {ErrorCode} = require('./type')
+const {
+    NODE_BAD_REQUEST,
+    NODE_LOG_RANGE_TOO_LARGE,
+    NODE_RATE_LIMITED,
+    NODE_METHOD_NOT_FOUND,
+    NODE_EXECUTION_REVERTED
+} = require('./type').ErrorCode
+
+/**
+ * Patterns of messages from providers such as Infura, Alchemy, QuickNode and
+ * BSC nodes. They are tested in order. Reverts go first because their
+ * messages contain reasons from contracts, which could be anything.
+ *
+ * @private
+ */
+const MESSAGE_PATTERNS = [
+    [NODE_EXECUTION_REVERTED, [
+        'revert'
+    ]],
+    [NODE_LOG_RANGE_TOO_LARGE, [
+        'query returned more than \\d+ results',
+        'log response size exceeded',
+        'block range (is )?too (large|wide)',
+        'range too large',
+        'exceed(s|ed)? (the )?max(imum)? block range',
+        'limited to (a )?\\d+ (block )?range',
+        'too many blocks'
+    ]],
+    [NODE_RATE_LIMITED, [
+        'rate limit',
+        'too many requests',
+        'request limit',
+        'daily request count',
+        'exceeded .*(quota|capacity)'
+    ]],
+    [NODE_METHOD_NOT_FOUND, [
+        'method .*(not found|does not exist|not supported|is not available)',
+        'unsupported method'
+    ]]
+].map(([code, patterns]) => [code, new RegExp(patterns.join('|'), 'i')])
+/**
+ * Standard codes and codes which are shared by most of nodes.
+ *
+ * @private
+ */
+const CODE_MAP = new Map([
+    [-32601, NODE_METHOD_NOT_FOUND],
+    [3, NODE_EXECUTION_REVERTED],
+    [429, NODE_RATE_LIMITED]
+])
+/**
+ * Such as `[0x10, 0x20]`.
+ *
+ * @private
+ */
+const SUGGESTED_RANGE_PATTERN = /\[\s*(0x[0-9a-f]+)\s*,\s*(0x[0-9a-f]+)\s*\]/i
+/**
+ * Such as `maximum block range: 5000`, `limited to a 10000 range`.
+ *
+ * @private
+ */
+const RANGE_LIMIT_PATTERN =
+    /(?:max(?:imum)? block range|limited to (?:a )?)\D{0,2}(\d+)/i
+
+/**
+ * Classify errors of JSON RPC responses. ETH nodes do not agree on error
+ * codes, so both of `code` and `message` are inspected. For example, Infura
+ * uses code `-32005` for both of too large log ranges and rate limits.
+ */
+class RpcErrorClassifier {
+    /**
+     * @param {object} error - Field `error` of a JSON RPC response.
+     * @param {number} [error.code]
+     * @param {string} error.message
+     * @return {ErrorCode} `NODE_BAD_REQUEST` if the error is not recognized.
+     */
+    static classify(error) {
+        let {code, message} = error
+        let pattern = MESSAGE_PATTERNS.find(([, regex]) => regex.test(message))
+        if (pattern) {
+            return pattern[0]
+        }
+        return CODE_MAP.get(code) || NODE_BAD_REQUEST
+    }
+
+    /**
+     * Some providers suggest a log range that works, such as Infura's
+     * "Try with this block range [0x10, 0x20]" or BSC's "exceed maximum block
+     * range: 5000".
+     *
+     * @param {string} message
+     * @return {bigint | undefined} Quantity of blocks, or `undefined` if
+     * there is no suggestion.
+     */
+    static findSuggestedLogRange(message) {
+        let pair = SUGGESTED_RANGE_PATTERN.exec(message)
+        if (pair) {
+            let range = BigInt(pair[2]) - BigInt(pair[1]) + 1n
+            return range > 0n ? range : undefined
+        }
+        let limit = RANGE_LIMIT_PATTERN.exec(message)
+        if (limit && BigInt(limit[1]) > 0n) {
+            return BigInt(limit[1])
+        }
+        return undefined
+    }
+}
+
+module.exports = {
+    RpcErrorClassifier
+}
@@ -1,7 +1,12 @@
 'use strict'
 
-const {Log: StdioLog} = require('stdio_log')
-const {Node, NodeResponse} = require('./node')
+const EventEmitter = require('events')
+const {Node, NodeResponse, HttpResponse} = require('./node')
+const {WsNode, Subscription} = require('./ws_node')
+const {Logger} = require('./logger')
+const {CallOptions} = require('./call_options')
+const {RpcErrorClassifier} = require('./rpc_error_classifier')
+const {RateLimit} = require('./rate_limit')
 const {
     UInt,
     UInt64,
@@ -11,7 +16,8 @@ const {
     DataSize,
     validateInstanceMap,
     validateArrayItems,
-    validateInstance
+    validateInstance,
+    mapArray
 } = require('minitype')
 const {
     BadError,
@@ -19,19 +25,29 @@ const {
     ByteData32,
     EthEndpoint,
     HttpEndpoint,
+    WsUrl,
+    WsEndpoint,
     EndpointQuota,
     Block,
     LogFilter,
     Log,
     Transaction,
-    BigMath
+    Receipt,
+    BigMath,
+    MetricEvent,
+    ErrorString
 } = require('./type')
 const {
     NODE_OVERLOADING,
+    NODE_BAD_REQUEST,
     NODE_BAD_RESPONSE,
     NODE_BAD_SERVER,
     NODE_UNSAFE_BLOCK,
-    NODE_REQUEST_QUOTA
+    NODE_REQUEST_QUOTA,
+    NODE_LOG_RANGE_TOO_LARGE,
+    NODE_RATE_LIMITED,
+    NODE_METHOD_NOT_FOUND,
+    NODE_EXECUTION_REVERTED
 } = require('./type').ErrorCode
 
 const UINT_1 = UInt.fromNumber(1).open()
@@ -40,6 +56,11 @@ const SECONDS_6 = Timespan.fromSeconds(6).open()
 const SECONDS_15 = Timespan.fromSeconds(15).open()
 const SECONDS_30 = Timespan.fromSeconds(30).open()
 const MINUTES_1 = Timespan.fromMinutes(1).open()
+const VALVE_EVENTS = [
+    MetricEvent.LOCK,
+    MetricEvent.UNLOCK,
+    MetricEvent.LOG_RANGE
+]
 
 /**
  * @typedef {object} SafeBlockInfo
@@ -181,7 +202,7 @@ class LogSegment {
  * // Retrieve estimated log range.
  * valve.logRange()
  */
-class RequestValve {
+class RequestValve extends EventEmitter {
     /**
      * Estimated log range from previous query result by
      * {@link RequestValve.updateLogRange}. Then, this value is consider for
@@ -193,6 +214,25 @@ class RequestValve {
         return PInt64.fromBigInt(this._logRange).open()
     }
 
+    /**
+     * Quantities of requests in a batch timespan at most.
+     *
+     * @type {UInt}
+     */
+    get batchLimit() {
+        return this._batchLimit
+    }
+
+    /**
+     * `true` if requests are denied by errors or out of quota at this time.
+     *
+     * @type {boolean}
+     */
+    get isLocked() {
+        this._updateInternalStat()
+        return this._lockTo !== undefined || this._remainRequests.lt(UINT_1)
+    }
+
     /**
      * @type {UInt64 | undefined}
      */
@@ -205,7 +245,7 @@ class RequestValve {
      *
      * @param {object} config
      * @param {EndpointQuota} config.quota
-     * @param {StdioLog} config.log
+     * @param {Logger} config.log
      * @param {UInt64} config.logSafeGap
      * @param {UInt64} config.rangeBoundary
      * @param {DataSize} config.logSizeBorder
@@ -222,6 +262,7 @@ class RequestValve {
             logTimeBorder,
             logQuantityBorder
         } = config
+        super()
         this._log = log
         this._logSafeGap = logSafeGap
         this._batchLimit = batchLimit
@@ -237,7 +278,7 @@ class RequestValve {
      *
      * @param {object} config
      * @param {EndpointQuota} config.quota
-     * @param {StdioLog} config.log
+     * @param {Logger} config.log
      * @param {UInt64} [config.logSafeGap=15]
      * @param {UInt64} [config.logRangeBoundary=5,000]
      * @param {DataSize} [config.logSizeBorder=4MB]
@@ -248,7 +289,7 @@ class RequestValve {
     static create(config) {
         let r1 = validateInstanceMap(config, [
             ['quota', EndpointQuota],
-            ['log', StdioLog],
+            ['log', 'any'],
             ['logSafeGap', UInt64, true],
             ['logRangeBoundary', UInt64, true],
             ['logSizeBorder', DataSize, true],
@@ -258,17 +299,19 @@ class RequestValve {
         if (r1.error) {
             return r1
         }
-        let {
-            quota, log, logSafeGap, logRangeBoundary, logSizeBorder,
-            logTimeBorder, logQuantityBorder
-        } = config
+        let r2 = Logger.from(config.log)
+        if (r2.error) {
+            return Result.typeError(`log: ${r2.error.message}`)
+        }
+        let {quota, logSafeGap, logRangeBoundary, logSizeBorder} = config
+        let {logTimeBorder, logQuantityBorder} = config
         logSafeGap = logSafeGap || UInt64.fromNumber(15).open()
         logRangeBoundary = logRangeBoundary || UInt64.fromNumber(5000).open()
         logSizeBorder = logSizeBorder || DataSize.fromMegabytes(4).open()
         logTimeBorder = logTimeBorder || Timespan.fromSeconds(6).open()
         logQuantityBorder = logQuantityBorder || UInt64.fromNumber(10000).open()
         let instance = new RequestValve({
-            quota, log, logSafeGap, logRangeBoundary, logSizeBorder,
+            quota, log: r2.data, logSafeGap, logRangeBoundary, logSizeBorder,
             logTimeBorder, logQuantityBorder
         })
         return Result.ok(instance)
@@ -334,12 +377,70 @@ class RequestValve {
         this._remainRequests = this._remainRequests.add(quantity)
     }
 
+    /**
+     * Adapt the quota to limits that the endpoint advertises, so requests are
+     * neither denied by the endpoint nor held back by a lower quota. Each
+     * instance of limits is applied once.
+     *
+     * @param {RateLimit} rateLimit
+     */
+    updateRateLimit(rateLimit) {
+        if (rateLimit === this._rateLimit) {
+            return
+        }
+        this._rateLimit = rateLimit
+        this._updateInternalStat()
+        let {limit, remaining, resetTime} = rateLimit
+        if (limit && limit.value > 0) {
+            this._updateBatchLimit(limit, resetTime)
+        }
+        if (resetTime && resetTime.isFuture()) {
+            this._nextFillRequests = resetTime
+        }
+        if (remaining && remaining.lt(this._remainRequests)) {
+            this._remainRequests = remaining
+        }
+    }
+
+    /**
+     * The endpoint counts the limit in it's own window, which is not shorter
+     * than time to reset. So the batch timespan is widened to time to reset.
+     * Without reset time, the window is unknown and only a lower limit is
+     * taken.
+     *
+     * @private
+     * @param {UInt} limit
+     * @param {Timestamp} [resetTime]
+     */
+    _updateBatchLimit(limit, resetTime) {
+        let window = resetTime && resetTime.isFuture()
+            ? resetTime.value - Date.now()
+            : 0
+        if (window === 0 && limit.value >= this._batchLimit.value) {
+            return
+        }
+        if (window > this._batchTimespan.value) {
+            this._batchTimespan = Timespan.fromMiliseconds(window).open()
+            this._log.info('set batch timespan', {batchTimespan: window})
+        }
+        if (!limit.eq(this._batchLimit)) {
+            this._batchLimit = limit
+            this._log.info('set batch limit', {batchLimit: limit.value})
+        }
+    }
+
     /**
      * Evaluate errors for estimation log range and locking queries.
+     * Cancellations of calls are ignored, they are not faults of the node.
+     * So are `NODE_METHOD_NOT_FOUND` and `NODE_EXECUTION_REVERTED`, other
+     * methods still work.
      *
      * @param {BadError} error
      */
     reportError(error) {
+        if (CallOptions.isCancellation(error)) {
+            return
+        }
         switch (error.code) {
             case NODE_BAD_SERVER:
                 this._handleBadServer(error)
@@ -350,8 +451,20 @@ class RequestValve {
             case NODE_OVERLOADING:
                 this._handleOverloading(error)
                 break
+            case NODE_LOG_RANGE_TOO_LARGE:
+                this._handleLogRangeTooLarge(error)
+                break
+            case NODE_RATE_LIMITED:
+                this._handleRateLimited(error)
+                break
+            case NODE_METHOD_NOT_FOUND:
+            case NODE_EXECUTION_REVERTED:
+                break
             default:
-                this._log.error(error.message)
+                this._log.error('unexpected error', {
+                    errorCode: ErrorString[error.code],
+                    error: error.message
+                })
         }
     }
 
@@ -377,17 +490,28 @@ class RequestValve {
         }
         this._printLogResponse(logResponse)
         this._printEstimatedLogRange(bySize, byTimespan, byQuantity)
-        this._logRange = logRange
-        this._log.info('set log range', this._logRange)
+        this._setLogRange(logRange)
     }
 
     /**
      * Decrease log range but will not set it less than `1`.
      */
     downLogRange() {
-        this._logRange = BigMath.max(this._logRange / 2n, 1n)
+        this._setLogRange(BigMath.max(this._logRange / 2n, 1n))
         this._lockRangeUpTo = Timestamp.now().add(MINUTES_1)
-        this._log.info('set log range', this._logRange)
+    }
+
+    /**
+     * @private
+     * @param {bigint} logRange
+     */
+    _setLogRange(logRange) {
+        let isChanged = logRange !== this._logRange
+        this._logRange = logRange
+        this._log.info('set log range', {logRange: Number(logRange)})
+        if (isChanged) {
+            this.emit(MetricEvent.LOG_RANGE, {logRange: Number(logRange)})
+        }
     }
 
     /**
@@ -411,10 +535,56 @@ class RequestValve {
      * @param {BadError} error
      */
     _handleOverloading(error) {
-        this._lockTimestampFor(error, SECONDS_15)
+        this._lockTimestampFor(
+            error, RequestValve._getLockTimespan(error, SECONDS_15)
+        )
         this.downLogRange()
     }
 
+    /**
+     * Take the log range which is suggested by the node if it is less than
+     * the current one, otherwise decrease the current one. The node is not
+     * locked.
+     *
+     * @private
+     * @param {BadError} error
+     */
+    _handleLogRangeTooLarge(error) {
+        let logRange = RpcErrorClassifier.findSuggestedLogRange(error.message)
+        if (logRange === undefined || logRange >= this._logRange) {
+            this.downLogRange()
+            return
+        }
+        this._setLogRange(logRange)
+        this._lockRangeUpTo = Timestamp.now().add(MINUTES_1)
+    }
+
+    /**
+     * @private
+     * @param {BadError} error
+     */
+    _handleRateLimited(error) {
+        this._lockTimestampFor(
+            error, RequestValve._getLockTimespan(error, SECONDS_15)
+        )
+    }
+
+    /**
+     * Endpoints tell how long to wait by headers such as `Retry-After` of
+     * HTTP responses.
+     *
+     * @private
+     * @param {BadError} error
+     * @param {Timespan} defaultTimespan - Use if the endpoint does not tell.
+     * @return {Timespan}
+     */
+    static _getLockTimespan(error, defaultTimespan) {
+        if (!(error.data instanceof HttpResponse)) {
+            return defaultTimespan
+        }
+        return error.data.rateLimit.getLockTimespan() || defaultTimespan
+    }
+
     /**
      * @private
      * @param {NodeResponse<LogSegment>} logResponse
@@ -451,9 +621,11 @@ class RequestValve {
      * @param {NodeResponse<LogSegment>} response
      */
     _printLogResponse(response) {
-        this._log.info('response size', response.size.format())
-        this._log.info('response time', response.time.format())
-        this._log.info('response quantity', response.data.logs.length)
+        this._log.info('log response', {
+            size: response.size.format(),
+            time: response.time.format(),
+            quantity: response.data.logs.length
+        })
     }
 
     /**
@@ -463,9 +635,11 @@ class RequestValve {
      * @param {UInt64} byQuantity
      */
     _printEstimatedLogRange(bySize, byTimespan, byQuantity) {
-        this._log.info('estimated log range by size', bySize.format5())
-        this._log.info('estimated log range by timespan', byTimespan.format5())
-        this._log.info('estimated log range by quantity', byQuantity.format5())
+        this._log.info('estimated log range', {
+            bySize: bySize.toNumber(),
+            byTimespan: byTimespan.toNumber(),
+            byQuantity: byQuantity.toNumber()
+        })
     }
 
     /**
@@ -486,6 +660,7 @@ class RequestValve {
         }
         if (this._lockTo.isPast()) {
             this._lockTo = undefined
+            this.emit(MetricEvent.UNLOCK, {})
         }
     }
 
@@ -513,7 +688,15 @@ class RequestValve {
             return
         }
         this._lockTo = Timestamp.now().add(timespan)
-        this._log.error(error.message)
+        this._log.error('locked', {
+            errorCode: ErrorString[error.code],
+            error: error.message,
+            timespan: timespan.value
+        })
+        this.emit(MetricEvent.LOCK, {
+            errorCode: ErrorString[error.code],
+            timespan: timespan.value
+        })
     }
 
     /**
@@ -575,8 +758,11 @@ class RequestValve {
  *
  * Secondly, it try to avoid or at least reduce incorrect returned data from RPC
  * methods such as `eth_getLogs`.
+ *
+ * Requests and changes of the valve are emitted as events, see
+ * {@link MetricEvent}.
  */
-class SafeNode {
+class SafeNode extends EventEmitter {
     /**
      * Host name or IP address that refers to Ethereum endpoint.
      *
@@ -586,19 +772,64 @@ class SafeNode {
         return this._node.host
     }
 
+    /**
+     * Node of a WebSocket endpoint accepts {@link SafeNode.subscribe}.
+     *
+     * @type {boolean}
+     */
+    get isSubscribable() {
+        return this._node instanceof WsNode
+    }
+
+    /**
+     * Node is not locked by errors and there is request quota, see
+     * {@link RequestValve.isLocked}.
+     *
+     * @type {boolean}
+     */
+    get isAvailable() {
+        return !this._valve.isLocked
+    }
+
+    /**
+     * Quantities of blocks that is queried by {@link SafeNode.getLogs} at
+     * most, it is estimated from previous queries.
+     *
+     * @type {PInt64}
+     */
+    get logRange() {
+        return this._valve.logRange
+    }
+
+    /**
+     * Quantities of requests in a batch timespan at most, it could be
+     * changed by limits that the endpoint advertises.
+     *
+     * @type {UInt}
+     */
+    get batchLimit() {
+        return this._valve.batchLimit
+    }
+
     /**
      * Initialize by {@link SafeNode.create}.
      *
      * @param {object} config
      * @param {Node} config.node
      * @param {RequestValve} config.valve
-     * @param {StdioLog} config.log
+     * @param {Logger} config.log
      */
     constructor(config) {
+        super()
         let {node, valve, log} = config
         this._node = node
         this._valve = valve
         this._log = log
+        for (let name of VALVE_EVENTS) {
+            valve.on(name, event => {
+                this.emit(name, {host: this.host, ...event})
+            })
+        }
     }
 
     /**
@@ -606,23 +837,24 @@ class SafeNode {
      * @param {object} config
      * @param {EthEndpoint} config.endpoint - URL and credentials for
      * connecting to a ETH node.
-     * @param {StdioLog} config.log - A log layer.
+     * @param {Logger} config.log - A logger or an instance of `stdio_log`.
      * @return {Result<TypeError, SafeNode>}
      */
     static create(config) {
         let r1 = validateInstanceMap(config, [
             ['endpoint', EthEndpoint],
-            ['log', StdioLog]
+            ['log', 'any']
         ])
         if (r1.error) {
             return r1
         }
-        let {endpoint, log} = config
-        let {url, username, password, timeout} = endpoint
-        let nodeEndpoint = HttpEndpoint.create({
-            url, username, password, timeout
-        }).open()
-        let node = Node.create({endpoint: nodeEndpoint}).open()
+        let r2 = Logger.from(config.log)
+        if (r2.error) {
+            return Result.typeError(`log: ${r2.error.message}`)
+        }
+        let {endpoint} = config
+        let log = Logger.withContext(r2.data, {host: endpoint.url.value.host})
+        let node = SafeNode._createNode(endpoint, log)
         let {
             quota, logSafeGap, logRangeBoundary, logSizeBorder, logTimeBorder,
             logQuantityBorder
@@ -641,14 +873,15 @@ class SafeNode {
     }
 
     /**
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse<UInt64>>>}
      */
-    async getBlockNumber() {
+    async getBlockNumber(options = CallOptions.none()) {
         let r1 = this._valve.open(UINT_1)
         if (r1.error) {
             return r1
         }
-        let r2 = await this._node.getBlockNumber()
+        let r2 = await this._request('getBlockNumber', [options])
         if (r2.error) {
             this._valve.reportError(r2.error)
         }
@@ -657,14 +890,48 @@ class SafeNode {
 
     /**
      * @param {UInt64} blockNumber
+     * @param {boolean} [fullTransactions=false]
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse<Block>>>}
      */
-    async getBlockByNumber(blockNumber) {
+    async getBlockByNumber(
+        blockNumber, fullTransactions = false, options = CallOptions.none()
+    ) {
         let r1 = this._valve.open(UINT_1, blockNumber)
         if (r1.error) {
             return r1
         }
-        let r2 = await this._node.getBlockByNumber(blockNumber)
+        let r2 = await this._request(
+            'getBlockByNumber', [blockNumber, fullTransactions, options]
+        )
+        if (r2.error) {
+            this._valve.reportError(r2.error)
+        }
+        return r2
+    }
+
+    /**
+     * Retrieve blocks by a batch, see {@link Node.getBlocks}. Each block
+     * consumes a request of quota.
+     *
+     * @param {UInt64} fromBlock
+     * @param {UInt64} toBlock
+     * @param {boolean} [fullTransactions=false]
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Array<Block>>>>}
+     */
+    async getBlocks(
+        fromBlock, toBlock, fullTransactions = false,
+        options = CallOptions.none()
+    ) {
+        let quantity = Number(toBlock.value - fromBlock.value) + 1
+        let r1 = this._valve.open(UInt.fromNumber(quantity).open(), toBlock)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = await this._request(
+            'getBlocks', [fromBlock, toBlock, fullTransactions, options]
+        )
         if (r2.error) {
             this._valve.reportError(r2.error)
         }
@@ -674,14 +941,33 @@ class SafeNode {
     /**
      *
      * @param {ByteData32} hash
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<Transaction>>}
      */
-    async getTransactionByHash(hash) {
+    async getTransactionByHash(hash, options = CallOptions.none()) {
+        let r1 = this._valve.open(UINT_1)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = await this._request('getTransactionByHash', [hash, options])
+        if (r2.error) {
+            this._valve.reportError(r2.error)
+        }
+        return r2
+    }
+
+    /**
+     *
+     * @param {ByteData32} hash
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Receipt>>>}
+     */
+    async getTransactionReceipt(hash, options = CallOptions.none()) {
         let r1 = this._valve.open(UINT_1)
         if (r1.error) {
             return r1
         }
-        let r2 = await this._node.getTransactionByHash(hash)
+        let r2 = await this._request('getTransactionReceipt', [hash, options])
         if (r2.error) {
             this._valve.reportError(r2.error)
         }
@@ -689,38 +975,90 @@ class SafeNode {
     }
 
     /**
+     *
+     * @param {UInt64} blockNumber
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, NodeResponse<Array<Receipt>>>>}
+     */
+    async getBlockReceipts(blockNumber, options = CallOptions.none()) {
+        let r1 = this._valve.open(UINT_1, blockNumber)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = await this._request(
+            'getBlockReceipts', [blockNumber, options]
+        )
+        if (r2.error) {
+            this._valve.reportError(r2.error)
+        }
+        return r2
+    }
+
+    /**
+     * Retrieve logs in safe blocks. If there is a known safe block number
+     * which covers `filter.fromBlock` then the latest block number and logs
+     * are retrieved by a batch, otherwise they are retrieved in sequence.
      *
      * @param {LogFilter} filter
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<NodeResponse<LogSegment>>>}
      */
-    async getLogs(filter) {
+    async getLogs(filter, options = CallOptions.none()) {
         let r1 = this._valve.open(UINT_2, filter.toBlock)
         if (r1.error) {
             return r1
         }
-        let r2 = await this._makeSafeLogFilter(filter)
+        let {safeBlockNumber} = this._valve
+        let r2 = (safeBlockNumber && filter.fromBlock.lte(safeBlockNumber))
+            ? await this._getLogsByBatch(filter, safeBlockNumber, options)
+            : await this._getLogsInSequence(filter, options)
         if (r2.error) {
-            this._valve.giveBackQuota(UINT_1)
             this._valve.reportError(r2.error)
             return r2
         }
-        let {data: {safeFilter, latestBlock, safeBlock}} = r2
-        let r3 = await this._node.getLogs(safeFilter)
+        let {data} = r2
+        this._valve.updateLogRange(data)
+        return Result.ok(data)
+    }
+
+    /**
+     * Perform many callings in a request, see {@link Node.batch}. Each call
+     * consumes a request of quota, so calls must not be more than the batch
+     * limit of the endpoint.
+     *
+     * @param {Array<object>} calls
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @return {Promise<Result<BadError, Array<Result>>>} Result of each call
+     * is `Result<BadError, NodeResponse>`. Error code `NODE_BAD_REQUEST` means
+     * calls are more than the batch limit.
+     */
+    async batch(calls, options = CallOptions.none()) {
+        let r1 = validateInstance(calls, Array)
+        if (r1.error) {
+            return Result.typeError(`calls: ${r1.error.message}`)
+        }
+        let {batchLimit} = this._valve
+        if (calls.length > batchLimit.value) {
+            return Result.badError(
+                NODE_BAD_REQUEST,
+                `calls: expect not more than ${batchLimit.value} calls`
+            )
+        }
+        let r2 = this._valve.open(UInt.fromNumber(calls.length).open())
+        if (r2.error) {
+            return r2
+        }
+        let r3 = await this._request('batch', [calls, options])
         if (r3.error) {
             this._valve.reportError(r3.error)
             return r3
         }
-        let {data: nodeResponse} = r3
-        let logSegment = LogSegment.create({
-            logs: nodeResponse.data,
-            fromBlock: safeFilter.fromBlock,
-            toBlock: safeFilter.toBlock,
-            latestBlock: latestBlock,
-            safeBlock: safeBlock
-        }).open()
-        let data = nodeResponse.cloneWithNewData(logSegment)
-        this._valve.updateLogRange(data)
-        return Result.ok(data)
+        for (let {error} of r3.data) {
+            if (error) {
+                this._valve.reportError(error)
+            }
+        }
+        return r3
     }
 
     /**
@@ -729,20 +1067,126 @@ class SafeNode {
      * @param {string} method - Method to be call, see
      * [ETH JSON RPC](https://eth.wiki/json-rpc/API).
      * @param {Array<any>} params - Positional arguments to pass to method.
+     * @param {CallOptions} [options=CallOptions.none()]
      * @return {Promise<Result<BadError, NodeResponse>>}
      */
-    async call(method, params) {
-        return await this._node.call(method, params)
+    async call(method, params, options = CallOptions.none()) {
+        return await this._request('call', [method, params, options])
+    }
+
+    /**
+     * Create a subscription, see {@link WsNode.subscribe}. It requires a
+     * WebSocket endpoint.
+     *
+     * @param {string} type
+     * @param {Array<any>} params
+     * @param {Function} handler - Receive notifications.
+     * @return {Promise<Result<BadError, Subscription>>}
+     */
+    async subscribe(type, params, handler) {
+        if (!this.isSubscribable) {
+            let message = 'subscriptions require a WebSocket endpoint'
+            return Result.badError(NODE_BAD_REQUEST, message)
+        }
+        let r1 = this._valve.open(UINT_1)
+        if (r1.error) {
+            return r1
+        }
+        let r2 = await this._request(
+            'subscribe', [type, params, handler]
+        )
+        if (r2.error) {
+            this._valve.reportError(r2.error)
+        }
+        return r2
+    }
+
+    /**
+     * Release the connection to ETH node.
+     */
+    close() {
+        this._node.close()
+    }
+
+    /**
+     * Call a method of the node, events `REQUEST` and `RESPONSE` are emitted
+     * around it. Limits that the node advertises are given to the valve.
+     *
+     * @private
+     * @param {string} method - Name of a method from `Node`.
+     * @param {Array<any>} params
+     * @return {Promise<Result<BadError, any>>}
+     */
+    async _request(method, params) {
+        let host = this.host
+        let beginTime = Timestamp.now()
+        this.emit(MetricEvent.REQUEST, {host, method})
+        let result = await this._node[method](...params)
+        let {rateLimit} = this._node
+        if (rateLimit) {
+            this._valve.updateRateLimit(rateLimit)
+        }
+        let {time} = (!result.error && result.data) || {}
+        this.emit(MetricEvent.RESPONSE, {
+            host: host,
+            method: method,
+            latency: time instanceof Timespan
+                ? time.value
+                : Timespan.elapsedTime(beginTime).open().value,
+            size: SafeNode._getResponseSize(result),
+            errorCode: result.error ? ErrorString[result.error.code] : undefined
+        })
+        return result
+    }
+
+    /**
+     * @private
+     * @param {Result<BadError, any>} result - Result of a method from `Node`.
+     * @return {number | undefined} Bytes, sizes of responses of a batch are
+     * summed. `undefined` means there is no size.
+     */
+    static _getResponseSize(result) {
+        if (result.error) {
+            return undefined
+        }
+        let responses = Array.isArray(result.data)
+            ? result.data.filter(({error}) => !error).map(({data}) => data)
+            : [result.data]
+        let sizes = responses
+            .filter(response => response && response.size instanceof DataSize)
+            .map(response => response.size.toNumber().open())
+        return sizes.length > 0 ? sizes.reduce((a, b) => a + b) : undefined
+    }
+
+    /**
+     * @private
+     * @param {EthEndpoint} endpoint
+     * @param {Logger} log
+     * @return {Node}
+     */
+    static _createNode(endpoint, log) {
+        let {url, username, password, timeout} = endpoint
+        if (url instanceof WsUrl) {
+            let wsEndpoint = WsEndpoint.create({
+                url, username, password, timeout
+            }).open()
+            return WsNode.create({endpoint: wsEndpoint, log}).open()
+        }
+        let httpEndpoint = HttpEndpoint.create({
+            url, username, password, timeout
+        }).open()
+        return Node.create({endpoint: httpEndpoint}).open()
     }
 
     /**
      * Return safe block number and latest block nubmer as metadata.
      *
      * @private
+     * @param {CallOptions} options
      * @return {Promise<Result<BadError, SafeBlockInfo>>}
      */
-    async _getSafeBlockInfo() {
-        let r1 = await this._node.getBlockNumber()
+    async _getSafeBlockInfo(options) {
+        let r1 = await this._request('getBlockNumber', [options])
         if (r1.error) {
             return r1
         }
@@ -758,16 +1202,90 @@ class SafeNode {
         return Result.ok(instance)
     }
 
+    /**
+     * Retrieve latest block number, then logs in safe blocks.
+     *
+     * @private
+     * @param {LogFilter} filter
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, NodeResponse<LogSegment>>>}
+     */
+    async _getLogsInSequence(filter, options) {
+        let r1 = await this._makeSafeLogFilter(filter, options)
+        if (r1.error) {
+            this._valve.giveBackQuota(UINT_1)
+            return r1
+        }
+        let {data: {safeFilter, latestBlock, safeBlock}} = r1
+        let r2 = await this._request('getLogs', [safeFilter, options])
+        if (r2.error) {
+            return r2
+        }
+        let {data: nodeResponse} = r2
+        let logSegment = LogSegment.create({
+            logs: nodeResponse.data,
+            fromBlock: safeFilter.fromBlock,
+            toBlock: safeFilter.toBlock,
+            latestBlock: latestBlock,
+            safeBlock: safeBlock
+        }).open()
+        let data = nodeResponse.cloneWithNewData(logSegment)
+        return Result.ok(data)
+    }
+
+    /**
+     * Retrieve latest block number and logs by a batch. Logs are queried up
+     * to a known safe block number. If the node returns a lower safe block
+     * number than that, logs after it are dropped.
+     *
+     * @private
+     * @param {LogFilter} filter
+     * @param {UInt64} knownSafeBlock
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, NodeResponse<LogSegment>>>}
+     */
+    async _getLogsByBatch(filter, knownSafeBlock, options) {
+        let safeFilter = this._limitLogFilter(filter, knownSafeBlock)
+        let r1 = await this._request('batch', [[
+            {method: 'eth_blockNumber', params: []},
+            {method: 'eth_getLogs', params: [safeFilter.toRpcInput()]}
+        ], options])
+        if (r1.error) {
+            return r1
+        }
+        let r2 = SafeNode._parseBatchLogs(...r1.data)
+        if (r2.error) {
+            return r2
+        }
+        let {data: {latestBlock, logResponse}} = r2
+        this._valve.setLatestBlockNumber(latestBlock)
+        let safeBlock = this._valve.safeBlockNumber
+        if (safeBlock === undefined || safeBlock.lt(filter.fromBlock)) {
+            return Result.badError(NODE_UNSAFE_BLOCK, 'try later')
+        }
+        let toBlock = UInt64.min(safeFilter.toBlock, safeBlock)
+        let logSegment = LogSegment.create({
+            logs: logResponse.data.filter(log => log.blockNumber.lte(toBlock)),
+            fromBlock: safeFilter.fromBlock,
+            toBlock: toBlock,
+            latestBlock: latestBlock,
+            safeBlock: safeBlock.clone()
+        }).open()
+        let data = logResponse.cloneWithNewData(logSegment)
+        return Result.ok(data)
+    }
+
     /**
      * Build safe log filter, also update safe block number.
      * Returned metadata is latest block number.
      *
      * @private
      * @param {LogFilter} filter
+     * @param {CallOptions} options
      * @return {Promise<Result<BadError, SafeLogFilter>>}
      */
-    async _makeSafeLogFilter(filter) {
-        let r1 = await this._getSafeBlockInfo()
+    async _makeSafeLogFilter(filter, options) {
+        let r1 = await this._getSafeBlockInfo(options)
         if (r1.error) {
             return r1
         }
@@ -775,20 +1293,66 @@ class SafeNode {
         if (safeBlock.lt(filter.fromBlock)) {
             return Result.badError(NODE_UNSAFE_BLOCK, 'try later')
         }
+        let safeFilter = this._limitLogFilter(filter, safeBlock)
+        let data = {safeFilter, latestBlock, safeBlock}
+        return Result.ok(data)
+    }
+
+    /**
+     * Limit range of the filter by estimated log range and safe block number.
+     *
+     * @private
+     * @param {LogFilter} filter
+     * @param {UInt64} safeBlock
+     * @return {LogFilter}
+     */
+    _limitLogFilter(filter, safeBlock) {
         let estimatedToBlock = filter.fromBlock
             .addPInt64(this._valve.logRange)
             .subNumber(1)
         let toBlock = UInt64.min(estimatedToBlock, filter.toBlock, safeBlock)
-        let safeFilter = LogFilter.create({
+        return LogFilter.create({
             fromBlock: filter.fromBlock,
             toBlock: toBlock,
             addresses: filter.addresses,
             topics: filter.topics
         }).open()
-        let data = {safeFilter, latestBlock, safeBlock}
-        return Result.ok(data)
     }
 
+    /**
+     * @private
+     * @param {Result<BadError, NodeResponse>} blockNumberResult
+     * @param {Result<BadError, NodeResponse>} logsResult
+     * @return {Result<BadError, object>} Fields are `latestBlock` as
+     * `UInt64` and `logResponse` as `NodeResponse<Array<Log>>`.
+     */
+    static _parseBatchLogs(blockNumberResult, logsResult) {
+        if (blockNumberResult.error) {
+            return blockNumberResult
+        }
+        if (logsResult.error) {
+            return logsResult
+        }
+        let {data: blockNumberResponse} = blockNumberResult
+        let {data: logResponse} = logsResult
+        let r1 = UInt64.fromHeximal(blockNumberResponse.data)
+        if (r1.error) {
+            return Result.badError(
+                NODE_BAD_RESPONSE, r1.error.message, blockNumberResponse
+            )
+        }
+        let r2 = mapArray(logResponse.data, Log.fromRpcResult)
+        if (r2.error) {
+            return Result.badError(
+                NODE_BAD_RESPONSE, r2.error.message, logResponse
+            )
+        }
+        let data = {
+            latestBlock: r1.data,
+            logResponse: logResponse.cloneWithNewData(r2.data)
+        }
+        return Result.ok(data)
+    }
 }
 
 module.exports = {
@@ -21,7 +21,8 @@
 const path = require('path')
 const {BigNumber} = require('@ethersproject/bignumber')
 const {
-    Result, UInt, UInt16, UInt64, UInt256, Timestamp, Timespan, DataSize,
+    Result, UInt, UInt8, UInt16, UInt64, UInt256, Timestamp, Timespan,
+    DataSize,
     Heximal, ByteData, validateHeximal, validateArray, validateArrayItems,
     validateInstance, validateInstanceMap, mapObject, mapArray
 } = require('minitype')
@@ -45,6 +46,10 @@ const ErrorCode = {
     NODE_BAD_SERVER: 0x010004,
     NODE_NO_BLOCK: 0x010005,
     NODE_NO_TRANSACTION: 0x010006,
+    NODE_LOG_RANGE_TOO_LARGE: 0x010007,
+    NODE_RATE_LIMITED: 0x010008,
+    NODE_METHOD_NOT_FOUND: 0x010009,
+    NODE_EXECUTION_REVERTED: 0x01000a,
     NODE_TIMESTAMP_LOCK: 0x01000001,
     NODE_REQUEST_QUOTA: 0x01000002,
     NODE_UNSAFE_BLOCK: 0x01000003,
@@ -52,7 +57,10 @@ const ErrorCode = {
     NODE_BAD_RESPONSE_LOCK: 0x01000005,
     NODE_OVERLOADING_LOCK: 0x01000006,
     GATEWAY_BAD_BACKEND: 0x0100000001,
-    GATEWAY_NO_BACKEND: 0x0100000002
+    GATEWAY_NO_BACKEND: 0x0100000002,
+    GATEWAY_NO_QUORUM: 0x0100000003,
+    CALL_ABORTED: 0x010000000001,
+    CALL_DEADLINE_EXCEEDED: 0x010000000002
 }
 /**
  * @readonly
@@ -82,6 +90,48 @@ const LogLevel = {
         }
     }
 }
+/**
+ * How a gateway orders it's nodes for a request. In all of strategies, nodes
+ * which are locked by errors or out of quota are tried after other ones.
+ *
+ * - `ROUND_ROBIN`: Rotate nodes for each request.
+ * - `LEAST_LATENCY`: Fastest nodes first, nodes without measurements are
+ * tried before them.
+ * - `WEIGHTED`: Random order, nodes are weighted by success rate and latency.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const RoutingStrategy = {
+    ROUND_ROBIN: 'round_robin',
+    LEAST_LATENCY: 'least_latency',
+    WEIGHTED: 'weighted'
+}
+/**
+ * Names of events for observability, see {@link PrometheusExporter}.
+ *
+ * - `REQUEST`: A request to a node is started, with `host`, `method`.
+ * - `RESPONSE`: A request to a node is finished, with `host`, `method`,
+ * `latency` in miliseconds, `size` in bytes and `errorCode` if it is failed.
+ * - `LOCK`: A node is locked by an error, with `host`, `errorCode` and
+ * `timespan` in miliseconds.
+ * - `UNLOCK`: A node is unlocked, with `host`.
+ * - `LOG_RANGE`: Log range of a node is changed, with `host`, `logRange`.
+ * - `SEGMENT`: A log stream delivered a segment, with `fromBlock`,
+ * `toBlock`, `logs` as quantity of logs and `lag` as quantity of blocks
+ * from `toBlock` to the latest block.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const MetricEvent = {
+    REQUEST: 'request',
+    RESPONSE: 'response',
+    LOCK: 'lock',
+    UNLOCK: 'unlock',
+    LOG_RANGE: 'logRange',
+    SEGMENT: 'segment'
+}
 
 class BadError extends Error {
     /**
@@ -261,6 +311,48 @@ class HttpUrl {
     }
 }
 
+/**
+ * URL of a WebSocket endpoint.
+ */
+class WsUrl {
+    /**
+     * @type {URL}
+     */
+    get value() {
+        return this._value
+    }
+
+    /**
+     * Initialize by {@link WsUrl.fromString}.
+     *
+     * @param {URL} value
+     */
+    constructor(value) {
+        this._value = value
+    }
+
+    /**
+     *
+     * @param {string} value
+     * @return {Result<TypeError, WsUrl>}
+     */
+    static fromString(value) {
+        let r1 = HttpUrl._parseUrl(value)
+        if (r1.error) {
+            return r1
+        }
+        let {data: url} = r1
+        if ((url.protocol !== 'ws:') && (url.protocol !== 'wss:')) {
+            return Result.typeError('expect protocol ws or wss')
+        }
+        if (url.username || url.password) {
+            return Result.typeError('expect no username or password')
+        }
+        let data = new WsUrl(url)
+        return Result.ok(data)
+    }
+}
+
 /**
  * Information to interact to HTTP such as URL, authentication.
  */
@@ -331,12 +423,86 @@ class HttpEndpoint {
     }
 }
 
+/**
+ * Information to interact to WebSocket such as URL, authentication.
+ */
+class WsEndpoint {
+    /**
+     * @type {WsUrl}
+     */
+    get url() {
+        return this._url
+    }
+
+    /**
+     * Maximum time to wait for connecting and for a response of a request.
+     *
+     * @type {Timespan}
+     */
+    get timeout() {
+        return this._timeout
+    }
+
+    /**
+     * @type {string | undefined}
+     */
+    get username() {
+        return this._username
+    }
+
+    /**
+     * @type {string | undefined}
+     */
+    get password() {
+        return this._password
+    }
+
+    /**
+     * Initialize by {@link WsEndpoint.create}.
+     *
+     * @param {object} values
+     */
+    constructor(values) {
+        this._url = values.url
+        this._username = values.username
+        this._password = values.password
+        this._timeout = values.timeout
+    }
+
+    /**
+     * @param {object} object
+     * @param {WsUrl} object.url
+     * @param {string} [object.username] - Username and password is
+     * use for basic authentication of opening handshake. See RFC 7617.
+     * @param {string} [object.password]
+     * @param {Timespan} [object.timeout=3000]
+     * @return {Result<TypeError, WsEndpoint>}
+     */
+    static create(object) {
+        let r1 = validateInstanceMap(object, [
+            ['url', WsUrl],
+            ['username', 'string', true],
+            ['password', 'string', true],
+            ['timeout', Timespan, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {url, username, password, timeout} = object
+        timeout = timeout || Timespan.fromMiliseconds(3000).open()
+        let data = new WsEndpoint({url, username, password, timeout})
+        return Result.ok(data)
+    }
+}
+
 /**
  * Configuration for a Ethereum endpoint.
  */
 class EthEndpoint {
     /**
-     * @type {HttpUrl}
+     * A WebSocket URL enables subscriptions.
+     *
+     * @type {HttpUrl | WsUrl}
      */
     get url() {
         return this._url
@@ -432,7 +598,8 @@ class EthEndpoint {
     /**
      *
      * @param {object} config
-     * @param {HttpUrl} config.url
+     * @param {HttpUrl | WsUrl} config.url - Requests are sent by HTTP or a
+     * WebSocket connection, depend on protocol.
      * @param {string} [config.username]
      * @param {string} [config.password]
      * @param {EndpointQuota} [config.quota]
@@ -452,7 +619,7 @@ class EthEndpoint {
      */
     static create(config) {
         let r1 = validateInstanceMap(config, [
-            ['url', HttpUrl],
+            ['url', 'object'],
             ['username', 'string', true],
             ['password', 'string', true],
             ['quota', EndpointQuota, true],
@@ -465,6 +632,12 @@ class EthEndpoint {
         if (r1.error) {
             return r1
         }
+        if (
+            !(config.url instanceof HttpUrl) &&
+            !(config.url instanceof WsUrl)
+        ) {
+            return Result.typeError('url: expect HttpUrl or WsUrl')
+        }
         let logTimeBorder = config.logTimeBorder ||
             Timespan.fromSeconds(5).open()
         let data = new EthEndpoint({
@@ -719,6 +892,20 @@ class Block {
         return this._number
     }
 
+    /**
+     * @type {ByteData32}
+     */
+    get hash() {
+        return this._hash
+    }
+
+    /**
+     * @type {ByteData32}
+     */
+    get parentHash() {
+        return this._parentHash
+    }
+
     /**
      * Timestamp when block is mined.
      *
@@ -729,9 +916,43 @@ class Block {
     }
 
     /**
-     * List of transaction hashes.
+     * Address that receives rewards of the block.
      *
-     * @type {Array<ByteData32>}
+     * @type {Address}
+     */
+    get miner() {
+        return this._miner
+    }
+
+    /**
+     * @type {UInt64}
+     */
+    get gasUsed() {
+        return this._gasUsed
+    }
+
+    /**
+     * @type {UInt64}
+     */
+    get gasLimit() {
+        return this._gasLimit
+    }
+
+    /**
+     * Base fee per gas in wei, see EIP-1559. It is `undefined` for blocks
+     * before London hard fork, or chains that does not support it.
+     *
+     * @type {UInt256 | undefined}
+     */
+    get baseFeePerGas() {
+        return this._baseFeePerGas
+    }
+
+    /**
+     * List of transaction hashes, or transactions if the block is retrieved
+     * with full transactions.
+     *
+     * @type {Array<ByteData32> | Array<Transaction>}
      */
     get transactions() {
         return this._transactions
@@ -742,12 +963,24 @@ class Block {
      *
      * @param {object} config
      * @param {UInt64} config.number
+     * @param {ByteData32} config.hash
+     * @param {ByteData32} config.parentHash
      * @param {Timestamp} config.timestamp
-     * @param {Array<ByteData32>} config.transactions
+     * @param {Address} config.miner
+     * @param {UInt64} config.gasUsed
+     * @param {UInt64} config.gasLimit
+     * @param {UInt256} [config.baseFeePerGas]
+     * @param {Array<ByteData32> | Array<Transaction>} config.transactions
      */
     constructor(config) {
         this._number = config.number
+        this._hash = config.hash
+        this._parentHash = config.parentHash
         this._timestamp = config.timestamp
+        this._miner = config.miner
+        this._gasUsed = config.gasUsed
+        this._gasLimit = config.gasLimit
+        this._baseFeePerGas = config.baseFeePerGas
         this._transactions = config.transactions
     }
 
@@ -755,20 +988,36 @@ class Block {
      *
      * @param {object} config
      * @param {UInt64} config.number
+     * @param {ByteData32} config.hash
+     * @param {ByteData32} config.parentHash
      * @param {Timestamp} config.timestamp
-     * @param {Array<ByteData32>} config.transactions
+     * @param {Address} config.miner
+     * @param {UInt64} config.gasUsed
+     * @param {UInt64} config.gasLimit
+     * @param {UInt256} [config.baseFeePerGas]
+     * @param {Array<ByteData32> | Array<Transaction>} config.transactions
      * @return {Result<TypeError, Block>}
      */
     static create(config) {
         let r1 = validateInstanceMap(config, [
             ['number', UInt64],
+            ['hash', ByteData32],
+            ['parentHash', ByteData32],
             ['timestamp', Timestamp],
+            ['miner', Address],
+            ['gasUsed', UInt64],
+            ['gasLimit', UInt64],
+            ['baseFeePerGas', UInt256, true],
             ['transactions', Array]
         ])
         if (r1.error) {
             return r1
         }
-        let r2 = validateArrayItems(config.transactions, ByteData32)
+        let {transactions} = config
+        let type = transactions[0] instanceof Transaction
+            ? Transaction
+            : ByteData32
+        let r2 = validateArrayItems(transactions, type)
         if (r2.error) {
             return Result.typeError(`transactions: ${r2.error.message}`)
         }
@@ -780,15 +1029,28 @@ class Block {
      *
      * @param {object} value
      * @param {Heximal} value.number
+     * @param {Heximal} value.hash
+     * @param {Heximal} value.parentHash
      * @param {Heximal} value.timestamp - Unix timestamp in seconds.
-     * @param {Array<Heximal>} value.transactions
+     * @param {Heximal} value.miner
+     * @param {Heximal} value.gasUsed
+     * @param {Heximal} value.gasLimit
+     * @param {Heximal} [value.baseFeePerGas]
+     * @param {Array<Heximal> | Array<object>} value.transactions - Hashes, or
+     * transactions if the block is requested with full transactions.
      * @return {Result<TypeError, Block>}
      */
     static fromRpcResult(value) {
         let r1 = mapObject(value, [
             ['number', UInt64.fromHeximal],
+            ['hash', ByteData32.fromHeximal],
+            ['parentHash', ByteData32.fromHeximal],
             ['timestamp', Timestamp.fromHeximalSeconds],
-            ['transactions', v => mapArray(v, ByteData32.fromHeximal)]
+            ['miner', Address.fromHeximal],
+            ['gasUsed', UInt64.fromHeximal],
+            ['gasLimit', UInt64.fromHeximal],
+            ['baseFeePerGas', mapOptional(UInt256.fromHeximal)],
+            ['transactions', v => mapArray(v, Block._parseTransaction)]
         ])
         if (r1.error) {
             return r1
@@ -796,10 +1058,72 @@ class Block {
         let data = new Block(r1.data)
         return Result.ok(data)
     }
+
+    /**
+     * @private
+     * @param {Heximal | object} value - A hash or a transaction.
+     * @return {Result<TypeError, ByteData32 | Transaction>}
+     */
+    static _parseTransaction(value) {
+        return typeof value === 'string'
+            ? ByteData32.fromHeximal(value)
+            : Transaction.fromRpcResult(value)
+    }
 }
 
 /**
- * Ethereum transaction.
+ * An entry of access list, see EIP-2930.
+ */
+class AccessListEntry {
+    /**
+     * @type {Address}
+     */
+    get address() {
+        return this._address
+    }
+
+    /**
+     * @type {Array<ByteData32>}
+     */
+    get storageKeys() {
+        return this._storageKeys
+    }
+
+    /**
+     * Initialize by {@link AccessListEntry.fromRpcResult}.
+     *
+     * @param {object} values
+     * @param {Address} values.address
+     * @param {Array<ByteData32>} values.storageKeys
+     */
+    constructor(values) {
+        this._address = values.address
+        this._storageKeys = values.storageKeys
+    }
+
+    /**
+     *
+     * @param {object} values
+     * @param {Heximal} values.address
+     * @param {Array<Heximal>} values.storageKeys
+     * @return {Result<TypeError, AccessListEntry>}
+     */
+    static fromRpcResult(values) {
+        let r1 = mapObject(values, [
+            ['address', Address.fromHeximal],
+            ['storageKeys', v => mapArray(v, ByteData32.fromHeximal)]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let data = new AccessListEntry(r1.data)
+        return Result.ok(data)
+    }
+}
+
+/**
+ * Ethereum transaction. It covers legacy transactions, EIP-2930 and EIP-1559
+ * transactions, fields which does not belong to a type are `undefined`.
  */
 class Transaction {
     /**
@@ -817,7 +1141,9 @@ class Transaction {
     }
 
     /**
-     * @type {Address}
+     * It is `undefined` for contract creation transactions.
+     *
+     * @type {Address | undefined}
      */
     get to() {
         return this._to
@@ -837,37 +1163,176 @@ class Transaction {
         return this._transactionIndex
     }
 
+    /**
+     * Transferred value in wei.
+     *
+     * @type {UInt256}
+     */
+    get value() {
+        return this._value
+    }
+
+    /**
+     * Call data, or init code of contract creation transactions.
+     *
+     * @type {ByteData}
+     */
+    get input() {
+        return this._input
+    }
+
+    /**
+     * @type {UInt64}
+     */
+    get nonce() {
+        return this._nonce
+    }
+
+    /**
+     * Gas limit of the transaction.
+     *
+     * @type {UInt64}
+     */
+    get gas() {
+        return this._gas
+    }
+
+    /**
+     * Price per gas in wei. For EIP-1559 transactions, most of nodes return
+     * the effective price.
+     *
+     * @type {UInt256 | undefined}
+     */
+    get gasPrice() {
+        return this._gasPrice
+    }
+
+    /**
+     * Only EIP-1559 transactions.
+     *
+     * @type {UInt256 | undefined}
+     */
+    get maxFeePerGas() {
+        return this._maxFeePerGas
+    }
+
+    /**
+     * Only EIP-1559 transactions.
+     *
+     * @type {UInt256 | undefined}
+     */
+    get maxPriorityFeePerGas() {
+        return this._maxPriorityFeePerGas
+    }
+
+    /**
+     * `0` is legacy, `1` is EIP-2930, `2` is EIP-1559. It is `undefined` if
+     * the node does not return it, such transactions are legacy ones.
+     *
+     * @type {UInt8 | undefined}
+     */
+    get type() {
+        return this._type
+    }
+
+    /**
+     * It is `undefined` for legacy transactions which does not follow
+     * EIP-155, or the node does not return it.
+     *
+     * @type {UInt64 | undefined}
+     */
+    get chainId() {
+        return this._chainId
+    }
+
+    /**
+     * Only EIP-2930 and EIP-1559 transactions.
+     *
+     * @type {Array<AccessListEntry> | undefined}
+     */
+    get accessList() {
+        return this._accessList
+    }
+
+    /**
+     * Signature field `v`. It is `0` or `1` for typed transactions.
+     *
+     * @type {UInt256}
+     */
+    get v() {
+        return this._v
+    }
+
+    /**
+     * Signature field `r`.
+     *
+     * @type {UInt256}
+     */
+    get r() {
+        return this._r
+    }
+
+    /**
+     * Signature field `s`.
+     *
+     * @type {UInt256}
+     */
+    get s() {
+        return this._s
+    }
+
     /**
      * Initialize by {@link Transaction.fromRpcResult}.
      *
      * @param {object} object
      */
     constructor(object) {
-        let {hash, from, to, blockNumber, transactionIndex} = object
-        this._hash = hash
-        this._from = from
-        this._to = to
-        this._blockNumber = blockNumber
-        this._transactionIndex = transactionIndex
+        this._hash = object.hash
+        this._from = object.from
+        this._to = object.to
+        this._blockNumber = object.blockNumber
+        this._transactionIndex = object.transactionIndex
+        this._value = object.value
+        this._input = object.input
+        this._nonce = object.nonce
+        this._gas = object.gas
+        this._gasPrice = object.gasPrice
+        this._maxFeePerGas = object.maxFeePerGas
+        this._maxPriorityFeePerGas = object.maxPriorityFeePerGas
+        this._type = object.type
+        this._chainId = object.chainId
+        this._accessList = object.accessList
+        this._v = object.v
+        this._r = object.r
+        this._s = object.s
     }
 
     /**
      *
-     * @param {object} object - Returned data from RPC.
-     * @param {ByteData32} object.hash
-     * @param {Address} object.from
-     * @param {Address} object.to
-     * @param {UInt64} object.blockNumber
-     * @param {UInt16} object.transactionIndex
-     * @return {Result<Transaction>}
+     * @param {object} object - Returned data from RPC. Fields are heximal
+     * strings, see getters for meanings.
+     * @return {Result<TypeError, Transaction>}
      */
     static fromRpcResult(object) {
         let r1 = mapObject(object, [
             ['hash', ByteData32.fromHeximal],
             ['from', Address.fromHeximal],
-            ['to', Address.fromHeximal],
+            ['to', mapOptional(Address.fromHeximal)],
             ['blockNumber', UInt64.fromHeximal],
-            ['transactionIndex', UInt16.fromHeximal]
+            ['transactionIndex', UInt16.fromHeximal],
+            ['value', UInt256.fromHeximal],
+            ['input', ByteData.fromHeximal],
+            ['nonce', UInt64.fromHeximal],
+            ['gas', UInt64.fromHeximal],
+            ['gasPrice', mapOptional(UInt256.fromHeximal)],
+            ['maxFeePerGas', mapOptional(UInt256.fromHeximal)],
+            ['maxPriorityFeePerGas', mapOptional(UInt256.fromHeximal)],
+            ['type', mapOptional(UInt8.fromHeximal)],
+            ['chainId', mapOptional(UInt64.fromHeximal)],
+            ['accessList', mapOptional(Transaction._parseAccessList)],
+            ['v', UInt256.fromHeximal],
+            ['r', UInt256.fromHeximal],
+            ['s', UInt256.fromHeximal]
         ])
         if (r1.error) {
             return r1
@@ -875,6 +1340,15 @@ class Transaction {
         let data = new Transaction(r1.data)
         return Result.ok(data)
     }
+
+    /**
+     * @private
+     * @param {Array<object>} value
+     * @return {Result<TypeError, Array<AccessListEntry>>}
+     */
+    static _parseAccessList(value) {
+        return mapArray(value, AccessListEntry.fromRpcResult)
+    }
 }
 
 /**
@@ -953,7 +1427,7 @@ class LogTopicCombination {
  */
 class LogTopicFilter {
     /**
-     * @type {Array<ByteData32 | Array<ByteData32>>}
+     * @type {Array<ByteData32 | Array<ByteData32> | null>}
      */
     get value() {
         return this._value
@@ -962,7 +1436,7 @@ class LogTopicFilter {
     /**
      * Initialize by {@link LogTopicFilter.create}.
      *
-     * @param {Array<ByteData32 | Array<ByteData32>>} value
+     * @param {Array<ByteData32 | Array<ByteData32> | null>} value
      */
     constructor(value) {
         this._value = value
@@ -971,10 +1445,13 @@ class LogTopicFilter {
     /**
      * Transform to data that works as JSON RPC input.
      *
-     * @return {Array<Heximal | Array<Heximal>>}
+     * @return {Array<Heximal | Array<Heximal> | null>}
      */
     toRpcInput() {
         return this._value.map(item => {
+            if (item === null) {
+                return null
+            }
             if (item instanceof ByteData32) {
                 return item.toHeximal()
             }
@@ -986,7 +1463,8 @@ class LogTopicFilter {
 
     /**
      *
-     * @param {Array<ByteData32 | Array<ByteData32>>} value
+     * @param {Array<ByteData32 | Array<ByteData32> | null>} value - `null`
+     * matches any topic at that position.
      * @return {Result<TypeError, LogTopicFilter>}
      * @example
      * // Specify topic[0]
@@ -1019,10 +1497,13 @@ class LogTopicFilter {
 
     /**
      * @private
-     * @param {ByteData32 | Array<ByteData32>} value
+     * @param {ByteData32 | Array<ByteData32> | null} value
      * @return {Result<TypeError, undefined>}
      */
     static _validateTopicOrArray(value) {
+        if (value === null) {
+            return Result.ok()
+        }
         if (Array.isArray(value)) {
             return validateArrayItems(value, ByteData32)
         }
@@ -1269,6 +1750,339 @@ class Log {
     }
 }
 
+/**
+ * Result of a mined transaction.
+ */
+class Receipt {
+    /**
+     * @type {ByteData32}
+     */
+    get transactionHash() {
+        return this._transactionHash
+    }
+
+    /**
+     * @type {UInt16}
+     */
+    get transactionIndex() {
+        return this._transactionIndex
+    }
+
+    /**
+     * @type {ByteData32}
+     */
+    get blockHash() {
+        return this._blockHash
+    }
+
+    /**
+     * @type {UInt64}
+     */
+    get blockNumber() {
+        return this._blockNumber
+    }
+
+    /**
+     * @type {Address}
+     */
+    get from() {
+        return this._from
+    }
+
+    /**
+     * It is `undefined` for contract creation transactions.
+     *
+     * @type {Address | undefined}
+     */
+    get to() {
+        return this._to
+    }
+
+    /**
+     * `1` means the transaction is succeeded, `0` means it is failed. It is
+     * `undefined` for transactions before Byzantium hard fork.
+     *
+     * @type {UInt8 | undefined}
+     */
+    get status() {
+        return this._status
+    }
+
+    /**
+     * Gas is used by this transaction.
+     *
+     * @type {UInt64}
+     */
+    get gasUsed() {
+        return this._gasUsed
+    }
+
+    /**
+     * Total gas is used by this transaction and previous ones in the block.
+     *
+     * @type {UInt64}
+     */
+    get cumulativeGasUsed() {
+        return this._cumulativeGasUsed
+    }
+
+    /**
+     * Price per gas in wei that is paid actually. It is `undefined` if the
+     * node does not return it.
+     *
+     * @type {UInt256 | undefined}
+     */
+    get effectiveGasPrice() {
+        return this._effectiveGasPrice
+    }
+
+    /**
+     * Address of the created contract, or `undefined` if the transaction is
+     * not a contract creation.
+     *
+     * @type {Address | undefined}
+     */
+    get contractAddress() {
+        return this._contractAddress
+    }
+
+    /**
+     * Logs which is emitted by the transaction.
+     *
+     * @type {Array<Log>}
+     */
+    get logs() {
+        return this._logs
+    }
+
+    /**
+     * Initialize by {@link Receipt.fromRpcResult}.
+     *
+     * @param {object} values
+     * @param {ByteData32} values.transactionHash
+     * @param {UInt16} values.transactionIndex
+     * @param {ByteData32} values.blockHash
+     * @param {UInt64} values.blockNumber
+     * @param {Address} values.from
+     * @param {Address} [values.to]
+     * @param {UInt8} [values.status]
+     * @param {UInt64} values.gasUsed
+     * @param {UInt64} values.cumulativeGasUsed
+     * @param {UInt256} [values.effectiveGasPrice]
+     * @param {Address} [values.contractAddress]
+     * @param {Array<Log>} values.logs
+     */
+    constructor(values) {
+        this._transactionHash = values.transactionHash
+        this._transactionIndex = values.transactionIndex
+        this._blockHash = values.blockHash
+        this._blockNumber = values.blockNumber
+        this._from = values.from
+        this._to = values.to
+        this._status = values.status
+        this._gasUsed = values.gasUsed
+        this._cumulativeGasUsed = values.cumulativeGasUsed
+        this._effectiveGasPrice = values.effectiveGasPrice
+        this._contractAddress = values.contractAddress
+        this._logs = values.logs
+    }
+
+    /**
+     *
+     * @param {object} values - Returned data from RPC
+     * `eth_getTransactionReceipt`.
+     * @return {Result<TypeError, Receipt>}
+     */
+    static fromRpcResult(values) {
+        let r1 = mapObject(values, [
+            ['transactionHash', ByteData32.fromHeximal],
+            ['transactionIndex', UInt16.fromHeximal],
+            ['blockHash', ByteData32.fromHeximal],
+            ['blockNumber', UInt64.fromHeximal],
+            ['from', Address.fromHeximal],
+            ['to', mapOptional(Address.fromHeximal)],
+            ['status', mapOptional(UInt8.fromHeximal)],
+            ['gasUsed', UInt64.fromHeximal],
+            ['cumulativeGasUsed', UInt64.fromHeximal],
+            ['effectiveGasPrice', mapOptional(UInt256.fromHeximal)],
+            ['contractAddress', mapOptional(Address.fromHeximal)],
+            ['logs', v => mapArray(v, Log.fromRpcResult)]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let data = new Receipt(r1.data)
+        return Result.ok(data)
+    }
+}
+
+/**
+ * Temporary changes of an account for `eth_call`, they are not written to
+ * the chain. A storage slot is a pair of key and value.
+ */
+class AccountOverride {
+    /**
+     * @type {Address}
+     */
+    get address() {
+        return this._address
+    }
+
+    /**
+     * @type {UInt256 | undefined}
+     */
+    get balance() {
+        return this._balance
+    }
+
+    /**
+     * @type {UInt64 | undefined}
+     */
+    get nonce() {
+        return this._nonce
+    }
+
+    /**
+     * @type {ByteData | undefined}
+     */
+    get code() {
+        return this._code
+    }
+
+    /**
+     * Replace all of storage.
+     *
+     * @type {Array<Array<ByteData32>> | undefined}
+     */
+    get state() {
+        return this._state
+    }
+
+    /**
+     * Replace specific slots, other slots are kept.
+     *
+     * @type {Array<Array<ByteData32>> | undefined}
+     */
+    get stateDiff() {
+        return this._stateDiff
+    }
+
+    /**
+     * Initialize by {@link AccountOverride.create}.
+     *
+     * @param {object} values
+     */
+    constructor(values) {
+        this._address = values.address
+        this._balance = values.balance
+        this._nonce = values.nonce
+        this._code = values.code
+        this._state = values.state
+        this._stateDiff = values.stateDiff
+    }
+
+    /**
+     * Transform to a value of the state override set of `eth_call`.
+     *
+     * @return {object}
+     */
+    toRpcInput() {
+        let input = {}
+        if (this._balance) {
+            input.balance = this._balance.toHeximal()
+        }
+        if (this._nonce) {
+            input.nonce = this._nonce.toHeximal()
+        }
+        if (this._code) {
+            input.code = '0x' + this._code.value.toString('hex')
+        }
+        if (this._state) {
+            input.state = AccountOverride._slotsToRpcInput(this._state)
+        }
+        if (this._stateDiff) {
+            input.stateDiff = AccountOverride._slotsToRpcInput(this._stateDiff)
+        }
+        return input
+    }
+
+    /**
+     * @param {object} values
+     * @param {Address} values.address
+     * @param {UInt256} [values.balance]
+     * @param {UInt64} [values.nonce]
+     * @param {ByteData} [values.code]
+     * @param {Array<Array<ByteData32>>} [values.state] - Pairs of slot key
+     * and slot value. It can not go with `stateDiff`.
+     * @param {Array<Array<ByteData32>>} [values.stateDiff] - Pairs of slot
+     * key and slot value.
+     * @return {Result<TypeError, AccountOverride>}
+     * @example
+     * let override = AccountOverride.create({
+     *     address: Address.fromHeximal('0x...').open(),
+     *     stateDiff: [
+     *         [
+     *             ByteData32.fromHeximal('0x...').open(),
+     *             ByteData32.fromHeximal('0x...').open()
+     *         ]
+     *     ]
+     * }).open()
+     */
+    static create(values) {
+        let r1 = validateInstanceMap(values, [
+            ['address', Address],
+            ['balance', UInt256, true],
+            ['nonce', UInt64, true],
+            ['code', ByteData, true],
+            ['state', Array, true],
+            ['stateDiff', Array, true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let {state, stateDiff} = values
+        if (state && stateDiff) {
+            return Result.typeError('expect state or stateDiff, not both')
+        }
+        let r2 = AccountOverride._validateSlots(state || stateDiff || [])
+        if (r2.error) {
+            return Result.typeError(
+                `${state ? 'state' : 'stateDiff'}: ${r2.error.message}`
+            )
+        }
+        let data = new AccountOverride(values)
+        return Result.ok(data)
+    }
+
+    /**
+     * @private
+     * @param {Array<Array<ByteData32>>} slots
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateSlots(slots) {
+        let isValid = slots.every(slot =>
+            Array.isArray(slot) &&
+            slot.length === 2 &&
+            slot.every(item => item instanceof ByteData32)
+        )
+        return isValid
+            ? Result.ok()
+            : Result.typeError('expect pairs of ByteData32')
+    }
+
+    /**
+     * @private
+     * @param {Array<Array<ByteData32>>} slots
+     * @return {object}
+     */
+    static _slotsToRpcInput(slots) {
+        let entries = slots.map(([key, value]) => {
+            return [key.toHeximal(), value.toHeximal()]
+        })
+        return Object.fromEntries(entries)
+    }
+}
+
 class BigMath {
     /**
      *
@@ -1322,6 +2136,22 @@ function getInvertedObject(object) {
     return result
 }
 
+/**
+ * Make a formatter for `mapObject()` which accepts missing values, such as
+ * fields that is returned by some of RPC nodes only.
+ *
+ * @param {Function} formatter - Transform a defined value to a result.
+ * @return {Function} Transform `undefined` or `null` to `Result.ok()`,
+ * other values are transformed by `formatter`.
+ */
+function mapOptional(formatter) {
+    return value => {
+        return (value === undefined || value === null)
+            ? Result.ok()
+            : formatter(value)
+    }
+}
+
 /**
  * **Tags:** `PARTIAL_INPUT_VALIDATION`.
  *
@@ -1362,10 +2192,13 @@ function heximalToBuffer(value) {
 module.exports = {
     Result,
     LogLevel,
+    RoutingStrategy,
+    MetricEvent,
     ErrorCode,
     ErrorString,
     BadError,
     UInt,
+    UInt8,
     UInt16,
     UInt64,
     UInt256,
@@ -1377,15 +2210,20 @@ module.exports = {
     BigNumber,
     HttpUrl,
     HttpEndpoint,
+    WsUrl,
+    WsEndpoint,
     EthEndpoint,
     EndpointQuota,
     Address,
     Block,
+    AccessListEntry,
     Transaction,
     LogTopicCombination,
     LogTopicFilter,
     LogFilter,
     Log,
+    Receipt,
+    AccountOverride,
     BigMath,
     getInvertedObject,
     heximalToFixedBuffer,
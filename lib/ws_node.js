@@ -0,0 +1,616 @@
+'use strict'
+
+const EventEmitter = require('events')
+const WebSocket = require('ws')
+const {
+    DataSize,
+    Timespan,
+    Timestamp,
+    validateInstanceMap,
+    validateInstance
+} = require('minitype')
+const {Node, JsonResponse, RpcResponse} = require('./node')
+const {Result, BadError, WsEndpoint} = require('./type')
+const {
+    NODE_OVERLOADING,
+    NODE_BAD_RESPONSE,
+    NODE_BAD_SERVER
+} = require('./type').ErrorCode
+const {CallOptions} = require('./call_options')
+const {Logger, NoopLogger} = require('./logger')
+
+/**
+ * Attempts to subscribe again after the connection is lost.
+ *
+ * @private
+ */
+const RESUBSCRIBE_ATTEMPTS = 5
+
+/**
+ * @name SubscriptionHandler
+ * @function
+ * @param {any} data - Field `params.result` of a notification, it's format
+ * depends on type of the subscription. The handler must not throw errors,
+ * such errors are logged then dropped for keeping the connection.
+ */
+
+/**
+ * A subscription by `eth_subscribe`. If the connection is lost then it is
+ * subscribed again by a new connection and it's identity is changed. It is
+ * no longer active after {@link Subscription.unsubscribe} is called, the
+ * connection is closed by {@link WsNode.close}, or it could not be subscribed
+ * again.
+ *
+ * Event `error` is emitted with a `BadError` if it could not be subscribed
+ * again. It is emitted only if there are listeners, so it never throws.
+ */
+class Subscription extends EventEmitter {
+    /**
+     * Subscription identity that is returned from the node.
+     *
+     * @type {string}
+     */
+    get id() {
+        return this._id
+    }
+
+    /**
+     * Such as `newHeads`, `logs`.
+     *
+     * @type {string}
+     */
+    get type() {
+        return this._type
+    }
+
+    /**
+     * Rest of parameters for `eth_subscribe`.
+     *
+     * @type {Array<any>}
+     */
+    get params() {
+        return this._params
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get isActive() {
+        return this._isActive
+    }
+
+    /**
+     * @param {object} values
+     * @param {WsNode} values.node
+     * @param {string} values.type
+     * @param {Array<any>} values.params
+     * @param {SubscriptionHandler} values.handler
+     */
+    constructor(values) {
+        super()
+        this._node = values.node
+        this._id = undefined
+        this._type = values.type
+        this._params = values.params
+        this._handler = values.handler
+        this._isActive = true
+    }
+
+    /**
+     * Stop receiving notifications.
+     *
+     * @return {Promise<Result<BadError, undefined>>}
+     */
+    async unsubscribe() {
+        return await this._node.unsubscribe(this)
+    }
+}
+
+/**
+ * Work as {@link Node} but requests are sent over a WebSocket connection,
+ * they are multiplexed by identity of JSON RPC requests. It also supports
+ * subscriptions.
+ *
+ * The connection is opened on the first request and opened again on next
+ * request after it is closed. If it is lost while there are subscriptions
+ * then it is opened again immediately for subscribing them again.
+ */
+class WsNode extends Node {
+    /**
+     *
+     * @param {object} config
+     * @param {WsEndpoint} config.endpoint
+     * @param {Logger} [config.log=NoopLogger()] - Write failures of
+     * subscriptions.
+     * @return {Result<TypeError, WsNode>}
+     */
+    static create(config) {
+        let r1 = validateInstanceMap(config, [
+            ['endpoint', WsEndpoint],
+            ['log', 'any', true]
+        ])
+        if (r1.error) {
+            return r1
+        }
+        let r2 = Logger.from(config.log || new NoopLogger())
+        if (r2.error) {
+            return Result.typeError(`log: ${r2.error.message}`)
+        }
+        let data = new WsNode(config)
+        data._log = r2.data
+        return Result.ok(data)
+    }
+
+    /**
+     * Create a subscription by `eth_subscribe`.
+     *
+     * @param {string} type - Such as `newHeads`, `logs`.
+     * @param {Array<any>} params - Rest of parameters for `eth_subscribe`.
+     * @param {SubscriptionHandler} handler - Receive notifications.
+     * @return {Promise<Result<BadError, Subscription>>}
+     */
+    async subscribe(type, params, handler) {
+        let r1 = WsNode._validateSubscription(type, params, handler)
+        if (r1.error) {
+            return r1
+        }
+        let subscription = new Subscription({
+            node: this, type, params, handler
+        })
+        let r2 = await this._requestSubscription(subscription)
+        if (r2.error) {
+            return r2
+        }
+        return Result.ok(subscription)
+    }
+
+    /**
+     * Cancel a subscription by `eth_unsubscribe`. It is stop receiving
+     * notifications immediately.
+     *
+     * @param {Subscription} subscription
+     * @return {Promise<Result<BadError, undefined>>}
+     */
+    async unsubscribe(subscription) {
+        subscription._isActive = false
+        if (!this._subscriptions.delete(subscription.id)) {
+            return Result.ok()
+        }
+        let r1 = await this._requestRpc('eth_unsubscribe', [subscription.id])
+        if (r1.error) {
+            return r1
+        }
+        return Result.ok()
+    }
+
+    /**
+     * Close the connection. In-flight requests are failed and subscriptions
+     * are no longer active.
+     */
+    close() {
+        this._deactivateSubscriptions()
+        if (this._socket) {
+            this._socket.close()
+        }
+    }
+
+    /**
+     * @protected
+     * @param {WsEndpoint} endpoint
+     */
+    _initTransport(endpoint) {
+        let {url, username, password, timeout} = endpoint
+        this._url = url.value.toString()
+        this._timeout = timeout
+        this._headers = Node._makeHttpClientHeaders(username, password)
+        this._socket = undefined
+        this._connecting = undefined
+        this._nextRequestId = 1
+        this._requests = new Map()
+        this._subscriptions = new Map()
+        this._log = new NoopLogger()
+        this._resubscribeDelay = Timespan.fromSeconds(1).open()
+    }
+
+    /**
+     * Request a JSON RPC call to server.
+     *
+     * @protected
+     * @param {string} method
+     * @param {any} params
+     * @param {CallOptions} [options=CallOptions.none()]
+     * @param {Function} [onResponse] - Receive the response message before
+     * next messages are handled. Subscriptions are registered here, so
+     * notifications right after the response are not missed.
+     * @return {Promise<Result<BadError, RpcResponse>>}
+     */
+    async _requestRpc(
+        method, params, options = CallOptions.none(), onResponse = undefined
+    ) {
+        let r1 = await this._connect()
+        if (r1.error) {
+            return r1
+        }
+        let r2 = await this._send(method, params, options, onResponse)
+        if (r2.error) {
+            return r2
+        }
+        return RpcResponse.fromJsonResponse(r2.data)
+    }
+
+    /**
+     * Request a JSON RPC batch to server. The batch is multiplexed with other
+     * requests by identity of it's first request.
+     *
+     * @protected
+     * @param {Array<object>} calls
+     * @param {CallOptions} options
+     * @return {Promise<Result<BadError, Array<Result<BadError, RpcResponse>>>>}
+     */
+    async _requestRpcBatch(calls, options) {
+        let r1 = await this._connect()
+        if (r1.error) {
+            return r1
+        }
+        let requests = Node._createBatchRequests(calls, this._nextRequestId)
+        this._nextRequestId += requests.length
+        let r2 = await this._sendMessage(requests[0].id, requests, options)
+        if (r2.error) {
+            return r2
+        }
+        return Node._splitBatchResponse(requests, r2.data)
+    }
+
+    /**
+     * Send `eth_subscribe`, then register the subscription by the returned
+     * identity.
+     *
+     * @private
+     * @param {Subscription} subscription
+     * @return {Promise<Result<BadError, undefined>>}
+     */
+    async _requestSubscription(subscription) {
+        let {type, params} = subscription
+        let isRegistered = false
+        let r1 = await this._requestRpc(
+            'eth_subscribe', [type, ...params], CallOptions.none(),
+            ({result: id}) => {
+                if (typeof id === 'string') {
+                    subscription._id = id
+                    this._subscriptions.set(id, subscription)
+                    isRegistered = true
+                }
+            }
+        )
+        if (r1.error) {
+            return r1
+        }
+        if (!isRegistered) {
+            let message = 'expect a subscription identity'
+            return Result.badError(NODE_BAD_RESPONSE, message, r1.data)
+        }
+        return Result.ok()
+    }
+
+    /**
+     * Subscribe again by a new connection.
+     *
+     * @private
+     */
+    async _restoreSubscriptions() {
+        let subscriptions = [...this._subscriptions.values()]
+        this._subscriptions.clear()
+        for (let subscription of subscriptions) {
+            await this._restoreSubscription(subscription)
+        }
+    }
+
+    /**
+     * Try to subscribe again with delays which are doubled after each
+     * attempt. A subscription which could not be subscribed again is no
+     * longer active, it emits event `error`.
+     *
+     * @private
+     * @param {Subscription} subscription
+     */
+    async _restoreSubscription(subscription) {
+        let {type} = subscription
+        let delay = this._resubscribeDelay.value
+        for (let attempt = 1; subscription.isActive; ++attempt) {
+            let r1 = await this._requestSubscription(subscription)
+            if (!r1.error) {
+                return
+            }
+            this._log.warn('subscribe again failed', {
+                type, attempt, error: r1.error.message
+            })
+            if (attempt >= RESUBSCRIBE_ATTEMPTS) {
+                this._failSubscription(subscription, r1.error)
+                return
+            }
+            await new Promise(resolve => setTimeout(resolve, delay))
+            delay *= 2
+        }
+    }
+
+    /**
+     * @private
+     * @param {Subscription} subscription
+     * @param {BadError} error
+     */
+    _failSubscription(subscription, error) {
+        subscription._isActive = false
+        this._log.error('subscription is lost', {
+            type: subscription.type, error: error.message
+        })
+        if (subscription.listenerCount('error') > 0) {
+            subscription.emit('error', error)
+        }
+    }
+
+    /**
+     * @private
+     */
+    _deactivateSubscriptions() {
+        for (let subscription of this._subscriptions.values()) {
+            subscription._isActive = false
+        }
+        this._subscriptions.clear()
+    }
+
+    /**
+     * Open a connection if there is no opened one. Concurrent callers share
+     * the same opening.
+     *
+     * @private
+     * @return {Promise<Result<BadError, undefined>>}
+     */
+    _connect() {
+        if (this._socket) {
+            return Promise.resolve(Result.ok())
+        }
+        if (this._connecting === undefined) {
+            this._connecting = this._openSocket().then(result => {
+                this._connecting = undefined
+                return result
+            })
+        }
+        return this._connecting
+    }
+
+    /**
+     * @private
+     * @return {Promise<Result<BadError, undefined>>}
+     */
+    _openSocket() {
+        return new Promise(resolve => {
+            let socket = new WebSocket(this._url, {
+                headers: this._headers,
+                handshakeTimeout: this._timeout.value
+            })
+            socket.on('message', data => this._onMessage(data.toString()))
+            socket.on('close', () => this._onClose(socket))
+            socket.on('error', error => {
+                if (this._socket !== socket) {
+                    resolve(WsNode._makeConnectionError(error))
+                }
+            })
+            socket.once('open', () => {
+                this._socket = socket
+                resolve(Result.ok())
+            })
+        })
+    }
+
+    /**
+     * Send a request and wait for it's response, or timeout.
+     *
+     * @private
+     * @param {string} method
+     * @param {any} params
+     * @param {CallOptions} options
+     * @param {Function} [onResponse]
+     * @return {Promise<Result<BadError, JsonResponse>>}
+     */
+    _send(method, params, options, onResponse) {
+        let id = this._nextRequestId++
+        let message = {id, jsonrpc: '2.0', method, params}
+        return this._sendMessage(id, message, options, onResponse)
+    }
+
+    /**
+     * Wait for the response until timeout, or the call is cancelled by
+     * options. A response which comes after that is dropped.
+     *
+     * @private
+     * @param {number} key - Identity that the response is matched by.
+     * @param {object | Array<object>} message - A request or a batch.
+     * @param {CallOptions} options
+     * @param {Function} [onResponse]
+     * @return {Promise<Result<BadError, JsonResponse>>}
+     */
+    _sendMessage(key, message, options, onResponse = undefined) {
+        let r1 = options.check()
+        if (r1.error) {
+            return Promise.resolve(r1)
+        }
+        let body = JSON.stringify(message)
+        return new Promise(resolve => {
+            let finish = result => {
+                clearTimeout(timer)
+                stopListening()
+                this._requests.delete(key)
+                resolve(result)
+            }
+            let timer = setTimeout(() => {
+                finish(Result.badError(NODE_OVERLOADING, 'timeout'))
+            }, this._timeout.value)
+            let stopListening = options.onCancel(finish)
+            this._requests.set(key, {
+                beginTime: Timestamp.now(),
+                onResponse: onResponse,
+                resolve: finish
+            })
+            this._socket.send(body)
+        })
+    }
+
+    /**
+     * Dispatch a message to it's request or subscription. Malformed messages
+     * are dropped, their requests are failed by timeout.
+     *
+     * @private
+     * @param {string} text
+     */
+    _onMessage(text) {
+        let message = WsNode._parseJson(text)
+        if (message === undefined) {
+            return
+        }
+        if (message.method === 'eth_subscription') {
+            this._notify(message.params)
+            return
+        }
+        let key = Array.isArray(message)
+            ? this._findBatchKey(message)
+            : message.id
+        let request = this._requests.get(key)
+        if (request === undefined) {
+            return
+        }
+        this._requests.delete(key)
+        if (request.onResponse) {
+            request.onResponse(message)
+        }
+        let response = new JsonResponse({
+            data: message,
+            time: Timespan.elapsedTime(request.beginTime).open(),
+            size: DataSize.fromBytes(text.length).open()
+        })
+        request.resolve(Result.ok(response))
+    }
+
+    /**
+     * @private
+     * @param {Array<object>} items - Responses of a batch.
+     * @return {number | undefined} Identity that the batch is waiting by.
+     */
+    _findBatchKey(items) {
+        let item = items.find(item => item && this._requests.has(item.id))
+        return item ? item.id : undefined
+    }
+
+    /**
+     * @private
+     * @param {object} params - Field `params` of a notification.
+     */
+    _notify(params) {
+        let {subscription: id, result} = params || {}
+        let subscription = this._subscriptions.get(id)
+        if (subscription) {
+            this._callHandler(subscription, result)
+        }
+    }
+
+    /**
+     * @private
+     * @param {WebSocket} socket
+     */
+    _onClose(socket) {
+        if (this._socket !== socket) {
+            return
+        }
+        this._socket = undefined
+        for (let request of this._requests.values()) {
+            let error = Result.badError(NODE_BAD_SERVER, 'connection closed')
+            request.resolve(error)
+        }
+        this._requests.clear()
+        if (this._subscriptions.size > 0) {
+            this._restoreSubscriptions()
+        }
+    }
+
+    /**
+     * Errors from a handler are logged then dropped, so they neither break
+     * dispatching of messages nor become uncaught exceptions.
+     *
+     * @private
+     * @param {Subscription} subscription
+     * @param {any} data
+     */
+    _callHandler(subscription, data) {
+        let onError = error => {
+            this._log.error('subscription handler failed', {
+                type: subscription.type, error
+            })
+        }
+        try {
+            let result = subscription._handler(data)
+            if (result instanceof Promise) {
+                result.catch(onError)
+            }
+        }
+        catch (error) {
+            onError(error)
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {Array<any>} params
+     * @param {SubscriptionHandler} handler
+     * @return {Result<TypeError, undefined>}
+     */
+    static _validateSubscription(type, params, handler) {
+        let r1 = validateInstance(type, 'string')
+        if (r1.error) {
+            return Result.typeError(`type: ${r1.error.message}`)
+        }
+        let r2 = validateInstance(params, Array)
+        if (r2.error) {
+            return Result.typeError(`params: ${r2.error.message}`)
+        }
+        let r3 = validateInstance(handler, Function)
+        if (r3.error) {
+            return Result.typeError(`handler: ${r3.error.message}`)
+        }
+        return Result.ok()
+    }
+
+    /**
+     * @private
+     * @param {Error} error
+     * @return {Result<BadError, undefined>}
+     */
+    static _makeConnectionError(error) {
+        let {code, message} = error
+        switch (code) {
+            case 'ENOTFOUND':
+            case 'ECONNREFUSED':
+                return Result.badError(NODE_OVERLOADING, message)
+            default:
+                return Result.badError(NODE_BAD_SERVER, message)
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} data
+     * @return {object | undefined}
+     */
+    static _parseJson(data) {
+        try {
+            return JSON.parse(data)
+        }
+        catch {
+            return undefined
+        }
+    }
+}
+
+module.exports = {
+    WsNode,
+    Subscription
+}
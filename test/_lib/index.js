@@ -2,6 +2,24 @@
 
 const path = require('path')
 const fs = require('fs')
+const http = require('http')
+const EventEmitter = require('events')
+const WebSocket = require('ws')
+const {defaultAbiCoder} = require('@ethersproject/abi')
+const {UInt16, UInt64} = require('minitype')
+const {Client} = require('../../lib/client')
+const {LogSegment} = require('../../lib/safe_node')
+const {
+    Result,
+    HttpUrl,
+    EthEndpoint,
+    Address,
+    ByteData,
+    ByteData32,
+    LogTopicCombination,
+    Log
+} = require('../../lib/type')
+const {NODE_UNSAFE_BLOCK} = require('../../lib/type').ErrorCode
 
 /**
  * Retrive absolute path from relative path at directory `../_data`.
@@ -23,7 +41,234 @@ function readDataFile(relativePath) {
     return fs.readFileSync(realPath, 'utf-8')
 }
 
+/**
+ * Create a log which has empty topics and data.
+ *
+ * @param {number} blockNumber
+ * @param {string} blockHash - A heximal digit which is repeated to be
+ * a block hash.
+ * @return {Log}
+ */
+function createLog(blockNumber, blockHash) {
+    return Log.create({
+        address: Address.fromHeximal('0x' + '11'.repeat(20)).open(),
+        blockNumber: UInt64.fromNumber(blockNumber).open(),
+        logIndex: UInt16.fromNumber(0).open(),
+        transactionIndex: UInt16.fromNumber(0).open(),
+        topics: LogTopicCombination.create([]).open(),
+        data: ByteData.fromHeximal('0x').open(),
+        blockHash: ByteData32.fromHeximal('0x' + blockHash.repeat(64)).open(),
+        transactionHash: ByteData32.fromHeximal('0x' + '0'.repeat(64)).open()
+    }).open()
+}
+
+/**
+ * @param {object} chain - See {@link createMemoryClient}.
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @return {Array<Log>}
+ */
+function readMemoryLogs(chain, fromBlock, toBlock) {
+    return Object.keys(chain)
+        .map(Number)
+        .filter(n => n >= fromBlock && n <= toBlock)
+        .sort((a, b) => a - b)
+        .map(n => createLog(n, chain[n]))
+}
+
+/**
+ * Create a client that serves `getLogs()` from memory instead of a node.
+ *
+ * @param {object} chain - Map from block number to a heximal digit that is
+ * used by {@link createLog}. It is read on each call so it could be changed
+ * for simulating chain reorganizations.
+ * @param {number} [maxRange=10] - Maximum quantities of blocks in a
+ * returned log segment.
+ * @param {number} [latestBlock=1000]
+ * @return {Client}
+ */
+function createMemoryClient(chain, maxRange = 10, latestBlock = 1000) {
+    let client = Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString('http://0.0.0.0').open()
+            }).open()
+        ]
+    }).open()
+    client.getLogs = (filter) => {
+        let fromBlock = filter.fromBlock.toNumber()
+        if (fromBlock > latestBlock) {
+            let error = Result.badError(NODE_UNSAFE_BLOCK, 'try later')
+            return Promise.resolve(error)
+        }
+        let toBlock = Math.min(
+            filter.toBlock.toNumber(), fromBlock + maxRange - 1, latestBlock
+        )
+        let logSegment = LogSegment.create({
+            logs: readMemoryLogs(chain, fromBlock, toBlock),
+            fromBlock: UInt64.fromNumber(fromBlock).open(),
+            toBlock: UInt64.fromNumber(toBlock).open(),
+            latestBlock: UInt64.fromNumber(latestBlock).open(),
+            safeBlock: UInt64.fromNumber(latestBlock).open()
+        }).open()
+        return Promise.resolve(Result.ok({data: logSegment}))
+    }
+    return client
+}
+
+/**
+ * Start a WebSocket server at a random port of local host.
+ *
+ * @param {Function} handler - Receive a parsed JSON RPC request and the
+ * client socket.
+ * @return {Promise<WebSocket.Server>} Field `url` is added for connecting.
+ */
+function createWsServer(handler) {
+    return new Promise(resolve => {
+        let server = new WebSocket.Server({host: '127.0.0.1', port: 0})
+        server.on('connection', socket => {
+            socket.on('message', data => {
+                handler(JSON.parse(data.toString()), socket)
+            })
+        })
+        server.on('listening', () => {
+            server.url = `ws://127.0.0.1:${server.address().port}`
+            resolve(server)
+        })
+    })
+}
+
+/**
+ * Close a server that is created by {@link createWsServer}.
+ *
+ * @param {WebSocket.Server} server
+ * @return {Promise<undefined>}
+ */
+function closeWsServer(server) {
+    for (let socket of server.clients) {
+        socket.terminate()
+    }
+    return new Promise(resolve => server.close(resolve))
+}
+
+/**
+ * Start a HTTP server at a random port of local host. It accepts requests
+ * but never responds.
+ *
+ * @return {Promise<http.Server>} Field `url` is added for connecting.
+ */
+function createSilentHttpServer() {
+    return listenHttpServer(http.createServer(() => {}))
+}
+
+/**
+ * Start a JSON RPC server over HTTP at a random port of local host.
+ *
+ * @param {Function} handler - Receive a parsed JSON RPC request, return an
+ * object which has `result` or `error`.
+ * @return {Promise<http.Server>} Field `url` is added for connecting.
+ */
+function createRpcHttpServer(handler) {
+    let server = http.createServer((request, response) => {
+        let chunks = []
+        request.on('data', chunk => chunks.push(chunk))
+        request.on('end', () => {
+            let body = JSON.parse(Buffer.concat(chunks).toString())
+            let answer = handler(body)
+            response.setHeader('content-type', 'application/json')
+            response.end(JSON.stringify({
+                jsonrpc: '2.0', id: body.id, ...answer
+            }))
+        })
+    })
+    return listenHttpServer(server)
+}
+
+/**
+ * Listen at a random port of local host and keep track of sockets, so
+ * {@link closeHttpServer} closes the server immediately.
+ *
+ * @param {http.Server} server
+ * @return {Promise<http.Server>} Field `url` is added for connecting.
+ */
+function listenHttpServer(server) {
+    return new Promise(resolve => {
+        server.sockets = new Set()
+        server.on('connection', socket => {
+            server.sockets.add(socket)
+            socket.on('close', () => server.sockets.delete(socket))
+        })
+        server.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${server.address().port}`
+            resolve(server)
+        })
+    })
+}
+
+/**
+ * Close a server that is created by {@link createSilentHttpServer} or
+ * {@link createRpcHttpServer}.
+ *
+ * @param {http.Server} server
+ * @return {Promise<undefined>}
+ */
+function closeHttpServer(server) {
+    for (let socket of server.sockets) {
+        socket.destroy()
+    }
+    return new Promise(resolve => server.close(() => resolve()))
+}
+
+/**
+ * Work as `AbortController`, it is not available in Node.js 14.
+ *
+ * @return {object} Field `signal` and function `abort()`.
+ */
+function createAbortController() {
+    let emitter = new EventEmitter()
+    let signal = {
+        aborted: false,
+        addEventListener: (name, listener) => emitter.on(name, listener),
+        removeEventListener: (name, listener) => emitter.off(name, listener)
+    }
+    let abort = () => {
+        signal.aborted = true
+        emitter.emit('abort')
+    }
+    return {signal, abort}
+}
+
+/**
+ * Revert data of `Error(string)`, ABI of contracts must not declare it.
+ *
+ * @param {string} reason
+ * @return {string} Heximal.
+ */
+function encodeRevertReason(reason) {
+    return '0x08c379a0' + defaultAbiCoder.encode(['string'], [reason]).slice(2)
+}
+
+/**
+ * Revert data of `Panic(uint256)`, ABI of contracts must not declare it.
+ *
+ * @param {number} code
+ * @return {string} Heximal.
+ */
+function encodePanic(code) {
+    return '0x4e487b71' + defaultAbiCoder.encode(['uint256'], [code]).slice(2)
+}
+
 module.exports = {
     getDataFilePath,
-    readDataFile
+    readDataFile,
+    createLog,
+    createMemoryClient,
+    createWsServer,
+    closeWsServer,
+    createSilentHttpServer,
+    createRpcHttpServer,
+    closeHttpServer,
+    createAbortController,
+    encodeRevertReason,
+    encodePanic
 }
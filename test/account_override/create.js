@@ -0,0 +1,64 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {
+    AccountOverride,
+    Address,
+    ByteData,
+    ByteData32,
+    UInt64,
+    UInt256
+} = require('../../lib/type')
+
+const ADDRESS = Address.fromHeximal(
+    '0x804678fa97d91b974ec2af3c843270886528a9e6'
+).open()
+const SLOT_KEY = ByteData32.fromHeximal('0x' + '00'.repeat(31) + '01').open()
+const SLOT_VALUE = ByteData32.fromHeximal('0x' + '00'.repeat(31) + '02').open()
+describe('AccountOverride.create', () => {
+    it('all of fields, return rpc input', () => {
+        let override = AccountOverride.create({
+            address: ADDRESS,
+            balance: UInt256.fromNumber(255).open(),
+            nonce: UInt64.fromNumber(2).open(),
+            code: ByteData.fromHeximal('0x6001').open(),
+            state: [[SLOT_KEY, SLOT_VALUE]]
+        }).open()
+        assert.deepStrictEqual(override.toRpcInput(), {
+            balance: '0xff',
+            nonce: '0x2',
+            code: '0x6001',
+            state: {[SLOT_KEY.toHeximal()]: SLOT_VALUE.toHeximal()}
+        })
+    })
+    it('only address, return empty rpc input', () => {
+        let override = AccountOverride.create({address: ADDRESS}).open()
+        assert.deepStrictEqual(override.toRpcInput(), {})
+    })
+    it('state and state diff, return error', () => {
+        let {error} = AccountOverride.create({
+            address: ADDRESS,
+            state: [],
+            stateDiff: []
+        })
+        assert.strictEqual(error.message, 'expect state or stateDiff, not both')
+    })
+    it('invalid slot, return error', () => {
+        let {error} = AccountOverride.create({
+            address: ADDRESS,
+            stateDiff: [[SLOT_KEY]]
+        })
+        assert.strictEqual(
+            error.message, 'stateDiff: expect pairs of ByteData32'
+        )
+    })
+    it('unknown field, return error', () => {
+        let {error} = AccountOverride.create({
+            address: ADDRESS,
+            storage: []
+        })
+        assert.strictEqual(error instanceof TypeError, true)
+    })
+})
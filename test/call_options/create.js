@@ -0,0 +1,72 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Timespan} = require('minitype')
+const {CallOptions} = require('../../lib/call_options')
+const {createAbortController} = require('../_lib')
+const {
+    CALL_ABORTED,
+    CALL_DEADLINE_EXCEEDED
+} = require('../../lib/type').ErrorCode
+
+describe('CallOptions.create', () => {
+    it('no options, never be cancelled', () => {
+        let options = CallOptions.create().open()
+        assert.strictEqual(options.signal, undefined)
+        assert.strictEqual(options.expiredTime, undefined)
+        assert.strictEqual(options.check().error, undefined)
+        assert.strictEqual(options.getTimeout(1000), 1000)
+    })
+    it('invalid signal, return error', () => {
+        let {error} = CallOptions.create({signal: {aborted: false}})
+        assert.strictEqual(error.message, 'signal: expect an AbortSignal')
+    })
+    it('signal is aborted, return error from check', () => {
+        let controller = createAbortController()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        controller.abort()
+        let {error} = options.check()
+        assert.strictEqual(error.code, CALL_ABORTED)
+    })
+    it('signal is aborted, notify listener', async() => {
+        let controller = createAbortController()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        let result = new Promise(resolve => options.onCancel(resolve))
+        controller.abort()
+        let {error} = await result
+        assert.strictEqual(error.code, CALL_ABORTED)
+    })
+    it('deadline is passed, return error from check', async() => {
+        let options = CallOptions.create({
+            deadline: Timespan.fromMiliseconds(10).open()
+        }).open()
+        assert.strictEqual(options.getTimeout(1000) <= 10, true)
+        await new Promise(resolve => setTimeout(resolve, 20))
+        let {error} = options.check()
+        assert.strictEqual(error.code, CALL_DEADLINE_EXCEEDED)
+    })
+    it('deadline is passed, notify listener', async() => {
+        let options = CallOptions.create({
+            deadline: Timespan.fromMiliseconds(10).open()
+        }).open()
+        let {error} = await new Promise(resolve => options.onCancel(resolve))
+        assert.strictEqual(error.code, CALL_DEADLINE_EXCEEDED)
+    })
+    it('stop listening, listener is not called', async() => {
+        let controller = createAbortController()
+        let options = CallOptions.create({
+            signal: controller.signal,
+            deadline: Timespan.fromMiliseconds(10).open()
+        }).open()
+        let isCalled = false
+        let stopListening = options.onCancel(() => {
+            isCalled = true
+        })
+        stopListening()
+        controller.abort()
+        await new Promise(resolve => setTimeout(resolve, 20))
+        assert.strictEqual(isCalled, false)
+    })
+})
@@ -0,0 +1,87 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt, UInt64, Timespan, DataSize} = require('minitype')
+const {Client} = require('../../lib/client')
+const {NodeResponse} = require('../../lib/node')
+const {
+    Result, HttpUrl, EthEndpoint, EndpointQuota
+} = require('../../lib/type')
+
+/**
+ * Create a client that serves `getBlocks` by block numbers instead of
+ * blocks, calls to it's node are recorded in field `calls`.
+ *
+ * @return {Client}
+ */
+function createClient() {
+    let client = Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString('http://0.0.0.0').open(),
+                quota: EndpointQuota.create({
+                    batchLimit: UInt.fromNumber(10).open()
+                }).open()
+            }).open()
+        ]
+    }).open()
+    client.calls = []
+    let [node] = client._layer1._nodes
+    node.getBlocks = (fromBlock, toBlock, full) => {
+        client.calls.push(['getBlocks', fromBlock.toNumber(), toBlock.toNumber(), full])
+        let numbers = []
+        for (let n = fromBlock.toNumber(); n <= toBlock.toNumber(); ++n) {
+            numbers.push(n)
+        }
+        let response = NodeResponse.create({
+            data: numbers,
+            time: Timespan.fromMiliseconds(2).open(),
+            size: DataSize.fromBytes(numbers.length).open()
+        }).open()
+        return Promise.resolve(Result.ok(response))
+    }
+    return client
+}
+
+describe('Client.getBlocks', () => {
+    it('large range, split into batches and merge them', async() => {
+        let client = createClient()
+        let actualResult = await client.getBlocks(
+            UInt64.fromNumber(5).open(),
+            UInt64.fromNumber(27).open(),
+            {fullTransactions: true}
+        )
+        let {data, time, size} = actualResult.open()
+        assert.deepStrictEqual(client.calls, [
+            ['getBlocks', 5, 14, true],
+            ['getBlocks', 15, 24, true],
+            ['getBlocks', 25, 27, true]
+        ])
+        assert.strictEqual(data.length, 23)
+        assert.strictEqual(data[0], 5)
+        assert.strictEqual(data[22], 27)
+        assert.strictEqual(time instanceof Timespan, true)
+        assert.strictEqual(size.toNumber().open(), 23)
+    })
+    it('no options, retrieve transaction hashes', async() => {
+        let client = createClient()
+        let blockNumber = UInt64.fromNumber(3).open()
+        await client.getBlocks(blockNumber, blockNumber)
+        assert.deepStrictEqual(client.calls, [['getBlocks', 3, 3, false]])
+    })
+    it('toBlock is less than fromBlock, return error', async() => {
+        let client = createClient()
+        let actualResult = await client.getBlocks(
+            UInt64.fromNumber(3).open(),
+            UInt64.fromNumber(2).open()
+        )
+        assert.strictEqual(actualResult.error instanceof TypeError, true)
+        assert.strictEqual(
+            actualResult.error.message,
+            'toBlock: expect not less than fromBlock'
+        )
+    })
+})
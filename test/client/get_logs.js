@@ -4,8 +4,11 @@
 /* eslint-disable max-lines-per-function */
 
 const assert = require('assert')
-const {UInt64} = require('minitype')
+const {UInt64, Timespan, DataSize} = require('minitype')
 const {Client} = require('../../lib/client')
+const {NodeResponse} = require('../../lib/node')
+const {LogSegment} = require('../../lib/safe_node')
+const {createLog} = require('../_lib')
 const {
     Result,
     HttpUrl,
@@ -16,6 +19,41 @@ const {
     LogFilter
 } = require('../../lib/type')
 
+/**
+ * Create a client in quorum mode, it's nodes respond logs at these blocks.
+ * Block hashes are derived from block numbers.
+ *
+ * @param {Array<Array<number>>} nodeBlocks - Block numbers of logs for each
+ * node.
+ * @return {Client}
+ */
+function createQuorumClient(nodeBlocks) {
+    let client = Client.create({
+        mainEndpoints: nodeBlocks.map((_, i) => EthEndpoint.create({
+            url: HttpUrl.fromString(`http://0.0.0.${i}`).open()
+        }).open()),
+        quorum: {size: 3, threshold: 2}
+    }).open()
+    client._layer1.proxyMany = (method, [filter], count) => {
+        let replies = nodeBlocks.slice(0, count).map((blocks, i) => {
+            let data = NodeResponse.create({
+                data: LogSegment.create({
+                    logs: blocks.map(n => createLog(n, n.toString(16))),
+                    fromBlock: filter.fromBlock,
+                    toBlock: filter.toBlock,
+                    latestBlock: filter.toBlock,
+                    safeBlock: filter.toBlock
+                }).open(),
+                time: Timespan.fromMiliseconds(1).open(),
+                size: DataSize.fromBytes(100).open()
+            }).open()
+            return {host: `0.0.0.${i}`, result: Result.ok(data)}
+        })
+        return Promise.resolve(replies)
+    }
+    return client
+}
+
 describe('Client.getLogs', () => {
     it('return a log segment', async() => {
         let client = Client.create({
@@ -42,4 +80,43 @@ describe('Client.getLogs', () => {
         let {data: logSegment} = nodeResponse
         assert.strictEqual(logSegment.logs.length, 1)
     })
+    it('quorum mode, return agreed logs and emit disagreement', async() => {
+        let client = createQuorumClient([[3], [], [3]])
+        let events = []
+        client.on('disagreement', event => events.push(event))
+        let filter = LogFilter.create({
+            fromBlock: UInt64.fromNumber(0).open(),
+            toBlock: UInt64.fromNumber(10).open()
+        }).open()
+        let {data: nodeResponse} = await client.getLogs(filter)
+        assert.strictEqual(nodeResponse.data.logs.length, 1)
+        assert.strictEqual(events.length, 1)
+        assert.strictEqual(events[0].method, 'getLogs')
+        assert.deepStrictEqual(events[0].decision.disagreedHosts, ['0.0.0.1'])
+    })
+    it('quorum mode, no agreement, return error', async() => {
+        let client = createQuorumClient([[3], [], [4]])
+        let filter = LogFilter.create({
+            fromBlock: UInt64.fromNumber(0).open(),
+            toBlock: UInt64.fromNumber(10).open()
+        }).open()
+        let {error} = await client.getLogs(filter)
+        assert.strictEqual(
+            error.message, 'GATEWAY_NO_QUORUM responses are not agreed'
+        )
+    })
+    it('quorum size is greater than main endpoints, return error', () => {
+        let {error} = Client.create({
+            mainEndpoints: [
+                EthEndpoint.create({
+                    url: HttpUrl.fromString('http://0.0.0.0').open()
+                }).open()
+            ],
+            quorum: {size: 2, threshold: 1}
+        })
+        assert.strictEqual(
+            error.message,
+            'quorum: size: expect not greater than mainEndpoints'
+        )
+    })
 })
@@ -0,0 +1,58 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Deferral} = require('@trop/gear')
+const {Client} = require('../../lib/client')
+const {
+    Result, HttpUrl, WsUrl, EthEndpoint
+} = require('../../lib/type')
+const {createWsServer, closeWsServer} = require('../_lib')
+const {GATEWAY_NO_BACKEND} = require('../../lib/type').ErrorCode
+
+describe('Client.subscribeNewHeads', () => {
+    it('WebSocket endpoint, receive block numbers', async() => {
+        let server = await createWsServer((request, socket) => {
+            socket.send(JSON.stringify({id: request.id, result: '0xa'}))
+            socket.send(JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'eth_subscription',
+                params: {subscription: '0xa', result: {number: '0x1b4'}}
+            }))
+        })
+        let client = Client.create({
+            mainEndpoints: [
+                EthEndpoint.create({
+                    url: HttpUrl.fromString('http://0.0.0.0').open()
+                }).open(),
+                EthEndpoint.create({
+                    url: WsUrl.fromString(server.url).open()
+                }).open()
+            ]
+        }).open()
+        let head = new Deferral()
+        let r1 = await client.subscribeNewHeads(blockNumber => {
+            head.resolve(blockNumber)
+        })
+        let blockNumber = await head.promise
+        client.close()
+        await closeWsServer(server)
+        assert.strictEqual(r1.error, undefined)
+        assert.strictEqual(blockNumber.toNumber(), 0x1b4)
+    })
+    it('no WebSocket endpoint, return error', async() => {
+        let client = Client.create({
+            mainEndpoints: [
+                EthEndpoint.create({
+                    url: HttpUrl.fromString('http://0.0.0.0').open()
+                }).open()
+            ]
+        }).open()
+        let expectedResult = Result.badError(
+            GATEWAY_NO_BACKEND, 'expect a WebSocket endpoint'
+        )
+        let actualResult = await client.subscribeNewHeads(() => {})
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
@@ -0,0 +1,50 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Interface} = require('@ethersproject/abi')
+const {Codec} = require('../../lib/codec')
+const {encodeRevertReason, encodePanic} = require('../_lib')
+
+const ABI = [
+    'error InsufficientBalance(uint256 available, uint256 required)'
+]
+const ENCODER = new Interface([...ABI, 'error Unknown()'])
+describe('Codec.decodeError', () => {
+    it('Error(string), return reason', () => {
+        let codec = Codec.create(ABI).open()
+        let data = encodeRevertReason('not owner')
+        let {name, signature, args} = codec.decodeError(data).open()
+        assert.strictEqual(name, 'Error')
+        assert.strictEqual(signature, 'Error(string)')
+        assert.strictEqual(args[0], 'not owner')
+    })
+    it('Panic(uint256), return code', () => {
+        let codec = Codec.create(ABI).open()
+        let data = encodePanic(0x11)
+        let {name, args} = codec.decodeError(data).open()
+        assert.strictEqual(name, 'Panic')
+        assert.strictEqual(args[0].toNumber(), 0x11)
+    })
+    it('custom error from ABI, return named arguments', () => {
+        let codec = Codec.create(ABI).open()
+        let data = ENCODER.encodeErrorResult('InsufficientBalance', [1, 2])
+        let {name, signature, args} = codec.decodeError(data).open()
+        assert.strictEqual(name, 'InsufficientBalance')
+        assert.strictEqual(signature, 'InsufficientBalance(uint256,uint256)')
+        assert.strictEqual(args.available.toNumber(), 1)
+        assert.strictEqual(args.required.toNumber(), 2)
+    })
+    it('error is not in ABI, return error', () => {
+        let codec = Codec.create(ABI).open()
+        let data = ENCODER.encodeErrorResult('Unknown', [])
+        let {error} = codec.decodeError(data)
+        assert.strictEqual(error instanceof Error, true)
+    })
+    it('no selector, return error', () => {
+        let codec = Codec.create(ABI).open()
+        let {error} = codec.decodeError('0x')
+        assert.strictEqual(error.message, 'expect a selector and ABI data')
+    })
+})
@@ -0,0 +1,55 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Interface} = require('@ethersproject/abi')
+const {Codec} = require('../../lib/codec')
+const {LogTopicFilter} = require('../../lib/type')
+
+const ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+]
+const ENCODER = new Interface(ABI)
+const ALICE = '0x0000000000000000000000000000000000000001'
+const BOB = '0x0000000000000000000000000000000000000002'
+describe('Codec.encodeEventTopics', () => {
+    it('no values, return topic of the event', () => {
+        let codec = Codec.create(ABI).open()
+        let topics = codec.encodeEventTopics('Transfer').open()
+        assert.strictEqual(topics instanceof LogTopicFilter, true)
+        assert.deepStrictEqual(
+            topics.toRpcInput(),
+            [ENCODER.getEventTopic('Transfer')]
+        )
+    })
+    it('null value, match any value', () => {
+        let codec = Codec.create(ABI).open()
+        let topics = codec.encodeEventTopics('Transfer', [null, BOB]).open()
+        assert.deepStrictEqual(
+            topics.toRpcInput(),
+            ENCODER.encodeFilterTopics('Transfer', [null, BOB])
+        )
+        assert.strictEqual(topics.toRpcInput()[1], null)
+    })
+    it('array of values, match any of them', () => {
+        let codec = Codec.create(ABI).open()
+        let topics = codec.encodeEventTopics('Approval', [[ALICE, BOB]]).open()
+        assert.deepStrictEqual(
+            topics.toRpcInput(),
+            ENCODER.encodeFilterTopics('Approval', [[ALICE, BOB]])
+        )
+    })
+    it('not existed event, return error', () => {
+        let codec = Codec.create(ABI).open()
+        let {error} = codec.encodeEventTopics('Mint', [])
+        assert.strictEqual(error instanceof Error, true)
+    })
+    it('too many values, return error', () => {
+        let codec = Codec.create(ABI).open()
+        let {error} = codec.encodeEventTopics('Transfer', [ALICE, BOB, 1])
+        assert.strictEqual(error instanceof Error, true)
+    })
+})
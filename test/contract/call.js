@@ -4,13 +4,42 @@
 /* eslint-disable max-lines-per-function */
 
 const assert = require('assert')
-const {Contract} = require('../../lib/contract')
+const {Timespan, DataSize} = require('minitype')
+const {Contract, ContractRevertError} = require('../../lib/contract')
+const {JsonResponse} = require('../../lib/node')
 const {Client} = require('../../lib/client')
 const {Codec} = require('../../lib/codec')
 const {
-    Result, EthEndpoint, HttpUrl, Address
+    Result, EthEndpoint, HttpUrl, Address, ByteData32, AccountOverride,
+    UInt64, UInt256
 } = require('../../lib/type')
-const {getDataFilePath} = require('../_lib')
+const {
+    NODE_EXECUTION_REVERTED,
+    NODE_OVERLOADING
+} = require('../../lib/type').ErrorCode
+const {getDataFilePath, encodeRevertReason} = require('../_lib')
+
+/**
+ * Client does not connect to any node, it's `call()` is replaced by
+ * `handler`.
+ *
+ * @param {Function} handler - Receive `method`, `params` and `options`,
+ * return a result or a promise of it.
+ * @return {Contract}
+ */
+function createContractWithFakeClient(handler) {
+    let address = Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open()
+    let codec = Codec.fromJsonFile(getDataFilePath('abi_bep_20_token.json')).open()
+    let client = Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString('http://foo.bar').open()
+            }).open()
+        ]
+    }).open()
+    client.call = handler
+    return Contract.create(address, codec, client).open()
+}
 
 describe('Contract.call', () => {
     it('invalid input method, return error', async() => {
@@ -29,4 +58,136 @@ describe('Contract.call', () => {
         let actualResult = await contract.call('decimals')
         assert.deepStrictEqual(actualResult, expectedResult)
     })
+    it('transaction options and state override, send them', async() => {
+        let calls = []
+        let contract = createContractWithFakeClient((method, params) => {
+            calls.push({method, params})
+            return Result.ok({data: '0x' + '00'.repeat(31) + '64'})
+        })
+        let holder = Address.fromHeximal('0x0000000000000000000000000000000000000001').open()
+        let slot = ByteData32.fromHeximal('0x' + '00'.repeat(31) + '01').open()
+        let balance = ByteData32.fromHeximal('0x' + '00'.repeat(31) + '64').open()
+        let result = await contract.call('balanceOf', [holder.toHeximal()], 'latest', {
+            from: holder,
+            value: UInt256.fromNumber(1).open(),
+            stateOverride: [
+                AccountOverride.create({
+                    address: Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open(),
+                    stateDiff: [[slot, balance]]
+                }).open()
+            ]
+        })
+        assert.strictEqual(result.open()[0].toNumber(), 100)
+        let [transaction, blockNumber, stateOverride] = calls[0].params
+        assert.strictEqual(calls[0].method, 'eth_call')
+        assert.strictEqual(transaction.from, holder.toHeximal())
+        assert.strictEqual(transaction.value, '0x1')
+        assert.strictEqual(transaction.gas, undefined)
+        assert.strictEqual(blockNumber, 'latest')
+        assert.deepStrictEqual(stateOverride, {
+            '0x804678fa97d91b974ec2af3c843270886528a9e6': {
+                stateDiff: {[slot.toHeximal()]: balance.toHeximal()}
+            }
+        })
+    })
+    it('no state override, send two params', async() => {
+        let calls = []
+        let contract = createContractWithFakeClient((method, params) => {
+            calls.push({method, params})
+            return Result.ok({data: '0x' + '00'.repeat(31) + '12'})
+        })
+        await contract.call('decimals')
+        assert.strictEqual(calls[0].params.length, 2)
+    })
+    it('reverted with revert data, return ContractRevertError', async() => {
+        let revertData = encodeRevertReason('insufficient balance')
+        let jsonResponse = new JsonResponse({
+            data: {
+                jsonrpc: '2.0',
+                id: 1,
+                error: {code: 3, message: 'execution reverted', data: revertData}
+            },
+            size: DataSize.fromBytes(0).open(),
+            time: Timespan.fromMiliseconds(0).open()
+        })
+        let contract = createContractWithFakeClient(() => {
+            return Result.badError(NODE_EXECUTION_REVERTED, 'execution reverted', jsonResponse)
+        })
+        let {error} = await contract.call('decimals')
+        assert.strictEqual(error instanceof ContractRevertError, true)
+        assert.strictEqual(error.code, NODE_EXECUTION_REVERTED)
+        assert.strictEqual(error.errorName, 'Error')
+        assert.deepStrictEqual([...error.errorArgs], ['insufficient balance'])
+        assert.strictEqual(error.revertData, revertData)
+        assert.strictEqual(error.message, 'NODE_EXECUTION_REVERTED Error(insufficient balance)')
+    })
+    it('reverted without revert data, return ContractRevertError', async() => {
+        let contract = createContractWithFakeClient(() => {
+            return Result.badError(NODE_EXECUTION_REVERTED, 'execution reverted')
+        })
+        let {error} = await contract.call('decimals')
+        assert.strictEqual(error instanceof ContractRevertError, true)
+        assert.strictEqual(error.errorName, undefined)
+        assert.strictEqual(error.message, 'NODE_EXECUTION_REVERTED execution reverted')
+    })
+    it('other errors, return them', async() => {
+        let expectedResult = Result.badError(NODE_OVERLOADING, 'timeout')
+        let contract = createContractWithFakeClient(() => expectedResult)
+        let actualResult = await contract.call('decimals')
+        assert.strictEqual(actualResult, expectedResult)
+    })
+    it('block tags, send them', async() => {
+        let blockNumbers = []
+        let contract = createContractWithFakeClient((method, params) => {
+            blockNumbers.push(params[1])
+            return Result.ok({data: '0x' + '00'.repeat(31) + '12'})
+        })
+        let tags = ['latest', 'earliest', 'pending', 'safe', 'finalized']
+        for (let tag of tags) {
+            (await contract.call('decimals', [], tag)).open()
+        }
+        assert.deepStrictEqual(blockNumbers, tags)
+    })
+    it('block number, send it as heximal', async() => {
+        let blockNumbers = []
+        let contract = createContractWithFakeClient((method, params) => {
+            blockNumbers.push(params[1])
+            return Result.ok({data: '0x' + '00'.repeat(31) + '12'})
+        })
+        await contract.call('decimals', [], UInt64.fromNumber(255).open())
+        assert.deepStrictEqual(blockNumbers, ['0xff'])
+    })
+    it('block hash, send it as EIP-1898', async() => {
+        let blockNumbers = []
+        let contract = createContractWithFakeClient((method, params) => {
+            blockNumbers.push(params[1])
+            return Result.ok({data: '0x' + '00'.repeat(31) + '12'})
+        })
+        let blockHash = ByteData32.fromHeximal('0x9d82f4cf07fef03861f608ae18a51f37231793e5e4aa25220f30fee505f5cd03').open()
+        await contract.call('decimals', [], {blockHash})
+        await contract.call('decimals', [], {blockHash, requireCanonical: true})
+        assert.deepStrictEqual(blockNumbers, [
+            {blockHash: blockHash.toHeximal()},
+            {blockHash: blockHash.toHeximal(), requireCanonical: true}
+        ])
+    })
+    it('invalid block, return error', async() => {
+        let contract = createContractWithFakeClient(() => {
+            throw new Error('must not be called')
+        })
+        let r1 = await contract.call('decimals', [], 'newest')
+        assert.match(r1.error.message, /^blockNumber: expect UInt64/)
+        let r2 = await contract.call('decimals', [], {blockHash: '0x01'})
+        assert.match(r2.error.message, /^blockNumber: /)
+    })
+    it('unknown option, return error', async() => {
+        let contract = createContractWithFakeClient(() => {
+            throw new Error('must not be called')
+        })
+        let {error} = await contract.call('decimals', [], 'latest', {
+            gasPrice: 1
+        })
+        assert.strictEqual(error instanceof TypeError, true)
+        assert.match(error.message, /^options: /)
+    })
 })
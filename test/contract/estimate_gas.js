@@ -0,0 +1,93 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Contract, ContractRevertError} = require('../../lib/contract')
+const {Client} = require('../../lib/client')
+const {Codec} = require('../../lib/codec')
+const {
+    Result, EthEndpoint, HttpUrl, Address, UInt64
+} = require('../../lib/type')
+const {
+    NODE_OVERLOADING,
+    NODE_EXECUTION_REVERTED
+} = require('../../lib/type').ErrorCode
+const {getDataFilePath} = require('../_lib')
+
+/**
+ * Client does not connect to any node, it's `call()` is replaced by
+ * `handler`.
+ *
+ * @param {Function} handler - Receive `method`, `params` and `options`,
+ * return a result or a promise of it.
+ * @return {Contract}
+ */
+function createContractWithFakeClient(handler) {
+    let address = Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open()
+    let codec = Codec.fromJsonFile(getDataFilePath('abi_bep_20_token.json')).open()
+    let client = Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString('http://foo.bar').open()
+            }).open()
+        ]
+    }).open()
+    client.call = handler
+    return Contract.create(address, codec, client).open()
+}
+
+describe('Contract.estimateGas', () => {
+    it('estimated by node, return gas', async() => {
+        let calls = []
+        let contract = createContractWithFakeClient((method, params) => {
+            calls.push({method, params})
+            return Result.ok({data: '0xb411'})
+        })
+        let sender = Address.fromHeximal('0x0000000000000000000000000000000000000001').open()
+        let result = await contract.estimateGas(
+            'transfer',
+            ['0x0000000000000000000000000000000000000002', 100],
+            {from: sender, gas: UInt64.fromNumber(100000).open()}
+        )
+        assert.strictEqual(result.open().toNumber(), 46097)
+        assert.strictEqual(calls[0].method, 'eth_estimateGas')
+        assert.strictEqual(calls[0].params.length, 1)
+        let [transaction] = calls[0].params
+        assert.strictEqual(transaction.to, '0x804678fa97d91b974ec2af3c843270886528a9e6')
+        assert.strictEqual(transaction.from, sender.toHeximal())
+        assert.strictEqual(transaction.gas, '0x186a0')
+        assert.strictEqual(transaction.value, undefined)
+    })
+    it('transaction would be reverted, return ContractRevertError', async() => {
+        let contract = createContractWithFakeClient(() => {
+            return Result.badError(NODE_EXECUTION_REVERTED, 'reverted')
+        })
+        let {error} = await contract.estimateGas('decimals')
+        assert.strictEqual(error instanceof ContractRevertError, true)
+        assert.strictEqual(error.code, NODE_EXECUTION_REVERTED)
+    })
+    it('node returns error, return it', async() => {
+        let expectedResult = Result.badError(NODE_OVERLOADING, 'timeout')
+        let contract = createContractWithFakeClient(() => expectedResult)
+        let actualResult = await contract.estimateGas('decimals')
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('state override, return error', async() => {
+        let contract = createContractWithFakeClient(() => {
+            throw new Error('must not be called')
+        })
+        let {error} = await contract.estimateGas('decimals', [], {
+            stateOverride: []
+        })
+        assert.strictEqual(error instanceof TypeError, true)
+    })
+    it('invalid method, return error', async() => {
+        let contract = createContractWithFakeClient(() => {
+            throw new Error('must not be called')
+        })
+        let {error} = await contract.estimateGas('notExisted')
+        assert.match(error.message, /^data: /)
+    })
+})
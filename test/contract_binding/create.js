@@ -0,0 +1,131 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+/* eslint-disable new-cap */
+
+const assert = require('assert')
+const {Interface} = require('@ethersproject/abi')
+const {ContractBinding} = require('../../lib/contract_binding')
+const {Contract} = require('../../lib/contract')
+const {Client} = require('../../lib/client')
+const {Codec} = require('../../lib/codec')
+const {Result, EthEndpoint, HttpUrl, Address} = require('../../lib/type')
+
+const ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function filters() view returns (uint256)',
+    'function price() view returns (uint256)',
+    'function price(address token) view returns (uint256)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+]
+const ENCODER = new Interface(ABI)
+const HOLDER = '0x0000000000000000000000000000000000000001'
+
+/**
+ * Client does not connect to any node, it's `call()` is replaced by
+ * `handler`.
+ *
+ * @param {Function} handler - Receive `method`, `params` and `options`,
+ * return a result.
+ * @return {Contract}
+ */
+function createContractWithFakeClient(handler) {
+    let address = Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open()
+    let client = Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString('http://foo.bar').open()
+            }).open()
+        ]
+    }).open()
+    client.call = handler
+    return Contract.create(address, Codec.create(ABI).open(), client).open()
+}
+
+describe('ContractBinding.create', () => {
+    it('not a contract, return error', () => {
+        let {error} = ContractBinding.create({})
+        assert.strictEqual(error instanceof TypeError, true)
+        assert.match(error.message, /^contract: /)
+    })
+    it('view functions, bind methods', () => {
+        let contract = createContractWithFakeClient()
+        let binding = ContractBinding.create(contract).open()
+        assert.strictEqual(binding.contract, contract)
+        assert.strictEqual(typeof binding.balanceOf, 'function')
+        assert.strictEqual(typeof binding.decimals, 'function')
+        assert.strictEqual(binding.transfer, undefined)
+    })
+    it('reserved names, do not bind them', () => {
+        let contract = createContractWithFakeClient()
+        let binding = ContractBinding.create(contract).open()
+        assert.strictEqual(typeof binding.filters.Transfer, 'function')
+    })
+    it('overloaded functions, bind by signatures', () => {
+        let contract = createContractWithFakeClient()
+        let binding = ContractBinding.create(contract).open()
+        assert.strictEqual(binding.price, undefined)
+        assert.strictEqual(typeof binding['price()'], 'function')
+        assert.strictEqual(typeof binding['price(address)'], 'function')
+    })
+    it('call a method, return a single output', async() => {
+        let calls = []
+        let contract = createContractWithFakeClient((method, params) => {
+            calls.push({method, params})
+            return Result.ok({data: '0x' + '00'.repeat(31) + '64'})
+        })
+        let binding = ContractBinding.create(contract).open()
+        let result = await binding.balanceOf(HOLDER, 'finalized')
+        assert.strictEqual(result.open().toNumber(), 100)
+        assert.strictEqual(calls[0].method, 'eth_call')
+        assert.strictEqual(calls[0].params[0].data, ENCODER.encodeFunctionData('balanceOf', [HOLDER]))
+        assert.strictEqual(calls[0].params[1], 'finalized')
+    })
+    it('call a method with many outputs, return all of them', async() => {
+        let contract = createContractWithFakeClient(() => {
+            let data = ENCODER.encodeFunctionResult('getReserves', [3, 4])
+            return Result.ok({data})
+        })
+        let binding = ContractBinding.create(contract).open()
+        let reserves = (await binding.getReserves()).open()
+        assert.strictEqual(reserves.reserve0.toNumber(), 3)
+        assert.strictEqual(reserves[1].toNumber(), 4)
+    })
+    it('call an overloaded method, return output', async() => {
+        let calls = []
+        let contract = createContractWithFakeClient((method, params) => {
+            calls.push(params)
+            return Result.ok({data: '0x' + '00'.repeat(31) + '07'})
+        })
+        let binding = ContractBinding.create(contract).open()
+        let result = await binding['price(address)'](HOLDER)
+        assert.strictEqual(result.open().toNumber(), 7)
+        assert.strictEqual(calls[0][0].data, ENCODER.encodeFunctionData('price(address)', [HOLDER]))
+    })
+    it('missing arguments, return error', async() => {
+        let contract = createContractWithFakeClient()
+        let binding = ContractBinding.create(contract).open()
+        let {error} = await binding.balanceOf()
+        assert.strictEqual(error instanceof TypeError, true)
+        assert.strictEqual(error.message, 'balanceOf: expect 1 arguments, then optional block number and options')
+    })
+    it('too many arguments, return error', async() => {
+        let contract = createContractWithFakeClient()
+        let binding = ContractBinding.create(contract).open()
+        let {error} = await binding.decimals('latest', {}, 1)
+        assert.strictEqual(error instanceof TypeError, true)
+    })
+    it('filter of an event, return topics', () => {
+        let contract = createContractWithFakeClient()
+        let binding = ContractBinding.create(contract).open()
+        let topics = binding.filters.Transfer(null, HOLDER).open()
+        assert.deepStrictEqual(
+            topics.toRpcInput(),
+            ENCODER.encodeFilterTopics('Transfer', [null, HOLDER])
+        )
+    })
+})
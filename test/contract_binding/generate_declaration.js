@@ -0,0 +1,70 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {ContractBinding} = require('../../lib/contract_binding')
+const {Codec} = require('../../lib/codec')
+
+/**
+ * @param {Array} abi
+ * @return {Array<string>} Lines of the declared interface.
+ */
+function declare(abi) {
+    let codec = Codec.create(abi).open()
+    let declaration = ContractBinding.generateDeclaration(codec, 'Token').open()
+    return declaration.split('\n').map(line => line.trim())
+}
+
+describe('ContractBinding.generateDeclaration', () => {
+    it('not a codec, return error', () => {
+        let {error} = ContractBinding.generateDeclaration({}, 'Token')
+        assert.strictEqual(error instanceof TypeError, true)
+        assert.match(error.message, /^codec: /)
+    })
+    it('invalid name, return error', () => {
+        let codec = Codec.create([]).open()
+        let {error} = ContractBinding.generateDeclaration(codec, 'erc-20')
+        assert.strictEqual(error.message, 'name: expect an identifier')
+    })
+    it('view functions, declare methods', () => {
+        let lines = declare([
+            'function balanceOf(address owner) view returns (uint256)',
+            'function decimals() view returns (uint8)',
+            'function transfer(address to, uint256 amount) returns (bool)'
+        ])
+        assert.strictEqual(lines.includes('export interface Token {'), true)
+        assert.strictEqual(lines.includes('balanceOf(owner: string, blockNumber?: BlockNumber, options?: object): Promise<Result<BigNumber>>'), true)
+        assert.strictEqual(lines.includes('decimals(blockNumber?: BlockNumber, options?: object): Promise<Result<number>>'), true)
+        assert.strictEqual(lines.some(line => line.startsWith('transfer(')), false)
+    })
+    it('many outputs and tuples, declare tuple types', () => {
+        let lines = declare([
+            'function getReserves() view returns (uint112 reserve0, uint32 time)',
+            'function paths(bytes32[] ids, (address token, bool) route) view returns (string[], bool)'
+        ])
+        assert.strictEqual(lines.includes('getReserves(blockNumber?: BlockNumber, options?: object): Promise<Result<[BigNumber, number] & {reserve0: BigNumber, time: number}>>'), true)
+        assert.strictEqual(lines.includes('paths(ids: Array<string>, route: [string, boolean], blockNumber?: BlockNumber, options?: object): Promise<Result<[Array<string>, boolean]>>'), true)
+    })
+    it('invalid parameter names, replace them', () => {
+        let lines = declare([
+            'function check(address, uint256 options, bool default) pure returns (bool)'
+        ])
+        assert.strictEqual(lines.includes('check(arg0: string, arg1: BigNumberish, arg2: boolean, blockNumber?: BlockNumber, options?: object): Promise<Result<boolean>>'), true)
+    })
+    it('overloaded functions, declare quoted signatures', () => {
+        let lines = declare([
+            'function price() view returns (uint256)',
+            'function price(address token) view returns (uint256)'
+        ])
+        assert.strictEqual(lines.includes('\'price()\'(blockNumber?: BlockNumber, options?: object): Promise<Result<BigNumber>>'), true)
+        assert.strictEqual(lines.includes('\'price(address)\'(token: string, blockNumber?: BlockNumber, options?: object): Promise<Result<BigNumber>>'), true)
+    })
+    it('events, declare filters of indexed parameters', () => {
+        let lines = declare([
+            'event Transfer(address indexed from, address indexed to, uint256 value)'
+        ])
+        assert.strictEqual(lines.includes('Transfer(from?: string | Array<string> | null, to?: string | Array<string> | null): Result<object>'), true)
+    })
+})
@@ -0,0 +1,70 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Result, LogTopicFilter} = require('../../lib/type')
+const {Codec} = require('../../lib/codec')
+const {DecodedLogStream} = require('../../lib/decoded_log_stream')
+const {createMemoryClient, getDataFilePath} = require('../_lib')
+
+describe('DecodedLogStream.create', () => {
+    it('not defined event name, return error', () => {
+        let client = createMemoryClient({})
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let expectedResult = Result.typeError(
+            'eventNames: [1]: event is not defined'
+        )
+        let actualResult = DecodedLogStream.create({
+            client: client,
+            codec: codec,
+            eventNames: ['Transfer', 'Swap']
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('empty event names, return error', () => {
+        let client = createMemoryClient({})
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let expectedResult = Result.typeError(
+            'eventNames: expect 1 items at least'
+        )
+        let actualResult = DecodedLogStream.create({
+            client: client,
+            codec: codec,
+            eventNames: []
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('has topics, return error', () => {
+        let client = createMemoryClient({})
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let expectedResult = Result.typeError(
+            'topics: is derived from eventNames'
+        )
+        let actualResult = DecodedLogStream.create({
+            client: client,
+            codec: codec,
+            eventNames: ['Transfer'],
+            topics: LogTopicFilter.create().open()
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('invalid option of LogStream, return error', () => {
+        let client = createMemoryClient({})
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let expectedResult = Result.typeError(
+            'unknown: not accepted attribute name'
+        )
+        let actualResult = DecodedLogStream.create({
+            client: client,
+            codec: codec,
+            eventNames: ['Transfer'],
+            unknown: 1
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
@@ -0,0 +1,145 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt16, UInt64} = require('minitype')
+const {
+    Result, MetricEvent, Address, ByteData, ByteData32, LogTopicCombination, Log
+} = require('../../lib/type')
+const {Client} = require('../../lib/client')
+const {Codec} = require('../../lib/codec')
+const {LogSegment} = require('../../lib/safe_node')
+const {DecodedLogStream} = require('../../lib/decoded_log_stream')
+const {createMemoryClient, getDataFilePath} = require('../_lib')
+
+/**
+ * @param {number} blockNumber
+ * @param {ByteData32} eventTopic
+ * @param {string} data
+ * @return {Log}
+ */
+function createTransferLog(blockNumber, eventTopic, data) {
+    return Log.create({
+        address: Address.fromHeximal('0x6ae882ddb6b4883014c54a4979cb3d24e4c16919').open(),
+        blockNumber: UInt64.fromNumber(blockNumber).open(),
+        logIndex: UInt16.fromNumber(0).open(),
+        transactionIndex: UInt16.fromNumber(0).open(),
+        topics: LogTopicCombination.fromHeximals([
+            eventTopic.toHeximal(),
+            '0x000000000000000000000000326714e350d0b88f5268c9fbdf337076c91c738d',
+            '0x000000000000000000000000a6b04e25206989f8ed1ddbaf7ec48ac93ea2fa4a'
+        ]).open(),
+        data: ByteData.fromHeximal(data).open(),
+        blockHash: ByteData32.fromHeximal('0x' + 'a'.repeat(64)).open(),
+        transactionHash: ByteData32.fromHeximal('0x' + '0'.repeat(64)).open()
+    }).open()
+}
+
+/**
+ * Create a client that returns `logs` in a single segment `[0, 9]`.
+ *
+ * @param {Array<Log>} logs
+ * @param {Array} filters - Receive filters of queries.
+ * @return {Client}
+ */
+function createClient(logs, filters) {
+    let client = createMemoryClient({})
+    client.getLogs = (filter) => {
+        filters.push(filter)
+        let logSegment = LogSegment.create({
+            logs: logs,
+            fromBlock: UInt64.fromNumber(0).open(),
+            toBlock: UInt64.fromNumber(9).open(),
+            latestBlock: UInt64.fromNumber(9).open(),
+            safeBlock: UInt64.fromNumber(9).open()
+        }).open()
+        return Promise.resolve(Result.ok({data: logSegment}))
+    }
+    return client
+}
+
+describe('DecodedLogStream.start', () => {
+    it('filter logs by event topics', async() => {
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let filters = []
+        let stream = DecodedLogStream.create({
+            client: createClient([], filters),
+            codec: codec,
+            eventNames: ['Transfer', 'Approval'],
+            toBlock: UInt64.fromNumber(9).open()
+        }).open()
+        await stream.start(() => {})
+        assert.deepStrictEqual(filters[0].topics.toRpcInput(), [
+            [
+                codec.getEventTopic('Transfer').toHeximal(),
+                codec.getEventTopic('Approval').toHeximal()
+            ]
+        ])
+    })
+    it('deliver decoded logs and failures', async() => {
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let eventTopic = codec.getEventTopic('Transfer')
+        let validLog = createTransferLog(3, eventTopic, '0x8200c8f2da6579ad0ceca434fb9e1af724ffc0078b218362611f6dcc7c8f0e51')
+        let invalidLog = createTransferLog(5, eventTopic, '0x')
+        let stream = DecodedLogStream.create({
+            client: createClient([validLog, invalidLog], []),
+            codec: codec,
+            eventNames: ['Transfer'],
+            toBlock: UInt64.fromNumber(9).open()
+        }).open()
+        let segments = []
+        await stream.start(segment => {
+            segments.push(segment)
+        })
+        assert.strictEqual(segments.length, 1)
+        let [{fromBlock, toBlock, entries, failures}] = segments
+        assert.strictEqual(fromBlock.toNumber(), 0)
+        assert.strictEqual(toBlock.toNumber(), 9)
+        assert.strictEqual(entries.length, 1)
+        assert.strictEqual(entries[0].log, validLog)
+        assert.strictEqual(entries[0].description.name, 'Transfer')
+        assert.strictEqual(entries[0].description.args.to, '0xa6B04e25206989F8ED1DdBAf7Ec48AC93ea2fa4A')
+        assert.strictEqual(failures.length, 1)
+        assert.strictEqual(failures[0].log, invalidLog)
+        assert.match(failures[0].error.message, /^data out-of-bounds/)
+    })
+    it('async iterator, deliver decoded logs', async() => {
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let eventTopic = codec.getEventTopic('Transfer')
+        let log = createTransferLog(3, eventTopic, '0x8200c8f2da6579ad0ceca434fb9e1af724ffc0078b218362611f6dcc7c8f0e51')
+        let stream = DecodedLogStream.create({
+            client: createClient([log], []),
+            codec: codec,
+            eventNames: ['Transfer'],
+            toBlock: UInt64.fromNumber(9).open()
+        }).open()
+        let names = []
+        for await (let segment of stream) {
+            names.push(...segment.entries.map(e => e.description.name))
+        }
+        assert.deepStrictEqual(names, ['Transfer'])
+    })
+    it('emit segment events of the underlying stream', async() => {
+        let abiPath = getDataFilePath('abi_bep_20_token.json')
+        let codec = Codec.fromJsonFile(abiPath).open()
+        let eventTopic = codec.getEventTopic('Transfer')
+        let log = createTransferLog(3, eventTopic, '0x8200c8f2da6579ad0ceca434fb9e1af724ffc0078b218362611f6dcc7c8f0e51')
+        let stream = DecodedLogStream.create({
+            client: createClient([log], []),
+            codec: codec,
+            eventNames: ['Transfer'],
+            toBlock: UInt64.fromNumber(9).open()
+        }).open()
+        let events = []
+        stream.on(MetricEvent.SEGMENT, e => events.push(e))
+        await stream.start(() => {})
+        assert.deepStrictEqual(events, [
+            {fromBlock: 0, toBlock: 9, logs: 1, lag: 0}
+        ])
+    })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Log: StdioLog, Level: LogLevel} = require('stdio_log')
+const {UInt, UInt64, Timespan, DataSize} = require('minitype')
+const {Gateway} = require('../../lib/gateway')
+const {NodeResponse} = require('../../lib/node')
+const {Result} = require('../../lib/type')
+const {NODE_BAD_SERVER} = require('../../lib/type').ErrorCode
+
+/**
+ * Create an object that works as a `SafeNode` for `Gateway`. Blocks are
+ * returned as their numbers.
+ *
+ * @param {number} batchLimit
+ * @param {Array<Array<number>>} calls - Receive ranges of batches.
+ * @param {number} [failures=0] - Quantity of first batches that are failed.
+ * @return {object}
+ */
+function createFakeNode(batchLimit, calls, failures = 0) {
+    let getBlocks = (fromBlock, toBlock) => {
+        calls.push([fromBlock.toNumber(), toBlock.toNumber()])
+        if (calls.length <= failures) {
+            return Result.badError(NODE_BAD_SERVER, 'failed')
+        }
+        let numbers = []
+        for (let n = fromBlock.toNumber(); n <= toBlock.toNumber(); ++n) {
+            numbers.push(n)
+        }
+        let data = NodeResponse.create({
+            data: numbers,
+            time: Timespan.fromMiliseconds(1).open(),
+            size: DataSize.fromBytes(numbers.length).open()
+        }).open()
+        return Result.ok(data)
+    }
+    return {
+        host: 'fake',
+        isAvailable: true,
+        batchLimit: UInt.fromNumber(batchLimit).open(),
+        getBlocks: (fromBlock, toBlock) => new Promise(resolve => {
+            setTimeout(() => resolve(getBlocks(fromBlock, toBlock)), 1)
+        })
+    }
+}
+
+/**
+ * @param {Array<object>} nodes
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @return {Promise<Result>}
+ */
+function getBlocks(nodes, fromBlock, toBlock) {
+    let log = new StdioLog(LogLevel.ERROR)
+    let gateway = new Gateway({nodes, log})
+    return gateway.getBlocksConcurrently(
+        UInt64.fromNumber(fromBlock).open(),
+        UInt64.fromNumber(toBlock).open(),
+        false
+    )
+}
+
+describe('Gateway.getBlocksConcurrently', () => {
+    it('split range by batch limit of each node', async() => {
+        let calls1 = []
+        let calls2 = []
+        let r1 = await getBlocks([
+            createFakeNode(10, calls1),
+            createFakeNode(5, calls2)
+        ], 0, 29)
+        let {data, size} = r1.open()
+        assert.deepStrictEqual(data, [...Array(30).keys()])
+        assert.strictEqual(size.toNumber().open(), 30)
+        assert.deepStrictEqual(calls1[0], [0, 9])
+        assert.deepStrictEqual(calls2[0], [10, 14])
+        assert.strictEqual(calls1.length > 0 && calls2.length > 0, true)
+    })
+    it('a node is failed, its range is taken by others', async() => {
+        let calls1 = []
+        let calls2 = []
+        let r1 = await getBlocks([
+            createFakeNode(10, calls1, 1),
+            createFakeNode(10, calls2)
+        ], 0, 29)
+        assert.deepStrictEqual(r1.open().data, [...Array(30).keys()])
+        assert.deepStrictEqual(calls1, [[0, 9]])
+        assert.deepStrictEqual(calls2, [[10, 19], [0, 9], [20, 29]])
+    })
+    it('all of nodes are failed, return error', async() => {
+        let calls = []
+        let r1 = await getBlocks([createFakeNode(10, calls, 3)], 0, 29)
+        assert.strictEqual(r1.error.code, NODE_BAD_SERVER)
+        assert.deepStrictEqual(calls, [[0, 9], [0, 9]])
+    })
+})
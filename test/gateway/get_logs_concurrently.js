@@ -0,0 +1,145 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Log: StdioLog, Level: LogLevel} = require('stdio_log')
+const {UInt64, PInt64, Timespan, DataSize} = require('minitype')
+const {Gateway} = require('../../lib/gateway')
+const {NodeResponse} = require('../../lib/node')
+const {LogSegment} = require('../../lib/safe_node')
+const {Result, LogFilter} = require('../../lib/type')
+const {createLog} = require('../_lib')
+const {
+    NODE_UNSAFE_BLOCK,
+    NODE_BAD_SERVER
+} = require('../../lib/type').ErrorCode
+
+/**
+ * Create an object that works as a `SafeNode` for `Gateway`. There is a log
+ * at each block.
+ *
+ * @param {number} logRange
+ * @param {number} safeBlock
+ * @param {Array<Array<number>>} calls - Receive ranges of queries.
+ * @param {boolean} [isFailed=false] - Return error for all of queries.
+ * @return {object}
+ */
+function createFakeNode(logRange, safeBlock, calls, isFailed = false) {
+    let getLogs = (filter) => {
+        let fromBlock = filter.fromBlock.toNumber()
+        calls.push([fromBlock, filter.toBlock.toNumber()])
+        if (isFailed) {
+            return Result.badError(NODE_BAD_SERVER, 'failed')
+        }
+        if (fromBlock > safeBlock) {
+            return Result.badError(NODE_UNSAFE_BLOCK, 'try later')
+        }
+        let toBlock = Math.min(filter.toBlock.toNumber(), safeBlock)
+        let logs = []
+        for (let i = fromBlock; i <= toBlock; ++i) {
+            logs.push(createLog(i, 'a'))
+        }
+        let data = NodeResponse.create({
+            data: LogSegment.create({
+                logs: logs,
+                fromBlock: filter.fromBlock,
+                toBlock: UInt64.fromNumber(toBlock).open(),
+                latestBlock: UInt64.fromNumber(safeBlock + 15).open(),
+                safeBlock: UInt64.fromNumber(safeBlock).open()
+            }).open(),
+            time: Timespan.fromMiliseconds(1).open(),
+            size: DataSize.fromBytes(100).open()
+        }).open()
+        return Result.ok(data)
+    }
+    return {
+        host: 'fake',
+        logRange: PInt64.fromNumber(logRange).open(),
+        getLogs: filter => new Promise(resolve => {
+            setTimeout(() => resolve(getLogs(filter)), 1)
+        })
+    }
+}
+
+/**
+ * @param {Array<object>} nodes
+ * @return {Gateway}
+ */
+function createGateway(nodes) {
+    let log = new StdioLog(LogLevel.ERROR)
+    return new Gateway({nodes, log})
+}
+
+/**
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @return {LogFilter}
+ */
+function createFilter(fromBlock, toBlock) {
+    return LogFilter.create({
+        fromBlock: UInt64.fromNumber(fromBlock).open(),
+        toBlock: UInt64.fromNumber(toBlock).open()
+    }).open()
+}
+
+describe('Gateway.getLogsConcurrently', () => {
+    it('split range by log range of each node', async() => {
+        let calls1 = []
+        let calls2 = []
+        let gateway = createGateway([
+            createFakeNode(10, 1000, calls1),
+            createFakeNode(5, 1000, calls2)
+        ])
+        let r1 = await gateway.getLogsConcurrently(createFilter(0, 29))
+        let {data: {data: logSegment, size}} = r1
+        assert.strictEqual(logSegment.fromBlock.toNumber(), 0)
+        assert.strictEqual(logSegment.toBlock.toNumber(), 29)
+        assert.deepStrictEqual(
+            logSegment.logs.map(log => log.blockNumber.toNumber()),
+            [...Array(30).keys()]
+        )
+        assert.deepStrictEqual(calls1[0], [0, 9])
+        assert.deepStrictEqual(calls2[0], [10, 14])
+        let calls = calls1.length + calls2.length
+        assert.strictEqual(size.toNumber().open(), 100 * calls)
+    })
+    it('a node is failed, its range is taken by others', async() => {
+        let calls1 = []
+        let calls2 = []
+        let gateway = createGateway([
+            createFakeNode(10, 1000, calls1, true),
+            createFakeNode(10, 1000, calls2)
+        ])
+        let r1 = await gateway.getLogsConcurrently(createFilter(0, 29))
+        let {data: {data: logSegment}} = r1
+        assert.strictEqual(logSegment.fromBlock.toNumber(), 0)
+        assert.strictEqual(logSegment.toBlock.toNumber(), 29)
+        assert.strictEqual(logSegment.logs.length, 30)
+        assert.deepStrictEqual(calls1, [[0, 9]])
+        assert.deepStrictEqual(calls2, [[10, 19], [0, 9], [20, 29]])
+    })
+    it('range is over safe block, return logs to safe block', async() => {
+        let gateway = createGateway([
+            createFakeNode(10, 14, []),
+            createFakeNode(10, 14, [])
+        ])
+        let r1 = await gateway.getLogsConcurrently(createFilter(0, 29))
+        let {data: {data: logSegment}} = r1
+        assert.strictEqual(logSegment.fromBlock.toNumber(), 0)
+        assert.strictEqual(logSegment.toBlock.toNumber(), 14)
+        assert.strictEqual(logSegment.safeBlock.toNumber(), 14)
+        assert.strictEqual(logSegment.logs.length, 15)
+    })
+    it('all of nodes are failed, return error', async() => {
+        let gateway = createGateway([
+            createFakeNode(10, 1000, [], true),
+            createFakeNode(10, 1000, [], true)
+        ])
+        let expectedResult = Result.badError(NODE_BAD_SERVER, 'failed')
+        let actualResult = await gateway.getLogsConcurrently(
+            createFilter(0, 29)
+        )
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
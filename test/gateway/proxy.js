@@ -0,0 +1,329 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Log: StdioLog, Level: LogLevel} = require('stdio_log')
+const {Timespan, DataSize} = require('minitype')
+const {Gateway} = require('../../lib/gateway')
+const {NodeResponse} = require('../../lib/node')
+const {Result, RoutingStrategy} = require('../../lib/type')
+const {RetryPolicy} = require('../../lib/retry_policy')
+const {CallOptions} = require('../../lib/call_options')
+const {createAbortController} = require('../_lib')
+const {
+    NODE_BAD_SERVER,
+    NODE_BAD_REQUEST,
+    NODE_RATE_LIMITED,
+    NODE_EXECUTION_REVERTED,
+    CALL_ABORTED,
+    CALL_DEADLINE_EXCEEDED
+} = require('../../lib/type').ErrorCode
+
+/**
+ * Create an object that works as a `SafeNode` for `Gateway`.
+ *
+ * @param {string} host
+ * @param {Array<string>} calls - Receive hosts of called nodes.
+ * @param {object} [options={}]
+ * @param {number} [options.latency=1] - Miliseconds.
+ * @param {boolean} [options.isFailed=false]
+ * @param {boolean} [options.isAvailable=true]
+ * @param {number} [options.failures=0] - Quantity of first calls that are
+ * failed, it is ignored if `isFailed` is `true`.
+ * @param {number} [options.errorCode=NODE_BAD_SERVER]
+ * @return {object}
+ */
+function createFakeNode(host, calls, options = {}) {
+    let {
+        latency = 1, isFailed = false, isAvailable = true, failures = 0,
+        errorCode = NODE_BAD_SERVER
+    } = options
+    return {
+        host: host,
+        isAvailable: isAvailable,
+        getBlockNumber: () => {
+            calls.push(host)
+            if (isFailed || calls.length <= failures) {
+                let error = Result.badError(errorCode, 'failed')
+                return Promise.resolve(error)
+            }
+            let data = NodeResponse.create({
+                data: host,
+                time: Timespan.fromMiliseconds(latency).open(),
+                size: DataSize.fromBytes(1).open()
+            }).open()
+            return Promise.resolve(Result.ok(data))
+        }
+    }
+}
+
+/**
+ * @param {Array<object>} nodes
+ * @param {RoutingStrategy} [strategy]
+ * @param {RetryPolicy} [retryPolicy]
+ * @return {Gateway}
+ */
+function createGateway(nodes, strategy, retryPolicy) {
+    let log = new StdioLog(LogLevel.ERROR)
+    return new Gateway({nodes, log, strategy, retryPolicy})
+}
+
+/**
+ * @param {Gateway} gateway
+ * @param {number} count
+ * @return {Promise<Array<string>>} Hosts which serve requests.
+ */
+async function request(gateway, count) {
+    let hosts = []
+    for (let i = 0; i < count; ++i) {
+        let {data} = await gateway.proxy('getBlockNumber')
+        hosts.push(data.data)
+    }
+    return hosts
+}
+
+describe('Gateway.proxy', () => {
+    it('round robin, rotate nodes', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls),
+            createFakeNode('b', calls),
+            createFakeNode('c', calls)
+        ])
+        let hosts = await request(gateway, 4)
+        assert.deepStrictEqual(hosts, ['a', 'b', 'c', 'a'])
+    })
+    it('a node is failed, try next node', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true}),
+            createFakeNode('b', calls)
+        ])
+        let hosts = await request(gateway, 1)
+        assert.deepStrictEqual(hosts, ['b'])
+        assert.deepStrictEqual(calls, ['a', 'b'])
+    })
+    it('a node is locked, try it after available nodes', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isAvailable: false}),
+            createFakeNode('b', calls, {isFailed: true})
+        ])
+        await request(gateway, 1)
+        assert.deepStrictEqual(calls, ['b', 'a'])
+    })
+    it('least latency, prefer the faster node', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {latency: 50}),
+            createFakeNode('b', calls, {latency: 5})
+        ], RoutingStrategy.LEAST_LATENCY)
+        let hosts = await request(gateway, 4)
+        assert.deepStrictEqual(hosts, ['a', 'b', 'b', 'b'])
+    })
+    it('weighted, put failed node last', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true}),
+            createFakeNode('b', calls)
+        ], RoutingStrategy.WEIGHTED)
+        let health = gateway._healths.get(gateway._nodes[0])
+        health._successRate = 0
+        let hosts = await request(gateway, 5)
+        assert.deepStrictEqual(hosts, ['b', 'b', 'b', 'b', 'b'])
+        assert.deepStrictEqual(calls, ['b', 'b', 'b', 'b', 'b'])
+    })
+    it('all of nodes are failed, try lower layer', async() => {
+        let calls = []
+        let log = new StdioLog(LogLevel.ERROR)
+        let lowerLayer = new Gateway({
+            nodes: [createFakeNode('b', calls)], log
+        })
+        let gateway = new Gateway({
+            nodes: [createFakeNode('a', calls, {isFailed: true})],
+            log: log,
+            lowerLayer: lowerLayer
+        })
+        let hosts = await request(gateway, 1)
+        assert.deepStrictEqual(hosts, ['b'])
+        assert.deepStrictEqual(calls, ['a', 'b'])
+    })
+    it('weighted, large latencies, order by weights', () => {
+        let gateway = createGateway([
+            createFakeNode('a', []),
+            createFakeNode('b', [])
+        ], RoutingStrategy.WEIGHTED)
+        gateway._healths.get(gateway._nodes[0])._latency = 3000
+        gateway._healths.get(gateway._nodes[1])._latency = 1500
+        let count = 0
+        for (let i = 0; i < 1000; ++i) {
+            let [node] = gateway._orderNodes()
+            count += node.host === 'b' ? 1 : 0
+        }
+        assert.strictEqual(count > 600 && count < 733, true)
+    })
+    it('no nodes, return error', async() => {
+        let gateway = createGateway([])
+        let {error} = await gateway.proxy('getBlockNumber')
+        assert.strictEqual(
+            error.message, 'GATEWAY_NO_BACKEND expect at least a node'
+        )
+    })
+    it('invalid strategy, return error', () => {
+        let {error} = Gateway.create({
+            endpoints: [],
+            log: new StdioLog(LogLevel.ERROR),
+            strategy: 'fastest'
+        })
+        assert.strictEqual(error.message, 'strategy: expect a RoutingStrategy')
+    })
+    it('all of nodes are failed, retry by the policy', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {failures: 3}),
+            createFakeNode('b', calls, {failures: 3})
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 3,
+            baseDelay: Timespan.fromMiliseconds(1).open()
+        }).open())
+        let hosts = await request(gateway, 1)
+        assert.deepStrictEqual(hosts, ['a'])
+        assert.deepStrictEqual(calls, ['a', 'b', 'b', 'a'])
+    })
+    it('attempts are exhausted, return error', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true})
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 2,
+            baseDelay: Timespan.fromMiliseconds(1).open()
+        }).open())
+        let {error} = await gateway.proxy('getBlockNumber')
+        assert.strictEqual(error.message, 'NODE_BAD_SERVER failed')
+        assert.deepStrictEqual(calls, ['a', 'a'])
+    })
+    it('deadline is over, return error without retries', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true})
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 5,
+            baseDelay: Timespan.fromSeconds(60).open(),
+            maxDelay: Timespan.fromSeconds(60).open(),
+            deadline: Timespan.fromMiliseconds(1).open()
+        }).open())
+        let originalRandom = Math.random
+        Math.random = () => 0.5
+        let {error} = await gateway.proxy('getBlockNumber')
+        Math.random = originalRandom
+        assert.strictEqual(error.code, NODE_BAD_SERVER)
+        assert.deepStrictEqual(calls, ['a'])
+    })
+    it('error is not retryable, return it immediately', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {
+                isFailed: true, errorCode: NODE_BAD_REQUEST
+            }),
+            createFakeNode('b', calls)
+        ], undefined, RetryPolicy.create({maxAttempts: 3}).open())
+        let {error} = await gateway.proxy('getBlockNumber')
+        assert.strictEqual(error.code, NODE_BAD_REQUEST)
+        assert.deepStrictEqual(calls, ['a'])
+    })
+    it('execution is reverted, return it immediately', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {
+                isFailed: true, errorCode: NODE_EXECUTION_REVERTED
+            }),
+            createFakeNode('b', calls)
+        ])
+        let {error} = await gateway.proxy('getBlockNumber')
+        assert.strictEqual(error.code, NODE_EXECUTION_REVERTED)
+        assert.deepStrictEqual(calls, ['a'])
+    })
+    it('error is not retryable, still try next nodes', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true}),
+            createFakeNode('b', calls, {isFailed: true})
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 3,
+            baseDelay: Timespan.fromMiliseconds(1).open(),
+            retryableCodes: [NODE_RATE_LIMITED]
+        }).open())
+        let {error} = await gateway.proxy('getBlockNumber')
+        assert.strictEqual(error.code, NODE_BAD_SERVER)
+        assert.deepStrictEqual(calls, ['a', 'b'])
+    })
+    it('all of nodes are rate limited, retry by the policy', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {
+                failures: 2, errorCode: NODE_RATE_LIMITED
+            }),
+            createFakeNode('b', calls, {
+                failures: 2, errorCode: NODE_RATE_LIMITED
+            })
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 2,
+            baseDelay: Timespan.fromMiliseconds(1).open(),
+            retryableCodes: [NODE_RATE_LIMITED]
+        }).open())
+        let hosts = await request(gateway, 1)
+        assert.deepStrictEqual(hosts, ['b'])
+        assert.deepStrictEqual(calls, ['a', 'b', 'b'])
+    })
+    it('aborted before calling, return error without calls', async() => {
+        let calls = []
+        let gateway = createGateway([createFakeNode('a', calls)])
+        let controller = createAbortController()
+        controller.abort()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        let {error} = await gateway.proxy('getBlockNumber', [], options)
+        assert.strictEqual(error.code, CALL_ABORTED)
+        assert.deepStrictEqual(calls, [])
+    })
+    it('aborted during a delay, stop retries', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true})
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 5,
+            baseDelay: Timespan.fromSeconds(60).open(),
+            maxDelay: Timespan.fromSeconds(60).open()
+        }).open())
+        let controller = createAbortController()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        let originalRandom = Math.random
+        Math.random = () => 0.5
+        let result = gateway.proxy('getBlockNumber', [], options)
+        Math.random = originalRandom
+        setTimeout(() => controller.abort(), 10)
+        let {error} = await result
+        assert.strictEqual(error.code, CALL_ABORTED)
+        assert.deepStrictEqual(calls, ['a'])
+    })
+    it('deadline is passed during a delay, stop retries', async() => {
+        let calls = []
+        let gateway = createGateway([
+            createFakeNode('a', calls, {isFailed: true})
+        ], undefined, RetryPolicy.create({
+            maxAttempts: 5,
+            baseDelay: Timespan.fromSeconds(60).open(),
+            maxDelay: Timespan.fromSeconds(60).open()
+        }).open())
+        let options = CallOptions.create({
+            deadline: Timespan.fromMiliseconds(10).open()
+        }).open()
+        let originalRandom = Math.random
+        Math.random = () => 0.5
+        let result = gateway.proxy('getBlockNumber', [], options)
+        Math.random = originalRandom
+        let {error} = await result
+        assert.strictEqual(error.code, CALL_DEADLINE_EXCEEDED)
+        assert.deepStrictEqual(calls, ['a'])
+    })
+})
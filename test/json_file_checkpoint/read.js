@@ -0,0 +1,50 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const mockFs = require('mock-fs')
+const {UInt64} = require('minitype')
+const {Result} = require('../../lib/type')
+const {JsonFileCheckpoint} = require('../../lib/checkpoint')
+
+describe('JsonFileCheckpoint.read', () => {
+    afterEach(() => {
+        mockFs.restore()
+    })
+    it('not existed file, return undefined', async() => {
+        mockFs({})
+        let checkpoint = JsonFileCheckpoint.create('checkpoint.json').open()
+        let expectedResult = Result.ok()
+        let actualResult = await checkpoint.read()
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('file data is valid, return block number', async() => {
+        mockFs({
+            'checkpoint.json': '{"blockNumber":"14098157"}'
+        })
+        let checkpoint = JsonFileCheckpoint.create('checkpoint.json').open()
+        let expectedResult = UInt64.fromNumber(14098157)
+        let actualResult = await checkpoint.read()
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('file data is invalid JSON format, return error', async() => {
+        mockFs({
+            'checkpoint.json': '{"blockNumber":'
+        })
+        let checkpoint = JsonFileCheckpoint.create('checkpoint.json').open()
+        let expectedResult = Result.typeError(
+            'file checkpoint.json: expect JSON format'
+        )
+        let actualResult = await checkpoint.read()
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('invalid block number, return error', async() => {
+        mockFs({
+            'checkpoint.json': '{"blockNumber":"-1"}'
+        })
+        let checkpoint = JsonFileCheckpoint.create('checkpoint.json').open()
+        let actualResult = await checkpoint.read()
+        assert.strictEqual(actualResult.error instanceof TypeError, true)
+    })
+})
@@ -0,0 +1,47 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {UInt64} = require('minitype')
+const {Result} = require('../../lib/type')
+const {JsonFileCheckpoint} = require('../../lib/checkpoint')
+
+describe('JsonFileCheckpoint.write', () => {
+    let directory = undefined
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ethlog-'))
+    })
+    afterEach(() => {
+        fs.rmSync(directory, {recursive: true, force: true})
+    })
+    it('not existed file, create file', async() => {
+        let filePath = path.join(directory, 'checkpoint.json')
+        let checkpoint = JsonFileCheckpoint.create(filePath).open()
+        let blockNumber = UInt64.fromNumber(14098157).open()
+        let actualResult = await checkpoint.write(blockNumber)
+        assert.deepStrictEqual(actualResult, Result.ok())
+        assert.deepStrictEqual(await checkpoint.read(), Result.ok(blockNumber))
+        assert.strictEqual(fs.existsSync(filePath + '.tmp'), false)
+    })
+    it('existed file, replace block number', async() => {
+        let filePath = path.join(directory, 'checkpoint.json')
+        fs.writeFileSync(filePath, '{"blockNumber":"1"}')
+        let checkpoint = JsonFileCheckpoint.create(filePath).open()
+        let blockNumber = UInt64.fromNumber(2).open()
+        let actualResult = await checkpoint.write(blockNumber)
+        assert.deepStrictEqual(actualResult, Result.ok())
+        let actualData = fs.readFileSync(filePath, 'utf-8')
+        assert.strictEqual(actualData, '{"blockNumber":"2"}')
+    })
+    it('not existed directory, return error', async() => {
+        let filePath = path.join(directory, 'foo', 'checkpoint.json')
+        let checkpoint = JsonFileCheckpoint.create(filePath).open()
+        let blockNumber = UInt64.fromNumber(2).open()
+        let actualResult = await checkpoint.write(blockNumber)
+        assert.strictEqual(actualResult.error.code, 'ENOENT')
+    })
+})
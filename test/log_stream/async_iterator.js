@@ -0,0 +1,107 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt64} = require('minitype')
+const {LogStream} = require('../../lib/log_stream')
+const {Checkpoint} = require('../../lib/checkpoint')
+const {Result} = require('../../lib/type')
+const {createMemoryClient} = require('../_lib')
+
+/**
+ * @param {LogStream} stream
+ * @param {number} count - Leave the loop after receiving this quantities of
+ * segments.
+ * @return {Promise<Array<number>>} Begin block numbers of segments.
+ */
+async function receive(stream, count) {
+    let blocks = []
+    for await (let logSegment of stream) {
+        blocks.push(logSegment.fromBlock.toNumber())
+        if (blocks.length === count) {
+            break
+        }
+    }
+    return blocks
+}
+
+describe('LogStream[Symbol.asyncIterator]', () => {
+    it('has toBlock, deliver log segments in order then end', async() => {
+        let client = createMemoryClient({3: 'a', 12: 'a', 25: 'a'})
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(12).open()
+        }).open()
+        let segments = []
+        for await (let logSegment of stream) {
+            let {fromBlock, toBlock, logs} = logSegment
+            segments.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockNumber.toNumber())
+            ])
+        }
+        assert.deepStrictEqual(segments, [
+            [0, 9, [3]],
+            [10, 12, [12]]
+        ])
+    })
+    it('next segment is delivered after loop body is done', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(29).open()
+        }).open()
+        let calls = []
+        for await (let logSegment of stream) {
+            calls.push(logSegment.fromBlock.toNumber())
+            await new Promise(resolve => setTimeout(resolve, 10))
+            calls.push('done')
+        }
+        assert.deepStrictEqual(calls, [0, 'done', 10, 'done', 20, 'done'])
+    })
+    it('break, stop the stream and keep last segment', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let blocks1 = await receive(stream, 2)
+        let blocks2 = await receive(stream, 2)
+        assert.deepStrictEqual(blocks1, [0, 10])
+        assert.deepStrictEqual(blocks2, [10, 20])
+    })
+    it('error in loop body, stop the stream', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let consume = async() => {
+            for await (let logSegment of stream) {
+                throw new Error(`fail at ${logSegment.fromBlock.toNumber()}`)
+            }
+        }
+        await assert.rejects(consume, {message: 'fail at 0'})
+        let blocks = await receive(stream, 1)
+        assert.deepStrictEqual(blocks, [0])
+    })
+    it('stream is failed, throw error', async() => {
+        let client = createMemoryClient({})
+        let checkpoint = new Checkpoint()
+        checkpoint.read = () => {
+            return Promise.resolve(Result.error(new Error('disk is gone')))
+        }
+        let stream = LogStream.create({client, checkpoint}).open()
+        await assert.rejects(
+            () => receive(stream, 1),
+            {message: 'disk is gone'}
+        )
+    })
+    it('stream is already started, throw error', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let startPromise = stream.start(() => {})
+        await assert.rejects(
+            () => receive(stream, 1),
+            {message: 'stream is already started'}
+        )
+        await stream.stop()
+        await startPromise
+    })
+})
@@ -0,0 +1,46 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt64} = require('minitype')
+const {Result} = require('../../lib/type')
+const {LogStream} = require('../../lib/log_stream')
+const {createMemoryClient} = require('../_lib')
+
+describe('LogStream.create', () => {
+    it('toBlock is less than fromBlock, return error', () => {
+        let client = createMemoryClient({})
+        let expectedResult = Result.typeError(
+            'toBlock: expect not less than fromBlock'
+        )
+        let actualResult = LogStream.create({
+            client: client,
+            fromBlock: UInt64.fromNumber(10).open(),
+            toBlock: UInt64.fromNumber(9).open()
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('reorgDepth without rollbackHandler, return error', () => {
+        let client = createMemoryClient({})
+        let expectedResult = Result.typeError(
+            'expect both reorgDepth and rollbackHandler or none of them'
+        )
+        let actualResult = LogStream.create({
+            client: client,
+            reorgDepth: UInt64.fromNumber(10).open()
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('parallelRange is zero, return error', () => {
+        let client = createMemoryClient({})
+        let expectedResult = Result.typeError(
+            'parallelRange: expect greater than 0'
+        )
+        let actualResult = LogStream.create({
+            client: client,
+            parallelRange: UInt64.fromNumber(0).open()
+        })
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
@@ -0,0 +1,60 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Timespan} = require('minitype')
+const {LogStream} = require('../../lib/log_stream')
+const {Result} = require('../../lib/type')
+const {createMemoryClient} = require('../_lib')
+
+/**
+ * @param {number} miliseconds
+ * @return {Promise<undefined>}
+ */
+function sleep(miliseconds) {
+    return new Promise(resolve => setTimeout(resolve, miliseconds))
+}
+
+describe('LogStream follows new heads', () => {
+    it('new head, wake up from idle', async() => {
+        let client = createMemoryClient({}, 10, 9)
+        let getLogs = client.getLogs
+        let queries = 0
+        client.getLogs = (filter) => {
+            queries += 1
+            return getLogs(filter)
+        }
+        let headHandler = undefined
+        let subscription = {isActive: true, unsubscribe: () => {}}
+        client.subscribeNewHeads = (handler) => {
+            headHandler = handler
+            return Promise.resolve(Result.ok(subscription))
+        }
+        let stream = LogStream.create({
+            client: client,
+            idleTimespan: Timespan.fromSeconds(60).open()
+        }).open()
+        let startPromise = stream.start(() => {})
+        await sleep(20)
+        let idleQueries = queries
+        headHandler()
+        await sleep(20)
+        assert.strictEqual(queries, idleQueries + 1)
+        await stream.stop()
+        await startPromise
+    })
+    it('no WebSocket endpoint, keep polling', async() => {
+        let client = createMemoryClient({}, 10, 9)
+        let stream = LogStream.create({
+            client: client,
+            idleTimespan: Timespan.fromMiliseconds(1).open()
+        }).open()
+        let startPromise = stream.start(() => {})
+        await sleep(20)
+        await stream.stop()
+        await startPromise
+        assert.strictEqual(stream._isNewHeadsUnsupported, true)
+        assert.strictEqual(stream._headSubscription, undefined)
+    })
+})
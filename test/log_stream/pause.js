@@ -0,0 +1,45 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {LogStream} = require('../../lib/log_stream')
+const {createMemoryClient} = require('../_lib')
+
+describe('LogStream.pause', () => {
+    it('not started stream, return immediately', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        await stream.pause()
+    })
+    it('no handler call until resume', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let calls = []
+        let pausePromise = undefined
+        let startPromise = stream.start((logSegment) => {
+            calls.push(logSegment.fromBlock.toNumber())
+            if (calls.length === 1) {
+                pausePromise = stream.pause()
+            }
+            if (calls.length === 3) {
+                stream.stop()
+            }
+        })
+        await new Promise(resolve => setTimeout(resolve, 10))
+        await pausePromise
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.deepStrictEqual(calls, [0])
+        stream.resume()
+        await startPromise
+        assert.deepStrictEqual(calls, [0, 10, 20])
+    })
+    it('paused stream, stop', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let startPromise = stream.start(async() => {})
+        await stream.pause()
+        await stream.stop()
+        await startPromise
+    })
+})
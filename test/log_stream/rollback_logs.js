@@ -0,0 +1,85 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt64} = require('minitype')
+const {LogStream} = require('../../lib/log_stream')
+const {createMemoryClient} = require('../_lib')
+
+/**
+ * Do what loops of {@link LogStream.start} do, but read then process logs
+ * one after another instead of concurrently, and without idle.
+ *
+ * @param {LogStream} stream
+ * @param {Function} handler
+ * @param {number} times - Quantities of loops.
+ */
+async function runLoops(stream, handler, times) {
+    stream._handler = handler
+    for (let i = 0; i < times; ++i) {
+        await stream._readLogs()
+        await stream._processLogs()
+        stream._pushDataToProcessor()
+    }
+}
+
+/**
+ * @param {object} chain - See {@link createMemoryClient}.
+ * @param {Array} calls - Receive ranges of rollbacks.
+ * @return {LogStream}
+ */
+function createReorgStream(chain, calls) {
+    return LogStream.create({
+        client: createMemoryClient(chain),
+        reorgDepth: UInt64.fromNumber(8).open(),
+        rollbackHandler: (fromBlock, toBlock) => {
+            calls.push(['rollback', fromBlock.toNumber(), toBlock.toNumber()])
+        }
+    }).open()
+}
+
+describe('LogStream._rollbackLogs', () => {
+    it('no chain reorganization, do not rollback', async() => {
+        let calls = []
+        let stream = createReorgStream({3: 'a', 12: 'a'}, calls)
+        await runLoops(stream, (logSegment) => {
+            calls.push([
+                logSegment.fromBlock.toNumber(),
+                logSegment.toBlock.toNumber()
+            ])
+        }, 5)
+        assert.deepStrictEqual(calls, [
+            [0, 9],
+            [10, 11],
+            [12, 13],
+            [14, 15]
+        ])
+    })
+    it('changed block hash, rollback and deliver again', async() => {
+        let chain = {3: 'a', 6: 'a', 9: 'a', 12: 'a', 15: 'a'}
+        let calls = []
+        let stream = createReorgStream(chain, calls)
+        await runLoops(stream, (logSegment) => {
+            let {fromBlock, toBlock, logs} = logSegment
+            calls.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockHash.value[0])
+            ])
+            if (toBlock.toNumber() === 15) {
+                chain[12] = 'b'
+                chain[13] = 'b'
+            }
+        }, 9)
+        assert.deepStrictEqual(calls, [
+            [0, 9, [0xaa, 0xaa, 0xaa]],
+            [10, 11, []],
+            [12, 13, [0xaa]],
+            [14, 15, [0xaa]],
+            ['rollback', 12, 15],
+            [12, 13, [0xbb, 0xbb]],
+            [14, 15, [0xaa]]
+        ])
+    })
+})
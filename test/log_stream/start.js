@@ -0,0 +1,246 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt64, Timespan} = require('minitype')
+const {LogStream} = require('../../lib/log_stream')
+const {Checkpoint} = require('../../lib/checkpoint')
+const {Result, MetricEvent} = require('../../lib/type')
+const {createMemoryClient} = require('../_lib')
+
+describe('LogStream.start', () => {
+    it('deliver log segments in order', async() => {
+        let client = createMemoryClient({3: 'a', 12: 'a'})
+        let stream = LogStream.create({
+            client: client,
+            fromBlock: UInt64.fromNumber(2).open()
+        }).open()
+        let calls = []
+        await stream.start((logSegment) => {
+            let {fromBlock, toBlock, logs} = logSegment
+            calls.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockNumber.toNumber())
+            ])
+            if (calls.length === 2) {
+                stream.stop()
+            }
+        })
+        assert.deepStrictEqual(calls, [
+            [2, 11, [3]],
+            [12, 21, [12]]
+        ])
+    })
+    it('has toBlock, return after processing logs to it', async() => {
+        let client = createMemoryClient({3: 'a', 12: 'a', 25: 'a'})
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(12).open()
+        }).open()
+        let calls = []
+        await stream.start((logSegment) => {
+            let {fromBlock, toBlock, logs} = logSegment
+            calls.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockNumber.toNumber())
+            ])
+        })
+        assert.deepStrictEqual(calls, [
+            [0, 9, [3]],
+            [10, 12, [12]]
+        ])
+    })
+    it('toBlock is safe block, return without idle', async() => {
+        let client = createMemoryClient({}, 10, 12)
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(12).open(),
+            idleTimespan: Timespan.fromSeconds(60).open()
+        }).open()
+        let calls = []
+        await stream.start((logSegment) => {
+            calls.push(logSegment.toBlock.toNumber())
+        })
+        assert.deepStrictEqual(calls, [9, 12])
+    })
+    it('has parallelRange, read logs concurrently', async() => {
+        let client = createMemoryClient({3: 'a', 12: 'a'}, 100)
+        let ranges = []
+        client.getLogsConcurrently = (filter) => {
+            let {fromBlock, toBlock} = filter
+            ranges.push([fromBlock.toNumber(), toBlock.toNumber()])
+            return client.getLogs(filter)
+        }
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(40).open(),
+            parallelRange: UInt64.fromNumber(20).open()
+        }).open()
+        let calls = []
+        await stream.start((logSegment) => {
+            calls.push(logSegment.toBlock.toNumber())
+        })
+        assert.deepStrictEqual(ranges, [[0, 20], [21, 40]])
+        assert.deepStrictEqual(calls, [20, 40])
+    })
+    it('started stream, throws error', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let startPromise = stream.start(async() => {})
+        await assert.rejects(
+            stream.start(async() => {}),
+            new Error('stream is already started')
+        )
+        await stream.stop()
+        await startPromise
+    })
+    it('chain reorganization, rollback and deliver again', async() => {
+        let chain = {3: 'a', 6: 'a', 9: 'a', 12: 'a', 15: 'a'}
+        let client = createMemoryClient(chain)
+        let calls = []
+        let stream = LogStream.create({
+            client: client,
+            reorgDepth: UInt64.fromNumber(8).open(),
+            rollbackHandler: (fromBlock, toBlock) => {
+                let range = [fromBlock.toNumber(), toBlock.toNumber()]
+                calls.push(['rollback', ...range])
+            }
+        }).open()
+        await stream.start((logSegment) => {
+            let {fromBlock, toBlock, logs} = logSegment
+            calls.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockHash.value[0])
+            ])
+            if (toBlock.toNumber() === 15) {
+                chain[12] = 'b'
+                chain[13] = 'b'
+            }
+            if (calls.length === 7) {
+                stream.stop()
+            }
+        })
+        assert.deepStrictEqual(calls, [
+            [0, 9, [0xaa, 0xaa, 0xaa]],
+            [10, 11, []],
+            [12, 13, [0xaa]],
+            [14, 15, [0xaa]],
+            ['rollback', 12, 15],
+            [12, 13, [0xbb, 0xbb]],
+            [14, 15, [0xaa]]
+        ])
+    })
+    it('reorgDepth is not less than log range, deliver all logs', async() => {
+        let client = createMemoryClient({3: 'a', 25: 'a', 38: 'a'}, 10)
+        let {getLogs} = client
+        let requests = 0
+        client.getLogs = (filter) => {
+            if (++requests === 100) {
+                stream.stop()
+            }
+            return getLogs(filter)
+        }
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(40).open(),
+            reorgDepth: UInt64.fromNumber(12).open(),
+            rollbackHandler: () => {}
+        }).open()
+        let calls = []
+        await stream.start((logSegment) => {
+            let {fromBlock, toBlock, logs} = logSegment
+            calls.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockNumber.toNumber())
+            ])
+        })
+        assert.deepStrictEqual(calls, [
+            [0, 9, [3]],
+            [10, 14, []],
+            [15, 19, []],
+            [20, 24, []],
+            [25, 29, [25]],
+            [30, 34, []],
+            [35, 39, [38]],
+            [40, 40, []]
+        ])
+    })
+    it('no new block after a read, idle', async() => {
+        let client = createMemoryClient({}, 10, 11)
+        let {getLogs} = client
+        let requests = 0
+        client.getLogs = (filter) => {
+            if (++requests === 100) {
+                stream.stop()
+            }
+            return getLogs(filter)
+        }
+        let stream = LogStream.create({
+            client: client,
+            reorgDepth: UInt64.fromNumber(8).open(),
+            rollbackHandler: () => {}
+        }).open()
+        let idles = []
+        stream._sleep = () => {
+            idles.push(requests)
+            if (idles.length === 2) {
+                stream.stop()
+            }
+            return Promise.resolve()
+        }
+        await stream.start(() => {})
+        assert.deepStrictEqual(idles, [2, 3])
+    })
+    it('resume with reorgDepth, do not deliver again', async() => {
+        let client = createMemoryClient({15: 'a', 17: 'a', 22: 'a'})
+        let checkpoint = new Checkpoint()
+        checkpoint.read = () => {
+            return Promise.resolve(Result.ok(UInt64.fromNumber(20).open()))
+        }
+        checkpoint.write = () => Promise.resolve(Result.ok())
+        let calls = []
+        let stream = LogStream.create({
+            client: client,
+            checkpoint: checkpoint,
+            reorgDepth: UInt64.fromNumber(8).open(),
+            rollbackHandler: (fromBlock, toBlock) => {
+                let range = [fromBlock.toNumber(), toBlock.toNumber()]
+                calls.push(['rollback', ...range])
+            }
+        }).open()
+        await stream.start((logSegment) => {
+            let {fromBlock, toBlock, logs} = logSegment
+            calls.push([
+                fromBlock.toNumber(),
+                toBlock.toNumber(),
+                logs.map(log => log.blockNumber.toNumber())
+            ])
+            if (calls.length === 2) {
+                stream.stop()
+            }
+        })
+        assert.deepStrictEqual(calls, [
+            [20, 21, []],
+            [22, 23, [22]]
+        ])
+    })
+    it('emit an event for each processed segment', async() => {
+        let client = createMemoryClient({3: 'a', 12: 'a'}, 10, 20)
+        let stream = LogStream.create({
+            client: client,
+            toBlock: UInt64.fromNumber(12).open()
+        }).open()
+        let events = []
+        stream.on(MetricEvent.SEGMENT, event => events.push(event))
+        await stream.start(() => {})
+        assert.deepStrictEqual(events, [
+            {fromBlock: 0, toBlock: 9, logs: 1, lag: 11},
+            {fromBlock: 10, toBlock: 12, logs: 1, lag: 8}
+        ])
+    })
+})
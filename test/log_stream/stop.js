@@ -0,0 +1,58 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Timespan} = require('minitype')
+const {LogStream} = require('../../lib/log_stream')
+const {createMemoryClient} = require('../_lib')
+
+describe('LogStream.stop', () => {
+    it('not started stream, return immediately', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        await stream.stop()
+    })
+    it('start() is resolved after in-flight handler call', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let calls = []
+        let stopPromise = undefined
+        let startPromise = stream.start(async(logSegment) => {
+            calls.push(logSegment.fromBlock.toNumber())
+            if (calls.length === 2) {
+                stopPromise = stream.stop()
+                await new Promise(resolve => setTimeout(resolve, 10))
+                calls.push('handled')
+            }
+        })
+        await startPromise
+        await stopPromise
+        assert.deepStrictEqual(calls, [0, 10, 'handled'])
+    })
+    it('idle stream, stop without waiting for idle timespan', async() => {
+        let client = createMemoryClient({}, 10, 9)
+        let stream = LogStream.create({
+            client: client,
+            idleTimespan: Timespan.fromSeconds(60).open()
+        }).open()
+        let startPromise = stream.start(async() => {})
+        await new Promise(resolve => setTimeout(resolve, 10))
+        await stream.stop()
+        await startPromise
+    })
+    it('restart, continue from first not processed block', async() => {
+        let client = createMemoryClient({})
+        let stream = LogStream.create({client}).open()
+        let calls = []
+        let handler = (logSegment) => {
+            calls.push(logSegment.fromBlock.toNumber())
+            if (calls.length === 2 || calls.length === 3) {
+                stream.stop()
+            }
+        }
+        await stream.start(handler)
+        await stream.start(handler)
+        assert.deepStrictEqual(calls, [0, 10, 20])
+    })
+})
@@ -0,0 +1,30 @@
+'use strict'
+
+const assert = require('assert')
+const {Log: StdioLog} = require('stdio_log')
+const {Logger, NoopLogger, StdioLogger} = require('../../lib/logger')
+
+describe('Logger.from', () => {
+    it('an instance of stdio_log, return a StdioLogger', () => {
+        let logger = Logger.from(new StdioLog()).open()
+        assert.strictEqual(logger instanceof StdioLogger, true)
+    })
+    it('an object has methods of Logger, return it', () => {
+        let log = {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: () => {}
+        }
+        assert.strictEqual(Logger.from(log).open(), log)
+    })
+    it('a NoopLogger, return it', () => {
+        let log = new NoopLogger()
+        assert.strictEqual(Logger.from(log).open(), log)
+    })
+    it('an object misses a method, return error', () => {
+        let log = {info: () => {}, warn: () => {}, error: () => {}}
+        let {error} = Logger.from(log)
+        assert.strictEqual(error.message, 'expect a Logger')
+    })
+})
@@ -0,0 +1,23 @@
+'use strict'
+
+const assert = require('assert')
+const {Logger} = require('../../lib/logger')
+
+describe('Logger.withContext', () => {
+    it('merge context to contexts of messages', () => {
+        let calls = []
+        let log = {
+            debug: () => {},
+            info: (message, context) => calls.push([message, context]),
+            warn: () => {},
+            error: () => {}
+        }
+        let logger = Logger.withContext(log, {host: 'a', method: 'b'})
+        logger.info('request', {method: 'c'})
+        logger.info('paused')
+        assert.deepStrictEqual(calls, [
+            ['request', {host: 'a', method: 'c'}],
+            ['paused', {host: 'a', method: 'b'}]
+        ])
+    })
+})
@@ -0,0 +1,185 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Interface} = require('@ethersproject/abi')
+const {Multicall} = require('../../lib/multicall')
+const {Contract, ContractRevertError} = require('../../lib/contract')
+const {Client} = require('../../lib/client')
+const {Codec} = require('../../lib/codec')
+const {NoopLogger} = require('../../lib/logger')
+const {EthEndpoint, HttpUrl, Address, UInt} = require('../../lib/type')
+const {NODE_BAD_REQUEST} = require('../../lib/type').ErrorCode
+const {
+    getDataFilePath,
+    encodeRevertReason,
+    createRpcHttpServer,
+    closeHttpServer
+} = require('../_lib')
+
+const MULTICALL3 = new Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+])
+const TOKEN = new Interface([
+    'function balanceOf(address owner) view returns (uint256)'
+])
+
+/**
+ * Client connects to a local node, `eth_call` is served by decoding calls of
+ * `aggregate3` and passing them to `handler`.
+ *
+ * @param {Function} handler - Receive calls of a batch as an array of
+ * `{target, callData}`, return an array that each item is
+ * `[success, returnData]`, or a string as message of an error.
+ * @return {Promise<object>} `server`, `client` and `token` as a contract.
+ */
+async function createRpcClient(handler) {
+    let server = await createRpcHttpServer(({params: [{data}]}) => {
+        let [calls] = MULTICALL3.decodeFunctionData('aggregate3', data)
+        let answer = handler(calls)
+        if (typeof answer === 'string') {
+            return {error: {code: -32000, message: answer}}
+        }
+        let result = MULTICALL3.encodeFunctionResult('aggregate3', [answer])
+        return {result}
+    })
+    let client = Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString(server.url).open()
+            }).open()
+        ],
+        log: new NoopLogger()
+    }).open()
+    let token = Contract.create(
+        Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open(),
+        Codec.fromJsonFile(getDataFilePath('abi_bep_20_token.json')).open(),
+        client
+    ).open()
+    return {server, client, token}
+}
+
+/**
+ * @param {number} index
+ * @return {string} Address of a holder.
+ */
+function getHolder(index) {
+    return '0x' + index.toString(16).padStart(40, '0')
+}
+
+/**
+ * Balance of a holder is it's index.
+ *
+ * @param {Array<object>} calls
+ * @return {Array<Array>}
+ */
+function answerBalances(calls) {
+    return calls.map(({callData}) => {
+        let [owner] = TOKEN.decodeFunctionData('balanceOf', callData)
+        let balance = BigInt(owner)
+        return [true, TOKEN.encodeFunctionResult('balanceOf', [balance])]
+    })
+}
+
+describe('Multicall.aggregate', () => {
+    let rpc
+    afterEach(async() => {
+        rpc.client.close()
+        await closeHttpServer(rpc.server)
+    })
+    it('calls in batches, return results in order', async() => {
+        let batches = []
+        rpc = await createRpcClient(calls => {
+            batches.push(calls.length)
+            return answerBalances(calls)
+        })
+        let {client, token} = rpc
+        let multicall = Multicall.create({
+            client: client,
+            batchSize: UInt.fromNumber(2).open()
+        }).open()
+        let calls = [1, 2, 3].map(index => {
+            return {contract: token, method: 'balanceOf', data: [getHolder(index)]}
+        })
+        let results = (await multicall.aggregate(calls)).open()
+        assert.deepStrictEqual(batches, [2, 1])
+        let balances = results.map(result => result.open()[0].toNumber())
+        assert.deepStrictEqual(balances, [1, 2, 3])
+    })
+    it('a call is failed, return error for it', async() => {
+        rpc = await createRpcClient(calls => {
+            let answers = answerBalances(calls)
+            answers[1] = [false, encodeRevertReason('paused')]
+            return answers
+        })
+        let {client, token} = rpc
+        let multicall = Multicall.create({client}).open()
+        let calls = [1, 2].map(index => {
+            return {contract: token, method: 'balanceOf', data: [getHolder(index)]}
+        })
+        let results = (await multicall.aggregate(calls)).open()
+        assert.strictEqual(results[0].open()[0].toNumber(), 1)
+        assert.strictEqual(results[1].error instanceof ContractRevertError, true)
+        assert.strictEqual(results[1].error.errorName, 'Error')
+        assert.strictEqual(results[1].error.errorArgs[0], 'paused')
+    })
+    it('node rejects a large batch, split it', async() => {
+        let batches = []
+        rpc = await createRpcClient(calls => {
+            batches.push(calls.length)
+            if (calls.length > 2) {
+                return 'out of gas'
+            }
+            return answerBalances(calls)
+        })
+        let {client, token} = rpc
+        let multicall = Multicall.create({client}).open()
+        let calls = [1, 2, 3, 4, 5].map(index => {
+            return {contract: token, method: 'balanceOf', data: [getHolder(index)]}
+        })
+        let results = (await multicall.aggregate(calls)).open()
+        assert.deepStrictEqual(batches, [5, 3, 2, 1, 2])
+        let balances = results.map(result => result.open()[0].toNumber())
+        assert.deepStrictEqual(balances, [1, 2, 3, 4, 5])
+    })
+    it('node always rejects, stop splitting at max depth', async() => {
+        let batches = []
+        rpc = await createRpcClient(calls => {
+            batches.push(calls.length)
+            return 'out of gas'
+        })
+        let {client, token} = rpc
+        let multicall = Multicall.create({client}).open()
+        let calls = Array.from({length: 64}, (_, index) => {
+            return {contract: token, method: 'balanceOf', data: [getHolder(index)]}
+        })
+        let result = await multicall.aggregate(calls)
+        assert.strictEqual(result.error.code, NODE_BAD_REQUEST)
+        assert.deepStrictEqual(batches, [64, 32, 16, 8, 4])
+    })
+    it('node rejects a single call, return error', async() => {
+        rpc = await createRpcClient(() => {
+            return 'out of gas'
+        })
+        let {client, token} = rpc
+        let multicall = Multicall.create({client}).open()
+        let result = await multicall.aggregate([
+            {contract: token, method: 'balanceOf', data: [getHolder(1)]}
+        ])
+        assert.strictEqual(result.error.code, NODE_BAD_REQUEST)
+    })
+    it('invalid call, return error', async() => {
+        rpc = await createRpcClient(() => {
+            throw new Error('must not be called')
+        })
+        let {client, token} = rpc
+        let multicall = Multicall.create({client}).open()
+        let result = await multicall.aggregate([
+            {contract: token, method: 'balanceOf', data: [getHolder(1)]},
+            {contract: token, method: 'notExisted'}
+        ])
+        assert.match(result.error.message, /^calls\[1\]: data: /)
+    })
+})
@@ -0,0 +1,39 @@
+'use strict'
+
+const assert = require('assert')
+const {Multicall} = require('../../lib/multicall')
+const {Client} = require('../../lib/client')
+const {EthEndpoint, HttpUrl, UInt} = require('../../lib/type')
+
+/**
+ * @return {Client}
+ */
+function createClient() {
+    return Client.create({
+        mainEndpoints: [
+            EthEndpoint.create({
+                url: HttpUrl.fromString('http://foo.bar').open()
+            }).open()
+        ]
+    }).open()
+}
+
+describe('Multicall.create', () => {
+    it('no address, use Multicall3 address', () => {
+        let multicall = Multicall.create({client: createClient()}).open()
+        assert.strictEqual(
+            multicall.address.toHeximal(),
+            '0xca11bde05977b3631167028862be2a173976ca11'
+        )
+        assert.strictEqual(multicall.batchSize.value, 500)
+    })
+    it('zero batch size, return error', () => {
+        let {error} = Multicall.create({
+            client: createClient(),
+            batchSize: UInt.fromNumber(0).open()
+        })
+        assert.strictEqual(
+            error.message, 'batchSize: expect a positive integer'
+        )
+    })
+})
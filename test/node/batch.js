@@ -0,0 +1,105 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const AxiosMock = require('axios-mock-adapter')
+const {Node} = require('../../lib/node')
+const {HttpUrl, HttpEndpoint} = require('../../lib/type')
+const {
+    NODE_BAD_REQUEST,
+    NODE_BAD_RESPONSE
+} = require('../../lib/type').ErrorCode
+
+/**
+ * @return {Node}
+ */
+function createNode() {
+    return Node.create({
+        endpoint: HttpEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open()
+        }).open()
+    }).open()
+}
+
+describe('Node.batch', () => {
+    it('responses in other order, match them by identity', async() => {
+        let node = createNode()
+        let httpMock = new AxiosMock(node._httpClient)
+        let requestBody = undefined
+        httpMock.onPost('/').reply(config => {
+            requestBody = JSON.parse(config.data)
+            let responseBody = requestBody
+                .map(({id, params}) => ({id, result: params[0]}))
+                .reverse()
+            return [200, JSON.stringify(responseBody)]
+        })
+        let actualResult = await node.batch([
+            {method: 'echo', params: ['a']},
+            {method: 'echo', params: ['b']}
+        ])
+        assert.strictEqual(actualResult.error, undefined)
+        let values = actualResult.data.map(r => r.open().data)
+        assert.deepStrictEqual(values, ['a', 'b'])
+        assert.deepStrictEqual(requestBody, [
+            {id: 0, jsonrpc: '2.0', method: 'echo', params: ['a']},
+            {id: 1, jsonrpc: '2.0', method: 'echo', params: ['b']}
+        ])
+    })
+    it('a call is failed, return error for that call', async() => {
+        let node = createNode()
+        let httpMock = new AxiosMock(node._httpClient)
+        httpMock.onPost('/').reply(200, JSON.stringify([
+            {id: 0, result: '0x1'},
+            {id: 1, error: {message: 'invalid params'}}
+        ]))
+        let actualResult = await node.batch([
+            {method: 'eth_blockNumber', params: []},
+            {method: 'eth_getLogs', params: [{}]}
+        ])
+        let [r1, r2] = actualResult.open()
+        assert.strictEqual(r1.open().data, '0x1')
+        assert.strictEqual(r2.error.code, NODE_BAD_REQUEST)
+    })
+    it('missing response of a call, return error for that call', async() => {
+        let node = createNode()
+        let httpMock = new AxiosMock(node._httpClient)
+        httpMock.onPost('/').reply(200, JSON.stringify([
+            {id: 1, result: '0x1'}
+        ]))
+        let actualResult = await node.batch([
+            {method: 'eth_chainId', params: []},
+            {method: 'eth_blockNumber', params: []}
+        ])
+        let [r1, r2] = actualResult.open()
+        assert.strictEqual(r1.error.code, NODE_BAD_RESPONSE)
+        assert.strictEqual(
+            r1.error.message, 'NODE_BAD_RESPONSE missing response'
+        )
+        assert.strictEqual(r2.open().data, '0x1')
+    })
+    it('server does not support batch, return error', async() => {
+        let node = createNode()
+        let httpMock = new AxiosMock(node._httpClient)
+        httpMock.onPost('/').reply(200, JSON.stringify({
+            id: null,
+            error: {message: 'batch is not supported'}
+        }))
+        let actualResult = await node.batch([
+            {method: 'eth_blockNumber', params: []}
+        ])
+        assert.strictEqual(actualResult.error.code, NODE_BAD_REQUEST)
+        assert.strictEqual(
+            actualResult.error.message,
+            'NODE_BAD_REQUEST batch is not supported'
+        )
+    })
+    it('empty calls, return error', async() => {
+        let node = createNode()
+        let actualResult = await node.batch([])
+        assert.strictEqual(actualResult.error instanceof TypeError, true)
+        assert.strictEqual(
+            actualResult.error.message, 'calls: expect 1 items at least'
+        )
+    })
+})
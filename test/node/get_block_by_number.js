@@ -13,6 +13,7 @@ const {
     HttpUrl,
     HttpEndpoint,
     ByteData32,
+    Address,
     Block
 } = require('../../lib/type')
 const {
@@ -37,7 +38,12 @@ describe('Node.getBlockByNumber', () => {
         let responseBody = JSON.stringify({
             result: {
                 number: '0xCD5DA5',
+                hash: '0x8e38b4dbf6b11fcc3b9dee84fb7986e29ca0a02cecd8977c161ff7333329681e',
+                parentHash: '0x2d9e1a7ce1fbd1fb5bb8e9c08e5d1c7c2d8e5b1b6b5ec0b63c3bd8a49a7af2a7',
                 timestamp: '0x61B82374',
+                miner: '0xea674fdde714fd979de3edf0f56aa9716b898ec8',
+                gasUsed: '0x5208',
+                gasLimit: '0x1c9c380',
                 transactions: [
                     '0xabe913f1c2dfe5a759e301d6d27e20766a78fc11a4e0298a6a50c52ff06e95bb'
                 ]
@@ -46,7 +52,12 @@ describe('Node.getBlockByNumber', () => {
         httpMock.onPost('/').reply(200, responseBody)
         let block = new Block({
             number: UInt64.fromNumber(13458853).open(),
+            hash: ByteData32.fromHeximal('0x8e38b4dbf6b11fcc3b9dee84fb7986e29ca0a02cecd8977c161ff7333329681e').open(),
+            parentHash: ByteData32.fromHeximal('0x2d9e1a7ce1fbd1fb5bb8e9c08e5d1c7c2d8e5b1b6b5ec0b63c3bd8a49a7af2a7').open(),
             timestamp: Timestamp.fromSeconds(0x61B82374).open(),
+            miner: Address.fromHeximal('0xea674fdde714fd979de3edf0f56aa9716b898ec8').open(),
+            gasUsed: UInt64.fromNumber(21000).open(),
+            gasLimit: UInt64.fromNumber(30000000).open(),
             transactions: [
                 ByteData32.fromHeximal('0xabe913f1c2dfe5a759e301d6d27e20766a78fc11a4e0298a6a50c52ff06e95bb').open()
             ]
@@ -54,7 +65,7 @@ describe('Node.getBlockByNumber', () => {
         let data = NodeResponse.create({
             data: block,
             time: Timespan.fromMiliseconds(0).open(),
-            size: DataSize.fromBytes(143).open()
+            size: DataSize.fromBytes(396).open()
         }).open()
         let expectedResult = Result.ok(data)
         let actualResult = await node.getBlockByNumber(block.number)
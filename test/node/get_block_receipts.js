@@ -0,0 +1,76 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const AxiosMock = require('axios-mock-adapter')
+const {UInt64} = require('minitype')
+const {Node} = require('../../lib/node')
+const {HttpUrl, HttpEndpoint} = require('../../lib/type')
+const {
+    NODE_NO_BLOCK,
+    NODE_METHOD_NOT_FOUND
+} = require('../../lib/type').ErrorCode
+
+/**
+ * @param {number} transactionIndex
+ * @return {object} A receipt as RPC result.
+ */
+function createRpcReceipt(transactionIndex) {
+    return {
+        transactionHash: '0x' + '11'.repeat(32),
+        transactionIndex: '0x' + transactionIndex.toString(16),
+        blockHash: '0x' + '22'.repeat(32),
+        blockNumber: '0xcdeb3c',
+        from: '0x' + '33'.repeat(20),
+        to: '0x' + '44'.repeat(20),
+        status: '0x1',
+        gasUsed: '0x5208',
+        cumulativeGasUsed: '0x5208',
+        contractAddress: null,
+        logs: []
+    }
+}
+
+describe('Node.getBlockReceipts', () => {
+    let blockNumber = UInt64.fromNumber(0xcdeb3c).open()
+    let node = Node.create({
+        endpoint: HttpEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open()
+        }).open()
+    }).open()
+    let httpMock = new AxiosMock(node._httpClient)
+    afterEach(() => {
+        httpMock.reset()
+    })
+    it('return receipts in order', async() => {
+        let requestBody = undefined
+        httpMock.onPost('/').reply(config => {
+            requestBody = JSON.parse(config.data)
+            return [200, JSON.stringify({
+                result: [createRpcReceipt(0), createRpcReceipt(1)]
+            })]
+        })
+        let actualResult = await node.getBlockReceipts(blockNumber)
+        let {data: receipts} = actualResult.open()
+        assert.strictEqual(requestBody.method, 'eth_getBlockReceipts')
+        assert.deepStrictEqual(requestBody.params, ['0xcdeb3c'])
+        assert.deepStrictEqual(
+            receipts.map(receipt => receipt.transactionIndex.value),
+            [0, 1]
+        )
+    })
+    it('not mined block, return error', async() => {
+        httpMock.onPost('/').reply(200, JSON.stringify({result: null}))
+        let actualResult = await node.getBlockReceipts(blockNumber)
+        assert.strictEqual(actualResult.error.code, NODE_NO_BLOCK)
+    })
+    it('method is not supported, return error', async() => {
+        httpMock.onPost('/').reply(200, JSON.stringify({
+            error: {code: -32601, message: 'method not found'}
+        }))
+        let actualResult = await node.getBlockReceipts(blockNumber)
+        assert.strictEqual(actualResult.error.code, NODE_METHOD_NOT_FOUND)
+    })
+})
@@ -0,0 +1,100 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const AxiosMock = require('axios-mock-adapter')
+const {UInt64} = require('minitype')
+const {Node} = require('../../lib/node')
+const {HttpUrl, HttpEndpoint} = require('../../lib/type')
+const {
+    NODE_NO_BLOCK,
+    NODE_BAD_RESPONSE
+} = require('../../lib/type').ErrorCode
+
+/**
+ * @param {string} number - Heximal block number.
+ * @return {object} A block as RPC result.
+ */
+function createRpcBlock(number) {
+    return {
+        number: number,
+        hash: '0x' + '11'.repeat(32),
+        parentHash: '0x' + '22'.repeat(32),
+        timestamp: '0x61b82374',
+        miner: '0x' + '33'.repeat(20),
+        gasUsed: '0x0',
+        gasLimit: '0x1c9c380',
+        transactions: []
+    }
+}
+
+/**
+ * @param {Function} reply - Receive JSON RPC requests, return JSON RPC
+ * responses.
+ * @return {Node}
+ */
+function createNode(reply) {
+    let node = Node.create({
+        endpoint: HttpEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open()
+        }).open()
+    }).open()
+    let httpMock = new AxiosMock(node._httpClient)
+    httpMock.onPost('/').reply(config => {
+        let requests = JSON.parse(config.data)
+        return [200, JSON.stringify(reply(requests))]
+    })
+    return node
+}
+
+describe('Node.getBlocks', () => {
+    it('return blocks in order by a request', async() => {
+        let requestedParams = []
+        let node = createNode(requests => {
+            requestedParams = requests.map(({params}) => params)
+            return requests
+                .map(({id, params}) => ({id, result: createRpcBlock(params[0])}))
+                .reverse()
+        })
+        let actualResult = await node.getBlocks(
+            UInt64.fromNumber(9).open(),
+            UInt64.fromNumber(11).open(),
+            true
+        )
+        let {data: blocks} = actualResult.open()
+        assert.deepStrictEqual(
+            blocks.map(block => block.number.toNumber()),
+            [9, 10, 11]
+        )
+        assert.deepStrictEqual(requestedParams, [
+            ['0x9', true],
+            ['0xa', true],
+            ['0xb', true]
+        ])
+    })
+    it('a block is not mined, return error', async() => {
+        let node = createNode(requests => {
+            return requests.map(({id, params}) => {
+                let result = params[0] === '0x2' ? null : createRpcBlock(params[0])
+                return {id, result}
+            })
+        })
+        let actualResult = await node.getBlocks(
+            UInt64.fromNumber(1).open(),
+            UInt64.fromNumber(2).open()
+        )
+        assert.strictEqual(actualResult.error.code, NODE_NO_BLOCK)
+    })
+    it('bad block data, return error', async() => {
+        let node = createNode(requests => {
+            return requests.map(({id}) => ({id, result: {number: '0x1'}}))
+        })
+        let actualResult = await node.getBlocks(
+            UInt64.fromNumber(1).open(),
+            UInt64.fromNumber(1).open()
+        )
+        assert.strictEqual(actualResult.error.code, NODE_BAD_RESPONSE)
+    })
+})
@@ -5,11 +5,12 @@
 
 const assert = require('assert')
 const AxiosMock = require('axios-mock-adapter')
-const {UInt64, UInt16, Timespan, DataSize} = require('minitype')
+const {UInt64, UInt16, UInt256, Timespan, DataSize} = require('minitype')
 const mockDate = require('mockdate')
 const {Node, NodeResponse, RpcResponse} = require('../../lib/node')
 const {
     Result,
+    ByteData,
     ByteData32,
     Address,
     HttpUrl,
@@ -41,7 +42,15 @@ describe('Node.getTransactionByHash', () => {
                 from: '0xe2d3a739effcd3a99387d015e260eefac72ebea1',
                 to: '0x0000000000000000000000000000000000001000',
                 blockNumber: '0xCDEB3C',
-                transactionIndex: '0x170'
+                transactionIndex: '0x170',
+                value: '0x0',
+                input: '0xf340fa01',
+                nonce: '0x2a',
+                gas: '0x7fffffffffffffff',
+                gasPrice: '0x0',
+                v: '0x94',
+                r: '0x1b5e176d927f8e9ab405058b2d2457392da3e20f328b16ddabcebc33eaac5fea',
+                s: '0x4ba69724e8f69de52f0125ad8b3c5c2cef33019bac3249e2c0a2192766d1721c'
             }
         })
         httpMock.onPost('/').reply(200, responseBody)
@@ -50,12 +59,20 @@ describe('Node.getTransactionByHash', () => {
             from: Address.fromHeximal('0xe2d3a739effcd3a99387d015e260eefac72ebea1').open(),
             to: Address.fromHeximal('0x0000000000000000000000000000000000001000').open(),
             blockNumber: UInt64.fromNumber(13495100).open(),
-            transactionIndex: UInt16.fromNumber(368).open()
+            transactionIndex: UInt16.fromNumber(368).open(),
+            value: UInt256.fromNumber(0).open(),
+            input: ByteData.fromHeximal('0xf340fa01').open(),
+            nonce: UInt64.fromNumber(42).open(),
+            gas: UInt64.fromHeximal('0x7fffffffffffffff').open(),
+            gasPrice: UInt256.fromNumber(0).open(),
+            v: UInt256.fromNumber(148).open(),
+            r: UInt256.fromHeximal('0x1b5e176d927f8e9ab405058b2d2457392da3e20f328b16ddabcebc33eaac5fea').open(),
+            s: UInt256.fromHeximal('0x4ba69724e8f69de52f0125ad8b3c5c2cef33019bac3249e2c0a2192766d1721c').open()
         })
         let data = NodeResponse.create({
             data: transaction,
             time: Timespan.fromMiliseconds(0).open(),
-            size: DataSize.fromBytes(242).open()
+            size: DataSize.fromBytes(493).open()
         }).open()
         let expectedResult = Result.ok(data)
         let actualResult = await node.getTransactionByHash(transaction.hash)
@@ -0,0 +1,68 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const AxiosMock = require('axios-mock-adapter')
+const {UInt8} = require('minitype')
+const {Node} = require('../../lib/node')
+const {
+    ByteData32,
+    HttpUrl,
+    HttpEndpoint
+} = require('../../lib/type')
+const {
+    NODE_BAD_RESPONSE,
+    NODE_NO_TRANSACTION
+} = require('../../lib/type').ErrorCode
+
+describe('Node.getTransactionReceipt', () => {
+    let hash = ByteData32.fromHeximal('0x456d75c7a1a397f7cfea511e932aeeccc36e727db56724df7a424beb14877c5f').open()
+    let node = Node.create({
+        endpoint: HttpEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open()
+        }).open()
+    }).open()
+    let httpMock = new AxiosMock(node._httpClient)
+    afterEach(() => {
+        httpMock.reset()
+    })
+    it('return a receipt', async() => {
+        let requestBody = undefined
+        httpMock.onPost('/').reply(config => {
+            requestBody = JSON.parse(config.data)
+            return [200, JSON.stringify({
+                result: {
+                    transactionHash: hash.toHeximal(),
+                    transactionIndex: '0x0',
+                    blockHash: '0x8e38b4dbf6b11fcc3b9dee84fb7986e29ca0a02cecd8977c161ff7333329681e',
+                    blockNumber: '0xcdeb3c',
+                    from: '0xe2d3a739effcd3a99387d015e260eefac72ebea1',
+                    to: '0x804678fa97d91b974ec2af3c843270886528a9e6',
+                    status: '0x0',
+                    gasUsed: '0x5208',
+                    cumulativeGasUsed: '0x5208',
+                    contractAddress: null,
+                    logs: []
+                }
+            })]
+        })
+        let actualResult = await node.getTransactionReceipt(hash)
+        let {data: receipt} = actualResult.open()
+        assert.strictEqual(requestBody.method, 'eth_getTransactionReceipt')
+        assert.deepStrictEqual(requestBody.params, [hash.toHeximal()])
+        assert.deepStrictEqual(receipt.status, UInt8.fromNumber(0).open())
+        assert.deepStrictEqual(receipt.transactionHash, hash)
+    })
+    it('not mined transaction, return error', async() => {
+        httpMock.onPost('/').reply(200, JSON.stringify({result: null}))
+        let actualResult = await node.getTransactionReceipt(hash)
+        assert.strictEqual(actualResult.error.code, NODE_NO_TRANSACTION)
+    })
+    it('bad RPC data, return error', async() => {
+        httpMock.onPost('/').reply(200, JSON.stringify({result: '0x'}))
+        let actualResult = await node.getTransactionReceipt(hash)
+        assert.strictEqual(actualResult.error.code, NODE_BAD_RESPONSE)
+    })
+})
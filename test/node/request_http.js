@@ -7,6 +7,12 @@ const AxiosMock = require('axios-mock-adapter')
 const {Timespan, DataSize} = require('minitype')
 const mockDate = require('mockdate')
 const {Node, HttpResponse} = require('../../lib/node')
+const {CallOptions} = require('../../lib/call_options')
+const {
+    createSilentHttpServer,
+    closeHttpServer,
+    createAbortController
+} = require('../_lib')
 const {
     Result,
     HttpUrl,
@@ -14,7 +20,9 @@ const {
 } = require('../../lib/type')
 const {
     NODE_OVERLOADING,
-    NODE_BAD_SERVER
+    NODE_BAD_SERVER,
+    CALL_ABORTED,
+    CALL_DEADLINE_EXCEEDED
 } = require('../../lib/type').ErrorCode
 
 describe('Node._requestHttp', () => {
@@ -114,4 +122,60 @@ describe('Node._requestHttp', () => {
         let actualResult = await node._requestHttp({})
         assert.deepStrictEqual(actualResult, expectedResult)
     })
+    it('response has rate limit headers, keep them', async() => {
+        let node = Node.create({
+            endpoint: HttpEndpoint.create({
+                url: HttpUrl.fromString('http://foo.bar').open()
+            }).open()
+        }).open()
+        let httpMock = new AxiosMock(node._httpClient)
+        httpMock.onPost('/').reply(200, '{}', {
+            'X-RateLimit-Limit': '100',
+            'X-RateLimit-Remaining': '99',
+            'X-RateLimit-Reset': '60'
+        })
+        await node._requestHttp({})
+        let {limit, remaining, resetTime} = node.rateLimit
+        assert.strictEqual(limit.value, 100)
+        assert.strictEqual(remaining.value, 99)
+        assert.strictEqual(resetTime.value, 60000)
+    })
+})
+describe('Node._requestHttp with CallOptions', () => {
+    let server = undefined
+    let node = undefined
+    beforeEach(async() => {
+        server = await createSilentHttpServer()
+        node = Node.create({
+            endpoint: HttpEndpoint.create({
+                url: HttpUrl.fromString(server.url).open(),
+                timeout: Timespan.fromSeconds(5).open()
+            }).open()
+        }).open()
+    })
+    afterEach(async() => {
+        await closeHttpServer(server)
+    })
+    it('aborted before requesting, return error', async() => {
+        let controller = createAbortController()
+        controller.abort()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        let {error} = await node._requestHttp({}, options)
+        assert.strictEqual(error.code, CALL_ABORTED)
+        assert.strictEqual(server.sockets.size, 0)
+    })
+    it('aborted while requesting, return error', async() => {
+        let controller = createAbortController()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        setTimeout(() => controller.abort(), 50)
+        let {error} = await node._requestHttp({}, options)
+        assert.strictEqual(error.code, CALL_ABORTED)
+    })
+    it('deadline is shorter than timeout, return error', async() => {
+        let options = CallOptions.create({
+            deadline: Timespan.fromMiliseconds(50).open()
+        }).open()
+        let {error} = await node._requestHttp({}, options)
+        assert.strictEqual(error.code, CALL_DEADLINE_EXCEEDED)
+    })
 })
@@ -15,6 +15,7 @@ const {
 } = require('../../lib/type')
 const {
     NODE_OVERLOADING,
+    NODE_RATE_LIMITED,
     NODE_BAD_SERVER,
     NODE_BAD_REQUEST,
     NODE_BAD_RESPONSE
@@ -93,22 +94,25 @@ describe('Node._requestHttpJson', () => {
         let actualResult = await node._requestHttpJson({})
         assert.deepStrictEqual(actualResult, expectedResult)
     })
-    it('respond status 429, return error NODE_OVERLOADING', async() => {
+    it('respond status 429, return error NODE_RATE_LIMITED', async() => {
         let node = Node.create({
             endpoint: HttpEndpoint.create({
                 url: HttpUrl.fromString('http://foo.bar').open()
             }).open()
         }).open()
         let httpMock = new AxiosMock(node._httpClient)
-        httpMock.onPost('/').reply(429, 'message from server')
+        httpMock.onPost('/').reply(429, 'message from server', {
+            'Retry-After': '3'
+        })
         let response = new HttpResponse({
             status: 429,
             body: 'message from server',
             size: DataSize.fromBytes(19).open(),
-            time: Timespan.fromMiliseconds(0).open()
+            time: Timespan.fromMiliseconds(0).open(),
+            headers: {'retry-after': '3'}
         })
         let expectedResult = Result.badError(
-            NODE_OVERLOADING,
+            NODE_RATE_LIMITED,
             'http status 429',
             response
         )
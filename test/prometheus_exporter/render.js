@@ -0,0 +1,64 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const EventEmitter = require('events')
+const {PrometheusExporter} = require('../../lib/metrics')
+const {MetricEvent} = require('../../lib/type')
+
+describe('PrometheusExporter.render', () => {
+    it('no events, return empty text', () => {
+        let exporter = new PrometheusExporter()
+        assert.strictEqual(exporter.render(), '')
+    })
+    it('requests, render counters and summaries by host', () => {
+        let exporter = new PrometheusExporter()
+        let emitter = new EventEmitter()
+        exporter.observe(emitter)
+        emitter.emit(MetricEvent.REQUEST, {host: 'a', method: 'getLogs'})
+        emitter.emit(MetricEvent.RESPONSE, {
+            host: 'a', method: 'getLogs', latency: 20, size: 100
+        })
+        emitter.emit(MetricEvent.REQUEST, {host: 'a', method: 'getLogs'})
+        emitter.emit(MetricEvent.RESPONSE, {
+            host: 'a', method: 'getLogs', latency: 30,
+            errorCode: 'NODE_BAD_SERVER'
+        })
+        assert.strictEqual(exporter.render(), [
+            '# HELP ethlog_requests_total Requests to nodes.',
+            '# TYPE ethlog_requests_total counter',
+            'ethlog_requests_total{host="a",method="getLogs"} 2',
+            '# HELP ethlog_request_duration_milliseconds Duration of requests to nodes.',
+            '# TYPE ethlog_request_duration_milliseconds summary',
+            'ethlog_request_duration_milliseconds_sum{host="a",method="getLogs"} 50',
+            'ethlog_request_duration_milliseconds_count{host="a",method="getLogs"} 2',
+            '# HELP ethlog_response_bytes_total Size of responses.',
+            '# TYPE ethlog_response_bytes_total counter',
+            'ethlog_response_bytes_total{host="a",method="getLogs"} 100',
+            '# HELP ethlog_request_errors_total Failed requests to nodes.',
+            '# TYPE ethlog_request_errors_total counter',
+            'ethlog_request_errors_total{host="a",method="getLogs",code="NODE_BAD_SERVER"} 1',
+            ''
+        ].join('\n'))
+    })
+    it('locks and segments, render gauges', () => {
+        let exporter = new PrometheusExporter()
+        let emitter = new EventEmitter()
+        exporter.observe(emitter)
+        emitter.emit(MetricEvent.LOCK, {
+            host: 'a"b', errorCode: 'NODE_OVERLOADING', timespan: 15000
+        })
+        emitter.emit(MetricEvent.UNLOCK, {host: 'a"b'})
+        emitter.emit(MetricEvent.SEGMENT, {
+            fromBlock: 0, toBlock: 9, logs: 3, lag: 11
+        })
+        let lines = exporter.render().split('\n')
+        assert.strictEqual(lines.includes('ethlog_node_locks_total{host="a\\"b",code="NODE_OVERLOADING"} 1'), true)
+        assert.strictEqual(lines.includes('ethlog_node_locked{host="a\\"b"} 0'), true)
+        assert.strictEqual(lines.includes('ethlog_stream_logs_total 3'), true)
+        assert.strictEqual(lines.includes('ethlog_stream_block 9'), true)
+        assert.strictEqual(lines.includes('ethlog_stream_lag_blocks 11'), true)
+    })
+})
@@ -0,0 +1,43 @@
+'use strict'
+
+const assert = require('assert')
+const {UInt64, Timespan, DataSize} = require('minitype')
+const {Quorum} = require('../../lib/quorum')
+const {NodeResponse} = require('../../lib/node')
+const {Result} = require('../../lib/type')
+const {NODE_BAD_SERVER} = require('../../lib/type').ErrorCode
+
+/**
+ * @param {string} host
+ * @param {number} blockNumber
+ * @return {object}
+ */
+function createReply(host, blockNumber) {
+    let data = NodeResponse.create({
+        data: UInt64.fromNumber(blockNumber).open(),
+        time: Timespan.fromMiliseconds(1).open(),
+        size: DataSize.fromBytes(10).open()
+    }).open()
+    return {host, result: Result.ok(data)}
+}
+
+describe('Quorum.decideBlockNumber', () => {
+    it('return greatest block number reached by threshold replies', () => {
+        let quorum = Quorum.create({size: 4, threshold: 2}).open()
+        let decision = quorum.decideBlockNumber([
+            createReply('w', 100),
+            createReply('x', 103),
+            createReply('y', 101),
+            {host: 'z', result: Result.badError(NODE_BAD_SERVER, 'failed')}
+        ]).open()
+        assert.strictEqual(decision.response.data.toNumber(), 101)
+        assert.deepStrictEqual(decision.agreedHosts, ['x', 'y'])
+        assert.deepStrictEqual(decision.disagreedHosts, [])
+    })
+    it('invalid threshold, return error', () => {
+        let {error} = Quorum.create({size: 2, threshold: 3})
+        assert.strictEqual(
+            error.message, 'threshold: expect an integer in [1, size]'
+        )
+    })
+})
@@ -0,0 +1,127 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt64, Timespan, DataSize} = require('minitype')
+const {Quorum} = require('../../lib/quorum')
+const {NodeResponse} = require('../../lib/node')
+const {LogSegment} = require('../../lib/safe_node')
+const {Result} = require('../../lib/type')
+const {createLog} = require('../_lib')
+const {NODE_BAD_SERVER} = require('../../lib/type').ErrorCode
+
+/**
+ * @param {string} host
+ * @param {number} toBlock
+ * @param {object} chain - Keys are block numbers, values are heximal digits
+ * of block hashes.
+ * @return {object} A reply of `getLogs` in range `[0, toBlock]`.
+ */
+function createReply(host, toBlock, chain) {
+    let logs = Object.keys(chain)
+        .map(Number)
+        .filter(n => n <= toBlock)
+        .map(n => createLog(n, chain[n]))
+    let data = NodeResponse.create({
+        data: LogSegment.create({
+            logs: logs,
+            fromBlock: UInt64.fromNumber(0).open(),
+            toBlock: UInt64.fromNumber(toBlock).open(),
+            latestBlock: UInt64.fromNumber(toBlock + 15).open(),
+            safeBlock: UInt64.fromNumber(toBlock).open()
+        }).open(),
+        time: Timespan.fromMiliseconds(1).open(),
+        size: DataSize.fromBytes(100).open()
+    }).open()
+    return {host, result: Result.ok(data)}
+}
+
+/**
+ * @param {string} host
+ * @return {object}
+ */
+function createFailedReply(host) {
+    let result = Result.badError(NODE_BAD_SERVER, 'failed')
+    return {host, result}
+}
+
+/**
+ * @param {object} response - NodeResponse<LogSegment>.
+ * @return {Array<number>} Block numbers of logs.
+ */
+function getBlockNumbers(response) {
+    return response.data.logs.map(log => log.blockNumber.toNumber())
+}
+
+describe('Quorum.decideLogs', () => {
+    it('all of replies are agreed, return the agreed response', () => {
+        let quorum = Quorum.create({size: 3, threshold: 2}).open()
+        let chain = {3: 'a', 7: 'b'}
+        let decision = quorum.decideLogs([
+            createReply('x', 10, chain),
+            createReply('y', 10, chain),
+            createReply('z', 10, chain)
+        ]).open()
+        assert.deepStrictEqual(getBlockNumbers(decision.response), [3, 7])
+        assert.deepStrictEqual(decision.agreedHosts, ['x', 'y', 'z'])
+        assert.deepStrictEqual(decision.disagreedHosts, [])
+    })
+    it('a reply misses a log, it is disagreed', () => {
+        let quorum = Quorum.create({size: 3, threshold: 2}).open()
+        let decision = quorum.decideLogs([
+            createReply('x', 10, {}),
+            createReply('y', 10, {3: 'a'}),
+            createReply('z', 10, {3: 'a'})
+        ]).open()
+        assert.deepStrictEqual(getBlockNumbers(decision.response), [3])
+        assert.deepStrictEqual(decision.agreedHosts, ['y', 'z'])
+        assert.deepStrictEqual(decision.disagreedHosts, ['x'])
+    })
+    it('a log has different block hash, it is disagreed', () => {
+        let quorum = Quorum.create({size: 3, threshold: 2}).open()
+        let decision = quorum.decideLogs([
+            createReply('x', 10, {3: 'a'}),
+            createReply('y', 10, {3: 'b'}),
+            createReply('z', 10, {3: 'a'})
+        ]).open()
+        assert.deepStrictEqual(decision.agreedHosts, ['x', 'z'])
+        assert.deepStrictEqual(decision.disagreedHosts, ['y'])
+    })
+    it('replies end at different blocks, compare to block of threshold', () => {
+        let quorum = Quorum.create({size: 3, threshold: 2}).open()
+        let chain = {3: 'a', 8: 'b', 12: 'c'}
+        let decision = quorum.decideLogs([
+            createReply('x', 12, chain),
+            createReply('y', 5, chain),
+            createReply('z', 9, chain)
+        ]).open()
+        let {response} = decision
+        assert.strictEqual(response.data.toBlock.toNumber(), 9)
+        assert.deepStrictEqual(getBlockNumbers(response), [3, 8])
+        assert.deepStrictEqual(decision.agreedHosts, ['x', 'z'])
+        assert.deepStrictEqual(decision.disagreedHosts, [])
+    })
+    it('no agreement, return decision without response', () => {
+        let quorum = Quorum.create({size: 3, threshold: 2}).open()
+        let decision = quorum.decideLogs([
+            createReply('x', 10, {}),
+            createReply('y', 10, {3: 'a'}),
+            createReply('z', 10, {3: 'b'})
+        ]).open()
+        assert.strictEqual(decision.response, undefined)
+        assert.deepStrictEqual(decision.agreedHosts, [])
+        assert.deepStrictEqual(decision.disagreedHosts, ['x', 'y', 'z'])
+    })
+    it('not enough succeeded replies, return error', () => {
+        let quorum = Quorum.create({size: 3, threshold: 2}).open()
+        let {error} = quorum.decideLogs([
+            createReply('x', 10, {}),
+            createFailedReply('y'),
+            createFailedReply('z')
+        ])
+        assert.strictEqual(
+            error.message, 'GATEWAY_NO_QUORUM expect 2 responses, got 1'
+        )
+    })
+})
@@ -0,0 +1,82 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {RateLimit} = require('../../lib/rate_limit')
+
+describe('RateLimit.fromHeaders', () => {
+    it('no headers, return empty limits', () => {
+        let rateLimit = RateLimit.fromHeaders({})
+        assert.strictEqual(rateLimit.retryAfter, undefined)
+        assert.strictEqual(rateLimit.limit, undefined)
+        assert.strictEqual(rateLimit.remaining, undefined)
+        assert.strictEqual(rateLimit.resetTime, undefined)
+        assert.strictEqual(rateLimit.getLockTimespan(), undefined)
+    })
+    it('retry after seconds, return lock timespan', () => {
+        let rateLimit = RateLimit.fromHeaders({'retry-after': '3'})
+        assert.strictEqual(rateLimit.retryAfter.value, 3000)
+        assert.strictEqual(rateLimit.getLockTimespan().value, 3000)
+    })
+    it('retry after a HTTP date, return lock timespan', () => {
+        let rateLimit = RateLimit.fromHeaders(
+            {'retry-after': 'Thu, 01 Jan 1970 00:00:10 GMT'},
+            4000
+        )
+        assert.strictEqual(rateLimit.retryAfter.value, 6000)
+    })
+    it('retry after a past HTTP date, return zero', () => {
+        let rateLimit = RateLimit.fromHeaders(
+            {'retry-after': 'Thu, 01 Jan 1970 00:00:10 GMT'},
+            20000
+        )
+        assert.strictEqual(rateLimit.retryAfter.value, 0)
+    })
+    it('invalid values, ignore them', () => {
+        let rateLimit = RateLimit.fromHeaders({
+            'retry-after': 'soon',
+            'x-ratelimit-limit': '-1',
+            'x-ratelimit-remaining': 'many'
+        })
+        assert.strictEqual(rateLimit.retryAfter, undefined)
+        assert.strictEqual(rateLimit.limit, undefined)
+        assert.strictEqual(rateLimit.remaining, undefined)
+    })
+    it('IETF draft headers with policies, return leading values', () => {
+        let rateLimit = RateLimit.fromHeaders({
+            'ratelimit-limit': '100, 100;w=60',
+            'ratelimit-remaining': '42',
+            'ratelimit-reset': '30'
+        }, 1000)
+        assert.strictEqual(rateLimit.limit.value, 100)
+        assert.strictEqual(rateLimit.remaining.value, 42)
+        assert.strictEqual(rateLimit.resetTime.value, 31000)
+    })
+    it('reset is epoch seconds, return the timestamp', () => {
+        let rateLimit = RateLimit.fromHeaders(
+            {'x-ratelimit-reset': '1700000000'}
+        )
+        assert.strictEqual(rateLimit.resetTime.value, 1700000000000)
+    })
+    it('reset is epoch miliseconds, return the timestamp', () => {
+        let rateLimit = RateLimit.fromHeaders(
+            {'x-ratelimit-reset': '1700000000123'}
+        )
+        assert.strictEqual(rateLimit.resetTime.value, 1700000000123)
+    })
+    it('no remaining requests, lock until reset', () => {
+        let rateLimit = RateLimit.fromHeaders({
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-reset': '5'
+        }, 1000)
+        assert.strictEqual(rateLimit.getLockTimespan(1000).value, 5000)
+    })
+    it('remaining requests, do not lock', () => {
+        let rateLimit = RateLimit.fromHeaders({
+            'x-ratelimit-remaining': '1',
+            'x-ratelimit-reset': '5'
+        })
+        assert.strictEqual(rateLimit.getLockTimespan(), undefined)
+    })
+})
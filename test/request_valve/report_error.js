@@ -0,0 +1,129 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Timespan, DataSize} = require('minitype')
+const {SafeNode} = require('../../lib/safe_node')
+const {HttpResponse} = require('../../lib/node')
+const {NoopLogger} = require('../../lib/logger')
+const {
+    BadError,
+    HttpUrl,
+    EthEndpoint,
+    MetricEvent
+} = require('../../lib/type')
+const {
+    NODE_OVERLOADING,
+    NODE_LOG_RANGE_TOO_LARGE,
+    NODE_RATE_LIMITED,
+    NODE_EXECUTION_REVERTED
+} = require('../../lib/type').ErrorCode
+
+/**
+ * The valve is not exported, so it is taken from a node.
+ *
+ * @param {number} logRange
+ * @return {object} Instance of `RequestValve`.
+ */
+function createValve(logRange) {
+    let node = SafeNode.create({
+        endpoint: EthEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open()
+        }).open(),
+        log: new NoopLogger()
+    }).open()
+    let valve = node._valve
+    valve._logRange = BigInt(logRange)
+    return valve
+}
+
+/**
+ * @param {number} status
+ * @param {object} headers
+ * @return {HttpResponse}
+ */
+function createHttpResponse(status, headers) {
+    return new HttpResponse({
+        status: status,
+        body: '',
+        size: DataSize.fromBytes(0).open(),
+        time: Timespan.fromMiliseconds(0).open(),
+        headers: headers
+    })
+}
+
+describe('RequestValve.reportError', () => {
+    it('log range is too large with a suggestion, take it', () => {
+        let valve = createValve(1000)
+        valve.reportError(new BadError(
+            NODE_LOG_RANGE_TOO_LARGE,
+            'query returned more than 10000 results. ' +
+                'Try with this block range [0x10, 0x1f].'
+        ))
+        assert.strictEqual(valve.logRange.value, 16n)
+        assert.strictEqual(valve.isLocked, false)
+    })
+    it('log range is too large without a suggestion, halve it', () => {
+        let valve = createValve(1000)
+        valve.reportError(new BadError(
+            NODE_LOG_RANGE_TOO_LARGE, 'log response size exceeded'
+        ))
+        assert.strictEqual(valve.logRange.value, 500n)
+        assert.strictEqual(valve.isLocked, false)
+    })
+    it('suggestion is not less than log range, halve it', () => {
+        let valve = createValve(1000)
+        valve.reportError(new BadError(
+            NODE_LOG_RANGE_TOO_LARGE, 'exceed maximum block range: 5000'
+        ))
+        assert.strictEqual(valve.logRange.value, 500n)
+    })
+    it('rate limited, lock the node', () => {
+        let valve = createValve(1000)
+        valve.reportError(new BadError(NODE_RATE_LIMITED, 'rate limited'))
+        assert.strictEqual(valve.isLocked, true)
+        assert.strictEqual(valve.logRange.value, 1000n)
+    })
+    it('rate limited with retry after, lock as long as it', () => {
+        let valve = createValve(1000)
+        let events = []
+        valve.on(MetricEvent.LOCK, event => events.push(event))
+        valve.reportError(new BadError(
+            NODE_RATE_LIMITED,
+            'http status 429',
+            createHttpResponse(429, {'retry-after': '3'})
+        ))
+        assert.strictEqual(valve.isLocked, true)
+        assert.strictEqual(events[0].timespan, 3000)
+    })
+    it('overloading with retry after, lock as long as it', () => {
+        let valve = createValve(1000)
+        let events = []
+        valve.on(MetricEvent.LOCK, event => events.push(event))
+        valve.reportError(new BadError(
+            NODE_OVERLOADING,
+            'http status 503',
+            createHttpResponse(503, {'retry-after': '120'})
+        ))
+        assert.strictEqual(events[0].timespan, 120000)
+        assert.strictEqual(valve.logRange.value, 500n)
+    })
+    it('rate limited without headers, lock for 15 seconds', () => {
+        let valve = createValve(1000)
+        let events = []
+        valve.on(MetricEvent.LOCK, event => events.push(event))
+        valve.reportError(new BadError(
+            NODE_RATE_LIMITED,
+            'http status 429',
+            createHttpResponse(429, {})
+        ))
+        assert.strictEqual(events[0].timespan, 15000)
+    })
+    it('execution reverted, keep the node', () => {
+        let valve = createValve(1000)
+        valve.reportError(new BadError(NODE_EXECUTION_REVERTED, 'reverted'))
+        assert.strictEqual(valve.isLocked, false)
+        assert.strictEqual(valve.logRange.value, 1000n)
+    })
+})
@@ -0,0 +1,105 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt, Timespan} = require('minitype')
+const {SafeNode} = require('../../lib/safe_node')
+const {RateLimit} = require('../../lib/rate_limit')
+const {NoopLogger} = require('../../lib/logger')
+const {
+    HttpUrl,
+    EthEndpoint,
+    EndpointQuota
+} = require('../../lib/type')
+
+/**
+ * The valve is not exported, so it is taken from a node.
+ *
+ * @param {number} batchLimit
+ * @return {object} Instance of `RequestValve`.
+ */
+function createValve(batchLimit) {
+    let node = SafeNode.create({
+        endpoint: EthEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open(),
+            quota: EndpointQuota.create({
+                batchLimit: UInt.fromNumber(batchLimit).open(),
+                batchTimespan: Timespan.fromMinutes(1).open()
+            }).open()
+        }).open(),
+        log: new NoopLogger()
+    }).open()
+    return node._valve
+}
+
+describe('RequestValve.updateRateLimit', () => {
+    it('advertised limit is greater, raise batch limit', () => {
+        let valve = createValve(10)
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-limit': '100',
+            'x-ratelimit-reset': '1'
+        }))
+        assert.strictEqual(valve._batchLimit.value, 100)
+        assert.strictEqual(valve._remainRequests.value, 10)
+    })
+    it('window is longer than batch timespan, widen timespan', () => {
+        let valve = createValve(10)
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-limit': '100',
+            'x-ratelimit-reset': '3600'
+        }))
+        assert.strictEqual(valve._batchLimit.value, 100)
+        assert.strictEqual(valve._batchTimespan.value > 3590000, true)
+        assert.strictEqual(valve._batchTimespan.value <= 3600000, true)
+    })
+    it('window is shorter than batch timespan, keep timespan', () => {
+        let valve = createValve(10)
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-limit': '5',
+            'x-ratelimit-reset': '1'
+        }))
+        assert.strictEqual(valve._batchLimit.value, 5)
+        assert.strictEqual(valve._batchTimespan.value, 60000)
+    })
+    it('no reset time, take lower limit only', () => {
+        let valve = createValve(10)
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-limit': '100'
+        }))
+        assert.strictEqual(valve._batchLimit.value, 10)
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-limit': '5'
+        }))
+        assert.strictEqual(valve._batchLimit.value, 5)
+        assert.strictEqual(valve._batchTimespan.value, 60000)
+    })
+    it('no remaining requests, lock until reset', async() => {
+        let valve = createValve(10)
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-limit': '5',
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-reset': '1'
+        }))
+        assert.strictEqual(valve.isLocked, true)
+        await new Promise(resolve => setTimeout(resolve, 1100))
+        assert.strictEqual(valve.isLocked, false)
+        assert.strictEqual(valve._remainRequests.value, 5)
+    })
+    it('remaining is greater than local quota, keep local quota', () => {
+        let valve = createValve(10)
+        valve.open(UInt.fromNumber(4).open())
+        valve.updateRateLimit(RateLimit.fromHeaders({
+            'x-ratelimit-remaining': '9'
+        }))
+        assert.strictEqual(valve._remainRequests.value, 6)
+    })
+    it('same limits twice, apply once', () => {
+        let valve = createValve(10)
+        let rateLimit = RateLimit.fromHeaders({'x-ratelimit-remaining': '3'})
+        valve.updateRateLimit(rateLimit)
+        valve.giveBackQuota(UInt.fromNumber(2).open())
+        valve.updateRateLimit(rateLimit)
+        assert.strictEqual(valve._remainRequests.value, 5)
+    })
+})
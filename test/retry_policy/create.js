@@ -0,0 +1,49 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {RetryPolicy} = require('../../lib/retry_policy')
+const {ErrorCode} = require('../../lib/type')
+
+describe('RetryPolicy.create', () => {
+    it('no config, return a policy without retries', () => {
+        let policy = RetryPolicy.create().open()
+        assert.strictEqual(policy.maxAttempts, 1)
+        assert.strictEqual(policy.baseDelay.value, 200)
+        assert.strictEqual(policy.maxDelay.value, 5000)
+        assert.strictEqual(policy.deadline, undefined)
+        assert.strictEqual(
+            policy.retryableCodes.includes(ErrorCode.NODE_BAD_REQUEST),
+            false
+        )
+    })
+    it('no config, do not retry permanent errors', () => {
+        let policy = RetryPolicy.create().open()
+        let codes = [
+            ErrorCode.NODE_METHOD_NOT_FOUND,
+            ErrorCode.NODE_EXECUTION_REVERTED,
+            ErrorCode.GATEWAY_NO_BACKEND,
+            ErrorCode.CALL_ABORTED
+        ]
+        for (let code of codes) {
+            assert.strictEqual(policy.retryableCodes.includes(code), false)
+        }
+        assert.strictEqual(
+            policy.retryableCodes.includes(ErrorCode.NODE_RATE_LIMITED),
+            true
+        )
+    })
+    it('invalid maxAttempts, return error', () => {
+        let {error} = RetryPolicy.create({maxAttempts: 0})
+        assert.strictEqual(
+            error.message, 'maxAttempts: expect a positive integer'
+        )
+    })
+    it('unknown retryable code, return error', () => {
+        let {error} = RetryPolicy.create({retryableCodes: [1]})
+        assert.strictEqual(
+            error.message, 'retryableCodes: expect ErrorCode items'
+        )
+    })
+})
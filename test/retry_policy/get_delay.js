@@ -0,0 +1,25 @@
+'use strict'
+
+const assert = require('assert')
+const {Timespan} = require('minitype')
+const {RetryPolicy} = require('../../lib/retry_policy')
+
+describe('RetryPolicy.getDelay', () => {
+    let policy = RetryPolicy.create({
+        baseDelay: Timespan.fromMiliseconds(100).open(),
+        maxDelay: Timespan.fromMiliseconds(1000).open()
+    }).open()
+    let originalRandom = Math.random
+    afterEach(() => {
+        Math.random = originalRandom
+    })
+    it('grow exponentially to max delay', () => {
+        Math.random = () => 0.999999
+        let delays = [1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt))
+        assert.deepStrictEqual(delays, [99, 199, 399, 799, 999])
+    })
+    it('take a random part of delay', () => {
+        Math.random = () => 0.5
+        assert.strictEqual(policy.getDelay(2), 100)
+    })
+})
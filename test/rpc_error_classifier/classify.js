@@ -0,0 +1,59 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {RpcErrorClassifier} = require('../../lib/rpc_error_classifier')
+const {
+    NODE_BAD_REQUEST,
+    NODE_LOG_RANGE_TOO_LARGE,
+    NODE_RATE_LIMITED,
+    NODE_METHOD_NOT_FOUND,
+    NODE_EXECUTION_REVERTED
+} = require('../../lib/type').ErrorCode
+
+/**
+ * @param {number} code
+ * @param {string} message
+ * @return {number}
+ */
+function classify(code, message) {
+    return RpcErrorClassifier.classify({code, message})
+}
+
+describe('RpcErrorClassifier.classify', () => {
+    it('too many results from Infura, return log range error', () => {
+        let message = 'query returned more than 10000 results. ' +
+            'Try with this block range [0x10, 0x20].'
+        assert.strictEqual(classify(-32005, message), NODE_LOG_RANGE_TOO_LARGE)
+    })
+    it('too large range from BSC, return log range error', () => {
+        let message = 'exceed maximum block range: 5000'
+        assert.strictEqual(classify(-32000, message), NODE_LOG_RANGE_TOO_LARGE)
+    })
+    it('response size from Alchemy, return log range error', () => {
+        let message = 'Log response size exceeded. You can make eth_getLogs ' +
+            'requests with up to a 2K block range.'
+        assert.strictEqual(classify(-32602, message), NODE_LOG_RANGE_TOO_LARGE)
+    })
+    it('rate limit from Infura, return rate limited error', () => {
+        let message = 'daily request count exceeded, request rate limited'
+        assert.strictEqual(classify(-32005, message), NODE_RATE_LIMITED)
+    })
+    it('code 429 without known message, return rate limited error', () => {
+        assert.strictEqual(classify(429, 'slow down'), NODE_RATE_LIMITED)
+    })
+    it('method not found, return method error', () => {
+        let message = 'the method eth_getBlockReceipts does not exist'
+        assert.strictEqual(classify(-32601, message), NODE_METHOD_NOT_FOUND)
+        assert.strictEqual(classify(-32601, 'foo'), NODE_METHOD_NOT_FOUND)
+    })
+    it('reverted with a reason, return reverted error', () => {
+        let message = 'execution reverted: too many requests'
+        assert.strictEqual(classify(3, message), NODE_EXECUTION_REVERTED)
+    })
+    it('unknown error, return bad request error', () => {
+        let message = 'invalid argument 0: hex string has length 3'
+        assert.strictEqual(classify(-32602, message), NODE_BAD_REQUEST)
+    })
+})
@@ -0,0 +1,28 @@
+'use strict'
+
+const assert = require('assert')
+const {RpcErrorClassifier} = require('../../lib/rpc_error_classifier')
+
+describe('RpcErrorClassifier.findSuggestedLogRange', () => {
+    it('a block range, return quantity of blocks', () => {
+        let message = 'query returned more than 10000 results. ' +
+            'Try with this block range [0x10, 0x1f].'
+        let logRange = RpcErrorClassifier.findSuggestedLogRange(message)
+        assert.strictEqual(logRange, 16n)
+    })
+    it('a maximum block range, return it', () => {
+        let message = 'exceed maximum block range: 5000'
+        let logRange = RpcErrorClassifier.findSuggestedLogRange(message)
+        assert.strictEqual(logRange, 5000n)
+    })
+    it('a reversed block range, return undefined', () => {
+        let message = 'Try with this block range [0x20, 0x10].'
+        let logRange = RpcErrorClassifier.findSuggestedLogRange(message)
+        assert.strictEqual(logRange, undefined)
+    })
+    it('no suggestion, return undefined', () => {
+        let message = 'query returned more than 10000 results'
+        let logRange = RpcErrorClassifier.findSuggestedLogRange(message)
+        assert.strictEqual(logRange, undefined)
+    })
+})
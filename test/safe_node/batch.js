@@ -0,0 +1,59 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt, Timespan} = require('minitype')
+const {SafeNode} = require('../../lib/safe_node')
+const {NoopLogger} = require('../../lib/logger')
+const {
+    Result,
+    BadError,
+    ErrorCode,
+    HttpUrl,
+    EthEndpoint,
+    EndpointQuota
+} = require('../../lib/type')
+
+describe('SafeNode.batch', () => {
+    let node
+    let batchSizes
+    beforeEach(() => {
+        node = SafeNode.create({
+            endpoint: EthEndpoint.create({
+                url: HttpUrl.fromString('http://foo.bar').open(),
+                quota: EndpointQuota.create({
+                    batchLimit: UInt.fromNumber(2).open(),
+                    batchTimespan: Timespan.fromMinutes(1).open()
+                }).open()
+            }).open(),
+            log: new NoopLogger()
+        }).open()
+        batchSizes = []
+        node._node.batch = calls => {
+            batchSizes.push(calls.length)
+            let results = calls.map(({params}) => Result.ok(params[0]))
+            return Promise.resolve(Result.ok(results))
+        }
+    })
+    it('calls are not more than batch limit, return results', async() => {
+        let calls = [0, 1].map(index => {
+            return {method: 'eth_blockNumber', params: [index]}
+        })
+        let {error, data} = await node.batch(calls)
+        assert.strictEqual(error, undefined)
+        assert.deepStrictEqual(batchSizes, [2])
+        assert.deepStrictEqual(data.map(result => result.data), [0, 1])
+    })
+    it('calls are more than batch limit, return error', async() => {
+        let calls = [0, 1, 2].map(index => {
+            return {method: 'eth_blockNumber', params: [index]}
+        })
+        let {error} = await node.batch(calls)
+        assert.strictEqual(error instanceof BadError, true)
+        assert.strictEqual(error.code, ErrorCode.NODE_BAD_REQUEST)
+        assert.deepStrictEqual(batchSizes, [])
+        let r1 = await node.batch(calls.slice(0, 2))
+        assert.strictEqual(r1.error, undefined)
+    })
+})
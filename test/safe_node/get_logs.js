@@ -5,6 +5,7 @@
 
 const {Log: StdioLog} = require('stdio_log')
 const assert = require('assert')
+const AxiosMock = require('axios-mock-adapter')
 const {UInt, UInt64, Timespan} = require('minitype')
 const {SafeNode} = require('../../lib/safe_node')
 const {
@@ -15,9 +16,50 @@ const {
     ByteData32,
     LogTopicFilter,
     LogFilter,
-    EndpointQuota
+    EndpointQuota,
+    MetricEvent
 } = require('../../lib/type')
 
+/**
+ * @param {number} blockNumber
+ * @return {object} A log as RPC result.
+ */
+function createRpcLog(blockNumber) {
+    return {
+        address: '0x' + '11'.repeat(20),
+        blockNumber: '0x' + blockNumber.toString(16),
+        logIndex: '0x0',
+        transactionIndex: '0x0',
+        topics: [],
+        data: '0x',
+        blockHash: '0x' + '22'.repeat(32),
+        transactionHash: '0x' + '33'.repeat(32)
+    }
+}
+
+/**
+ * Create a node that knows safe block number `100`, it's server responses
+ * latest block number `latestBlock` and logs at block number 96 and 99.
+ *
+ * @param {number} latestBlock
+ * @return {SafeNode} Field `httpMock` is added for inspecting requests.
+ */
+function createBatchNode(latestBlock) {
+    let node = SafeNode.create({
+        endpoint: EthEndpoint.create({
+            url: HttpUrl.fromString('http://foo.bar').open()
+        }).open(),
+        log: new StdioLog()
+    }).open()
+    node._valve.setLatestBlockNumber(UInt64.fromNumber(115).open())
+    node.httpMock = new AxiosMock(node._node._httpClient)
+    node.httpMock.onPost('/').reply(200, JSON.stringify([
+        {id: 0, result: '0x' + latestBlock.toString(16)},
+        {id: 1, result: [createRpcLog(96), createRpcLog(99)]}
+    ]))
+    return node
+}
+
 describe('SafeNode.getLogs', () => {
     let node = SafeNode.create({
         endpoint: EthEndpoint.create({
@@ -47,4 +89,50 @@ describe('SafeNode.getLogs', () => {
         let {data: logSegment} = nodeResponse
         assert.strictEqual(logSegment.logs.length, 1)
     })
+    it('has known safe block, retrieve logs by a request', async() => {
+        let node = createBatchNode(130)
+        let filter = LogFilter.create({
+            fromBlock: UInt64.fromNumber(95).open(),
+            toBlock: UInt64.fromNumber(100).open()
+        }).open()
+        let {data: {data: logSegment}} = await node.getLogs(filter)
+        assert.strictEqual(node.httpMock.history.post.length, 1)
+        assert.strictEqual(logSegment.fromBlock.toNumber(), 95)
+        assert.strictEqual(logSegment.toBlock.toNumber(), 100)
+        assert.strictEqual(logSegment.safeBlock.toNumber(), 115)
+        assert.deepStrictEqual(
+            logSegment.logs.map(log => log.blockNumber.toNumber()),
+            [96, 99]
+        )
+    })
+    it('node has lower safe block, drop logs after it', async() => {
+        let node = createBatchNode(112)
+        let filter = LogFilter.create({
+            fromBlock: UInt64.fromNumber(95).open(),
+            toBlock: UInt64.fromNumber(100).open()
+        }).open()
+        let {data: {data: logSegment}} = await node.getLogs(filter)
+        assert.strictEqual(logSegment.toBlock.toNumber(), 97)
+        assert.deepStrictEqual(
+            logSegment.logs.map(log => log.blockNumber.toNumber()),
+            [96]
+        )
+    })
+    it('emit events around the request', async() => {
+        let node = createBatchNode(130)
+        let events = []
+        node.on(MetricEvent.REQUEST, event => events.push(['request', event]))
+        node.on(MetricEvent.RESPONSE, event => events.push(['response', event]))
+        let filter = LogFilter.create({
+            fromBlock: UInt64.fromNumber(95).open(),
+            toBlock: UInt64.fromNumber(100).open()
+        }).open()
+        await node.getLogs(filter)
+        assert.deepStrictEqual(events[0], ['request', {host: 'foo.bar', method: 'batch'}])
+        let [name, {host, method, latency, size, errorCode}] = events[1]
+        assert.deepStrictEqual([name, host, method], ['response', 'foo.bar', 'batch'])
+        assert.strictEqual(typeof latency, 'number')
+        assert.strictEqual(size > 0, true)
+        assert.strictEqual(errorCode, undefined)
+    })
 })
@@ -0,0 +1,29 @@
+'use strict'
+
+const assert = require('assert')
+const {Log: StdioLog} = require('stdio_log')
+const {StdioLogger} = require('../../lib/logger')
+
+describe('StdioLogger.info', () => {
+    it('write context as key value pairs', () => {
+        let stdioLog = new StdioLog()
+        let calls = []
+        stdioLog.info = (...messages) => calls.push(messages)
+        let logger = new StdioLogger(stdioLog)
+        logger.info('request', {host: 'a', method: 'getLogs', x: undefined})
+        assert.deepStrictEqual(calls, [
+            ['request', 'host=a', 'method=getLogs']
+        ])
+    })
+    it('write objects and errors by inspection', () => {
+        let stdioLog = new StdioLog()
+        let calls = []
+        stdioLog.info = (...messages) => calls.push(messages)
+        let logger = new StdioLogger(stdioLog)
+        let error = new Error('failed')
+        logger.info('request', {data: {a: 1}, error: error})
+        assert.deepStrictEqual(calls, [
+            ['request', 'data={ a: 1 }', `error=${error.stack}`]
+        ])
+    })
+})
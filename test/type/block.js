@@ -6,62 +6,96 @@
 const assert = require('assert')
 const {
     UInt64,
+    UInt256,
     Timestamp
 } = require('minitype')
 const {
     Result,
     ByteData32,
-    Block
+    Address,
+    Block,
+    Transaction
 } = require('../../lib/type')
 
 describe('type.Block.fromRpcResult', () => {
+    let rpcBlock = {
+        number: '0x2',
+        hash: '0x4f1ad3a0e5ea4cbd6d8a1d52e5ad5b6c10f4f5b4d8c9f0e1a2b3c4d5e6f70819',
+        parentHash: '0x9b5ec0b63c3bd8a49a7af2a7bd5b8a2d4fbc47a9c0e7e1b6e1a6a59e2b3c4d5e',
+        timestamp: '0x45',
+        miner: '0x2a7cd1a1c4e8f3a5b6c7d8e9f0a1b2c3d4e5f6a7',
+        gasUsed: '0x5208',
+        gasLimit: '0x1c9c380',
+        baseFeePerGas: '0x3b9aca00',
+        transactions: [
+            '0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af'
+        ]
+    }
     it('successfully', () => {
-        let rpcResult = {
-            number: '0x2',
-            timestamp: '0x45',
-            transactions: [
-                '0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af'
-            ]
-        }
         let block = new Block({
             number: UInt64.fromHeximal('0x2').open(),
+            hash: ByteData32.fromHeximal('0x4f1ad3a0e5ea4cbd6d8a1d52e5ad5b6c10f4f5b4d8c9f0e1a2b3c4d5e6f70819').open(),
+            parentHash: ByteData32.fromHeximal('0x9b5ec0b63c3bd8a49a7af2a7bd5b8a2d4fbc47a9c0e7e1b6e1a6a59e2b3c4d5e').open(),
             timestamp: Timestamp.fromHeximalSeconds('0x45').open(),
+            miner: Address.fromHeximal('0x2a7cd1a1c4e8f3a5b6c7d8e9f0a1b2c3d4e5f6a7').open(),
+            gasUsed: UInt64.fromNumber(21000).open(),
+            gasLimit: UInt64.fromNumber(30000000).open(),
+            baseFeePerGas: UInt256.fromHeximal('0x3b9aca00').open(),
             transactions: [
                 ByteData32.fromHeximal('0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af').open()
             ]
         })
         let expectedResult = Result.ok(block)
-        let actualResult = Block.fromRpcResult(rpcResult)
+        let actualResult = Block.fromRpcResult(rpcBlock)
         assert.deepStrictEqual(actualResult, expectedResult)
     })
-    it('invalid block number, return error', () => {
-        let rpcResult = {
-            number: '0x2XXX',
-            timestamp: '0x45',
-            transactions: [
-                '0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af'
-            ]
+    it('has full transactions, return transaction objects', () => {
+        let rpcTransaction = {
+            hash: '0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af',
+            from: '0x2a7cd1a1c4e8f3a5b6c7d8e9f0a1b2c3d4e5f6a7',
+            to: '0x804678fa97d91b974ec2af3c843270886528a9e6',
+            blockNumber: '0x2',
+            transactionIndex: '0x0',
+            value: '0x0',
+            input: '0x',
+            nonce: '0x0',
+            gas: '0x5208',
+            gasPrice: '0x3b9aca00',
+            v: '0x1b',
+            r: '0x1',
+            s: '0x1'
         }
+        let rpcResult = {...rpcBlock, transactions: [rpcTransaction]}
+        let block = Block.fromRpcResult(rpcResult).open()
+        let expectedTransaction = Transaction.fromRpcResult(rpcTransaction).open()
+        assert.deepStrictEqual(block.transactions, [expectedTransaction])
+    })
+    it('has no baseFeePerGas, return undefined base fee', () => {
+        let rpcResult = {...rpcBlock, baseFeePerGas: undefined}
+        let block = Block.fromRpcResult(rpcResult).open()
+        assert.strictEqual(block.baseFeePerGas, undefined)
+    })
+    it('invalid block number, return error', () => {
+        let rpcResult = {...rpcBlock, number: '0x2XXX'}
         let expectedResult = Result.typeError('number: expect Heximal')
         let actualResult = Block.fromRpcResult(rpcResult)
         assert.deepStrictEqual(actualResult, expectedResult)
     })
     it('invalid timestamp, return error', () => {
-        let rpcResult = {
-            number: '0x2',
-            timestamp: '0x45XXX',
-            transactions: [
-                '0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af'
-            ]
-        }
+        let rpcResult = {...rpcBlock, timestamp: '0x45XXX'}
         let expectedResult = Result.typeError('timestamp: expect Heximal')
         let actualResult = Block.fromRpcResult(rpcResult)
         assert.deepStrictEqual(actualResult, expectedResult)
     })
+    it('invalid miner, return error', () => {
+        let rpcResult = {...rpcBlock, miner: '0x2a7c'}
+        let actualResult = Block.fromRpcResult(rpcResult)
+        assert.strictEqual(actualResult.error instanceof TypeError, true)
+        assert.match(actualResult.error.message, /^miner: /)
+    })
     it('transactions is not an array, return error', () => {
         let rpcResult = {
-            number: '0x2',
-            timestamp: '0x45',
+            ...rpcBlock,
             transactions: '0xe085e95d71717c8a054ac838bc7fdb6c64607adc7b9f8dfaee12d3cd8e8e03af'
         }
         let expectedResult = Result.typeError('transactions: expect an array')
@@ -70,8 +104,7 @@ describe('type.Block.fromRpcResult', () => {
     })
     it('invalid transactions[0], return error', () => {
         let rpcResult = {
-            number: '0x2',
-            timestamp: '0x45',
+            ...rpcBlock,
             transactions: [
                 '0xf712befa13df56c5c11799078b793c49fe121XXX'
             ]
@@ -171,6 +171,18 @@ describe('type.LogTopicFilter.create', () => {
         let actualResult = LogTopicFilter.create(input)
         assert.deepStrictEqual(actualResult, expectedResult)
     })
+    it('null topics, return filter that matches any topic', () => {
+        let input = [
+            ByteData32.fromHeximal('0xb0bbb0213c85d84ff38a4a76188369ba5356b3392b6c28730a578e6d254d9768').open(),
+            null,
+            ByteData32.fromHeximal('0xbf3cf4a93253762cec15e2b2898df402924befba04988104b113583646dc0d77').open()
+        ]
+        let expectedResult = Result.ok(
+            new LogTopicFilter(input)
+        )
+        let actualResult = LogTopicFilter.create(input)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
 })
 describe('type.LogTopicFilter.toRpcInput', () => {
     it('no topics, return empty array', () => {
@@ -179,6 +191,18 @@ describe('type.LogTopicFilter.toRpcInput', () => {
         let actualResult = topics.toRpcInput()
         assert.deepStrictEqual(actualResult, expectedResult)
     })
+    it('null topics, return null items', () => {
+        let topics = LogTopicFilter.create([
+            null,
+            ByteData32.fromHeximal('0xc3ae1f9b0610d056dc8d9ef4364868ea1a704a4f453c5901a8b6cd62767be012').open()
+        ]).open()
+        let expectedResult = [
+            null,
+            '0xc3ae1f9b0610d056dc8d9ef4364868ea1a704a4f453c5901a8b6cd62767be012'
+        ]
+        let actualResult = topics.toRpcInput()
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
     it('flat topics, return correct result', () => {
         let topics = LogTopicFilter.create([
             ByteData32.fromHeximal('0xb0bbb0213c85d84ff38a4a76188369ba5356b3392b6c28730a578e6d254d9768').open(),
@@ -0,0 +1,88 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt8, UInt64, UInt256} = require('minitype')
+const {
+    Result,
+    Address,
+    Log,
+    Receipt
+} = require('../../lib/type')
+
+describe('type.Receipt.fromRpcResult', () => {
+    let rpcLog = {
+        address: '0x804678fa97d91b974ec2af3c843270886528a9e6',
+        blockNumber: '0xcdeb3c',
+        logIndex: '0x3',
+        transactionIndex: '0x17',
+        topics: [
+            '0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822'
+        ],
+        data: '0x',
+        blockHash: '0x8e38b4dbf6b11fcc3b9dee84fb7986e29ca0a02cecd8977c161ff7333329681e',
+        transactionHash: '0x456d75c7a1a397f7cfea511e932aeeccc36e727db56724df7a424beb14877c5f'
+    }
+    let rpcReceipt = {
+        transactionHash: '0x456d75c7a1a397f7cfea511e932aeeccc36e727db56724df7a424beb14877c5f',
+        transactionIndex: '0x17',
+        blockHash: '0x8e38b4dbf6b11fcc3b9dee84fb7986e29ca0a02cecd8977c161ff7333329681e',
+        blockNumber: '0xcdeb3c',
+        from: '0xe2d3a739effcd3a99387d015e260eefac72ebea1',
+        to: '0x804678fa97d91b974ec2af3c843270886528a9e6',
+        status: '0x1',
+        gasUsed: '0x5208',
+        cumulativeGasUsed: '0x1e8480',
+        effectiveGasPrice: '0x12a05f200',
+        contractAddress: null,
+        logs: [rpcLog]
+    }
+    it('successfully', () => {
+        let receipt = Receipt.fromRpcResult(rpcReceipt).open()
+        assert.strictEqual(receipt.transactionHash.toHeximal(), rpcReceipt.transactionHash)
+        assert.strictEqual(receipt.blockNumber.toNumber(), 0xcdeb3c)
+        assert.deepStrictEqual(receipt.to, Address.fromHeximal(rpcReceipt.to).open())
+        assert.deepStrictEqual(receipt.status, UInt8.fromNumber(1).open())
+        assert.deepStrictEqual(receipt.gasUsed, UInt64.fromNumber(21000).open())
+        assert.deepStrictEqual(receipt.cumulativeGasUsed, UInt64.fromNumber(2000000).open())
+        assert.deepStrictEqual(receipt.effectiveGasPrice, UInt256.fromNumber(5000000000).open())
+        assert.strictEqual(receipt.contractAddress, undefined)
+        assert.deepStrictEqual(receipt.logs, [Log.fromRpcResult(rpcLog).open()])
+    })
+    it('contract creation, return contract address', () => {
+        let receipt = Receipt.fromRpcResult({
+            ...rpcReceipt,
+            to: null,
+            contractAddress: '0x0000000000000000000000000000000000001000',
+            logs: []
+        }).open()
+        assert.strictEqual(receipt.to, undefined)
+        assert.deepStrictEqual(
+            receipt.contractAddress,
+            Address.fromHeximal('0x0000000000000000000000000000000000001000').open()
+        )
+    })
+    it('failed transaction, return status 0', () => {
+        let receipt = Receipt.fromRpcResult({...rpcReceipt, status: '0x0'}).open()
+        assert.deepStrictEqual(receipt.status, UInt8.fromNumber(0).open())
+    })
+    it('before Byzantium, return undefined status', () => {
+        let receipt = Receipt.fromRpcResult({
+            ...rpcReceipt,
+            status: undefined,
+            effectiveGasPrice: undefined
+        }).open()
+        assert.strictEqual(receipt.status, undefined)
+        assert.strictEqual(receipt.effectiveGasPrice, undefined)
+    })
+    it('invalid logs[0], return error', () => {
+        let actualResult = Receipt.fromRpcResult({
+            ...rpcReceipt,
+            logs: [{...rpcLog, address: '0x01'}]
+        })
+        let expectedResult = Result.typeError('logs: [0]: address: expect a heximal 20 bytes')
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
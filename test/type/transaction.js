@@ -0,0 +1,100 @@
+'use strict'
+
+/* eslint-disable max-len */
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {UInt8, UInt64, UInt256} = require('minitype')
+const {
+    Result,
+    Address,
+    ByteData,
+    ByteData32,
+    Transaction
+} = require('../../lib/type')
+
+describe('type.Transaction.fromRpcResult', () => {
+    let rpcLegacyTransaction = {
+        hash: '0x456d75c7a1a397f7cfea511e932aeeccc36e727db56724df7a424beb14877c5f',
+        from: '0xe2d3a739effcd3a99387d015e260eefac72ebea1',
+        to: '0x804678fa97d91b974ec2af3c843270886528a9e6',
+        blockNumber: '0xcdeb3c',
+        transactionIndex: '0x17',
+        value: '0xde0b6b3a7640000',
+        input: '0x',
+        nonce: '0x2a',
+        gas: '0x5208',
+        gasPrice: '0x12a05f200',
+        type: '0x0',
+        chainId: '0x38',
+        v: '0x94',
+        r: '0x1b5e176d927f8e9ab405058b2d2457392da3e20f328b16ddabcebc33eaac5fea',
+        s: '0x4ba69724e8f69de52f0125ad8b3c5c2cef33019bac3249e2c0a2192766d1721c'
+    }
+    it('legacy transaction', () => {
+        let transaction = Transaction.fromRpcResult(rpcLegacyTransaction).open()
+        assert.deepStrictEqual(transaction.to, Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open())
+        assert.deepStrictEqual(transaction.value, UInt256.fromHeximal('0xde0b6b3a7640000').open())
+        assert.deepStrictEqual(transaction.input, ByteData.fromHeximal('0x').open())
+        assert.deepStrictEqual(transaction.nonce, UInt64.fromNumber(42).open())
+        assert.deepStrictEqual(transaction.gas, UInt64.fromNumber(21000).open())
+        assert.deepStrictEqual(transaction.gasPrice, UInt256.fromNumber(5000000000).open())
+        assert.deepStrictEqual(transaction.type, UInt8.fromNumber(0).open())
+        assert.deepStrictEqual(transaction.chainId, UInt64.fromNumber(56).open())
+        assert.deepStrictEqual(transaction.v, UInt256.fromNumber(148).open())
+        assert.strictEqual(transaction.maxFeePerGas, undefined)
+        assert.strictEqual(transaction.maxPriorityFeePerGas, undefined)
+        assert.strictEqual(transaction.accessList, undefined)
+    })
+    it('contract creation, return undefined to', () => {
+        let transaction = Transaction.fromRpcResult({
+            ...rpcLegacyTransaction,
+            to: null,
+            input: '0x6080604052'
+        }).open()
+        assert.strictEqual(transaction.to, undefined)
+        assert.deepStrictEqual(transaction.input, ByteData.fromHeximal('0x6080604052').open())
+    })
+    it('EIP-1559 transaction', () => {
+        let transaction = Transaction.fromRpcResult({
+            ...rpcLegacyTransaction,
+            type: '0x2',
+            maxFeePerGas: '0x2540be400',
+            maxPriorityFeePerGas: '0x3b9aca00',
+            accessList: [
+                {
+                    address: '0x804678fa97d91b974ec2af3c843270886528a9e6',
+                    storageKeys: [
+                        '0x0000000000000000000000000000000000000000000000000000000000000001'
+                    ]
+                }
+            ],
+            v: '0x1'
+        }).open()
+        assert.deepStrictEqual(transaction.type, UInt8.fromNumber(2).open())
+        assert.deepStrictEqual(transaction.maxFeePerGas, UInt256.fromNumber(10000000000).open())
+        assert.deepStrictEqual(transaction.maxPriorityFeePerGas, UInt256.fromNumber(1000000000).open())
+        assert.strictEqual(transaction.accessList.length, 1)
+        let [entry] = transaction.accessList
+        assert.deepStrictEqual(entry.address, Address.fromHeximal('0x804678fa97d91b974ec2af3c843270886528a9e6').open())
+        assert.deepStrictEqual(entry.storageKeys, [
+            ByteData32.fromHeximal('0x0000000000000000000000000000000000000000000000000000000000000001').open()
+        ])
+    })
+    it('invalid accessList, return error', () => {
+        let actualResult = Transaction.fromRpcResult({
+            ...rpcLegacyTransaction,
+            accessList: [{address: '0x01', storageKeys: []}]
+        })
+        let expectedResult = Result.typeError('accessList: [0]: address: expect a heximal 20 bytes')
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('missing value, return error', () => {
+        let actualResult = Transaction.fromRpcResult({
+            ...rpcLegacyTransaction,
+            value: undefined
+        })
+        let expectedResult = Result.typeError('value: expect Heximal')
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
@@ -0,0 +1,43 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Result, WsUrl} = require('../../lib/type')
+
+describe('type.WsUrl.fromString', () => {
+    it('protocol ws, return correct result', () => {
+        let input = 'ws://foo.bar/jazz?x=1'
+        let expectedResult = new WsUrl(
+            new URL(input)
+        )
+        let actualResult = WsUrl.fromString(input).open()
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('protocol wss, return correct result', () => {
+        let input = 'wss://foo.bar/jazz?x=1'
+        let expectedResult = new WsUrl(
+            new URL(input)
+        )
+        let actualResult = WsUrl.fromString(input).open()
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('not a URL, return error', () => {
+        let input = 'abcxyz'
+        let expectedResult = Result.typeError('expect a URL')
+        let actualResult = WsUrl.fromString(input)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('protocol http, return error', () => {
+        let input = 'http://foo.bar'
+        let expectedResult = Result.typeError('expect protocol ws or wss')
+        let actualResult = WsUrl.fromString(input)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+    it('has username and password, return error', () => {
+        let input = 'ws://zoo:baz@foo.bar'
+        let expectedResult = Result.typeError('expect no username or password')
+        let actualResult = WsUrl.fromString(input)
+        assert.deepStrictEqual(actualResult, expectedResult)
+    })
+})
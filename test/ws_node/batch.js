@@ -0,0 +1,51 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Timespan} = require('minitype')
+const {WsNode} = require('../../lib/ws_node')
+const {WsUrl, WsEndpoint} = require('../../lib/type')
+const {createWsServer, closeWsServer} = require('../_lib')
+
+describe('WsNode.batch', () => {
+    let server = undefined
+    let node = undefined
+    afterEach(async() => {
+        node.close()
+        await closeWsServer(server)
+    })
+    it('batch and a request, match responses by identity', async() => {
+        let messages = []
+        server = await createWsServer((message, socket) => {
+            messages.push(message)
+            if (messages.length < 2) {
+                return
+            }
+            for (let message of messages.reverse()) {
+                let response = Array.isArray(message)
+                    ? message
+                        .map(({id, params}) => ({id, result: params[0]}))
+                        .reverse()
+                    : {id: message.id, result: message.params[0]}
+                socket.send(JSON.stringify(response))
+            }
+        })
+        node = WsNode.create({
+            endpoint: WsEndpoint.create({
+                url: WsUrl.fromString(server.url).open(),
+                timeout: Timespan.fromMiliseconds(1000).open()
+            }).open()
+        }).open()
+        let [r1, r2] = await Promise.all([
+            node.batch([
+                {method: 'echo', params: ['a']},
+                {method: 'echo', params: ['b']}
+            ]),
+            node.call('echo', ['c'])
+        ])
+        let values = r1.open().map(r => r.open().data)
+        assert.deepStrictEqual(values, ['a', 'b'])
+        assert.strictEqual(r2.open().data, 'c')
+    })
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const {Timespan} = require('minitype')
+const {WsNode} = require('../../lib/ws_node')
+const {WsUrl, WsEndpoint} = require('../../lib/type')
+const {CallOptions} = require('../../lib/call_options')
+const {
+    createWsServer,
+    closeWsServer,
+    createAbortController
+} = require('../_lib')
+const {
+    NODE_OVERLOADING,
+    NODE_BAD_SERVER,
+    CALL_ABORTED,
+    CALL_DEADLINE_EXCEEDED
+} = require('../../lib/type').ErrorCode
+
+/**
+ * @param {string} url
+ * @param {number} [timeout=1000] - Miliseconds.
+ * @return {WsNode}
+ */
+function createNode(url, timeout = 1000) {
+    return WsNode.create({
+        endpoint: WsEndpoint.create({
+            url: WsUrl.fromString(url).open(),
+            timeout: Timespan.fromMiliseconds(timeout).open()
+        }).open()
+    }).open()
+}
+
+describe('WsNode._requestRpc', () => {
+    let server = undefined
+    let node = undefined
+    afterEach(async() => {
+        node.close()
+        await closeWsServer(server)
+    })
+    it('concurrent requests, match responses by identity', async() => {
+        let requests = []
+        server = await createWsServer((request, socket) => {
+            requests.push(request)
+            if (requests.length < 2) {
+                return
+            }
+            for (let {id, params} of requests.reverse()) {
+                socket.send(JSON.stringify({id, result: params[0]}))
+            }
+        })
+        node = createNode(server.url)
+        let [r1, r2] = await Promise.all([
+            node._requestRpc('echo', ['a']),
+            node._requestRpc('echo', ['b'])
+        ])
+        assert.strictEqual(r1.data.data, 'a')
+        assert.strictEqual(r2.data.data, 'b')
+        assert.notStrictEqual(requests[0].id, requests[1].id)
+    })
+    it('json rpc error, return error', async() => {
+        server = await createWsServer((request, socket) => {
+            socket.send(JSON.stringify({
+                id: request.id,
+                error: {code: -32000, message: 'bad params'}
+            }))
+        })
+        node = createNode(server.url)
+        let {error} = await node.getBlockNumber()
+        assert.strictEqual(error.message, 'NODE_BAD_REQUEST bad params')
+    })
+    it('no response, return error by timeout', async() => {
+        server = await createWsServer(() => {})
+        node = createNode(server.url, 50)
+        let {error} = await node.getBlockNumber()
+        assert.strictEqual(error.code, NODE_OVERLOADING)
+        assert.strictEqual(error.message, 'NODE_OVERLOADING timeout')
+    })
+    it('no response before deadline, return error', async() => {
+        server = await createWsServer(() => {})
+        node = createNode(server.url)
+        let options = CallOptions.create({
+            deadline: Timespan.fromMiliseconds(50).open()
+        }).open()
+        let {error} = await node.getBlockNumber(options)
+        assert.strictEqual(error.code, CALL_DEADLINE_EXCEEDED)
+        assert.strictEqual(node._requests.size, 0)
+    })
+    it('aborted while waiting for response, return error', async() => {
+        server = await createWsServer(() => {})
+        node = createNode(server.url)
+        let controller = createAbortController()
+        let options = CallOptions.create({signal: controller.signal}).open()
+        setTimeout(() => controller.abort(), 10)
+        let {error} = await node.getBlockNumber(options)
+        assert.strictEqual(error.code, CALL_ABORTED)
+        assert.strictEqual(node._requests.size, 0)
+    })
+    it('connection is closed, fail in-flight requests', async() => {
+        server = await createWsServer((request, socket) => {
+            socket.terminate()
+        })
+        node = createNode(server.url)
+        let {error} = await node.getBlockNumber()
+        assert.strictEqual(error.code, NODE_BAD_SERVER)
+        assert.strictEqual(error.message, 'NODE_BAD_SERVER connection closed')
+    })
+    it('connection is closed, open again on next request', async() => {
+        let count = 0
+        server = await createWsServer((request, socket) => {
+            count += 1
+            if (count === 1) {
+                socket.terminate()
+                return
+            }
+            socket.send(JSON.stringify({id: request.id, result: '0x10'}))
+        })
+        node = createNode(server.url)
+        await node.getBlockNumber()
+        let {data: {data: blockNumber}} = await node.getBlockNumber()
+        assert.strictEqual(blockNumber.toNumber(), 0x10)
+    })
+    it('connection is refused, return error', async() => {
+        server = await createWsServer(() => {})
+        let {url} = server
+        await closeWsServer(server)
+        node = createNode(url)
+        let {error} = await node.getBlockNumber()
+        assert.strictEqual(error.code, NODE_OVERLOADING)
+    })
+})
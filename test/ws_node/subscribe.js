@@ -0,0 +1,264 @@
+'use strict'
+
+/* eslint-disable max-lines-per-function */
+
+const assert = require('assert')
+const WebSocket = require('ws')
+const {Deferral} = require('@trop/gear')
+const {Timespan} = require('minitype')
+const {WsNode} = require('../../lib/ws_node')
+const {
+    Result,
+    BadError,
+    ErrorCode,
+    WsUrl,
+    WsEndpoint
+} = require('../../lib/type')
+const {createWsServer, closeWsServer} = require('../_lib')
+
+/**
+ * Serve `eth_subscribe` and `eth_unsubscribe`, then push a notification to
+ * subscription `0x1` after it is subscribed.
+ *
+ * @param {Array<object>} requests - Receive requests.
+ * @return {Promise<WebSocket.Server>}
+ */
+function createServer(requests) {
+    return createWsServer((request, socket) => {
+        requests.push(request)
+        let {id, method} = request
+        if (method === 'eth_unsubscribe') {
+            socket.send(JSON.stringify({id, result: true}))
+            return
+        }
+        socket.send(JSON.stringify({id, result: '0x1'}))
+        socket.send(JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'eth_subscription',
+            params: {subscription: '0x1', result: {number: '0x10'}}
+        }))
+    })
+}
+
+/**
+ * @param {Array<Array>} records - Receive level, message and context of
+ * each log.
+ * @return {object} A `Logger`.
+ */
+function createRecordLog(records) {
+    let write = level => (message, context) => {
+        records.push([level, message, context])
+    }
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error')
+    }
+}
+
+/**
+ * Delay of subscribing again is shortened for testing.
+ *
+ * @param {string} url
+ * @param {object} [log]
+ * @return {WsNode}
+ */
+function createNode(url, log) {
+    let node = WsNode.create({
+        endpoint: WsEndpoint.create({
+            url: WsUrl.fromString(url).open()
+        }).open(),
+        log
+    }).open()
+    node._resubscribeDelay = Timespan.fromMiliseconds(1).open()
+    return node
+}
+
+describe('WsNode.subscribe', () => {
+    let server = undefined
+    let node = undefined
+    afterEach(async() => {
+        node.close()
+        await closeWsServer(server)
+    })
+    it('receive notifications', async() => {
+        let requests = []
+        server = await createServer(requests)
+        node = createNode(server.url)
+        let notification = new Deferral()
+        let r1 = await node.subscribe('newHeads', [], data => {
+            notification.resolve(data)
+        })
+        let subscription = r1.open()
+        assert.strictEqual(subscription.id, '0x1')
+        assert.strictEqual(subscription.type, 'newHeads')
+        assert.strictEqual(subscription.isActive, true)
+        assert.deepStrictEqual(await notification.promise, {number: '0x10'})
+        assert.strictEqual(requests[0].method, 'eth_subscribe')
+        assert.deepStrictEqual(requests[0].params, ['newHeads'])
+    })
+    it('unsubscribe, send eth_unsubscribe and deactivate', async() => {
+        let requests = []
+        server = await createServer(requests)
+        node = createNode(server.url)
+        let subscription = (await node.subscribe('newHeads', [], () => {}))
+            .open()
+        let r1 = await subscription.unsubscribe()
+        assert.strictEqual(r1.error, undefined)
+        assert.strictEqual(subscription.isActive, false)
+        assert.strictEqual(requests[1].method, 'eth_unsubscribe')
+        assert.deepStrictEqual(requests[1].params, ['0x1'])
+    })
+    it('connection is closed, deactivate subscriptions', async() => {
+        server = await createServer([])
+        node = createNode(server.url)
+        let subscription = (await node.subscribe('newHeads', [], () => {}))
+            .open()
+        let closed = new Deferral()
+        node._socket.once('close', () => closed.resolve())
+        node.close()
+        await closed.promise
+        assert.strictEqual(subscription.isActive, false)
+    })
+    it('connection is lost, subscribe again', async() => {
+        let requests = []
+        server = await createServer(requests)
+        node = createNode(server.url)
+        let notifications = []
+        let restored = new Deferral()
+        let subscription = (await node.subscribe('newHeads', [], data => {
+            notifications.push(data)
+            if (notifications.length === 2) {
+                restored.resolve()
+            }
+        })).open()
+        for (let socket of server.clients) {
+            socket.terminate()
+        }
+        await restored.promise
+        assert.strictEqual(subscription.isActive, true)
+        assert.deepStrictEqual(
+            requests.map(request => request.method),
+            ['eth_subscribe', 'eth_subscribe']
+        )
+    })
+    it('connection is lost, subscribe again after failures', async() => {
+        let requests = []
+        let records = []
+        server = await createServer(requests)
+        node = createNode(server.url, createRecordLog(records))
+        let restored = new Deferral()
+        let subscription = (await node.subscribe('newHeads', [], () => {
+            if (requests.length === 2) {
+                restored.resolve()
+            }
+        })).open()
+        let failures = 2
+        let requestSubscription = node._requestSubscription
+        node._requestSubscription = function(...args) {
+            if (failures-- > 0) {
+                return Promise.resolve(Result.badError(
+                    ErrorCode.NODE_BAD_SERVER, 'failed'
+                ))
+            }
+            return requestSubscription.apply(this, args)
+        }
+        for (let socket of server.clients) {
+            socket.terminate()
+        }
+        await restored.promise
+        assert.strictEqual(subscription.isActive, true)
+        assert.deepStrictEqual(
+            records.map(([level, message]) => [level, message]),
+            [
+                ['warn', 'subscribe again failed'],
+                ['warn', 'subscribe again failed']
+            ]
+        )
+        assert.deepStrictEqual(records[1][2], {
+            type: 'newHeads',
+            attempt: 2,
+            error: 'NODE_BAD_SERVER failed'
+        })
+    })
+    it('connection is lost and server is gone, emit error', async() => {
+        let records = []
+        server = await createServer([])
+        node = createNode(server.url, createRecordLog(records))
+        let subscription = (await node.subscribe('newHeads', [], () => {}))
+            .open()
+        let failed = new Deferral()
+        subscription.on('error', error => failed.resolve(error))
+        await closeWsServer(server)
+        let error = await failed.promise
+        assert.strictEqual(error instanceof BadError, true)
+        assert.strictEqual(subscription.isActive, false)
+        let levels = records.map(([level]) => level)
+        assert.deepStrictEqual(levels, [
+            'warn', 'warn', 'warn', 'warn', 'warn', 'error'
+        ])
+        assert.strictEqual(records[5][1], 'subscription is lost')
+        server = await createServer([])
+    })
+    it('resubscription failed without listeners, deactivate', async() => {
+        server = await createServer([])
+        node = createNode(server.url)
+        let subscription = (await node.subscribe('newHeads', [], () => {}))
+            .open()
+        let restoring = new Deferral()
+        node._restoreSubscriptions = function() {
+            let promise = WsNode.prototype._restoreSubscriptions.call(this)
+            promise.then(() => restoring.resolve())
+            return promise
+        }
+        await closeWsServer(server)
+        await restoring.promise
+        assert.strictEqual(subscription.isActive, false)
+        server = await createServer([])
+    })
+    it('handler throws error, keep the connection', async() => {
+        server = await createServer([])
+        node = createNode(server.url)
+        let notification = new Deferral()
+        await node.subscribe('newHeads', [], () => {
+            notification.resolve()
+            throw new Error('bad handler')
+        })
+        await notification.promise
+        let r1 = await node.getBlockNumber()
+        assert.strictEqual(r1.error, undefined)
+    })
+    it('handler throws error, log it', async() => {
+        let records = []
+        server = await createServer([])
+        node = createNode(server.url, createRecordLog(records))
+        let notification = new Deferral()
+        let error = new Error('bad handler')
+        await node.subscribe('newHeads', [], () => {
+            notification.resolve()
+            throw error
+        })
+        await notification.promise
+        assert.deepStrictEqual(records, [[
+            'error', 'subscription handler failed', {type: 'newHeads', error}
+        ]])
+    })
+    it('async handler rejects, log it', async() => {
+        let records = []
+        server = await createServer([])
+        node = createNode(server.url)
+        let error = new Error('bad handler')
+        let logged = new Deferral()
+        let log = createRecordLog(records)
+        node._log = {...log, error: (...args) => {
+            log.error(...args)
+            logged.resolve()
+        }}
+        await node.subscribe('newHeads', [], () => Promise.reject(error))
+        await logged.promise
+        assert.deepStrictEqual(records, [[
+            'error', 'subscription handler failed', {type: 'newHeads', error}
+        ]])
+    })
+})